@@ -1,15 +1,240 @@
 #!/usr/bin/env node
 
+import fs from 'fs';
+import path from 'path';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import fetch from 'node-fetch';
+import {
+  CLIENT_NAMES,
+  DEFAULT_CLIENT,
+  SCOPES,
+  resolveConfigLocation,
+} from './lib/config-paths.js';
+import { getAdapter, convertServers } from './lib/client-adapters.js';
+import { isOfflineMode } from './lib/registry-cache.js';
+import { RegistrySources } from './lib/sources.js';
+import { parseRegistryReadme } from './lib/readme-parser.js';
+import { getSearchIndex } from './lib/search-index.js';
+import { SORT_MODES, sortEntries, paginate } from './lib/pagination.js';
+import {
+  RUNTIMES,
+  parseGitHubUrl,
+  findRecipeRepository,
+  quickInstallRecipe,
+  resolveInstallRecipe,
+  recipeToServerEntry,
+} from './lib/install-recipes.js';
+import { normalizeRepoUrl } from './lib/registry-cache.js';
+import {
+  prepareEnv,
+  prepareHeaders,
+  tokenReference,
+  mergeEnv,
+  detectRequiredEnv,
+  findMissingEnv,
+  findUnresolvedReferences,
+  readSecrets,
+  secretsWarning,
+  maskServerConfig,
+  maskServers,
+} from './lib/secrets.js';
+import { diffConfigs, createConfirmToken, isConfirmRequired } from './lib/config-diff.js';
+import {
+  readConfig,
+  writeConfig,
+  serializeConfig,
+  parseConfigText,
+  backupConfigFile,
+} from './lib/config-store.js';
+import { listBackups, findBackup, pruneBackups } from './lib/backups.js';
+import {
+  assertPermissionsSupported,
+  listPermissions,
+  grantPermissions,
+  revokePermissions,
+  auditPermissions,
+  removeFindings,
+} from './lib/permissions.js';
+import { inspectServer, checkConnectivity, DEFAULT_INSPECT_TIMEOUT_MS } from './lib/inspector.js';
+import { runDoctor, DEFAULT_DOCTOR_TIMEOUT_MS } from './lib/doctor.js';
+import { GitHubClient, repoMetadataFields } from './lib/github.js';
+import { computeTrustScore, trustSummary, getMinTrustScore } from './lib/trust.js';
+import { fetchPackage, fetchPackageIntegrity, packageMatchesRepo } from './lib/package-registry.js';
+import {
+  readPin,
+  writePin,
+  compareVersions,
+  isPrerelease,
+  updateType,
+  collectReleaseNotes,
+} from './lib/versions.js';
+import {
+  resolveLockfilePath,
+  createLockEntry,
+  createLockfile,
+  readLockfile,
+  writeLockfile,
+  compareEntry,
+  entryFromLock,
+} from './lib/lockfile.js';
+import { runCli } from './lib/cli.js';
+import {
+  RESOURCE_MIME_TYPE,
+  CATEGORIES_URI,
+  SERVER_URI_TEMPLATE,
+  INSTALLED_URI_TEMPLATE,
+  RESOURCE_PAGE_SIZE,
+  PROMPTS,
+  serverUri,
+  installedUri,
+  parseInstalledUri,
+  findServerByUri,
+  summarizeCategories,
+  findAndInstallPrompt,
+  auditPrompt,
+} from './lib/resources.js';
+import { SANDBOX_TYPES, normalizeSandbox, wrapEntry, unwrapEntry, describeSandbox } from './lib/sandbox.js';
+import {
+  RISK_LEVELS,
+  DEFAULT_MAX_FILES,
+  getMaxRisk,
+  exceedsRisk,
+  isReviewRequested,
+  popularPackages,
+  reviewBlocks,
+  reviewServer,
+} from './lib/review.js';
+import {
+  assertProfileName,
+  loadProfiles,
+  saveProfiles,
+  getProfile,
+  snapshotServers,
+  applyProfile,
+  diffServerSets,
+} from './lib/profiles.js';
+
+// Shared by the paginated registry tools (search and list)
+const PAGINATION_PROPERTIES = {
+  offset: {
+    type: 'number',
+    description: 'Number of results to skip for pagination (default: 0)',
+    default: 0,
+  },
+  cursor: {
+    type: 'string',
+    description: 'Opaque next_cursor from a previous response; takes precedence over offset',
+  },
+  source: {
+    type: 'string',
+    description: 'Only include servers listed by this registry source id (see the sources file; default: all sources)',
+  },
+  enrich: {
+    type: 'boolean',
+    description: 'Add GitHub stars, last push, archived status, license and latest release to each result (default: true; uncached repositories need GITHUB_TOKEN)',
+    default: true,
+  },
+  min_score: {
+    type: 'number',
+    description: 'Only include servers whose trust score (0-100) is at least this; servers without GitHub metadata score low',
+  },
+};
+
+// Shared by every tool that writes a config file
+const MUTATION_PROPERTIES = {
+  dry_run: {
+    type: 'boolean',
+    description: 'Return a JSON diff and unified diff of the config change plus a confirm_token without writing anything (default: false)',
+    default: false,
+  },
+  confirm_token: {
+    type: 'string',
+    description: 'Token from a dry run; applies the change only if the config and the resulting change are identical to the preview',
+  },
+};
+
+const STORE_SECRETS_PROPERTY = {
+  type: 'string',
+  description: '"reference" (default) keeps secret values (names with a KEY, TOKEN, SECRET, PASSWORD... segment, URLs with a password, known token formats) in this tool\'s secrets file and writes a reference: VS Code gets ${input:ID} with a password prompt; other clients start the server through this tool\'s launcher, which fills in ${ID}. Secret headers of remote servers that Copilot CLI, Cursor or Windsurf connect to are refused. "plaintext" writes values into the config as given',
+  enum: ['reference', 'plaintext'],
+  default: 'reference',
+};
 
 const GITHUB_README_URL = 'https://raw.githubusercontent.com/modelcontextprotocol/servers/main/README.md';
 
+// Shared by every tool that reads or writes a client config file
+const CONFIG_TARGET_PROPERTIES = {
+  client: {
+    type: 'string',
+    description: `Which MCP client config to target (default: "${DEFAULT_CLIENT}")`,
+    enum: CLIENT_NAMES,
+    default: DEFAULT_CLIENT,
+  },
+  config_path: {
+    type: 'string',
+    description: 'Explicit config file path, overriding the per-OS default and WX_MCP_CONFIG_PATH (optional)',
+  },
+  scope: {
+    type: 'string',
+    description: '"user" (default) for the user-level config, or "project" for the repository\'s own config (.vscode/mcp.json, .cursor/mcp.json, .windsurf/mcp.json, or mcp.json for Copilot CLI)',
+    enum: SCOPES,
+    default: 'user',
+  },
+  project_dir: {
+    type: 'string',
+    description: 'Project directory for scope "project" (default: the git repository containing the working directory)',
+  },
+};
+
+const DEFAULT_CONNECT_TIMEOUT_MS = 15000;
+
+const MAX_RISK_PROPERTY = {
+  type: 'string',
+  description: 'Highest acceptable review risk; anything above blocks the install (default: WX_MCP_MAX_RISK or "medium")',
+  enum: RISK_LEVELS,
+};
+
+const SANDBOX_PROPERTY = {
+  type: 'object',
+  description: 'Run the server inside a sandbox: a docker/podman container, or bubblewrap/firejail on Linux. Only the listed directories are visible and only the listed environment variables (plus the server\'s own env) are passed in',
+  properties: {
+    type: {
+      type: 'string',
+      description: 'Sandbox to launch the server in ("none" removes it)',
+      enum: [...SANDBOX_TYPES, 'none'],
+    },
+    network: {
+      type: 'boolean',
+      description: 'Allow network access (default: true; npx/uvx download the server at launch)',
+    },
+    mounts: {
+      type: 'array',
+      description: 'Directories the server may use, mounted at the same path: "path" (read-write) or "path:ro"',
+      items: { type: 'string' },
+    },
+    env_passthrough: {
+      type: 'array',
+      description: 'Names of environment variables passed in from the client\'s environment',
+      items: { type: 'string' },
+    },
+    image: {
+      type: 'string',
+      description: 'Container image for docker/podman (default: one matching the launcher, e.g. node:lts-slim for npx)',
+    },
+  },
+};
+
 class GitHubServersSearchServer {
   constructor() {
     this.server = new Server(
@@ -20,11 +245,23 @@ class GitHubServersSearchServer {
       {
         capabilities: {
           tools: {},
+          resources: { subscribe: true, listChanged: true },
+          prompts: {},
         },
       }
     );
+    this.subscriptions = new Set();
+    this.configWatchers = [];
+
+    this.registry = new RegistrySources({
+      defaultSources: [{ id: 'mcp-servers', type: 'readme', url: GITHUB_README_URL }],
+      parseReadme: (readme, context) => this.parseServers(readme, context),
+    });
+    this.github = new GitHubClient();
 
     this.setupToolHandlers();
+    this.setupResourceHandlers();
+    this.setupPromptHandlers();
     
     // Error handling
     this.server.onerror = (error) => console.error('[MCP Error]', error);
@@ -39,25 +276,35 @@ class GitHubServersSearchServer {
       tools: [
         {
           name: 'search_github_mcp_servers',
-          description: 'Search the official GitHub modelcontextprotocol/servers repository README for MCP servers. Searches through 2000+ community and official servers including names, descriptions, and links.',
+          description: 'Search the official GitHub modelcontextprotocol/servers repository README for MCP servers. Searches through 2000+ community and official servers including names, descriptions, and links. Results are ranked by relevance (name matches weigh more than description matches) and tolerate typos.',
           inputSchema: {
             type: 'object',
             properties: {
               query: {
                 type: 'string',
-                description: 'Search query (e.g., "playwright", "database", "kubernetes"). Searches server names and descriptions.',
+                description: 'Search query (e.g., "playwright", "database", "kubernetes"). Searches server names and descriptions. Terms are ANDed; use "a OR b" for alternatives, "-term" to exclude, and quotes for exact phrases (e.g., "postgres -supabase").',
               },
               limit: {
                 type: 'number',
                 description: 'Maximum number of results to return (default: 10, max: 50)',
                 default: 10,
               },
+              ...PAGINATION_PROPERTIES,
+              sort: {
+                type: 'string',
+                description: 'Result order: "relevance" (default), "name", "registry" (README order), or "stars"/"pushed" when repository metadata is available',
+                enum: SORT_MODES,
+                default: 'relevance',
+              },
               category: {
                 type: 'string',
-                description: 'Filter by category: "official" for official integrations, "community" for community servers, or "all" (default)',
-                enum: ['official', 'community', 'all'],
+                description: 'Filter by category: "official" for official integrations, "community" for community servers, "reference" and "archived" for the MCP reference servers, "frameworks", "resources", a category defined by another registry source (e.g., "registry"), or "all" (default)',
                 default: 'all',
               },
+              offline: {
+                type: 'boolean',
+                description: 'Serve the cached registry snapshot without touching the network (default: false, or WX_MCP_OFFLINE)',
+              },
             },
             required: ['query'],
           },
@@ -73,23 +320,36 @@ class GitHubServersSearchServer {
                 description: 'Number of servers to return (default: 20, max: 100)',
                 default: 20,
               },
-              offset: {
-                type: 'number',
-                description: 'Number of servers to skip for pagination (default: 0)',
-                default: 0,
+              ...PAGINATION_PROPERTIES,
+              sort: {
+                type: 'string',
+                description: 'Result order: "registry" (README order, default), "name", or "stars"/"pushed" when repository metadata is available',
+                enum: SORT_MODES.filter(mode => mode !== 'relevance'),
+                default: 'registry',
               },
               category: {
                 type: 'string',
-                description: 'Filter by category: "official", "community", or "all" (default)',
-                enum: ['official', 'community', 'all'],
+                description: 'Filter by category: "official", "community", "reference", "archived", "frameworks", "resources", a category defined by another registry source, or "all" (default)',
                 default: 'all',
               },
+              offline: {
+                type: 'boolean',
+                description: 'Serve the cached registry snapshot without touching the network (default: false, or WX_MCP_OFFLINE)',
+              },
             },
           },
         },
+        {
+          name: 'refresh_registry',
+          description: 'Force a sync of every registry source and report how many servers were added, removed, or changed since the last snapshot.',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
         {
           name: 'install_mcp_server',
-          description: 'Install an MCP server by adding it to the mcp-config.json file. Generates the correct configuration based on the server name.',
+          description: 'Install an MCP server by adding it to the mcp-config.json file. Resolves the launch command from the repository (server.json, package.json, pyproject.toml, README, Dockerfile) and reports the recipe used, or installs a hosted endpoint (Streamable HTTP or SSE) from its url after checking that it answers the MCP initialize.',
           inputSchema: {
             type: 'object',
             properties: {
@@ -99,14 +359,123 @@ class GitHubServersSearchServer {
               },
               github_url: {
                 type: 'string',
-                description: 'The GitHub URL of the server (e.g., "https://github.com/microsoft/playwright-mcp")',
+                description: 'The GitHub URL of the server (e.g., "https://github.com/microsoft/playwright-mcp"). Optional when url is given',
+              },
+              url: {
+                type: 'string',
+                description: 'Endpoint of a hosted (remote) server to install instead of a local command (e.g., "https://mcp.example.com/mcp")',
+              },
+              transport: {
+                type: 'string',
+                description: 'Remote transport: "http" (Streamable HTTP) or "sse". Default: detected by the connectivity check, trying http first',
+                enum: ['http', 'sse'],
+              },
+              headers: {
+                type: 'object',
+                description: 'HTTP headers sent to a remote server. Secret-looking values (Authorization, API keys) are moved to the secrets file like env values',
+                additionalProperties: { type: 'string' },
+              },
+              auth_token: {
+                type: 'string',
+                description: 'Environment variable holding a bearer token for a remote server (e.g., "ACME_API_TOKEN" or "${env:ACME_API_TOKEN}"); sent as "Authorization: Bearer ..."',
+              },
+              verify: {
+                type: 'boolean',
+                description: 'Check that a remote server answers the MCP initialize before installing (default: true; skipped offline)',
+                default: true,
+              },
+              timeout_ms: {
+                type: 'number',
+                description: `Timeout for the remote connectivity check (default: ${DEFAULT_CONNECT_TIMEOUT_MS})`,
+                default: DEFAULT_CONNECT_TIMEOUT_MS,
               },
               config_name: {
                 type: 'string',
                 description: 'What to name this server in the config (default: uses server_name)',
               },
+              runtime: {
+                type: 'string',
+                description: 'Prefer a recipe for this runtime when several are found (e.g., "pypi" over "npm")',
+                enum: RUNTIMES,
+              },
+              version: {
+                type: 'string',
+                description: 'Package version (or Docker tag) to pin (default: the current release, resolved from npm/PyPI)',
+              },
+              pin: {
+                type: 'boolean',
+                description: 'Pin the resolved version instead of tracking @latest (default: true)',
+                default: true,
+              },
+              env: {
+                type: 'object',
+                description: 'Environment variables for the server (e.g., {"GITHUB_TOKEN": "${env:GITHUB_TOKEN}"}). Required variables are detected from the README and manifests',
+                additionalProperties: { type: 'string' },
+              },
+              store_secrets: STORE_SECRETS_PROPERTY,
+              always_allow: {
+                type: 'array',
+                description: 'Tool names to pre-approve in alwaysAllow for this server (optional, Copilot CLI only)',
+                items: { type: 'string' },
+              },
+              review: {
+                type: 'boolean',
+                description: 'Run review_server first and refuse to install above max_risk (default: false, or WX_MCP_REVIEW_ON_INSTALL)',
+              },
+              max_risk: MAX_RISK_PROPERTY,
+              sandbox: SANDBOX_PROPERTY,
+              ...CONFIG_TARGET_PROPERTIES,
+              ...MUTATION_PROPERTIES,
+            },
+            required: ['server_name'],
+          },
+        },
+        {
+          name: 'review_server',
+          description: 'Static security review of a server before installing it: checks the repository and published package for install/postinstall scripts, child_process/subprocess use, eval and other dynamic code, network calls to hardcoded hosts, package names close to popular ones (typosquatting), and packages published from a different repository. Returns a risk level with the findings; nothing is executed.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              github_url: {
+                type: 'string',
+                description: 'The GitHub URL of the server (a /tree/<branch>/<path> URL reviews a monorepo subdirectory)',
+              },
+              runtime: {
+                type: 'string',
+                description: 'Review the recipe for this runtime when several are found',
+                enum: RUNTIMES,
+              },
+              max_files: {
+                type: 'number',
+                description: `Maximum number of source files to scan (default: ${DEFAULT_MAX_FILES})`,
+                default: DEFAULT_MAX_FILES,
+              },
+              max_risk: MAX_RISK_PROPERTY,
+              offline: {
+                type: 'boolean',
+                description: 'Only use cached GitHub responses and skip the package registry (default: false, or WX_MCP_OFFLINE)',
+              },
+            },
+            required: ['github_url'],
+          },
+        },
+        {
+          name: 'resolve_install_recipe',
+          description: 'Work out how to launch an MCP server by inspecting its repository (server.json, package.json, pyproject.toml, README code blocks, Dockerfile, go.mod). Returns the best recipe, its confidence, and the alternatives considered.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              github_url: {
+                type: 'string',
+                description: 'The GitHub URL of the server (a /tree/<branch>/<path> URL targets a monorepo subdirectory)',
+              },
+              runtime: {
+                type: 'string',
+                description: 'Prefer a recipe for this runtime when several are found',
+                enum: RUNTIMES,
+              },
             },
-            required: ['server_name', 'github_url'],
+            required: ['github_url'],
           },
         },
         {
@@ -119,6 +488,8 @@ class GitHubServersSearchServer {
                 type: 'string',
                 description: 'The name of the server to uninstall (as it appears in the config)',
               },
+              ...CONFIG_TARGET_PROPERTIES,
+              ...MUTATION_PROPERTIES,
             },
             required: ['server_name'],
           },
@@ -128,12 +499,39 @@ class GitHubServersSearchServer {
           description: 'List all currently installed MCP servers from your mcp-config.json file.',
           inputSchema: {
             type: 'object',
-            properties: {},
+            properties: {
+              ...CONFIG_TARGET_PROPERTIES,
+            },
+          },
+        },
+        {
+          name: 'doctor',
+          description: 'Health-check installed MCP servers: command on PATH, local paths in args, env vars set, and a real MCP handshake. Reports per-server status with fix suggestions and flags duplicate or malformed entries.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              servers: {
+                type: 'array',
+                description: 'Only check these servers (default: all)',
+                items: { type: 'string' },
+              },
+              handshake: {
+                type: 'boolean',
+                description: 'Launch each server and complete the MCP handshake (default: true)',
+                default: true,
+              },
+              timeout_ms: {
+                type: 'number',
+                description: `Handshake timeout per server (default: ${DEFAULT_DOCTOR_TIMEOUT_MS})`,
+                default: DEFAULT_DOCTOR_TIMEOUT_MS,
+              },
+              ...CONFIG_TARGET_PROPERTIES,
+            },
           },
         },
         {
           name: 'update_server_config',
-          description: 'Update the configuration of an existing MCP server (args, tools, environment).',
+          description: 'Update the configuration of an existing MCP server (args, tools, environment, sandbox). Secret values are stored as references, never echoed back.',
           inputSchema: {
             type: 'object',
             properties: {
@@ -143,7 +541,7 @@ class GitHubServersSearchServer {
               },
               new_args: {
                 type: 'array',
-                description: 'New command arguments (optional)',
+                description: 'New command arguments (optional). For a sandboxed server these are the server\'s own args inside the sandbox',
                 items: { type: 'string' },
               },
               new_tools: {
@@ -151,279 +549,2709 @@ class GitHubServersSearchServer {
                 description: 'New tools array (optional)',
                 items: { type: 'string' },
               },
+              new_env: {
+                type: 'object',
+                description: 'Environment variables to set (optional). Merged into the existing env; a null value removes the variable',
+                additionalProperties: { type: ['string', 'null'] },
+              },
+              store_secrets: STORE_SECRETS_PROPERTY,
+              sandbox: {
+                ...SANDBOX_PROPERTY,
+                description: 'Add, change or remove ({"type": "none"}) the sandbox. Settings not given are kept when the type stays the same',
+              },
+              ...CONFIG_TARGET_PROPERTIES,
+              ...MUTATION_PROPERTIES,
             },
             required: ['server_name'],
           },
         },
         {
-          name: 'get_server_details',
-          description: 'Get detailed information about an MCP server from GitHub (stars, last updated, README, etc.).',
+          name: 'check_updates',
+          description: 'Compare the package versions pinned by installed servers against npm/PyPI and report available updates (major/minor/patch) and unpinned servers.',
           inputSchema: {
             type: 'object',
             properties: {
-              github_url: {
+              servers: {
+                type: 'array',
+                description: 'Only check these servers (default: all)',
+                items: { type: 'string' },
+              },
+              include_prerelease: {
+                type: 'boolean',
+                description: 'Offer prerelease versions as updates (default: false)',
+                default: false,
+              },
+              ...CONFIG_TARGET_PROPERTIES,
+            },
+          },
+        },
+        {
+          name: 'upgrade_server',
+          description: 'Bump an installed server\'s pinned package version (default: the latest release) and show the release notes or changelog between the two versions.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              server_name: {
                 type: 'string',
-                description: 'The GitHub URL of the server',
+                description: 'The installed server to upgrade',
+              },
+              version: {
+                type: 'string',
+                description: 'Version to pin (default: the latest release)',
               },
+              include_changelog: {
+                type: 'boolean',
+                description: 'Include release notes between the old and new version (default: true)',
+                default: true,
+              },
+              ...CONFIG_TARGET_PROPERTIES,
+              ...MUTATION_PROPERTIES,
             },
-            required: ['github_url'],
+            required: ['server_name'],
           },
         },
         {
-          name: 'backup_config',
-          description: 'Create a timestamped backup of your mcp-config.json file.',
+          name: 'export_lockfile',
+          description: 'Write an mcp-lock.json recording every installed server: source repository, resolved package version and integrity hash, and launch command. Secret values are written as ${env:NAME} references.',
           inputSchema: {
             type: 'object',
-            properties: {},
+            properties: {
+              lockfile_path: {
+                type: 'string',
+                description: 'Where to write the lockfile (default: WX_MCP_LOCKFILE or ./mcp-lock.json)',
+              },
+              servers: {
+                type: 'array',
+                description: 'Only lock these servers (default: all)',
+                items: { type: 'string' },
+              },
+              offline: {
+                type: 'boolean',
+                description: 'Skip npm/PyPI lookups; versions and integrity hashes are only recorded when already pinned (default: false)',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Return the lockfile without writing it (default: false)',
+                default: false,
+              },
+              ...CONFIG_TARGET_PROPERTIES,
+            },
           },
         },
-      ],
-    }));
-
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      if (request.params.name === 'search_github_mcp_servers') {
-        return await this.handleSearch(request.params.arguments);
-      } else if (request.params.name === 'list_all_github_mcp_servers') {
-        return await this.handleList(request.params.arguments);
-      } else if (request.params.name === 'install_mcp_server') {
-        return await this.handleInstall(request.params.arguments);
-      } else if (request.params.name === 'uninstall_mcp_server') {
-        return await this.handleUninstall(request.params.arguments);
-      } else if (request.params.name === 'list_installed_servers') {
-        return await this.handleListInstalled(request.params.arguments);
-      } else if (request.params.name === 'update_server_config') {
-        return await this.handleUpdateConfig(request.params.arguments);
-      } else if (request.params.name === 'get_server_details') {
-        return await this.handleGetDetails(request.params.arguments);
-      } else if (request.params.name === 'backup_config') {
-        return await this.handleBackup(request.params.arguments);
-      }
-      throw new Error(`Unknown tool: ${request.params.name}`);
-    });
-  }
-
-  async fetchReadme() {
-    try {
-      const response = await fetch(GITHUB_README_URL);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch README: ${response.statusText}`);
-      }
-      return await response.text();
-    } catch (error) {
-      throw new Error(`Error fetching GitHub README: ${error.message}`);
-    }
-  }
-
-  parseServers(readme) {
-    const servers = [];
-    
-    // Updated regex to match new GitHub README format
-    // Matches: - **[Name](url)** - Description
-    // Also matches old format: • [Name](url) - Description
-    const serverRegex = /^[-•]\s+(?:\*\*)?(?:<img[^>]*>\s*)?\[([^\]]+)\]\(([^)]+)\)(?:\*\*)?\s*[-–—]\s*(.+)$/gm;
-    
-    let match;
-    
-    // Split by sections to identify official vs community
-    const officialSection = readme.match(/### 🎖️ Official[^\n]*\n([\s\S]*?)(?=###|$)/);
-    const communitySection = readme.match(/### 🌎 Community Servers[^\n]*\n([\s\S]*?)(?=###|##\s+📚)/);
-    
-    if (officialSection) {
-      let text = officialSection[1];
-      while ((match = serverRegex.exec(text)) !== null) {
-        servers.push({
-          name: match[1].trim(),
-          url: match[2].trim(),
-          description: match[3]?.trim() || 'No description available',
-          category: 'official',
-        });
-      }
-    }
-    
-    if (communitySection) {
-      let text = communitySection[1];
-      while ((match = serverRegex.exec(text)) !== null) {
-        servers.push({
-          name: match[1].trim(),
-          url: match[2].trim(),
-          description: match[3]?.trim() || 'No description available',
-          category: 'community',
-        });
-      }
-    }
-    
-    return servers;
-  }
-
-  async handleSearch(args) {
-    const query = args.query.toLowerCase();
-    const limit = Math.min(args.limit || 10, 50);
-    const category = args.category || 'all';
-
-    const readme = await this.fetchReadme();
-    const allServers = this.parseServers(readme);
-    
-    // Filter by category
-    let servers = allServers;
-    if (category !== 'all') {
-      servers = servers.filter(s => s.category === category);
-    }
-
-    // Search in name and description
-    const results = servers.filter(server => 
-      server.name.toLowerCase().includes(query) || 
-      server.description.toLowerCase().includes(query)
-    ).slice(0, limit);
-
-    return {
-      content: [
         {
-          type: 'text',
-          text: JSON.stringify({
-            query,
-            total_results: results.length,
-            showing: Math.min(results.length, limit),
-            category_filter: category,
-            servers: results.map(server => ({
-              name: server.name,
-              url: server.url,
-              description: server.description,
-              category: server.category,
-              installation: this.getInstallationInfo(server),
-            })),
-          }, null, 2),
+          name: 'apply_lockfile',
+          description: 'Make the local config match an mcp-lock.json and report drift (servers missing, changed, or not in the lock). Runs as a dry run unless dry_run is false.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              lockfile_path: {
+                type: 'string',
+                description: 'Lockfile to apply (default: WX_MCP_LOCKFILE or ./mcp-lock.json)',
+              },
+              prune: {
+                type: 'boolean',
+                description: 'Also remove installed servers that are not in the lock (default: false)',
+                default: false,
+              },
+              verify_integrity: {
+                type: 'boolean',
+                description: 'Check locked packages against the npm/PyPI integrity hashes and refuse to apply on a mismatch (default: false)',
+                default: false,
+              },
+              ...CONFIG_TARGET_PROPERTIES,
+              ...MUTATION_PROPERTIES,
+              dry_run: {
+                type: 'boolean',
+                description: 'Report drift and the config diff without writing (default: true)',
+                default: true,
+              },
+            },
+          },
         },
-      ],
-    };
-  }
-
-  async handleList(args) {
-    const limit = Math.min(args.limit || 20, 100);
-    const offset = args.offset || 0;
-    const category = args.category || 'all';
-
-    const readme = await this.fetchReadme();
-    const allServers = this.parseServers(readme);
-    
-    // Filter by category
-    let servers = allServers;
-    if (category !== 'all') {
-      servers = servers.filter(s => s.category === category);
-    }
-
-    const paginatedServers = servers.slice(offset, offset + limit);
-
-    return {
-      content: [
         {
-          type: 'text',
-          text: JSON.stringify({
-            total_servers: servers.length,
-            showing: paginatedServers.length,
-            offset,
-            limit,
-            category_filter: category,
-            has_more: offset + limit < servers.length,
-            servers: paginatedServers.map(server => ({
-              name: server.name,
-              url: server.url,
-              description: server.description,
-              category: server.category,
-              installation: this.getInstallationInfo(server),
-            })),
-          }, null, 2),
+          name: 'create_profile',
+          description: 'Save a named profile (e.g., "frontend", "data", "minimal") from the servers in a client config, with their alwaysAllow approvals. Profiles are client-neutral and can be switched into any client or project config.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Profile name (letters, digits, ".", "_", "-")',
+              },
+              description: {
+                type: 'string',
+                description: 'What the profile is for (optional)',
+              },
+              servers: {
+                type: 'array',
+                description: 'Only include these installed servers (default: all)',
+                items: { type: 'string' },
+              },
+              overwrite: {
+                type: 'boolean',
+                description: 'Replace an existing profile with the same name (default: false)',
+                default: false,
+              },
+              ...CONFIG_TARGET_PROPERTIES,
+            },
+            required: ['name'],
+          },
         },
-      ],
-    };
-  }
-
-  getInstallationInfo(server) {
-    // Extract package name from GitHub URL or description
-    const githubMatch = server.url.match(/github\.com\/([^/]+)\/([^/]+)/);
-    
-    if (githubMatch) {
-      const [, owner, repo] = githubMatch;
-      
-      // Common patterns for npm packages
-      if (server.name.toLowerCase().includes('playwright') && owner === 'microsoft') {
-        return {
-          type: 'npm',
-          command: 'npx @playwright/mcp@latest',
-          config_example: {
-            command: 'npx',
-            args: ['@playwright/mcp@latest']
-          }
-        };
+        {
+          name: 'list_profiles',
+          description: 'List saved profiles with their servers, and which profile each config was last switched to.',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'switch_profile',
+          description: 'Switch a client config (user or project scope) to a profile. "replace" removes servers the profile does not contain; "merge" only adds and updates. The config is backed up first.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Profile to switch to',
+              },
+              mode: {
+                type: 'string',
+                description: 'How to treat servers outside the profile (default: "replace")',
+                enum: ['replace', 'merge'],
+                default: 'replace',
+              },
+              ...CONFIG_TARGET_PROPERTIES,
+              ...MUTATION_PROPERTIES,
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'diff_profiles',
+          description: 'Compare two profiles, or a profile and the current config ("current"): servers added, removed, and changed (secrets masked).',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              from: {
+                type: 'string',
+                description: 'Profile name, or "current" for the target config (default: "current")',
+                default: 'current',
+              },
+              to: {
+                type: 'string',
+                description: 'Profile name, or "current" for the target config',
+              },
+              ...CONFIG_TARGET_PROPERTIES,
+            },
+            required: ['to'],
+          },
+        },
+        {
+          name: 'delete_profile',
+          description: 'Delete a saved profile. Configs switched to it are left as they are.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Profile to delete',
+              },
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'export_config',
+          description: 'Convert servers from one MCP client config into another client\'s format (e.g., Copilot CLI to VS Code). Returns the converted entries and optionally merges them into the target config.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              from_client: {
+                type: 'string',
+                description: `Client whose config is read (default: "${DEFAULT_CLIENT}")`,
+                enum: CLIENT_NAMES,
+                default: DEFAULT_CLIENT,
+              },
+              from_config_path: {
+                type: 'string',
+                description: 'Explicit source config path (optional)',
+              },
+              to_client: {
+                type: 'string',
+                description: 'Client format to convert into',
+                enum: CLIENT_NAMES,
+              },
+              to_config_path: {
+                type: 'string',
+                description: 'Explicit target config path (optional)',
+              },
+              servers: {
+                type: 'array',
+                description: 'Names of servers to export (default: all)',
+                items: { type: 'string' },
+              },
+              write: {
+                type: 'boolean',
+                description: 'Merge the converted servers into the target client config (default: false, only returns them)',
+                default: false,
+              },
+              overwrite: {
+                type: 'boolean',
+                description: 'Replace servers that already exist in the target config (default: false)',
+                default: false,
+              },
+              ...MUTATION_PROPERTIES,
+            },
+            required: ['to_client'],
+          },
+        },
+        {
+          name: 'grant_tool_permissions',
+          description: 'Auto-approve tools of an installed server by adding them to alwaysAllow.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              server_name: {
+                type: 'string',
+                description: 'The installed server (as it appears in the config)',
+              },
+              tools: {
+                type: 'array',
+                description: 'Tool names to auto-approve',
+                items: { type: 'string' },
+              },
+              ...CONFIG_TARGET_PROPERTIES,
+              ...MUTATION_PROPERTIES,
+            },
+            required: ['server_name', 'tools'],
+          },
+        },
+        {
+          name: 'revoke_tool_permissions',
+          description: 'Remove auto-approvals from alwaysAllow for a server (selected tools, or all of them).',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              server_name: {
+                type: 'string',
+                description: 'The server whose approvals to revoke',
+              },
+              tools: {
+                type: 'array',
+                description: 'Tool names to revoke (default: every approval for the server)',
+                items: { type: 'string' },
+              },
+              ...CONFIG_TARGET_PROPERTIES,
+              ...MUTATION_PROPERTIES,
+            },
+            required: ['server_name'],
+          },
+        },
+        {
+          name: 'list_tool_permissions',
+          description: 'List alwaysAllow auto-approvals, grouped by server.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              server_name: {
+                type: 'string',
+                description: 'Only list approvals for this server (optional)',
+              },
+              ...CONFIG_TARGET_PROPERTIES,
+            },
+          },
+        },
+        {
+          name: 'audit_permissions',
+          description: 'Flag alwaysAllow entries that point at servers or tools that no longer exist, duplicates, and malformed entries. Optionally remove them.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              fix: {
+                type: 'boolean',
+                description: 'Remove the flagged entries (default: false, report only)',
+                default: false,
+              },
+              inspect: {
+                type: 'boolean',
+                description: 'Launch each approved server to check tool names against its live tool list (default: false)',
+                default: false,
+              },
+              ...CONFIG_TARGET_PROPERTIES,
+              ...MUTATION_PROPERTIES,
+            },
+          },
+        },
+        {
+          name: 'inspect_server',
+          description: 'Launch an installed (or ad-hoc) MCP server over stdio, or connect to a remote one over Streamable HTTP/SSE, perform the MCP handshake, and list its tools, resources, and prompts with descriptions and schemas. Can populate the config\'s tools list or alwaysAllow from the result.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              server_name: {
+                type: 'string',
+                description: 'An installed server to inspect (as it appears in the config)',
+              },
+              command: {
+                type: 'string',
+                description: 'Command to launch instead of an installed server (e.g., "npx")',
+              },
+              args: {
+                type: 'array',
+                description: 'Arguments for command',
+                items: { type: 'string' },
+              },
+              env: {
+                type: 'object',
+                description: 'Environment for command (${env:NAME} references are resolved)',
+                additionalProperties: { type: 'string' },
+              },
+              url: {
+                type: 'string',
+                description: 'Endpoint of a remote server to connect to instead of launching a command',
+              },
+              transport: {
+                type: 'string',
+                description: 'Transport for url (default: "http", Streamable HTTP)',
+                enum: ['http', 'sse'],
+                default: 'http',
+              },
+              headers: {
+                type: 'object',
+                description: 'HTTP headers for url (${env:NAME} references are resolved)',
+                additionalProperties: { type: 'string' },
+              },
+              timeout_ms: {
+                type: 'number',
+                description: `Time allowed for startup and each request (default: ${DEFAULT_INSPECT_TIMEOUT_MS})`,
+                default: DEFAULT_INSPECT_TIMEOUT_MS,
+              },
+              populate: {
+                type: 'string',
+                description: 'Write the discovered tool names into the installed server\'s "tools" list, its alwaysAllow approvals, or both (default: "none")',
+                enum: ['none', 'tools', 'always_allow', 'both'],
+                default: 'none',
+              },
+              ...CONFIG_TARGET_PROPERTIES,
+              ...MUTATION_PROPERTIES,
+            },
+          },
+        },
+        {
+          name: 'get_server_details',
+          description: 'Get detailed information about an MCP server from GitHub (stars, last updated, default branch, latest release, README, etc.). Uses GITHUB_TOKEN when set and reports the remaining API rate limit.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              github_url: {
+                type: 'string',
+                description: 'The GitHub URL of the server',
+              },
+              offline: {
+                type: 'boolean',
+                description: 'Only use cached GitHub responses (default: false, or WX_MCP_OFFLINE)',
+              },
+            },
+            required: ['github_url'],
+          },
+        },
+        {
+          name: 'backup_config',
+          description: 'Create a timestamped backup of your mcp-config.json file.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...CONFIG_TARGET_PROPERTIES,
+            },
+          },
+        },
+        {
+          name: 'list_backups',
+          description: 'List the backups of a config file with their timestamp, size, and server count (newest first).',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...CONFIG_TARGET_PROPERTIES,
+            },
+          },
+        },
+        {
+          name: 'restore_backup',
+          description: 'Restore a config backup, either entirely or only selected servers. The current config is backed up first.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              backup: {
+                type: 'string',
+                description: 'Backup file name, path, or timestamp from list_backups (default: the newest backup)',
+              },
+              servers: {
+                type: 'array',
+                description: 'Only restore these servers (and their alwaysAllow approvals) from the backup, leaving the rest of the current config untouched (optional)',
+                items: { type: 'string' },
+              },
+              ...CONFIG_TARGET_PROPERTIES,
+              ...MUTATION_PROPERTIES,
+            },
+          },
+        },
+        {
+          name: 'diff_backup',
+          description: 'Compare a config backup against the current config.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              backup: {
+                type: 'string',
+                description: 'Backup file name, path, or timestamp from list_backups (default: the newest backup)',
+              },
+              ...CONFIG_TARGET_PROPERTIES,
+            },
+          },
+        },
+        {
+          name: 'prune_backups',
+          description: 'Delete old config backups according to a retention policy by count and/or age.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              keep: {
+                type: 'number',
+                description: 'Number of newest backups to keep (optional)',
+              },
+              max_age_days: {
+                type: 'number',
+                description: 'Delete backups older than this many days (optional)',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Report what would be deleted without deleting anything (default: false)',
+                default: false,
+              },
+              ...CONFIG_TARGET_PROPERTIES,
+            },
+          },
+        },
+      ],
+    }));
+
+    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      if (request.params.name === 'search_github_mcp_servers') {
+        return await this.handleSearch(request.params.arguments);
+      } else if (request.params.name === 'list_all_github_mcp_servers') {
+        return await this.handleList(request.params.arguments);
+      } else if (request.params.name === 'refresh_registry') {
+        return await this.handleRefreshRegistry(request.params.arguments);
+      } else if (request.params.name === 'install_mcp_server') {
+        return await this.handleInstall(request.params.arguments);
+      } else if (request.params.name === 'review_server') {
+        return await this.handleReviewServer(request.params.arguments);
+      } else if (request.params.name === 'resolve_install_recipe') {
+        return await this.handleResolveRecipe(request.params.arguments);
+      } else if (request.params.name === 'uninstall_mcp_server') {
+        return await this.handleUninstall(request.params.arguments);
+      } else if (request.params.name === 'list_installed_servers') {
+        return await this.handleListInstalled(request.params.arguments);
+      } else if (request.params.name === 'doctor') {
+        return await this.handleDoctor(request.params.arguments);
+      } else if (request.params.name === 'update_server_config') {
+        return await this.handleUpdateConfig(request.params.arguments);
+      } else if (request.params.name === 'check_updates') {
+        return await this.handleCheckUpdates(request.params.arguments);
+      } else if (request.params.name === 'upgrade_server') {
+        return await this.handleUpgradeServer(request.params.arguments);
+      } else if (request.params.name === 'export_lockfile') {
+        return await this.handleExportLockfile(request.params.arguments);
+      } else if (request.params.name === 'apply_lockfile') {
+        return await this.handleApplyLockfile(request.params.arguments);
+      } else if (request.params.name === 'create_profile') {
+        return await this.handleCreateProfile(request.params.arguments);
+      } else if (request.params.name === 'list_profiles') {
+        return await this.handleListProfiles(request.params.arguments);
+      } else if (request.params.name === 'switch_profile') {
+        return await this.handleSwitchProfile(request.params.arguments);
+      } else if (request.params.name === 'diff_profiles') {
+        return await this.handleDiffProfiles(request.params.arguments);
+      } else if (request.params.name === 'delete_profile') {
+        return await this.handleDeleteProfile(request.params.arguments);
+      } else if (request.params.name === 'export_config') {
+        return await this.handleExportConfig(request.params.arguments);
+      } else if (request.params.name === 'grant_tool_permissions') {
+        return await this.handleGrantPermissions(request.params.arguments);
+      } else if (request.params.name === 'revoke_tool_permissions') {
+        return await this.handleRevokePermissions(request.params.arguments);
+      } else if (request.params.name === 'list_tool_permissions') {
+        return await this.handleListPermissions(request.params.arguments);
+      } else if (request.params.name === 'audit_permissions') {
+        return await this.handleAuditPermissions(request.params.arguments);
+      } else if (request.params.name === 'inspect_server') {
+        return await this.handleInspectServer(request.params.arguments);
+      } else if (request.params.name === 'get_server_details') {
+        return await this.handleGetDetails(request.params.arguments);
+      } else if (request.params.name === 'backup_config') {
+        return await this.handleBackup(request.params.arguments);
+      } else if (request.params.name === 'list_backups') {
+        return await this.handleListBackups(request.params.arguments);
+      } else if (request.params.name === 'restore_backup') {
+        return await this.handleRestoreBackup(request.params.arguments);
+      } else if (request.params.name === 'diff_backup') {
+        return await this.handleDiffBackup(request.params.arguments);
+      } else if (request.params.name === 'prune_backups') {
+        return await this.handlePruneBackups(request.params.arguments);
+      }
+      throw new Error(`Unknown tool: ${request.params.name}`);
+    });
+  }
+
+  setupResourceHandlers() {
+    // Fixed resources first, then one resource per registry server, a page at a time
+    this.server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      const fixed = request.params?.cursor ? [] : [
+        {
+          uri: CATEGORIES_URI,
+          name: 'Registry categories',
+          description: 'Registry categories with descriptions and server counts',
+          mimeType: RESOURCE_MIME_TYPE,
+        },
+        ...CLIENT_NAMES.map(client => ({
+          uri: installedUri(client),
+          name: `Installed servers (${client})`,
+          description: `Servers in ${resolveConfigLocation({ client }).configPath}`,
+          mimeType: RESOURCE_MIME_TYPE,
+        })),
+      ];
+      let servers = [];
+      try {
+        ({ servers } = await this.getRegistryServers());
+      } catch (err) {
+        console.error('[Resources] Registry unavailable:', err.message);
+      }
+      const { page, fields } = paginate(servers, {
+        cursor: request.params?.cursor,
+        defaultLimit: RESOURCE_PAGE_SIZE,
+        maxLimit: RESOURCE_PAGE_SIZE,
+        key: 'resources',
+      });
+      return {
+        resources: [
+          ...fixed,
+          ...page.map(server => ({
+            uri: serverUri(server),
+            name: server.name,
+            description: server.description,
+            mimeType: RESOURCE_MIME_TYPE,
+          })),
+        ],
+        nextCursor: fields.next_cursor || undefined,
+      };
+    });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: [
+        {
+          uriTemplate: SERVER_URI_TEMPLATE,
+          name: 'Registry server',
+          description: 'One registry entry by name, with its offline install hint',
+          mimeType: RESOURCE_MIME_TYPE,
+        },
+        {
+          uriTemplate: INSTALLED_URI_TEMPLATE,
+          name: 'Installed servers',
+          description: `Servers installed in one client's config (${CLIENT_NAMES.join(', ')})`,
+          mimeType: RESOURCE_MIME_TYPE,
+        },
+      ],
+    }));
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const contents = body => ({ contents: [{ uri, mimeType: RESOURCE_MIME_TYPE, text: body }] });
+
+      const client = parseInstalledUri(uri);
+      if (client) {
+        const result = await this.handleListInstalled({ client });
+        return contents(result.content[0].text);
+      }
+
+      const { servers, registry } = await this.getRegistryServers();
+      if (uri === CATEGORIES_URI) {
+        return contents(JSON.stringify({ total_servers: servers.length, registry, categories: summarizeCategories(servers) }, null, 2));
+      }
+      const server = findServerByUri(servers, uri);
+      if (server) {
+        return contents(JSON.stringify({
+          ...server,
+          trust: trustSummary(server),
+          installation: this.getInstallationInfo(server),
+        }, null, 2));
+      }
+      throw new Error(`Unknown resource: ${uri}`);
+    });
+
+    this.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      this.subscriptions.add(request.params.uri);
+      return {};
+    });
+
+    this.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.subscriptions.delete(request.params.uri);
+      return {};
+    });
+  }
+
+  setupPromptHandlers() {
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: PROMPTS }));
+
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: promptArgs = {} } = request.params;
+      const client = promptArgs.client || DEFAULT_CLIENT;
+      if (!CLIENT_NAMES.includes(client)) {
+        throw new Error(`Unknown client "${client}". Expected one of: ${CLIENT_NAMES.join(', ')}`);
+      }
+
+      if (name === 'find_and_install') {
+        if (!promptArgs.need) {
+          throw new Error('find_and_install needs the "need" argument');
+        }
+        const result = JSON.parse((await this.handleSearch({ query: promptArgs.need, limit: 5, enrich: false })).content[0].text);
+        return findAndInstallPrompt({ need: promptArgs.need, client, matches: result.servers || [], searchError: result.error });
+      } else if (name === 'audit_mcp_setup') {
+        const result = await this.handleListInstalled({ client });
+        return auditPrompt({ client, installed: result.content[0].text });
+      }
+      throw new Error(`Unknown prompt: ${name}`);
+    });
+  }
+
+  // Tells clients that config://installed changed: written by a tool here or
+  // edited on disk. Bursts (write, rename, backup) collapse into one notification.
+  notifyConfigChanged() {
+    clearTimeout(this.configChangeTimer);
+    this.configChangeTimer = setTimeout(() => {
+      this.server.sendResourceListChanged().catch(() => {});
+      for (const uri of this.subscriptions) {
+        if (uri.startsWith('config://')) {
+          this.server.sendResourceUpdated({ uri }).catch(() => {});
+        }
+      }
+    }, 200);
+    this.configChangeTimer.unref?.();
+  }
+
+  // Watches each client's config directory (atomic writes replace the file, so
+  // the file itself cannot be watched)
+  watchConfigs() {
+    for (const client of CLIENT_NAMES) {
+      const { configPath } = resolveConfigLocation({ client });
+      try {
+        const watcher = fs.watch(path.dirname(configPath), { persistent: false }, (event, filename) => {
+          if (!filename || filename === path.basename(configPath)) {
+            this.notifyConfigChanged();
+          }
+        });
+        watcher.on('error', () => watcher.close());
+        this.configWatchers.push(watcher);
+      } catch (err) {
+        // No config directory yet: the client is not installed
+      }
+    }
+  }
+
+  async getRegistryServers(args = {}) {
+    return await this.registry.getServers({ offline: isOfflineMode(args) });
+  }
+
+  // Merges GitHub metadata into result entries ({ server, ... }) in one batch
+  async enrichEntries(entries, args = {}) {
+    if (args.enrich === false || entries.length === 0) {
+      return { entries, metadata: undefined };
+    }
+    const { metadata, status } = await this.github.getRepoMetadata(
+      entries.map(entry => entry.server.url),
+      { offline: isOfflineMode(args) },
+    );
+    return {
+      entries: entries.map(entry => {
+        const data = metadata.get(normalizeRepoUrl(entry.server.url));
+        return data ? { ...entry, server: { ...entry.server, ...data } } : entry;
+      }),
+      metadata: { ...status, authenticated: this.github.authenticated },
+    };
+  }
+
+  // Sorting by stars or last push, and filtering by trust score, need metadata for
+  // every match, not just the page
+  async enrichForSort(entries, sort, args) {
+    if (sort !== 'stars' && sort !== 'pushed' && args.min_score === undefined) {
+      return { entries, done: false };
+    }
+    return { ...await this.enrichEntries(entries, args), done: true };
+  }
+
+  filterByTrust(entries, args) {
+    if (args.min_score === undefined) {
+      return entries;
+    }
+    return entries.filter(entry => computeTrustScore(entry.server).score >= args.min_score);
+  }
+
+  // Trust score for one repository: GitHub metadata (cached batch data, else REST)
+  // plus a check that the recipe's npm/PyPI package links back to the repo
+  async scoreRepository(url, server, { recipe, offline } = {}) {
+    const github = parseGitHubUrl(url);
+    const warnings = [];
+    let metadata = null;
+    if (github) {
+      try {
+        const batch = await this.github.getRepoMetadata([url], { offline });
+        metadata = batch.metadata.get(normalizeRepoUrl(url))
+          || await this.github.getRepoSummary(github.owner, github.repo, { offline });
+      } catch (err) {
+        warnings.push(`GitHub metadata unavailable: ${err.message}`);
+      }
+    }
+
+    let packageCheck;
+    // Heuristic guesses are not worth checking: a mismatch would only mean the guess was wrong
+    if (recipe && ['npm', 'pypi'].includes(recipe.type) && recipe.package && recipe.confidence !== 'low' && !offline) {
+      try {
+        const info = await fetchPackage(recipe.type, recipe.package);
+        packageCheck = info
+          ? { type: recipe.type, name: recipe.package, matched: packageMatchesRepo(info, url), repository_url: info.repository_url }
+          : { type: recipe.type, name: recipe.package, matched: false, repository_url: null };
+      } catch (err) {
+        warnings.push(`Package registry unavailable: ${err.message}`);
+      }
+    }
+
+    const base = server || { name: github?.repo || url, url };
+    const trust = computeTrustScore({ ...base, ...(metadata || {}) }, { packageCheck });
+    return { ...trust, warnings: warnings.length > 0 ? warnings : undefined };
+  }
+
+  async enrichPage(page, enrichment, args) {
+    return enrichment.done ? { entries: page, metadata: enrichment.metadata } : await this.enrichEntries(page, args);
+  }
+
+  // { servers, diagnostics } from the registry README; see lib/readme-parser.js
+  parseServers(readme, { url } = {}) {
+    return parseRegistryReadme(readme, { sourceUrl: url || GITHUB_README_URL });
+  }
+
+  async handleSearch(args) {
+    const query = args.query;
+    const category = args.category || 'all';
+    const sort = args.sort || 'relevance';
+
+    const { servers: allServers, registry } = await this.getRegistryServers(args);
+    
+    // Ranked search over name and description, then filter by category
+    let matches = getSearchIndex(allServers).search(query);
+    if (category !== 'all') {
+      matches = matches.filter(match => match.server.category === category);
+    }
+    if (args.source) {
+      matches = matches.filter(match => match.server.sources.includes(args.source));
+    }
+
+    const enrichment = await this.enrichForSort(matches, sort, args);
+    const { entries, warnings } = sortEntries(this.filterByTrust(enrichment.entries, args), sort);
+    const { page, total, fields } = paginate(entries, {
+      limit: args.limit,
+      offset: args.offset,
+      cursor: args.cursor,
+      defaultLimit: 10,
+      maxLimit: 50,
+      key: JSON.stringify(['search', query, category, args.source, sort, args.min_score]),
+    });
+    const { entries: results, metadata } = await this.enrichPage(page, enrichment, args);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            query,
+            total_results: total,
+            ...fields,
+            sort,
+            category_filter: category,
+            source_filter: args.source || 'all',
+            min_score: args.min_score,
+            warnings,
+            registry,
+            github_metadata: metadata,
+            servers: results.map(({ server, score, matched_fields, matched_terms }) => ({
+              name: server.name,
+              url: server.url,
+              description: server.description,
+              category: server.category,
+              tags: server.tags,
+              languages: server.languages,
+              platforms: server.platforms,
+              logo: server.logo,
+              links: server.links,
+              source: server.source,
+              sources: server.sources,
+              ...repoMetadataFields(server),
+              trust: trustSummary(server),
+              score,
+              matched_fields,
+              matched_terms,
+              installation: this.getInstallationInfo(server),
+            })),
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  async handleList(args = {}) {
+    const category = args.category || 'all';
+    const sort = args.sort || 'registry';
+
+    const { servers: allServers, registry } = await this.getRegistryServers(args);
+    
+    // Filter by category
+    let servers = allServers.map((server, order) => ({ server, order }));
+    if (category !== 'all') {
+      servers = servers.filter(entry => entry.server.category === category);
+    }
+    if (args.source) {
+      servers = servers.filter(entry => entry.server.sources.includes(args.source));
+    }
+
+    const enrichment = await this.enrichForSort(servers, sort, args);
+    const { entries, warnings } = sortEntries(this.filterByTrust(enrichment.entries, args), sort);
+    const { page, total, fields } = paginate(entries, {
+      limit: args.limit,
+      offset: args.offset,
+      cursor: args.cursor,
+      defaultLimit: 20,
+      maxLimit: 100,
+      key: JSON.stringify(['list', category, args.source, sort, args.min_score]),
+    });
+    const { entries: enriched, metadata } = await this.enrichPage(page, enrichment, args);
+    const paginatedServers = enriched.map(entry => entry.server);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            total_servers: total,
+            ...fields,
+            sort,
+            category_filter: category,
+            source_filter: args.source || 'all',
+            min_score: args.min_score,
+            warnings,
+            registry,
+            github_metadata: metadata,
+            servers: paginatedServers.map(server => ({
+              name: server.name,
+              url: server.url,
+              description: server.description,
+              category: server.category,
+              tags: server.tags,
+              languages: server.languages,
+              platforms: server.platforms,
+              logo: server.logo,
+              links: server.links,
+              source: server.source,
+              sources: server.sources,
+              ...repoMetadataFields(server),
+              trust: trustSummary(server),
+              installation: this.getInstallationInfo(server),
+            })),
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  async handleRefreshRegistry(args) {
+    try {
+      const results = await this.registry.refresh();
+      this.server.sendResourceListChanged().catch(() => {});
+      const summarize = servers => servers.map(server => ({ name: server.name, url: server.url, category: server.category }));
+      const synced = results.filter(result => !result.error);
+      const count = field => synced.reduce((sum, result) => sum + result[field].length, 0);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: synced.length > 0,
+              sources_file: this.registry.sourcesFile,
+              added: count('added'),
+              removed: count('removed'),
+              changed: count('changed'),
+              sources: results.map(result => result.error ? {
+                id: result.id,
+                type: result.type,
+                status: 'error',
+                error: result.error,
+              } : {
+                id: result.id,
+                type: result.type,
+                status: result.status,
+                total_servers: result.snapshot.servers.length,
+                fetched_at: result.snapshot.fetched_at,
+                diagnostics: result.snapshot.diagnostics,
+                previous_fetched_at: result.previous_fetched_at,
+                added: result.added.length,
+                removed: result.removed.length,
+                changed: result.changed.length,
+                added_servers: summarize(result.added),
+                removed_servers: summarize(result.removed),
+                changed_servers: result.changed.map(({ before, after }) => ({
+                  name: after.name,
+                  url: after.url,
+                  previous_name: before.name !== after.name ? before.name : undefined,
+                  description_changed: before.description !== after.description,
+                  category_changed: before.category !== after.category,
+                })),
+              }),
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              sources_file: this.registry.sourcesFile,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  getInstallationInfo(server) {
+    // Offline best guess; install_mcp_server and resolve_install_recipe inspect the repo
+    const recipe = quickInstallRecipe(server);
+    
+    if (recipe?.type === 'remote') {
+      return {
+        type: 'remote',
+        transport: recipe.transport,
+        url: recipe.url,
+        confidence: recipe.confidence,
+      };
+    }
+    
+    if (recipe) {
+      return {
+        type: recipe.type,
+        command: [recipe.command, ...recipe.args].join(' '),
+        package: recipe.package,
+        confidence: recipe.confidence,
+        source: recipe.source,
+        config_example: {
+          command: recipe.command,
+          args: recipe.args,
+        },
+      };
+    }
+    
+    return {
+      type: 'unknown',
+      message: 'Check the GitHub repository for installation instructions',
+      url: server.url
+    };
+  }
+
+  // Registry entry for a repository URL, if any source lists it (used for server.json metadata)
+  async findRegistryServer(url, args = {}) {
+    try {
+      const { servers } = await this.getRegistryServers(args);
+      const key = normalizeRepoUrl(url);
+      return servers.find(server => normalizeRepoUrl(server.url) === key) || null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Repository for a package or remote endpoint with no recorded source, from the
+  // registry entries (cached when offline) and the known recipes
+  async findSourceRepository(launched, args = {}) {
+    let servers = [];
+    try {
+      servers = (await this.getRegistryServers(args)).servers;
+    } catch (err) {
+      // The known recipes still apply
+    }
+    const url = findRecipeRepository(launched, servers);
+    return url ? `https://${normalizeRepoUrl(url)}` : null;
+  }
+
+  // Pins the package an entry launches: the requested version (checked against the
+  // registry when reachable) or the current release. Mutates entry.args.
+  async pinVersion(entry, args = {}) {
+    const pin = entry.transport === 'stdio' ? readPin(entry) : null;
+    if (!pin) {
+      return args.version ? { warning: `Cannot pin a version for this launch command; "${args.version}" was ignored` } : undefined;
+    }
+    if (pin.type === 'docker') {
+      if (args.version) {
+        entry.args = writePin(entry, pin, args.version);
+      }
+      return { type: pin.type, package: pin.package, version: args.version || pin.version, pinned: Boolean(args.version || pin.pinned), source: args.version ? 'requested' : 'recipe' };
+    }
+    if (!args.version && (pin.pinned || args.pin === false)) {
+      return { type: pin.type, package: pin.package, version: pin.version, pinned: pin.pinned, source: 'recipe' };
+    }
+    
+    let info = null;
+    let warning;
+    if (isOfflineMode(args)) {
+      warning = args.version
+        ? `Offline mode: "${args.version}" of ${pin.package} was not checked against ${pin.type}`
+        : `Offline mode: the current ${pin.package} release could not be resolved from ${pin.type}; left unpinned`;
+    } else {
+      try {
+        info = await fetchPackage(pin.type, pin.package);
+      } catch (err) {
+        warning = `Could not reach the ${pin.type} registry: ${err.message}`;
+      }
+    }
+    if (args.version) {
+      if (info && !info.versions.some(entryVersion => entryVersion.version === args.version)) {
+        throw new Error(`${pin.package} has no version "${args.version}" on ${pin.type} (latest: ${info.latest_version})`);
+      }
+      entry.args = writePin(entry, pin, args.version);
+      if (!info && !warning) {
+        warning = `${pin.package} was not found on ${pin.type}, so "${args.version}" could not be checked`;
+      }
+      return { type: pin.type, package: pin.package, version: args.version, pinned: true, source: 'requested', warning };
+    }
+    if (!info?.latest_version) {
+      return {
+        type: pin.type,
+        package: pin.package,
+        version: null,
+        pinned: false,
+        warning: warning || `${pin.package} was not found on ${pin.type}; left unpinned`,
+      };
+    }
+    entry.args = writePin(entry, pin, info.latest_version);
+    return { type: pin.type, package: pin.package, version: info.latest_version, pinned: true, source: 'registry' };
+  }
+
+  async handleResolveRecipe(args) {
+    const { github_url, runtime } = args;
+    
+    try {
+      const server = await this.findRegistryServer(github_url, args);
+      const { files, ...resolution } = await resolveInstallRecipe({
+        url: github_url,
+        server,
+        prefer: runtime,
+        offline: isOfflineMode(args),
+      });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              github_url,
+              ...resolution,
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              github_url,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  // Package names of registry entries, for typosquatting checks
+  async registryPackages(args = {}) {
+    try {
+      const { servers } = await this.getRegistryServers(args);
+      return popularPackages(servers.map(server => quickInstallRecipe(server)));
+    } catch (err) {
+      return popularPackages();
+    }
+  }
+
+  async runReview({ url, recipe, args }) {
+    return await reviewServer({
+      github: this.github,
+      url,
+      recipe,
+      popular: await this.registryPackages(args),
+      maxFiles: args.max_files ?? DEFAULT_MAX_FILES,
+      offline: isOfflineMode(args),
+    });
+  }
+
+  async handleReviewServer(args) {
+    const { github_url, runtime } = args;
+    
+    try {
+      const maxRisk = getMaxRisk(args);
+      const server = await this.findRegistryServer(github_url, args);
+      const { recipe } = await resolveInstallRecipe({ url: github_url, server, prefer: runtime, offline: isOfflineMode(args) });
+      const report = await this.runReview({ url: github_url, recipe, args });
+      const blocked = reviewBlocks(report, maxRisk);
+      const incomplete = report.incomplete ? `; incomplete, ${report.incomplete.join(', ')}` : '';
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              github_url,
+              message: report.findings.length === 0 && !report.incomplete
+                ? 'No findings'
+                : `Risk ${report.risk}: ${report.findings.length} finding(s)${incomplete}${blocked ? `, above max_risk "${maxRisk}"; install_mcp_server with review would refuse it` : ''}`,
+              max_risk: maxRisk,
+              blocked,
+              recipe: {
+                type: recipe.type,
+                package: recipe.package,
+                command: recipe.command,
+                args: recipe.args,
+                source: recipe.source,
+                confidence: recipe.confidence,
+              },
+              ...report,
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              github_url,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  // True when a mutating call should only preview its change
+  isPreview(args) {
+    return Boolean(args.dry_run) || (isConfirmRequired() && !args.confirm_token);
+  }
+
+  // Writes a mutated config, or describes the change without writing it for dry runs
+  // and (with WX_MCP_REQUIRE_CONFIRM) for calls that have no confirm_token yet
+  async commitConfig({ tool, args, client, configPath, loaded, config, backup }) {
+    const beforeText = loaded.text;
+    const afterText = serializeConfig(config, loaded.format);
+    const confirmToken = createConfirmToken({ tool, configPath, beforeText, afterText });
+
+    if (this.isPreview(args)) {
+      return {
+        applied: false,
+        preview: {
+          dry_run: true,
+          confirm_required: isConfirmRequired(),
+          confirm_token: confirmToken,
+          ...diffConfigs(beforeText ? parseConfigText(beforeText) : null, config, {
+            serversKey: getAdapter(client).serversKey,
+            fromFile: configPath,
+            toFile: configPath,
+          }),
+        },
+      };
+    }
+
+    if (args.confirm_token && args.confirm_token !== confirmToken) {
+      throw new Error('confirm_token does not match: the config or the requested change differs from the preview. Run with dry_run again');
+    }
+
+    const { backupPath, warnings } = await writeConfig(configPath, config, { client, loaded, backup });
+    this.notifyConfigChanged();
+    return {
+      applied: true,
+      preview: {
+        backup_path: backupPath || undefined,
+        write_warnings: warnings.length > 0 ? warnings : undefined,
+      },
+    };
+  }
+
+  async handleInstall(args) {
+    const { server_name, github_url, config_name, runtime, store_secrets } = args;
+    const { client, configPath } = resolveConfigLocation(args);
+    
+    try {
+      const adapter = getAdapter(client);
+
+      // Read existing config; a missing file starts empty, a corrupt one is never replaced
+      const loaded = await readConfig(configPath, { client, allowMissing: true });
+      const config = loaded.config;
+      
+      const name = config_name || server_name;
+      
+      // Resolve the launch command from the repository's manifests
+      let registryServer = null;
+      let github;
+      let recipe;
+      let alternatives = [];
+      let files = {};
+      if (github_url) {
+        registryServer = await this.findRegistryServer(github_url, args);
+        ({ github, recipe, alternatives, files } = await resolveInstallRecipe({
+          url: github_url,
+          server: registryServer,
+          prefer: runtime,
+          offline: isOfflineMode(args),
+        }));
+      }
+      // A url installs that hosted endpoint, whatever the repository offers
+      if (args.url) {
+        if (!/^https?:\/\/[^/]/i.test(args.url)) {
+          throw new Error(`url must be an http(s) endpoint, got "${args.url}"`);
+        }
+        if (recipe) {
+          alternatives = [recipe, ...alternatives];
+        }
+        recipe = { type: 'remote', transport: args.transport || 'http', url: args.url, source: 'argument', confidence: 'high' };
+      } else if (!recipe) {
+        throw new Error('Provide github_url (to resolve the launch command) or url (a hosted MCP endpoint)');
+      }
+      
+      // Optional static review; above max_risk nothing is written
+      let review;
+      if (isReviewRequested(args) && !github_url) {
+        review = { skipped: true, note: 'A hosted endpoint has no source to review; pass github_url to review its repository' };
+      } else if (isReviewRequested(args)) {
+        const maxRisk = getMaxRisk(args);
+        const report = await this.runReview({ url: github_url, recipe, args });
+        review = { risk: report.risk, max_risk: maxRisk, incomplete: report.incomplete, summary: report.summary, findings: report.findings, warnings: report.warnings };
+        if (reviewBlocks(report, maxRisk)) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify({
+                  success: false,
+                  blocked: true,
+                  error: exceedsRisk(report.risk, maxRisk)
+                    ? `Review risk "${report.risk}" is above max_risk "${maxRisk}"; ${server_name} was not installed. Check the findings, then pass a higher max_risk to install anyway`
+                    : `Review incomplete (${report.incomplete.join(', ')}); ${server_name} was not installed. Retry when the checks can run, or pass max_risk "high" to install anyway`,
+                  client,
+                  config_path: configPath,
+                  github,
+                  review: { ...review, package: report.package, scanned: report.scanned },
+                }, null, 2),
+              },
+            ],
+          };
+        }
+      }
+      
+      const serverConfig = recipeToServerEntry(recipe);
+      const pinning = await this.pinVersion(serverConfig, args);
+      
+      // Remote servers: headers with secrets stored as references, then the MCP
+      // initialize against the endpoint (a failure warns but does not block)
+      let headerSecrets = { stored: [], inputs: [], launcher: false };
+      let connectivity;
+      if (serverConfig.transport !== 'stdio') {
+        const headers = { ...(args.headers || {}) };
+        if (args.auth_token) {
+          headers.Authorization = `Bearer ${tokenReference(args.auth_token)}`;
+        }
+        headerSecrets = await prepareHeaders(headers, {
+          serverName: name,
+          client,
+          references: adapter.secretReferences,
+          launcher: adapter.stdioRemotes,
+          storeSecrets: store_secrets,
+          persist: !this.isPreview(args),
+        });
+        serverConfig.headers = headerSecrets.headers;
+        if (args.verify !== false && !isOfflineMode(args)) {
+          connectivity = await checkConnectivity({ ...serverConfig, headers }, {
+            timeoutMs: args.timeout_ms || DEFAULT_CONNECT_TIMEOUT_MS,
+            detect: Boolean(args.url) && !args.transport,
+          });
+          if (connectivity.ok) {
+            serverConfig.transport = connectivity.transport;
+          }
+        }
+      } else if (args.headers || args.auth_token) {
+        throw new Error('headers and auth_token apply to remote servers; this server launches locally (pass url for a hosted endpoint)');
+      }
+      
+      // Trust score; low scores warn but do not block
+      const trust = github_url
+        ? await this.scoreRepository(github_url, registryServer, { recipe, offline: isOfflineMode(args) })
+        : undefined;
+      const minScore = getMinTrustScore();
+      
+      // Environment: detected requirements, caller-provided values, secrets as references the client resolves
+      const envRequirements = detectRequiredEnv({ files, server: registryServer, recipe });
+      const secrets = await prepareEnv(serverConfig.transport === 'stdio' ? args.env : {}, {
+        serverName: name,
+        client,
+        references: adapter.secretReferences,
+        storeSecrets: store_secrets,
+        persist: !this.isPreview(args),
+      });
+      if (serverConfig.transport === 'stdio') {
+        serverConfig.env = mergeEnv(serverConfig.env, secrets.env);
+      }
+      if (secrets.launcher || headerSecrets.launcher) {
+        serverConfig.secrets = true;
+      }
+      
+      // Optional sandbox around the launch command, once args and env are final
+      let installed = serverConfig;
+      let sandboxWarnings = [];
+      const sandbox = normalizeSandbox(args.sandbox);
+      if (sandbox) {
+        ({ entry: installed, warnings: sandboxWarnings } = wrapEntry(serverConfig, sandbox));
+      }
+      
+      // Add server to config in the client's native shape, with the inputs its secrets reference
+      const nativeConfig = adapter.setServer(config, name, installed);
+      adapter.addInputs(config, [...secrets.inputs, ...headerSecrets.inputs]);
+      const references = {
+        client,
+        references: adapter.secretReferences,
+        inputs: adapter.getInputs(config),
+        launcher: Boolean(serverConfig.secrets),
+        stored: [...Object.keys(await readSecrets()), ...secrets.stored, ...headerSecrets.stored],
+      };
+      const { missing, unresolved } = findMissingEnv(envRequirements, serverConfig.env, references);
+      const unresolvedHeaders = findUnresolvedReferences(serverConfig.headers, references);
+      
+      // Pre-approve selected tools
+      let approved = [];
+      if (args.always_allow && args.always_allow.length > 0) {
+        assertPermissionsSupported(adapter);
+        approved = grantPermissions(config, name, args.always_allow);
+      }
+      
+      // Write config back, creating the client's config directory on first install
+      const commit = await this.commitConfig({
+        tool: 'install_mcp_server',
+        args,
+        client,
+        configPath,
+        loaded,
+        config,
+      });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              applied: commit.applied,
+              message: !commit.applied
+                ? `Preview of installing ${server_name} as "${name}"; nothing was written`
+                : missing.length > 0
+                ? `Installed ${server_name} as "${name}", but required environment variables are missing: ${missing.join(', ')}`
+                : `Successfully installed ${server_name} as "${name}"`,
+              client,
+              config_path: configPath,
+              server_config: maskServerConfig(nativeConfig),
+              always_allow_added: approved.length > 0 ? approved : undefined,
+              env_requirements: envRequirements,
+              missing_env: missing,
+              unresolved_env_references: unresolved,
+              unresolved_header_references: unresolvedHeaders.length > 0 ? unresolvedHeaders : undefined,
+              secrets_stored: secrets.stored.length + headerSecrets.stored.length > 0
+                ? {
+                  names: [...secrets.stored, ...headerSecrets.stored],
+                  secrets_file: secrets.secretsFile || headerSecrets.secretsFile,
+                  note: adapter.secretReferences === 'input'
+                    ? `${client} prompts for these on first start; the copy in the secrets file lets doctor and inspect_server launch the server`
+                    : `The server starts through this tool's launcher (exec), which reads these from the secrets file`,
+                }
+                : undefined,
+              secrets_warning: secretsWarning(references, { unresolved: [...unresolved, ...unresolvedHeaders] }),
+              version: pinning,
+              connectivity,
+              connectivity_warning: connectivity && !connectivity.ok
+                ? `${recipe.url} did not complete the MCP initialize (${connectivity.error}); it ${commit.applied ? 'was' : 'would be'} installed anyway. Check the URL and headers, then run doctor`
+                : undefined,
+              sandbox: sandbox ? { ...sandbox, warnings: sandboxWarnings } : undefined,
+              recipe: {
+                type: recipe.type,
+                package: recipe.package,
+                source: recipe.source,
+                confidence: recipe.confidence,
+                note: recipe.note,
+              },
+              alternatives,
+              warning: recipe.confidence === 'low'
+                ? 'The launch command is a low-confidence guess; check the repository README and adjust with update_server_config'
+                : undefined,
+              trust,
+              review,
+              trust_warning: trust && trust.score < minScore
+                ? `Trust score ${trust.score} is below ${minScore}${trust.flags.length > 0 ? ` (${trust.flags.join(', ')})` : ''}; review the repository before using this server`
+                : undefined,
+              ...commit.preview,
+              note: 'You may need to restart your CLI client for changes to take effect',
+              github,
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handleUninstall(args) {
+    const { server_name } = args;
+    const { client, configPath } = resolveConfigLocation(args);
+    
+    try {
+      const adapter = getAdapter(client);
+
+      // Read existing config
+      const loaded = await readConfig(configPath, { client });
+      const config = loaded.config;
+      
+      // Check if server exists
+      if (!adapter.hasServer(config, server_name)) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: `Server "${server_name}" not found in config`,
+                available_servers: Object.keys(adapter.getServers(config)),
+              }, null, 2),
+            },
+          ],
+        };
+      }
+      
+      // Remove server, keeping the removed config for reference
+      const removedConfig = adapter.removeServer(config, server_name);
+      
+      // Remove from alwaysAllow if present
+      revokePermissions(config, server_name);
+      
+      // Write config back
+      const commit = await this.commitConfig({
+        tool: 'uninstall_mcp_server',
+        args,
+        client,
+        configPath,
+        loaded,
+        config,
+      });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              applied: commit.applied,
+              message: commit.applied
+                ? `Successfully uninstalled "${server_name}"`
+                : `Preview of uninstalling "${server_name}"; nothing was written`,
+              removed_config: maskServerConfig(removedConfig),
+              client,
+              config_path: configPath,
+              ...commit.preview,
+              note: 'You may need to restart your CLI client for changes to take effect',
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handleListInstalled(args) {
+    const { client, configPath } = resolveConfigLocation(args);
+    
+    try {
+      const adapter = getAdapter(client);
+      const loaded = await readConfig(configPath, { client });
+      const config = loaded.config;
+      
+      const servers = adapter.getServers(config);
+      const serverList = Object.entries(servers).map(([name, serverConfig]) => {
+        const entry = adapter.fromNative(serverConfig);
+        return {
+          name,
+          type: serverConfig.type,
+          transport: entry.transport,
+          command: entry.command,
+          args: entry.args,
+          url: entry.url,
+          tools: entry.tools || [],
+          env: maskServerConfig(entry).env || {},
+          secrets_launcher: entry.secrets || undefined,
+          sandbox: describeSandbox(entry),
+        };
+      });
+      const local = serverList.filter(server => server.sandbox);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              total_installed: serverList.length,
+              isolated: local.filter(server => server.sandbox.isolated).map(server => server.name),
+              not_isolated: local.filter(server => !server.sandbox.isolated).map(server => server.name),
+              client,
+              config_path: configPath,
+              servers: serverList,
+              alwaysAllow: config.alwaysAllow || [],
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handleDoctor(args = {}) {
+    const { servers, handshake = true, timeout_ms = DEFAULT_DOCTOR_TIMEOUT_MS } = args;
+    const { client, configPath } = resolveConfigLocation(args);
+    
+    try {
+      const adapter = getAdapter(client);
+      const loaded = await readConfig(configPath, { client, allowMissing: true });
+      if (!loaded.exists) {
+        throw new Error(`No config file at ${configPath}; nothing is installed for ${client}`);
+      }
+      
+      const report = await runDoctor(loaded.config, adapter, {
+        client,
+        servers,
+        handshake,
+        timeoutMs: timeout_ms,
+      });
+      const unknown = (servers || []).filter(name => !report.servers.some(server => server.name === name));
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              client,
+              config_path: configPath,
+              ...report,
+              not_installed: unknown.length > 0 ? unknown : undefined,
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              healthy: false,
+              error: error.message,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handleUpdateConfig(args) {
+    const { server_name, new_args, new_tools, new_env, store_secrets } = args;
+    const { client, configPath } = resolveConfigLocation(args);
+    
+    try {
+      const adapter = getAdapter(client);
+      const loaded = await readConfig(configPath, { client });
+      const config = loaded.config;
+      
+      // Check if server exists
+      if (!adapter.hasServer(config, server_name)) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: `Server "${server_name}" not found in config`,
+                available_servers: Object.keys(adapter.getServers(config)),
+              }, null, 2),
+            },
+          ],
+        };
+      }
+      
+      const oldConfig = { ...adapter.getServers(config)[server_name] };
+      const current = adapter.getServer(config, server_name);
+      const wrapped = unwrapEntry(current);
+      
+      // Update fields if provided
+      const changes = {};
+      const warnings = [];
+      if (new_args) {
+        changes.args = new_args;
+      }
+      if (new_tools !== undefined) {
+        if (adapter.supportsTools) {
+          changes.tools = new_tools;
+        } else {
+          warnings.push(`${client} configs have no per-server tools list; new_tools was ignored`);
+        }
+      }
+      let secrets = { stored: [], inputs: [], launcher: false };
+      if (new_env) {
+        if (current.transport === 'stdio') {
+          secrets = await prepareEnv(new_env, {
+            serverName: server_name,
+            client,
+            references: adapter.secretReferences,
+            storeSecrets: store_secrets,
+            persist: !this.isPreview(args),
+          });
+          changes.env = mergeEnv(current.env, secrets.env);
+          if (secrets.launcher) {
+            changes.secrets = true;
+          }
+        } else {
+          warnings.push('Remote servers take headers rather than env; new_env was ignored');
+        }
+      }
+      // The sandbox wraps the server's own args and passes its env by name, so
+      // it is rebuilt whenever either changes
+      if (args.sandbox !== undefined || (wrapped && (changes.args || changes.env))) {
+        let sandbox = wrapped ? wrapped.sandbox : null;
+        if (args.sandbox !== undefined) {
+          const keep = wrapped && (!args.sandbox.type || args.sandbox.type === wrapped.sandbox.type);
+          sandbox = normalizeSandbox(keep ? { ...wrapped.sandbox, ...args.sandbox } : args.sandbox);
+        }
+        const inner = { ...(wrapped ? wrapped.inner : current), ...changes };
+        const result = wrapEntry(inner, sandbox);
+        changes.command = result.entry.command;
+        changes.args = result.entry.args;
+        warnings.push(...result.warnings);
+      }
+      const newConfig = adapter.updateServer(config, server_name, changes);
+      adapter.addInputs(config, secrets.inputs);
+      const updated = adapter.getServer(config, server_name);
+      const references = {
+        client,
+        references: adapter.secretReferences,
+        inputs: adapter.getInputs(config),
+        launcher: Boolean(updated.secrets),
+        stored: [...Object.keys(await readSecrets()), ...secrets.stored],
+      };
+      const { unresolved } = findMissingEnv([], updated.env, references);
+      
+      // Write config back
+      const commit = await this.commitConfig({
+        tool: 'update_server_config',
+        args,
+        client,
+        configPath,
+        loaded,
+        config,
+      });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              applied: commit.applied,
+              message: commit.applied
+                ? `Successfully updated "${server_name}"`
+                : `Preview of updating "${server_name}"; nothing was written`,
+              old_config: maskServerConfig(oldConfig),
+              new_config: maskServerConfig(newConfig),
+              unresolved_env_references: unresolved,
+              secrets_stored: secrets.stored.length > 0
+                ? { names: secrets.stored, secrets_file: secrets.secretsFile }
+                : undefined,
+              secrets_warning: secretsWarning(references, { unresolved }),
+              warnings,
+              client,
+              config_path: configPath,
+              ...commit.preview,
+              note: 'You may need to restart your CLI client for changes to take effect',
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  // Newest version on the registry, skipping prereleases unless asked
+  latestVersion(info, { includePrerelease = false } = {}) {
+    const candidates = info.versions
+      .map(entry => entry.version)
+      .filter(version => includePrerelease || !isPrerelease(version));
+    const newest = candidates.sort(compareVersions).pop();
+    if (!includePrerelease && info.latest_version && !isPrerelease(info.latest_version)) {
+      return !newest || compareVersions(info.latest_version, newest) >= 0 ? info.latest_version : newest;
+    }
+    return newest || info.latest_version;
+  }
+
+  async handleCheckUpdates(args = {}) {
+    const { client, configPath } = resolveConfigLocation(args);
+    
+    try {
+      const adapter = getAdapter(client);
+      const loaded = await readConfig(configPath, { client });
+      const servers = adapter.getServers(loaded.config);
+      const names = Object.keys(servers).filter(name => !args.servers || args.servers.includes(name));
+      
+      const results = [];
+      for (const name of names) {
+        const entry = adapter.getServer(loaded.config, name);
+        const pin = entry.transport === 'stdio' ? readPin(entry) : null;
+        if (!pin || pin.type === 'docker') {
+          results.push({ name, status: 'unsupported', note: pin ? 'Docker tags are not checked' : 'Not launched from an npm or PyPI package' });
+          continue;
+        }
+        
+        let info;
+        try {
+          info = await fetchPackage(pin.type, pin.package);
+        } catch (err) {
+          results.push({ name, type: pin.type, package: pin.package, status: 'error', error: err.message });
+          continue;
+        }
+        if (!info) {
+          results.push({ name, type: pin.type, package: pin.package, status: 'not_found', note: `${pin.package} is not on ${pin.type}` });
+          continue;
+        }
+        
+        const latest = this.latestVersion(info, { includePrerelease: args.include_prerelease });
+        const result = { name, type: pin.type, package: pin.package, current: pin.version, latest };
+        if (info.deprecated) {
+          result.deprecated = info.deprecated;
+        }
+        if (!pin.pinned) {
+          results.push({
+            ...result,
+            status: 'unpinned',
+            current: pin.tag || null,
+            note: `Tracks "${pin.tag || 'latest'}"; upgrade_server pins ${latest}`,
+          });
+        } else if (!info.versions.some(version => version.version === pin.version)) {
+          results.push({ ...result, status: 'unknown_version', note: `${pin.version} is not published on ${pin.type}` });
+        } else if (compareVersions(latest, pin.version) > 0) {
+          results.push({ ...result, status: 'update_available', update: updateType(pin.version, latest) });
+        } else {
+          results.push({ ...result, status: 'up_to_date' });
+        }
+      }
+      
+      const count = status => results.filter(result => result.status === status).length;
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              client,
+              config_path: configPath,
+              updates_available: count('update_available'),
+              unpinned: count('unpinned'),
+              servers: results,
+              not_installed: (args.servers || []).filter(name => !names.includes(name)),
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handleUpgradeServer(args) {
+    const { server_name, include_changelog = true } = args;
+    const { client, configPath } = resolveConfigLocation(args);
+    
+    try {
+      const adapter = getAdapter(client);
+      const loaded = await readConfig(configPath, { client });
+      const config = loaded.config;
+      if (!adapter.hasServer(config, server_name)) {
+        throw new Error(`Server "${server_name}" not found in config. Available: ${Object.keys(adapter.getServers(config)).join(', ') || 'none'}`);
+      }
+      
+      const entry = adapter.getServer(config, server_name);
+      const pin = entry.transport === 'stdio' ? readPin(entry) : null;
+      if (!pin || pin.type === 'docker') {
+        throw new Error(`"${server_name}" is not launched from an npm or PyPI package; edit its args with update_server_config`);
+      }
+      
+      const info = await fetchPackage(pin.type, pin.package);
+      if (!info) {
+        throw new Error(`${pin.package} was not found on ${pin.type}`);
+      }
+      const target = args.version || this.latestVersion(info);
+      if (!info.versions.some(version => version.version === target)) {
+        throw new Error(`${pin.package} has no version "${target}" on ${pin.type} (latest: ${info.latest_version})`);
+      }
+      const from = pin.pinned ? pin.version : null;
+      if (from === target) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: true,
+                applied: false,
+                message: `"${server_name}" is already pinned to ${pin.package}@${target}`,
+                client,
+                config_path: configPath,
+              }, null, 2),
+            },
+          ],
+        };
+      }
+      
+      adapter.updateServer(config, server_name, { args: writePin(entry, pin, target) });
+      const commit = await this.commitConfig({
+        tool: 'upgrade_server',
+        args,
+        client,
+        configPath,
+        loaded,
+        config,
+      });
+      
+      // Release notes for the versions crossed; an unpinned server gets the target's own notes
+      let changelog;
+      if (include_changelog) {
+        try {
+          const published = info.versions.map(version => version.version).sort(compareVersions);
+          const base = from || published[published.indexOf(target) - 1] || '0';
+          const [low, high] = compareVersions(base, target) < 0 ? [base, target] : [target, base];
+          changelog = await collectReleaseNotes(this.github, info.repository_url, low, high);
+        } catch (err) {
+          changelog = { source: null, entries: [], note: `Release notes unavailable: ${err.message}` };
+        }
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              applied: commit.applied,
+              message: commit.applied
+                ? `Pinned "${server_name}" to ${pin.package}@${target}${from ? ` (was ${from})` : ''}`
+                : `Preview of pinning "${server_name}" to ${pin.package}@${target}; nothing was written`,
+              type: pin.type,
+              package: pin.package,
+              from: from || pin.tag || null,
+              to: target,
+              update: from ? updateType(from, target) || 'downgrade' : undefined,
+              args: adapter.getServer(config, server_name).args,
+              changelog,
+              client,
+              config_path: configPath,
+              ...commit.preview,
+              note: 'You may need to restart your CLI client for changes to take effect',
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handleExportLockfile(args = {}) {
+    const { client, configPath } = resolveConfigLocation(args);
+    const lockfilePath = resolveLockfilePath(args.lockfile_path);
+    const offline = isOfflineMode(args);
+    
+    try {
+      const adapter = getAdapter(client);
+      const { config } = await readConfig(configPath, { client });
+      const names = Object.keys(adapter.getServers(config)).filter(name => !args.servers || args.servers.includes(name));
+      
+      // Sources recorded by a previous lock survive when the registry can't name one
+      let previous = {};
+      try {
+        previous = (await readLockfile(lockfilePath)).servers;
+      } catch (err) {
+        // First export, or an unreadable lock that is about to be replaced
+      }
+      
+      const servers = {};
+      const warnings = [];
+      for (const name of names) {
+        const entry = adapter.getServer(config, name);
+        const pin = entry.transport === 'stdio' ? readPin(entry) : null;
+        let pkg;
+        let source = previous[name]?.source || null;
+        
+        if (pin && (pin.type === 'npm' || pin.type === 'pypi')) {
+          let version = pin.version;
+          let integrity = null;
+          if (!offline) {
+            try {
+              const info = await fetchPackage(pin.type, pin.package);
+              if (info) {
+                version = version || info.latest_version;
+                source = info.repository_url ? `https://${normalizeRepoUrl(info.repository_url)}` : source;
+                integrity = version ? await fetchPackageIntegrity(pin.type, pin.package, version) : null;
+              } else {
+                warnings.push(`${name}: ${pin.package} was not found on ${pin.type}`);
+              }
+            } catch (err) {
+              warnings.push(`${name}: ${pin.type} registry unavailable (${err.message})`);
+            }
+          }
+          if (!pin.pinned && version) {
+            entry.args = writePin(entry, pin, version);
+            warnings.push(`${name}: not pinned in the config; the lock pins ${pin.package}@${version}`);
+          } else if (!version) {
+            warnings.push(`${name}: ${pin.package} is not pinned and no version could be resolved`);
+          }
+          pkg = { type: pin.type, name: pin.package, version: version || null, integrity };
+        } else if (pin && pin.type === 'docker') {
+          pkg = { type: 'docker', name: pin.package, version: pin.version, integrity: pin.version?.startsWith('sha256:') ? pin.version : null };
+        }
+        if (!source) {
+          source = await this.findSourceRepository({ package: pin?.package, url: entry.url }, args);
+        }
+        
+        servers[name] = createLockEntry(entry, {
+          source,
+          pkg,
+          alwaysAllow: adapter.supportsAlwaysAllow ? listPermissions(config, name).map(item => item.tool) : undefined,
+        });
+      }
+      
+      const lock = createLockfile(servers);
+      if (!args.dry_run) {
+        await writeLockfile(lockfilePath, lock);
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              applied: !args.dry_run,
+              lockfile_path: lockfilePath,
+              client,
+              config_path: configPath,
+              locked: names.length,
+              not_installed: (args.servers || []).filter(name => !names.includes(name)),
+              warnings,
+              lockfile: lock,
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              lockfile_path: lockfilePath,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handleApplyLockfile(args = {}) {
+    const { prune = false, verify_integrity = false } = args;
+    const { client, configPath } = resolveConfigLocation(args);
+    const lockfilePath = resolveLockfilePath(args.lockfile_path);
+    
+    try {
+      const adapter = getAdapter(client);
+      const lock = await readLockfile(lockfilePath);
+      const loaded = await readConfig(configPath, { client, allowMissing: true });
+      const config = loaded.config;
+      
+      // Packages whose published hash no longer matches the lock block the apply
+      const integrity = [];
+      if (verify_integrity) {
+        for (const [name, locked] of Object.entries(lock.servers)) {
+          const pkg = locked.package;
+          if (!pkg || !pkg.integrity || !['npm', 'pypi'].includes(pkg.type)) continue;
+          const published = await fetchPackageIntegrity(pkg.type, pkg.name, pkg.version);
+          integrity.push({ name, package: `${pkg.name}@${pkg.version}`, ok: published === pkg.integrity, published, locked: pkg.integrity });
+        }
+        const failed = integrity.filter(result => !result.ok);
+        if (failed.length > 0) {
+          throw new Error(`Integrity check failed for ${failed.map(result => result.package).join(', ')}; the published package differs from the lock`);
+        }
+      }
+      
+      // Drift: servers missing from the config, changed, or not in the lock
+      const drift = [];
+      for (const [name, locked] of Object.entries(lock.servers)) {
+        const existing = adapter.hasServer(config, name) ? adapter.getServer(config, name) : null;
+        if (!existing) {
+          drift.push({ name, status: 'missing' });
+        } else {
+          const differences = compareEntry(locked, existing, listPermissions(config, name).map(item => item.tool));
+          drift.push(differences.length > 0 ? { name, status: 'changed', differences } : { name, status: 'in_sync' });
+        }
+      }
+      for (const name of Object.keys(adapter.getServers(config))) {
+        if (!lock.servers[name]) {
+          drift.push({ name, status: 'extra', action: prune ? 'remove' : 'keep' });
+        }
+      }
+      
+      const warnings = [];
+      const stored = Object.keys(await readSecrets());
+      for (const item of drift) {
+        if (item.status === 'missing' || item.status === 'changed') {
+          const locked = lock.servers[item.name];
+          const existing = item.status === 'changed' ? adapter.getServer(config, item.name) : null;
+          const entry = entryFromLock(locked, existing);
+          if (existing) {
+            adapter.updateServer(config, item.name, entry);
+          } else {
+            adapter.setServer(config, item.name, entry);
+          }
+          if (locked.always_allow && locked.always_allow.length > 0) {
+            if (adapter.supportsAlwaysAllow) {
+              grantPermissions(config, item.name, locked.always_allow);
+            } else {
+              warnings.push(`${item.name}: ${client} has no alwaysAllow; locked approvals were skipped`);
+            }
+          }
+          // Locked secrets are references; say which ones this client will not resolve
+          const unresolved = findUnresolvedReferences({ ...entry.env, ...entry.headers }, {
+            client,
+            references: adapter.secretReferences,
+            inputs: adapter.getInputs(config),
+            launcher: Boolean(entry.secrets),
+            stored,
+          });
+          if (unresolved.length > 0) {
+            item.unresolved_references = unresolved;
+            warnings.push(`${item.name}: ${secretsWarning({ client, references: adapter.secretReferences }, { unresolved })}`);
+          }
+        } else if (item.status === 'extra' && prune) {
+          adapter.removeServer(config, item.name);
+          revokePermissions(config, item.name);
+        }
       }
       
-      // Default npm installation guess
+      const count = status => drift.filter(item => item.status === status).length;
+      const changes = count('missing') + count('changed') + (prune ? count('extra') : 0);
+      const commit = changes > 0
+        ? await this.commitConfig({
+          tool: 'apply_lockfile',
+          args: { ...args, dry_run: args.dry_run ?? !args.confirm_token },
+          client,
+          configPath,
+          loaded,
+          config,
+        })
+        : { applied: false, preview: {} };
+      
       return {
-        type: 'npm',
-        command: `npx -y ${repo}@latest`,
-        github: `${owner}/${repo}`,
-        config_example: {
-          command: 'npx',
-          args: ['-y', `${repo}@latest`]
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              applied: commit.applied,
+              in_sync: changes === 0,
+              message: changes === 0
+                ? 'The config already matches the lockfile'
+                : commit.applied
+                  ? `Applied ${changes} change(s) from the lockfile`
+                  : `${changes} change(s) needed; pass dry_run: false (with the confirm_token) to apply`,
+              lockfile_path: lockfilePath,
+              client,
+              config_path: configPath,
+              drift: {
+                missing: count('missing'),
+                changed: count('changed'),
+                extra: count('extra'),
+                in_sync: count('in_sync'),
+                servers: drift,
+              },
+              integrity: verify_integrity ? integrity : undefined,
+              warnings: warnings.length > 0 ? warnings : undefined,
+              ...commit.preview,
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              lockfile_path: lockfilePath,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handleCreateProfile(args) {
+    const { name, description, servers, overwrite = false } = args;
+    const { client, configPath, scope } = resolveConfigLocation(args);
+    
+    try {
+      assertProfileName(name);
+      const adapter = getAdapter(client);
+      const store = await loadProfiles();
+      const existing = store.profiles[name];
+      if (existing && !overwrite) {
+        throw new Error(`Profile "${name}" already exists. Pass overwrite: true to replace it`);
+      }
+      const { config } = await readConfig(configPath, { client });
+      const snapshot = snapshotServers(config, adapter, servers);
+      if (Object.keys(snapshot.servers).length === 0) {
+        throw new Error(`No servers in ${configPath} to save`);
+      }
+      
+      const now = new Date().toISOString();
+      store.profiles[name] = {
+        description: description ?? existing?.description,
+        created_at: existing?.created_at || now,
+        updated_at: now,
+        source: { client, config_path: configPath, scope },
+        ...snapshot,
+      };
+      await saveProfiles(store);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              message: `${existing ? 'Updated' : 'Created'} profile "${name}" with ${Object.keys(snapshot.servers).length} server(s)`,
+              profile: name,
+              servers: Object.keys(snapshot.servers),
+              always_allow: snapshot.always_allow,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handleListProfiles() {
+    try {
+      const store = await loadProfiles();
+      const profiles = Object.entries(store.profiles).map(([name, profile]) => ({
+        name,
+        description: profile.description,
+        servers: Object.keys(profile.servers || {}),
+        created_at: profile.created_at,
+        updated_at: profile.updated_at,
+        active_in: Object.keys(store.active).filter(configPath => store.active[configPath] === name),
+      }));
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              count: profiles.length,
+              profiles,
+              active: store.active,
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handleSwitchProfile(args) {
+    const { name, mode = 'replace' } = args;
+    const { client, configPath, scope } = resolveConfigLocation(args);
+    
+    try {
+      if (!['replace', 'merge'].includes(mode)) {
+        throw new Error(`Unknown mode "${mode}". Expected "replace" or "merge"`);
+      }
+      const adapter = getAdapter(client);
+      const store = await loadProfiles();
+      const profile = getProfile(store, name);
+      const loaded = await readConfig(configPath, { client, allowMissing: true });
+      const config = loaded.config;
+      
+      const result = applyProfile(config, adapter, profile, { mode });
+      const warnings = [];
+      if (!adapter.supportsAlwaysAllow && Object.keys(profile.always_allow || {}).length > 0) {
+        warnings.push(`${client} has no alwaysAllow; the profile's approvals were skipped`);
+      }
+      
+      const commit = await this.commitConfig({ tool: 'switch_profile', args, client, configPath, loaded, config });
+      if (commit.applied) {
+        store.active[configPath] = name;
+        await saveProfiles(store);
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              applied: commit.applied,
+              message: commit.applied
+                ? `Switched ${configPath} to profile "${name}"`
+                : `Preview of switching ${configPath} to profile "${name}"`,
+              profile: name,
+              mode,
+              client,
+              scope,
+              config_path: configPath,
+              ...result,
+              warnings: warnings.length > 0 ? warnings : undefined,
+              ...commit.preview,
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handleDiffProfiles(args) {
+    const { from = 'current', to } = args;
+    const { client, configPath } = resolveConfigLocation(args);
+    
+    try {
+      const adapter = getAdapter(client);
+      const store = await loadProfiles();
+      let current;
+      const serversOf = async name => {
+        if (name !== 'current') {
+          return getProfile(store, name).servers || {};
+        }
+        if (!current) {
+          const { config } = await readConfig(configPath, { client, allowMissing: true });
+          current = Object.fromEntries(Object.keys(adapter.getServers(config)).map(server => [server, adapter.getServer(config, server)]));
+        }
+        return current;
+      };
+      const before = await serversOf(from);
+      const after = await serversOf(to);
+      const diff = diffServerSets(before, after);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              from,
+              to,
+              identical: diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0,
+              client,
+              config_path: from === 'current' || to === 'current' ? configPath : undefined,
+              ...diff,
+              ...diffConfigs({ servers: before }, { servers: after }, {
+                serversKey: 'servers',
+                fromFile: from === 'current' ? configPath : `profile:${from}`,
+                toFile: to === 'current' ? configPath : `profile:${to}`,
+              }),
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handleDeleteProfile(args) {
+    const { name } = args;
+    
+    try {
+      const store = await loadProfiles();
+      getProfile(store, name);
+      delete store.profiles[name];
+      for (const [configPath, active] of Object.entries(store.active)) {
+        if (active === name) {
+          delete store.active[configPath];
+        }
+      }
+      await saveProfiles(store);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              message: `Deleted profile "${name}"`,
+              profile: name,
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handleExportConfig(args) {
+    const { servers, write = false, overwrite = false } = args;
+    const source = resolveConfigLocation({ client: args.from_client, config_path: args.from_config_path });
+    const target = resolveConfigLocation({ client: args.to_client, config_path: args.to_config_path });
+    
+    try {
+      const { config: sourceConfig } = await readConfig(source.configPath, { client: source.client });
+      const { converted, inputs, missing, warnings } = convertServers(
+        source.client,
+        sourceConfig,
+        target.client,
+        servers
+      );
+      
+      const written = [];
+      const skipped = [];
+      let commit = { applied: false, preview: {} };
+      if (write) {
+        const adapter = getAdapter(target.client);
+        const loaded = await readConfig(target.configPath, { client: target.client, allowMissing: true });
+        const targetConfig = loaded.config;
+        
+        targetConfig[adapter.serversKey] = targetConfig[adapter.serversKey] || {};
+        for (const [name, nativeConfig] of Object.entries(converted)) {
+          if (adapter.hasServer(targetConfig, name) && !overwrite) {
+            skipped.push(name);
+            continue;
+          }
+          targetConfig[adapter.serversKey][name] = nativeConfig;
+          written.push(name);
         }
+        adapter.addInputs(targetConfig, inputs.filter(input =>
+          written.some(name => JSON.stringify(converted[name]).includes(`\${input:${input.id}}`))));
+        
+        commit = await this.commitConfig({
+          tool: 'export_config',
+          args,
+          client: target.client,
+          configPath: target.configPath,
+          loaded,
+          config: targetConfig,
+        });
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              from_client: source.client,
+              from_config_path: source.configPath,
+              to_client: target.client,
+              to_config_path: target.configPath,
+              servers_key: getAdapter(target.client).serversKey,
+              converted: maskServers(converted),
+              inputs: inputs.length > 0 ? inputs : undefined,
+              missing_servers: missing,
+              warnings,
+              applied: commit.applied,
+              written: write ? written : undefined,
+              skipped_existing: write ? skipped : undefined,
+              ...commit.preview,
+              note: commit.applied
+                ? 'You may need to restart the target client for changes to take effect'
+                : write
+                  ? 'Preview only; nothing was written'
+                  : 'Nothing was written. Pass write: true to merge these servers into the target config',
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              from_config_path: source.configPath,
+              to_config_path: target.configPath,
+            }, null, 2),
+          },
+        ],
       };
     }
-    
-    return {
-      type: 'unknown',
-      message: 'Check the GitHub repository for installation instructions',
-      url: server.url
-    };
   }
 
-  async handleInstall(args) {
-    const { server_name, github_url, config_name } = args;
-    const configPath = process.env.USERPROFILE + '\\.copilot\\mcp-config.json';
-    const fs = await import('fs/promises');
+  async handleGrantPermissions(args) {
+    const { server_name, tools } = args;
+    const { client, configPath } = resolveConfigLocation(args);
     
     try {
-      // Read existing config
-      let config;
-      try {
-        const configData = await fs.readFile(configPath, 'utf-8');
-        config = JSON.parse(configData);
-      } catch (err) {
-        // If file doesn't exist, create new config
-        config = { mcpServers: {}, alwaysAllow: [] };
-      }
+      const adapter = getAdapter(client);
+      assertPermissionsSupported(adapter);
+      const loaded = await readConfig(configPath, { client });
+      const config = loaded.config;
       
-      // Extract owner/repo from GitHub URL
-      const githubMatch = github_url.match(/github\.com\/([^/]+)\/([^/]+)/);
-      if (!githubMatch) {
-        throw new Error('Invalid GitHub URL format');
+      if (!adapter.hasServer(config, server_name)) {
+        throw new Error(`Server "${server_name}" not found in config. Available: ${Object.keys(adapter.getServers(config)).join(', ') || 'none'}`);
       }
       
-      const [, owner, repo] = githubMatch;
-      const name = config_name || server_name;
+      // Warn about names the server's tools filter does not include
+      const configured = adapter.getServer(config, server_name).tools || [];
+      const warnings = configured.length > 0 && !configured.includes('*')
+        ? tools.filter(tool => tool !== '*' && !configured.includes(tool)).map(tool => `"${tool}" is not in the server's tools list`)
+        : [];
       
-      // Generate config based on common patterns
-      let serverConfig;
-      if (owner === 'microsoft' && repo === 'playwright-mcp') {
-        serverConfig = {
-          type: 'local',
-          command: 'npx',
-          args: ['@playwright/mcp@latest'],
-          tools: []
-        };
-      } else {
-        // Default pattern
-        serverConfig = {
-          type: 'local',
-          command: 'npx',
-          args: ['-y', `${repo}@latest`],
-          tools: []
-        };
-      }
+      const added = grantPermissions(config, server_name, tools);
+      const commit = await this.commitConfig({ tool: 'grant_tool_permissions', args, client, configPath, loaded, config });
       
-      // Add server to config
-      config.mcpServers[name] = serverConfig;
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              applied: commit.applied,
+              message: commit.applied
+                ? `Auto-approved ${added.length} tool(s) for "${server_name}"`
+                : `Preview of auto-approving ${added.length} tool(s) for "${server_name}"; nothing was written`,
+              added,
+              already_approved: tools.filter(tool => !added.includes(tool)),
+              approved_tools: listPermissions(config, server_name).map(entry => entry.tool),
+              warnings,
+              client,
+              config_path: configPath,
+              ...commit.preview,
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handleRevokePermissions(args) {
+    const { server_name, tools } = args;
+    const { client, configPath } = resolveConfigLocation(args);
+    
+    try {
+      const adapter = getAdapter(client);
+      assertPermissionsSupported(adapter);
+      const loaded = await readConfig(configPath, { client });
+      const config = loaded.config;
       
-      // Write config back
-      await fs.writeFile(configPath, JSON.stringify(config, null, 2), 'utf-8');
+      const revoked = revokePermissions(config, server_name, tools);
+      const commit = await this.commitConfig({ tool: 'revoke_tool_permissions', args, client, configPath, loaded, config });
       
       return {
         content: [
@@ -431,11 +3259,16 @@ class GitHubServersSearchServer {
             type: 'text',
             text: JSON.stringify({
               success: true,
-              message: `Successfully installed ${server_name} as "${name}"`,
+              applied: commit.applied,
+              message: commit.applied
+                ? `Revoked ${revoked.length} approval(s) for "${server_name}"`
+                : `Preview of revoking ${revoked.length} approval(s) for "${server_name}"; nothing was written`,
+              revoked,
+              not_approved: (tools || []).filter(tool => !revoked.includes(tool)),
+              remaining_tools: listPermissions(config, server_name).map(entry => entry.tool),
+              client,
               config_path: configPath,
-              server_config: serverConfig,
-              note: 'You may need to restart your CLI client for changes to take effect',
-              github: `${owner}/${repo}`,
+              ...commit.preview,
             }, null, 2),
           },
         ],
@@ -448,6 +3281,7 @@ class GitHubServersSearchServer {
             text: JSON.stringify({
               success: false,
               error: error.message,
+              client,
               config_path: configPath,
             }, null, 2),
           },
@@ -456,58 +3290,35 @@ class GitHubServersSearchServer {
     }
   }
 
-  async handleUninstall(args) {
+  async handleListPermissions(args = {}) {
     const { server_name } = args;
-    const configPath = process.env.USERPROFILE + '\\.copilot\\mcp-config.json';
-    const fs = await import('fs/promises');
+    const { client, configPath } = resolveConfigLocation(args);
     
     try {
-      // Read existing config
-      const configData = await fs.readFile(configPath, 'utf-8');
-      const config = JSON.parse(configData);
-      
-      // Check if server exists
-      if (!config.mcpServers || !config.mcpServers[server_name]) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                success: false,
-                error: `Server "${server_name}" not found in config`,
-                available_servers: Object.keys(config.mcpServers || {}),
-              }, null, 2),
-            },
-          ],
-        };
-      }
-      
-      // Save removed config for reference
-      const removedConfig = config.mcpServers[server_name];
-      
-      // Remove server
-      delete config.mcpServers[server_name];
+      const adapter = getAdapter(client);
+      assertPermissionsSupported(adapter);
+      const { config } = await readConfig(configPath, { client });
       
-      // Remove from alwaysAllow if present
-      if (config.alwaysAllow) {
-        config.alwaysAllow = config.alwaysAllow.filter(
-          item => item.server !== server_name
-        );
+      const byServer = {};
+      for (const entry of listPermissions(config, server_name)) {
+        byServer[entry.server] = byServer[entry.server] || [];
+        byServer[entry.server].push(entry.tool);
       }
       
-      // Write config back
-      await fs.writeFile(configPath, JSON.stringify(config, null, 2), 'utf-8');
-      
       return {
         content: [
           {
             type: 'text',
             text: JSON.stringify({
               success: true,
-              message: `Successfully uninstalled "${server_name}"`,
-              removed_config: removedConfig,
+              client,
               config_path: configPath,
-              note: 'You may need to restart your CLI client for changes to take effect',
+              total_approvals: listPermissions(config, server_name).length,
+              servers: Object.entries(byServer).map(([server, approvedTools]) => ({
+                server,
+                installed: adapter.hasServer(config, server),
+                tools: approvedTools,
+              })),
             }, null, 2),
           },
         ],
@@ -520,6 +3331,7 @@ class GitHubServersSearchServer {
             text: JSON.stringify({
               success: false,
               error: error.message,
+              client,
               config_path: configPath,
             }, null, 2),
           },
@@ -528,33 +3340,55 @@ class GitHubServersSearchServer {
     }
   }
 
-  async handleListInstalled(args) {
-    const configPath = process.env.USERPROFILE + '\\.copilot\\mcp-config.json';
-    const fs = await import('fs/promises');
+  async handleAuditPermissions(args = {}) {
+    const { fix = false } = args;
+    const { client, configPath } = resolveConfigLocation(args);
     
     try {
-      const configData = await fs.readFile(configPath, 'utf-8');
-      const config = JSON.parse(configData);
+      const adapter = getAdapter(client);
+      assertPermissionsSupported(adapter);
+      const loaded = await readConfig(configPath, { client });
+      const config = loaded.config;
       
-      const servers = config.mcpServers || {};
-      const serverList = Object.entries(servers).map(([name, serverConfig]) => ({
-        name,
-        type: serverConfig.type,
-        command: serverConfig.command,
-        args: serverConfig.args,
-        tools: serverConfig.tools || [],
-        env: serverConfig.env || {},
-      }));
+      // Optionally compare against the live tool lists of the approved servers
+      let inspected;
+      const inspectErrors = [];
+      if (args.inspect) {
+        inspected = {};
+        const approvedServers = [...new Set(listPermissions(config).map(entry => entry.server))]
+          .filter(server => adapter.hasServer(config, server));
+        for (const server of approvedServers) {
+          const result = await inspectServer(adapter.getServer(config, server));
+          if (result.ok) {
+            inspected[server] = result.tools.map(tool => tool.name);
+          } else {
+            inspectErrors.push({ server, error: result.error });
+          }
+        }
+      }
+      
+      const findings = auditPermissions(config, adapter, { inspected });
+      let commit = { applied: false, preview: {} };
+      if (fix && findings.length > 0) {
+        removeFindings(config, findings);
+        commit = await this.commitConfig({ tool: 'audit_permissions', args, client, configPath, loaded, config });
+      }
       
       return {
         content: [
           {
             type: 'text',
             text: JSON.stringify({
-              total_installed: serverList.length,
+              success: true,
+              healthy: findings.length === 0,
+              total_findings: findings.length,
+              findings,
+              inspect_errors: args.inspect ? inspectErrors : undefined,
+              fixed: commit.applied ? findings.length : 0,
+              client,
               config_path: configPath,
-              servers: serverList,
-              alwaysAllow: config.alwaysAllow || [],
+              ...commit.preview,
+              note: findings.length > 0 && !fix ? 'Pass fix: true to remove the flagged entries' : undefined,
             }, null, 2),
           },
         ],
@@ -567,6 +3401,7 @@ class GitHubServersSearchServer {
             text: JSON.stringify({
               success: false,
               error: error.message,
+              client,
               config_path: configPath,
             }, null, 2),
           },
@@ -575,55 +3410,69 @@ class GitHubServersSearchServer {
     }
   }
 
-  async handleUpdateConfig(args) {
-    const { server_name, new_args, new_tools } = args;
-    const configPath = process.env.USERPROFILE + '\\.copilot\\mcp-config.json';
-    const fs = await import('fs/promises');
+  async handleInspectServer(args = {}) {
+    const { server_name, timeout_ms = DEFAULT_INSPECT_TIMEOUT_MS, populate = 'none' } = args;
+    const { client, configPath } = resolveConfigLocation(args);
     
     try {
-      const configData = await fs.readFile(configPath, 'utf-8');
-      const config = JSON.parse(configData);
-      
-      // Check if server exists
-      if (!config.mcpServers || !config.mcpServers[server_name]) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                success: false,
-                error: `Server "${server_name}" not found in config`,
-                available_servers: Object.keys(config.mcpServers || {}),
-              }, null, 2),
-            },
-          ],
-        };
+      const adapter = getAdapter(client);
+      let loaded;
+      let entry;
+      if (server_name) {
+        loaded = await readConfig(configPath, { client });
+        if (!adapter.hasServer(loaded.config, server_name)) {
+          throw new Error(`Server "${server_name}" not found in config. Available: ${Object.keys(adapter.getServers(loaded.config)).join(', ') || 'none'}`);
+        }
+        entry = adapter.getServer(loaded.config, server_name);
+      } else if (args.command) {
+        entry = { transport: 'stdio', command: args.command, args: args.args || [], env: args.env || {} };
+      } else if (args.url) {
+        entry = { transport: args.transport || 'http', url: args.url, headers: args.headers || {} };
+      } else {
+        throw new Error('Provide server_name (an installed server), command or url');
       }
       
-      const oldConfig = { ...config.mcpServers[server_name] };
+      const { ok, ...result } = await inspectServer(entry, { timeoutMs: timeout_ms });
       
-      // Update fields if provided
-      if (new_args) {
-        config.mcpServers[server_name].args = new_args;
-      }
-      if (new_tools !== undefined) {
-        config.mcpServers[server_name].tools = new_tools;
+      // Feed the discovered tool names back into the config
+      let commit = { applied: false, preview: {} };
+      const populated = {};
+      if (ok && populate !== 'none') {
+        if (!server_name) {
+          throw new Error('populate needs server_name: only installed servers can be updated');
+        }
+        const toolNames = result.tools.map(tool => tool.name);
+        const config = loaded.config;
+        if (populate === 'tools' || populate === 'both') {
+          if (!adapter.supportsTools) {
+            throw new Error(`${client} configs have no per-server tools list`);
+          }
+          adapter.updateServer(config, server_name, { tools: toolNames });
+          populated.tools = toolNames;
+        }
+        if (populate === 'always_allow' || populate === 'both') {
+          assertPermissionsSupported(adapter);
+          populated.always_allow_added = grantPermissions(config, server_name, toolNames);
+        }
+        commit = await this.commitConfig({ tool: 'inspect_server', args, client, configPath, loaded, config });
       }
       
-      // Write config back
-      await fs.writeFile(configPath, JSON.stringify(config, null, 2), 'utf-8');
-      
       return {
         content: [
           {
             type: 'text',
             text: JSON.stringify({
-              success: true,
-              message: `Successfully updated "${server_name}"`,
-              old_config: oldConfig,
-              new_config: config.mcpServers[server_name],
-              config_path: configPath,
-              note: 'You may need to restart your CLI client for changes to take effect',
+              success: ok,
+              server_name,
+              client: server_name ? client : undefined,
+              config_path: server_name ? configPath : undefined,
+              command: entry.command ? [entry.command, ...(entry.args || [])].join(' ') : undefined,
+              url: entry.url,
+              transport: entry.transport,
+              ...result,
+              populated: populate !== 'none' ? populated : undefined,
+              applied: populate !== 'none' ? commit.applied : undefined,
+              ...commit.preview,
             }, null, 2),
           },
         ],
@@ -636,6 +3485,7 @@ class GitHubServersSearchServer {
             text: JSON.stringify({
               success: false,
               error: error.message,
+              client,
               config_path: configPath,
             }, null, 2),
           },
@@ -646,34 +3496,39 @@ class GitHubServersSearchServer {
 
   async handleGetDetails(args) {
     const { github_url } = args;
+    const offline = isOfflineMode(args);
     
     try {
-      // Extract owner and repo from GitHub URL
-      const githubMatch = github_url.match(/github\.com\/([^/]+)\/([^/]+)/);
-      if (!githubMatch) {
+      const github = parseGitHubUrl(github_url);
+      if (!github) {
         throw new Error('Invalid GitHub URL format');
       }
+      const { owner, repo } = github;
       
-      const [, owner, repo] = githubMatch;
-      const cleanRepo = repo.replace(/\.git$/, '');
-      
-      // Fetch repo details from GitHub API
-      const repoResponse = await fetch(`https://api.github.com/repos/${owner}/${cleanRepo}`);
-      if (!repoResponse.ok) {
-        throw new Error(`Failed to fetch repo details: ${repoResponse.statusText}`);
-      }
-      const repoData = await repoResponse.json();
+      // Repo details, then the README for the default branch (or the ref in the URL)
+      const repoResult = await this.github.getRepo(owner, repo, { offline });
+      const repoData = repoResult.data;
+      const readmeRef = github.ref !== 'HEAD' ? github.ref : repoData.default_branch;
+      const [readmeResult, releaseResult] = await Promise.allSettled([
+        this.github.getReadme(owner, repo, { ref: readmeRef, subpath: github.subpath, offline }),
+        this.github.getLatestRelease(owner, repo, { offline }),
+      ]);
       
-      // Fetch README
-      const readmeResponse = await fetch(`https://raw.githubusercontent.com/${owner}/${cleanRepo}/main/README.md`);
       let readme = 'README not available';
-      if (readmeResponse.ok) {
-        readme = await readmeResponse.text();
+      let readmePath;
+      if (readmeResult.status === 'fulfilled' && readmeResult.value) {
+        readme = readmeResult.value.text;
+        readmePath = readmeResult.value.path;
         // Truncate if too long
         if (readme.length > 5000) {
           readme = readme.substring(0, 5000) + '\n\n... (truncated)';
         }
       }
+      const warnings = [repoResult.warning, readmeResult.reason?.message, releaseResult.reason?.message].filter(Boolean);
+      
+      const registryServer = await this.findRegistryServer(github_url, args);
+      const recipe = registryServer ? quickInstallRecipe(registryServer) : null;
+      const trust = await this.scoreRepository(github_url, registryServer, { recipe, offline });
       
       return {
         content: [
@@ -691,10 +3546,20 @@ class GitHubServersSearchServer {
               created_at: repoData.created_at,
               updated_at: repoData.updated_at,
               pushed_at: repoData.pushed_at,
+              archived: repoData.archived,
+              default_branch: repoData.default_branch,
               license: repoData.license?.name || 'No license',
+              latest_release: releaseResult.status === 'fulfilled' ? releaseResult.value : undefined,
               topics: repoData.topics || [],
+              trust,
+              readme_path: readmePath,
+              readme_ref: readmeRef,
               readme_preview: readme,
               clone_url: repoData.clone_url,
+              authenticated: this.github.authenticated,
+              cache: repoResult.cache,
+              rate_limit: this.github.rateLimit || undefined,
+              warnings: warnings.length > 0 ? warnings : undefined,
             }, null, 2),
           },
         ],
@@ -708,6 +3573,7 @@ class GitHubServersSearchServer {
               success: false,
               error: error.message,
               github_url,
+              rate_limit: this.github.rateLimit || undefined,
             }, null, 2),
           },
         ],
@@ -716,19 +3582,15 @@ class GitHubServersSearchServer {
   }
 
   async handleBackup(args) {
-    const configPath = process.env.USERPROFILE + '\\.copilot\\mcp-config.json';
+    const { client, configPath } = resolveConfigLocation(args);
     const fs = await import('fs/promises');
     
     try {
       // Read current config
       const configData = await fs.readFile(configPath, 'utf-8');
       
-      // Create timestamped backup filename
-      const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
-      const backupPath = process.env.USERPROFILE + `\\.copilot\\mcp-config.backup.${timestamp}.json`;
-      
-      // Write backup
-      await fs.writeFile(backupPath, configData, 'utf-8');
+      // Write a timestamped backup to the config's backup directory
+      const { backupPath, timestamp } = await backupConfigFile(configPath, configData);
       
       return {
         content: [
@@ -737,10 +3599,234 @@ class GitHubServersSearchServer {
             text: JSON.stringify({
               success: true,
               message: 'Config backup created successfully',
+              client,
               original_path: configPath,
               backup_path: backupPath,
               timestamp,
-              note: 'To restore, copy this backup file over the original config',
+              note: 'To restore, use restore_backup with this backup',
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handleListBackups(args) {
+    const { client, configPath } = resolveConfigLocation(args);
+    
+    try {
+      const backups = await listBackups(configPath, client);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              client,
+              config_path: configPath,
+              total_backups: backups.length,
+              backups: backups.map(({ sequence, ...backup }) => backup),
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handleRestoreBackup(args) {
+    const { servers } = args;
+    const { client, configPath } = resolveConfigLocation(args);
+    
+    try {
+      const adapter = getAdapter(client);
+      const backup = await findBackup(configPath, client, args.backup);
+      const { config: backupConfig } = await readConfig(backup.path, { client });
+      const loaded = await readConfig(configPath, { client, allowMissing: true });
+      
+      let config;
+      let restored;
+      let approvals;
+      if (servers && servers.length > 0) {
+        approvals = {};
+        // Selective restore: copy only the named entries over the current config
+        const missing = servers.filter(name => !adapter.hasServer(backupConfig, name));
+        if (missing.length > 0) {
+          throw new Error(`Not in backup ${backup.file}: ${missing.join(', ')}`);
+        }
+        config = loaded.config;
+        config[adapter.serversKey] = config[adapter.serversKey] || {};
+        for (const name of servers) {
+          config[adapter.serversKey][name] = adapter.getServers(backupConfig)[name];
+          // The server's approvals go back to what the backup had, too
+          if (adapter.supportsAlwaysAllow) {
+            revokePermissions(config, name);
+            approvals[name] = grantPermissions(config, name, listPermissions(backupConfig, name).map(entry => entry.tool));
+          }
+        }
+        restored = servers;
+      } else {
+        config = backupConfig;
+        restored = Object.keys(adapter.getServers(backupConfig));
+      }
+      
+      // Always keep a copy of what is being replaced, even with auto backups off
+      const commit = await this.commitConfig({
+        tool: 'restore_backup',
+        args,
+        client,
+        configPath,
+        loaded,
+        config,
+        backup: true,
+      });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              applied: commit.applied,
+              message: commit.applied
+                ? `Restored ${servers && servers.length > 0 ? `${restored.length} server(s)` : 'the full config'} from ${backup.file}`
+                : `Preview of restoring from ${backup.file}; nothing was written`,
+              client,
+              config_path: configPath,
+              backup_file: backup.path,
+              backup_timestamp: backup.timestamp,
+              restored_servers: restored,
+              restored_approvals: approvals,
+              ...commit.preview,
+              note: 'You may need to restart your CLI client for changes to take effect',
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handleDiffBackup(args) {
+    const { client, configPath } = resolveConfigLocation(args);
+    
+    try {
+      const adapter = getAdapter(client);
+      const backup = await findBackup(configPath, client, args.backup);
+      const { config: backupConfig } = await readConfig(backup.path, { client });
+      const { config: currentConfig } = await readConfig(configPath, { client, allowMissing: true });
+      
+      const before = adapter.getServers(backupConfig);
+      const after = adapter.getServers(currentConfig);
+      const changed = Object.keys(after).filter(name =>
+        name in before && JSON.stringify(before[name]) !== JSON.stringify(after[name])
+      );
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              client,
+              config_path: configPath,
+              backup_file: backup.path,
+              backup_timestamp: backup.timestamp,
+              identical: JSON.stringify(backupConfig) === JSON.stringify(currentConfig),
+              servers_added_since_backup: Object.keys(after).filter(name => !(name in before)),
+              servers_removed_since_backup: Object.keys(before).filter(name => !(name in after)),
+              servers_changed_since_backup: changed,
+              ...diffConfigs(backupConfig, currentConfig, {
+                serversKey: adapter.serversKey,
+                fromFile: backup.path,
+                toFile: configPath,
+              }),
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              client,
+              config_path: configPath,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  async handlePruneBackups(args) {
+    const { keep, max_age_days, dry_run = false } = args;
+    const { client, configPath } = resolveConfigLocation(args);
+    
+    try {
+      const { removed, kept } = await pruneBackups(configPath, client, {
+        keep,
+        maxAgeDays: max_age_days,
+        dryRun: dry_run,
+      });
+      const summarize = backups => backups.map(backup => ({ file: backup.file, timestamp: backup.timestamp, size: backup.size }));
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              dry_run,
+              message: `${dry_run ? 'Would delete' : 'Deleted'} ${removed.length} backup(s), kept ${kept.length}`,
+              client,
+              config_path: configPath,
+              removed: summarize(removed),
+              kept: summarize(kept),
             }, null, 2),
           },
         ],
@@ -753,6 +3839,7 @@ class GitHubServersSearchServer {
             text: JSON.stringify({
               success: false,
               error: error.message,
+              client,
               config_path: configPath,
             }, null, 2),
           },
@@ -764,9 +3851,23 @@ class GitHubServersSearchServer {
   async run() {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
+    this.watchConfigs();
     console.error('GitHub MCP Registry Tool running on stdio');
   }
 }
 
+// With a command (search, install, list, backup, doctor) this is a CLI over the
+// same handlers; without one, or with "serve", it is the stdio MCP server
 const server = new GitHubServersSearchServer();
-server.run().catch(console.error);
+const argv = process.argv.slice(2);
+if (argv.length === 0 || argv[0] === 'serve') {
+  server.run().catch(console.error);
+} else {
+  const { version } = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf-8'));
+  runCli(server, argv, { version }).then((code) => {
+    process.exitCode = code;
+  }).catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,114 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getAdapter } from './client-adapters.js';
+import { parseConfigText } from './config-store.js';
+import { getBackupDir } from './config-paths.js';
+
+// Backups are <base>.backup.<timestamp>[-n]<ext> in the config's backup directory
+// (see getBackupDir), written by backup_config and before every config write.
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function backupPattern(configPath) {
+  const ext = path.extname(configPath) || '.json';
+  const base = path.basename(configPath, path.extname(configPath));
+  return new RegExp(`^${escapeRegExp(base)}\\.backup\\.(\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2})(?:-(\\d+))?${escapeRegExp(ext)}$`);
+}
+
+// 2026-01-31T10-20-30 -> 2026-01-31T10:20:30Z
+function parseTimestamp(timestamp) {
+  return new Date(`${timestamp.replace(/T(\d{2})-(\d{2})-(\d{2})$/, 'T$1:$2:$3')}Z`);
+}
+
+// Project configs backed up before backups moved out of the repository still
+// have theirs next to the config; both places are listed
+async function backupFiles(configPath) {
+  const dirs = [...new Set([getBackupDir(configPath), path.dirname(path.resolve(configPath))])];
+  const found = [];
+  for (const dir of dirs) {
+    try {
+      found.push(...(await fs.readdir(dir)).map(file => ({ dir, file })));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+  return found;
+}
+
+export async function listBackups(configPath, client) {
+  const pattern = backupPattern(configPath);
+  const adapter = getAdapter(client);
+  const backups = [];
+  for (const { dir, file } of await backupFiles(configPath)) {
+    const match = file.match(pattern);
+    if (!match) continue;
+    const backupPath = path.join(dir, file);
+    const stat = await fs.stat(backupPath);
+    let serverCount = null;
+    let valid = true;
+    try {
+      serverCount = Object.keys(adapter.getServers(parseConfigText(await fs.readFile(backupPath, 'utf-8')))).length;
+    } catch (err) {
+      valid = false;
+    }
+    backups.push({
+      file,
+      path: backupPath,
+      timestamp: parseTimestamp(match[1]).toISOString(),
+      sequence: Number(match[2] || 0),
+      size: stat.size,
+      server_count: serverCount,
+      valid,
+    });
+  }
+
+  // Newest first
+  return backups.sort((a, b) => b.timestamp.localeCompare(a.timestamp) || b.sequence - a.sequence);
+}
+
+// Accepts a file name, a full path, a timestamp prefix, or nothing for the newest backup
+export async function findBackup(configPath, client, backup) {
+  const backups = await listBackups(configPath, client);
+  if (backups.length === 0) {
+    throw new Error(`No backups found for ${configPath}`);
+  }
+  if (!backup) {
+    return backups[0];
+  }
+  const found = backups.find(entry =>
+    entry.file === backup
+    || entry.path === path.resolve(backup)
+    || entry.file.includes(`.backup.${backup}`)
+    || entry.timestamp.startsWith(backup)
+  );
+  if (!found) {
+    throw new Error(`Backup "${backup}" not found. Available: ${backups.map(entry => entry.file).join(', ')}`);
+  }
+  return found;
+}
+
+// Removes a backup that breaks either limit: beyond the newest `keep`, or older than maxAgeDays
+export async function pruneBackups(configPath, client, { keep, maxAgeDays, dryRun = false }) {
+  if (keep === undefined && maxAgeDays === undefined) {
+    throw new Error('Specify a retention policy: keep (count) and/or max_age_days');
+  }
+  const backups = await listBackups(configPath, client);
+  const cutoff = maxAgeDays !== undefined ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+  const removed = [];
+  const kept = [];
+  backups.forEach((backup, index) => {
+    const overCount = keep !== undefined && index >= keep;
+    const tooOld = cutoff !== null && Date.parse(backup.timestamp) < cutoff;
+    (overCount || tooOld ? removed : kept).push(backup);
+  });
+
+  if (!dryRun) {
+    for (const backup of removed) {
+      await fs.rm(backup.path, { force: true });
+    }
+  }
+  return { removed, kept };
+}
@@ -0,0 +1,463 @@
+import { spawn } from 'child_process';
+import { CLIENT_NAMES, SCOPES } from './config-paths.js';
+import { SANDBOX_TYPES } from './sandbox.js';
+import { getSecretsFile, hasReference, resolveHeaderReferences } from './secrets.js';
+
+// Command-line front end. `wx-gh-mcp-reg-tool <command>` runs the same handlers
+// as the MCP tools and prints their results as tables, or unchanged with --json.
+// Exit codes: 0 success, 1 the operation failed (or doctor found problems), 2 usage error.
+
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1;
+export const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+const CONFIG_OPTIONS = {
+  client: { type: 'string', description: `MCP client config to use: ${CLIENT_NAMES.join(', ')}` },
+  'config-path': { type: 'string', description: 'Explicit config file path' },
+  scope: { type: 'string', description: `Config scope: ${SCOPES.join(', ')}` },
+  'project-dir': { type: 'string', description: 'Project directory for --scope project' },
+};
+
+const REGISTRY_OPTIONS = {
+  limit: { type: 'number', description: 'Results per page' },
+  offset: { type: 'number', description: 'Skip this many results' },
+  category: { type: 'string', description: 'Only this category (official, community, reference, ...)' },
+  sort: { type: 'string', description: 'Result order (relevance, registry, name, stars, pushed)' },
+  source: { type: 'string', description: 'Only this registry source id' },
+  offline: { type: 'boolean', description: 'Use the cached registry only' },
+};
+
+// "NAME=value" (env) or "Name: value" / "Name=value" (headers) into an object
+function pairs(values, option) {
+  const result = {};
+  for (const value of values || []) {
+    const match = value.match(/^([^=:]+?)\s*[=:]\s*(.*)$/);
+    if (!match) {
+      throw new UsageError(`--${option} takes NAME=value, got "${value}"`);
+    }
+    result[match[1]] = match[2];
+  }
+  return result;
+}
+
+// Option names are kebab-case on the command line and snake_case for the handlers
+function handlerArgs(options, names) {
+  const args = {};
+  for (const name of names) {
+    if (options[name] !== undefined) {
+      args[name.replace(/-/g, '_')] = options[name];
+    }
+  }
+  return args;
+}
+
+function parseArguments(argv, specs) {
+  const options = {};
+  const positionals = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    let name = eq >= 0 ? arg.slice(2, eq) : arg.slice(2);
+    const inline = eq >= 0 ? arg.slice(eq + 1) : undefined;
+    let negated = false;
+    if (!specs[name] && name.startsWith('no-') && specs[name.slice(3)]?.type === 'boolean') {
+      name = name.slice(3);
+      negated = true;
+    }
+    const spec = specs[name];
+    if (!spec) {
+      throw new UsageError(`Unknown option --${name}`);
+    }
+    if (spec.type === 'boolean') {
+      if (inline !== undefined) {
+        throw new UsageError(`--${name} does not take a value`);
+      }
+      options[name] = !negated;
+      continue;
+    }
+
+    const raw = inline !== undefined ? inline : argv[++i];
+    if (raw === undefined) {
+      throw new UsageError(`--${name} needs a value`);
+    }
+    let value = raw;
+    if (spec.type === 'number') {
+      value = Number(raw);
+      if (!Number.isFinite(value)) {
+        throw new UsageError(`--${name} takes a number, got "${raw}"`);
+      }
+    }
+    if (spec.multiple) {
+      options[name] = [...(options[name] || []), value];
+    } else {
+      options[name] = value;
+    }
+  }
+  return { options, positionals };
+}
+
+function truncate(text, width) {
+  const value = String(text ?? '');
+  return value.length > width ? `${value.slice(0, Math.max(0, width - 1))}…` : value;
+}
+
+// Plain aligned columns; on a terminal the last column is cut to the window width
+function table(rows, columns) {
+  if (rows.length === 0) {
+    return '';
+  }
+  const cells = rows.map(row => columns.map(column => String(row[column.key] ?? '')));
+  const widths = columns.map((column, i) => Math.max(column.label.length, ...cells.map(row => row[i].length)));
+  if (process.stdout.isTTY && process.stdout.columns) {
+    const fixed = widths.slice(0, -1).reduce((sum, width) => sum + width + 2, 0);
+    widths[widths.length - 1] = Math.max(10, Math.min(widths[widths.length - 1], process.stdout.columns - fixed));
+  }
+  const line = values => values
+    .map((value, i) => (i === values.length - 1 ? truncate(value, widths[i]) : truncate(value, widths[i]).padEnd(widths[i])))
+    .join('  ')
+    .trimEnd();
+  return [line(columns.map(column => column.label.toUpperCase())), ...cells.map(line)].join('\n');
+}
+
+function paging(data, noun) {
+  if (!data.has_more) {
+    return `${data.showing} of ${data.total_results ?? data.total_servers} ${noun}`;
+  }
+  return `${data.showing} of ${data.total_results ?? data.total_servers} ${noun}; next page: --offset ${data.next_offset}`;
+}
+
+function printServers(data, noun) {
+  const rows = (data.servers || []).map(server => ({
+    name: server.name,
+    category: server.category,
+    trust: server.trust?.score,
+    url: server.url,
+    description: server.description,
+  }));
+  return [
+    table(rows, [
+      { key: 'name', label: 'name' },
+      { key: 'category', label: 'category' },
+      { key: 'trust', label: 'trust' },
+      { key: 'url', label: 'url' },
+      { key: 'description', label: 'description' },
+    ]),
+    '',
+    paging(data, noun),
+    ...(data.warnings || []).map(warning => `warning: ${warning}`),
+  ].join('\n');
+}
+
+// Entries from list_installed_servers, or a native server_config (Windsurf: serverUrl)
+function launchSummary(server) {
+  if (server.url || server.serverUrl) {
+    return `${server.transport || server.type || 'http'} ${server.url || server.serverUrl}`;
+  }
+  return [server.command, ...(server.args || [])].join(' ');
+}
+
+const COMMANDS = {
+  search: {
+    usage: 'search <query...> [--limit N] [--offset N] [--category C] [--sort S] [--offline]',
+    summary: 'Search the registry',
+    options: REGISTRY_OPTIONS,
+    async run(app, { options, positionals }) {
+      if (positionals.length === 0) {
+        throw new UsageError('search needs a query, e.g. "search postgres"');
+      }
+      return app.handleSearch({
+        query: positionals.join(' '),
+        ...handlerArgs(options, Object.keys(REGISTRY_OPTIONS)),
+      });
+    },
+    print: data => printServers(data, 'matches'),
+  },
+
+  list: {
+    usage: 'list [--installed] [--limit N] [--offset N] [--category C] [--sort S] [--client C]',
+    summary: 'List registry servers, or with --installed the servers in a client config',
+    options: {
+      installed: { type: 'boolean', description: 'List installed servers instead of the registry' },
+      ...REGISTRY_OPTIONS,
+      ...CONFIG_OPTIONS,
+    },
+    async run(app, { options }) {
+      if (options.installed) {
+        return app.handleListInstalled(handlerArgs(options, Object.keys(CONFIG_OPTIONS)));
+      }
+      return app.handleList(handlerArgs(options, Object.keys(REGISTRY_OPTIONS)));
+    },
+    print(data) {
+      if (!('total_installed' in data)) {
+        return printServers(data, 'servers');
+      }
+      const rows = data.servers.map(server => ({
+        name: server.name,
+        transport: server.transport,
+        sandbox: !server.sandbox ? 'remote' : server.sandbox.isolated ? server.sandbox.type : 'none',
+        launch: launchSummary(server),
+      }));
+      return [
+        `${data.total_installed} server(s) in ${data.config_path} (${data.client})`,
+        ...(rows.length > 0 ? ['', table(rows, [
+          { key: 'name', label: 'name' },
+          { key: 'transport', label: 'transport' },
+          { key: 'sandbox', label: 'sandbox' },
+          { key: 'launch', label: 'launch' },
+        ])] : []),
+      ].join('\n');
+    },
+  },
+
+  install: {
+    usage: 'install <name> [github_url] [--url URL] [--env NAME=value] [--dry-run] [--client C] ...',
+    summary: 'Install a server from its repository, or a hosted one with --url',
+    options: {
+      url: { type: 'string', description: 'Hosted (remote) endpoint to install' },
+      transport: { type: 'string', description: 'Remote transport: http or sse' },
+      header: { type: 'string', multiple: true, description: 'Header for a remote server ("Name: value"), repeatable' },
+      'auth-token': { type: 'string', description: 'Environment variable holding a bearer token' },
+      verify: { type: 'boolean', description: 'Check that a remote server answers (default: on)' },
+      'config-name': { type: 'string', description: 'Name in the config (default: <name>)' },
+      runtime: { type: 'string', description: 'Prefer this runtime (npm, pypi, docker, go, remote)' },
+      version: { type: 'string', description: 'Package version to pin' },
+      pin: { type: 'boolean', description: 'Pin the current release (default: on)' },
+      env: { type: 'string', multiple: true, description: 'Environment variable NAME=value, repeatable' },
+      'store-secrets': { type: 'string', description: 'reference (default) or plaintext' },
+      'always-allow': { type: 'string', multiple: true, description: 'Tool to pre-approve, repeatable' },
+      review: { type: 'boolean', description: 'Review the repository first and refuse above --max-risk' },
+      'max-risk': { type: 'string', description: 'Highest acceptable review risk' },
+      sandbox: { type: 'string', description: `Sandbox: ${SANDBOX_TYPES.join(', ')}` },
+      mount: { type: 'string', multiple: true, description: 'Directory visible in the sandbox ("path" or "path:ro"), repeatable' },
+      network: { type: 'boolean', description: 'Network access inside the sandbox (default: on)' },
+      'env-passthrough': { type: 'string', multiple: true, description: 'Variable passed into the sandbox, repeatable' },
+      image: { type: 'string', description: 'Container image for docker/podman sandboxes' },
+      'dry-run': { type: 'boolean', description: 'Preview the change without writing' },
+      'confirm-token': { type: 'string', description: 'Apply a previewed change' },
+      offline: { type: 'boolean', description: 'No registry lookups or connectivity check' },
+      ...CONFIG_OPTIONS,
+    },
+    async run(app, { options, positionals }) {
+      const [serverName, githubUrl, ...extra] = positionals;
+      if (!serverName || extra.length > 0 || (!githubUrl && !options.url)) {
+        throw new UsageError('install takes <name> and a GitHub URL, or <name> --url <endpoint>');
+      }
+      const args = {
+        server_name: serverName,
+        github_url: githubUrl,
+        ...handlerArgs(options, [
+          'url', 'transport', 'auth-token', 'verify', 'config-name', 'runtime', 'version', 'pin',
+          'store-secrets', 'always-allow', 'review', 'max-risk', 'dry-run', 'confirm-token', 'offline',
+          ...Object.keys(CONFIG_OPTIONS),
+        ]),
+      };
+      if (options.header) args.headers = pairs(options.header, 'header');
+      if (options.env) args.env = pairs(options.env, 'env');
+      if (options.sandbox) {
+        args.sandbox = {
+          type: options.sandbox,
+          network: options.network,
+          mounts: options.mount,
+          env_passthrough: options['env-passthrough'],
+          image: options.image,
+        };
+      } else if (options.mount || options.network !== undefined || options['env-passthrough'] || options.image) {
+        throw new UsageError('--mount, --network, --env-passthrough and --image need --sandbox');
+      }
+      return app.handleInstall(args);
+    },
+    print(data) {
+      const lines = [data.message];
+      if (data.server_config) {
+        lines.push(`  launch: ${launchSummary(data.server_config)}`);
+      }
+      if (data.version?.version) lines.push(`  version: ${data.version.package}@${data.version.version}`);
+      if (data.trust) lines.push(`  trust: ${data.trust.score}${data.trust.flags?.length ? ` (${data.trust.flags.join(', ')})` : ''}`);
+      if (data.review?.risk) lines.push(`  review: ${data.review.risk} risk`);
+      for (const warning of [data.warning, data.trust_warning, data.connectivity_warning, data.secrets_warning, ...(data.sandbox?.warnings || [])]) {
+        if (warning) lines.push(`warning: ${warning}`);
+      }
+      if (data.missing_env?.length > 0) lines.push(`missing env: ${data.missing_env.join(', ')}`);
+      if (data.unified_diff) lines.push('', data.unified_diff.trimEnd());
+      if (data.confirm_token) lines.push('', `Apply with: --confirm-token ${data.confirm_token}`);
+      if (data.backup_path) lines.push(`backup: ${data.backup_path}`);
+      return lines.join('\n');
+    },
+  },
+
+  backup: {
+    usage: 'backup [--client C]',
+    summary: 'Back up a client config',
+    options: CONFIG_OPTIONS,
+    async run(app, { options }) {
+      return app.handleBackup(handlerArgs(options, Object.keys(CONFIG_OPTIONS)));
+    },
+    print: data => `${data.message}: ${data.backup_path}`,
+  },
+
+  doctor: {
+    usage: 'doctor [server...] [--no-handshake] [--timeout-ms N] [--client C]',
+    summary: 'Health-check installed servers (exit code 1 when any check fails)',
+    options: {
+      handshake: { type: 'boolean', description: 'Complete an MCP handshake with each server (default: on)' },
+      'timeout-ms': { type: 'number', description: 'Handshake timeout per server' },
+      ...CONFIG_OPTIONS,
+    },
+    async run(app, { options, positionals }) {
+      return app.handleDoctor({
+        servers: positionals.length > 0 ? positionals : undefined,
+        ...handlerArgs(options, ['handshake', 'timeout-ms', ...Object.keys(CONFIG_OPTIONS)]),
+      });
+    },
+    failed: data => !data.healthy,
+    print(data) {
+      const lines = [`${data.config_path} (${data.client})`, ''];
+      for (const error of data.config_errors || []) {
+        lines.push(`error  config: ${error}`);
+      }
+      for (const server of data.servers || []) {
+        lines.push(`${server.status.padEnd(7)}${server.name}`);
+        for (const check of server.checks || []) {
+          if (check.status === 'ok' || check.status === 'skipped') continue;
+          lines.push(`         ${check.check}: ${check.message}`);
+          if (check.fix) lines.push(`         fix: ${check.fix}`);
+        }
+      }
+      for (const duplicate of data.duplicates || []) {
+        lines.push(`warning duplicates (${duplicate.reason}): ${duplicate.servers.join(', ')}`);
+      }
+      if (data.not_installed) lines.push(`not installed: ${data.not_installed.join(', ')}`);
+      const { ok = 0, warning = 0, error = 0 } = data.summary || {};
+      lines.push('', `${ok} ok, ${warning} warning(s), ${error} error(s)`);
+      return lines.join('\n');
+    },
+  },
+};
+
+// `exec -- <command> [args...]` is the secrets launcher that client configs start
+// servers through (see lib/secrets.js). Env values holding references are filled in
+// from the environment and the secrets file, then the server runs on this process's
+// stdio and its exit code is passed on. Nothing may be written to stdout here.
+async function runExec(argv) {
+  const [separator, command, ...args] = argv;
+  if (separator !== '--' || !command) {
+    process.stderr.write('Usage: wx-gh-mcp-reg-tool exec -- <command> [args...]\n');
+    return EXIT_USAGE;
+  }
+  const referenced = Object.fromEntries(Object.entries(process.env).filter(([, value]) => hasReference(value)));
+  const { headers: resolved, unresolved } = await resolveHeaderReferences(referenced);
+  if (unresolved.length > 0) {
+    process.stderr.write(`warning: no value for ${unresolved.join(', ')} in the environment or ${getSecretsFile()}\n`);
+  }
+
+  const child = spawn(command, args, {
+    stdio: 'inherit',
+    env: { ...process.env, ...resolved },
+    shell: process.platform === 'win32',
+  });
+  const forward = signal => child.kill(signal);
+  process.on('SIGINT', forward);
+  process.on('SIGTERM', forward);
+  return await new Promise((resolve) => {
+    child.on('error', (error) => {
+      process.stderr.write(`error: could not start ${command}: ${error.message}\n`);
+      resolve(EXIT_FAILURE);
+    });
+    child.on('exit', (code) => {
+      process.off('SIGINT', forward);
+      process.off('SIGTERM', forward);
+      resolve(code ?? EXIT_FAILURE);
+    });
+  });
+}
+
+function helpText(command) {
+  if (command) {
+    const spec = COMMANDS[command];
+    const options = Object.entries({ ...spec.options, json: { type: 'boolean', description: 'Print the raw JSON result' } })
+      .map(([name, option]) => `  --${name}${option.type === 'boolean' ? '' : ` <${option.type === 'number' ? 'n' : 'value'}>`}`.padEnd(28) + option.description);
+    return [`Usage: wx-gh-mcp-reg-tool ${spec.usage}`, '', spec.summary, '', 'Options:', ...options].join('\n');
+  }
+  return [
+    'Usage: wx-gh-mcp-reg-tool [command] [options]',
+    '',
+    'Without a command (or with "serve") the MCP server runs on stdio.',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, spec]) => `  ${name.padEnd(10)}${spec.summary}`),
+    `  ${'exec'.padEnd(10)}Start a server with its secrets filled in (used by client configs)`,
+    '',
+    'Add --json for the raw result and --help after a command for its options.',
+    'Exit codes: 0 success, 1 failure, 2 usage error.',
+  ].join('\n');
+}
+
+// Runs one command against the MCP server's handlers; resolves to the exit code
+export async function runCli(app, argv, { version } = {}) {
+  const [command, ...rest] = argv;
+  if (command === 'help' || command === '--help' || command === '-h') {
+    const topic = COMMANDS[rest[0]] ? rest[0] : undefined;
+    process.stdout.write(`${helpText(topic)}\n`);
+    return EXIT_OK;
+  }
+  if (command === '--version' || command === '-v') {
+    process.stdout.write(`${version}\n`);
+    return EXIT_OK;
+  }
+  if (command === 'exec') {
+    return await runExec(rest);
+  }
+  const spec = COMMANDS[command];
+  if (!spec) {
+    process.stderr.write(`Unknown command "${command}"\n\n${helpText()}\n`);
+    return EXIT_USAGE;
+  }
+
+  let json = false;
+  try {
+    const { options, positionals } = parseArguments(rest, { ...spec.options, json: { type: 'boolean' } });
+    json = Boolean(options.json);
+    if (options.help) {
+      process.stdout.write(`${helpText(command)}\n`);
+      return EXIT_OK;
+    }
+    if (options.client && !CLIENT_NAMES.includes(options.client)) {
+      throw new UsageError(`Unknown client "${options.client}". Expected one of: ${CLIENT_NAMES.join(', ')}`);
+    }
+
+    const response = await spec.run(app, { options, positionals });
+    const data = JSON.parse(response.content[0].text);
+    const failed = data.success === false || Boolean(spec.failed?.(data));
+    if (json) {
+      process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+    } else if (data.success === false) {
+      process.stderr.write(`error: ${data.error}\n`);
+    } else {
+      process.stdout.write(`${spec.print(data)}\n`);
+    }
+    return failed ? EXIT_FAILURE : EXIT_OK;
+  } catch (error) {
+    const usage = error instanceof UsageError;
+    if (json && !usage) {
+      process.stdout.write(`${JSON.stringify({ success: false, error: error.message }, null, 2)}\n`);
+    } else {
+      process.stderr.write(`error: ${error.message}\n${usage ? `\nUsage: wx-gh-mcp-reg-tool ${spec.usage}\n` : ''}`);
+    }
+    return usage ? EXIT_USAGE : EXIT_FAILURE;
+  }
+}
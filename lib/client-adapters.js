@@ -0,0 +1,321 @@
+import { CLIENT_NAMES } from './config-paths.js';
+import { findUnresolvedReferences, unwrapLauncher, wrapLauncher } from './secrets.js';
+
+// Each MCP client stores servers in its own shape. Adapters translate between
+// the client's native entries and a common normalized entry:
+//   { transport: 'stdio' | 'http' | 'sse', command, args, env, url, headers, tools, secrets }
+// Unknown keys on native entries are preserved when an entry is updated in place.
+// secrets: true starts the server's command through this tool's secrets launcher
+// (see lib/secrets.js); the launcher is added and removed here, so everything else
+// sees the server's own command.
+//
+// secretReferences is what a client resolves in env and header values: "input"
+// (VS Code prompts for ${input:ID} and expands ${env:NAME}), "env" (${env:NAME}
+// from the client's environment) or "none" (values are passed literally).
+
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
+}
+
+function nonEmpty(obj) {
+  return obj && Object.keys(obj).length > 0 ? obj : undefined;
+}
+
+function remoteTransport(type) {
+  return type === 'sse' ? 'sse' : 'http';
+}
+
+class ClientAdapter {
+  constructor({ client, serversKey = 'mcpServers', supportsTools = false, supportsAlwaysAllow = false, secretReferences = 'none', stdioRemotes = false }) {
+    this.client = client;
+    this.serversKey = serversKey;
+    this.supportsTools = supportsTools;
+    this.supportsAlwaysAllow = supportsAlwaysAllow;
+    this.secretReferences = secretReferences;
+    // Remote servers are written as a local proxy command, which the launcher can wrap
+    this.stdioRemotes = stdioRemotes;
+  }
+
+  emptyConfig() {
+    return { [this.serversKey]: {} };
+  }
+
+  getServers(config) {
+    return config[this.serversKey] || {};
+  }
+
+  hasServer(config, name) {
+    return Object.prototype.hasOwnProperty.call(this.getServers(config), name);
+  }
+
+  getServer(config, name) {
+    const raw = this.getServers(config)[name];
+    return raw ? this.fromNative(raw) : undefined;
+  }
+
+  setServer(config, name, entry) {
+    config[this.serversKey] = config[this.serversKey] || {};
+    config[this.serversKey][name] = this.toNative(entry);
+    return config[this.serversKey][name];
+  }
+
+  // Applies normalized changes to an existing entry without dropping client-specific keys
+  updateServer(config, name, changes) {
+    const raw = this.getServers(config)[name];
+    const updated = { ...this.fromNative(raw), ...changes };
+    const native = this.toNative(updated);
+    const stale = ['command', 'args', 'env', 'url', 'serverUrl', 'headers'].filter(key => !(key in native));
+    const merged = { ...raw, ...native };
+    for (const key of stale) {
+      delete merged[key];
+    }
+    config[this.serversKey][name] = merged;
+    return merged;
+  }
+
+  removeServer(config, name) {
+    const removed = this.getServers(config)[name];
+    delete config[this.serversKey][name];
+    return removed;
+  }
+
+  // Prompted inputs that ${input:ID} references resolve to; only VS Code has them
+  getInputs() {
+    return [];
+  }
+
+  addInputs(config, inputs) {
+    if (inputs.length > 0) {
+      throw new Error(`${this.client} configs have no inputs`);
+    }
+  }
+
+  toNative(entry) {
+    const native = this.nativeEntry(entry);
+    return entry.secrets && native.command ? { ...native, ...wrapLauncher(native.command, native.args) } : native;
+  }
+
+  fromNative(raw) {
+    const inner = unwrapLauncher(raw.command, raw.args);
+    return inner ? { ...this.normalizedEntry({ ...raw, ...inner }), secrets: true } : this.normalizedEntry(raw);
+  }
+
+  // Generic shape shared by Claude Desktop (stdio) and Cursor
+  nativeEntry(entry) {
+    if (entry.transport === 'http' || entry.transport === 'sse') {
+      return compact({ url: entry.url, headers: nonEmpty(entry.headers) });
+    }
+    return compact({ command: entry.command, args: entry.args || [], env: nonEmpty(entry.env) });
+  }
+
+  normalizedEntry(raw) {
+    if (raw.url) {
+      return compact({ transport: remoteTransport(raw.type), url: raw.url, headers: raw.headers || {} });
+    }
+    return compact({ transport: 'stdio', command: raw.command, args: raw.args || [], env: raw.env || {} });
+  }
+}
+
+class CopilotAdapter extends ClientAdapter {
+  constructor() {
+    super({ client: 'copilot', supportsTools: true, supportsAlwaysAllow: true });
+  }
+
+  emptyConfig() {
+    return { mcpServers: {}, alwaysAllow: [] };
+  }
+
+  nativeEntry(entry) {
+    if (entry.transport === 'http' || entry.transport === 'sse') {
+      return compact({
+        type: entry.transport,
+        url: entry.url,
+        headers: nonEmpty(entry.headers),
+        tools: entry.tools || [],
+      });
+    }
+    return compact({
+      type: 'local',
+      command: entry.command,
+      args: entry.args || [],
+      env: nonEmpty(entry.env),
+      tools: entry.tools || [],
+    });
+  }
+
+  normalizedEntry(raw) {
+    return compact({ ...super.normalizedEntry(raw), tools: raw.tools || [] });
+  }
+}
+
+// Claude Desktop only launches stdio servers, so remote ones go through the
+// mcp-remote proxy. Header values travel in env (MCP_REMOTE_<HEADER>) and are
+// substituted by mcp-remote, which keeps spaces in values out of the args.
+const MCP_REMOTE_PACKAGE = 'mcp-remote';
+const MCP_REMOTE_TRANSPORTS = { http: 'http-only', sse: 'sse-only' };
+
+function headerVariable(name) {
+  return `MCP_REMOTE_${name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+}
+
+// The remote entry an "npx -y mcp-remote <url> [--transport t] [--header N:v]..."
+// entry stands for, or null for anything else (including unknown flags)
+function parseMcpRemote(raw) {
+  if (!/(^|[\\/])npx(\.cmd)?$/.test(raw.command || '') || !Array.isArray(raw.args)) {
+    return null;
+  }
+  const args = raw.args.filter(arg => arg !== '-y' && arg !== '--yes');
+  if (!/^mcp-remote(@[^/]+)?$/.test(args[0] || '') || !/^https?:\/\//i.test(args[1] || '')) {
+    return null;
+  }
+  const entry = { transport: 'http', url: args[1], headers: {} };
+  for (let i = 2; i < args.length; i += 2) {
+    const value = args[i + 1];
+    if (args[i] === '--transport' && value) {
+      entry.transport = value.startsWith('sse') ? 'sse' : 'http';
+    } else if (args[i] === '--header' && value && value.includes(':')) {
+      const name = value.slice(0, value.indexOf(':')).trim();
+      const header = value.slice(value.indexOf(':') + 1).trim();
+      const variable = header.match(/^\$\{([A-Za-z_][A-Za-z0-9_]*)\}$/);
+      entry.headers[name] = variable && raw.env?.[variable[1]] !== undefined ? raw.env[variable[1]] : header;
+    } else {
+      return null;
+    }
+  }
+  return entry;
+}
+
+class ClaudeDesktopAdapter extends ClientAdapter {
+  constructor() {
+    super({ client: 'claude-desktop', stdioRemotes: true });
+  }
+
+  nativeEntry(entry) {
+    if (entry.transport === 'http' || entry.transport === 'sse') {
+      const headers = Object.entries(entry.headers || {});
+      return compact({
+        command: 'npx',
+        args: [
+          '-y', MCP_REMOTE_PACKAGE, entry.url,
+          '--transport', MCP_REMOTE_TRANSPORTS[entry.transport],
+          ...headers.flatMap(([name]) => ['--header', `${name}:\${${headerVariable(name)}}`]),
+        ],
+        env: nonEmpty(Object.fromEntries(headers.map(([name, value]) => [headerVariable(name), value]))),
+      });
+    }
+    return super.nativeEntry(entry);
+  }
+
+  normalizedEntry(raw) {
+    return parseMcpRemote(raw) || super.normalizedEntry(raw);
+  }
+}
+
+class VSCodeAdapter extends ClientAdapter {
+  constructor() {
+    super({ client: 'vscode', serversKey: 'servers', secretReferences: 'input' });
+  }
+
+  emptyConfig() {
+    return { servers: {}, inputs: [] };
+  }
+
+  getInputs(config) {
+    return Array.isArray(config.inputs) ? config.inputs : [];
+  }
+
+  // Declares inputs, replacing any with the same id
+  addInputs(config, inputs) {
+    if (inputs.length === 0) {
+      return;
+    }
+    const ids = new Set(inputs.map(input => input.id));
+    config.inputs = [...this.getInputs(config).filter(input => !ids.has(input.id)), ...inputs];
+  }
+
+  nativeEntry(entry) {
+    if (entry.transport === 'http' || entry.transport === 'sse') {
+      return compact({ type: entry.transport, url: entry.url, headers: nonEmpty(entry.headers) });
+    }
+    return compact({ type: 'stdio', command: entry.command, args: entry.args || [], env: nonEmpty(entry.env) });
+  }
+}
+
+class WindsurfAdapter extends ClientAdapter {
+  constructor() {
+    super({ client: 'windsurf', secretReferences: 'env' });
+  }
+
+  nativeEntry(entry) {
+    if (entry.transport === 'http' || entry.transport === 'sse') {
+      return compact({ serverUrl: entry.url, headers: nonEmpty(entry.headers) });
+    }
+    return super.nativeEntry(entry);
+  }
+
+  normalizedEntry(raw) {
+    if (raw.serverUrl) {
+      return { transport: 'http', url: raw.serverUrl, headers: raw.headers || {} };
+    }
+    return super.normalizedEntry(raw);
+  }
+}
+
+const ADAPTERS = {
+  copilot: new CopilotAdapter(),
+  'claude-desktop': new ClaudeDesktopAdapter(),
+  vscode: new VSCodeAdapter(),
+  cursor: new ClientAdapter({ client: 'cursor', secretReferences: 'env' }),
+  windsurf: new WindsurfAdapter(),
+};
+
+export function getAdapter(client) {
+  const adapter = ADAPTERS[client];
+  if (!adapter) {
+    throw new Error(`No config adapter for client "${client}". Expected one of: ${CLIENT_NAMES.join(', ')}`);
+  }
+  return adapter;
+}
+
+// Converts every (or the selected) server of one client's config into another client's
+// shape. inputs are the source's VS Code inputs the converted entries reference, for a
+// target that declares them; references the target cannot resolve are warned about.
+export function convertServers(fromClient, config, toClient, serverNames) {
+  const from = getAdapter(fromClient);
+  const to = getAdapter(toClient);
+  const servers = from.getServers(config);
+  const names = serverNames && serverNames.length > 0 ? serverNames : Object.keys(servers);
+
+  const converted = {};
+  const inputs = [];
+  const missing = [];
+  const warnings = [];
+  for (const name of names) {
+    if (!servers[name]) {
+      missing.push(name);
+      continue;
+    }
+    const entry = from.fromNative(servers[name]);
+    if (entry.tools && entry.tools.length > 0 && !to.supportsTools) {
+      warnings.push(`"${name}": ${toClient} has no per-server tools list, dropped tools filter`);
+    }
+    converted[name] = to.toNative(entry);
+
+    const values = { ...entry.env, ...entry.headers };
+    const referenced = from.getInputs(config)
+      .filter(input => Object.values(values).some(value => String(value).includes(`\${input:${input.id}}`)));
+    if (to.secretReferences === 'input') {
+      inputs.push(...referenced.filter(input => !inputs.includes(input)));
+    }
+    const unresolved = findUnresolvedReferences(values, {
+      client: toClient,
+      references: to.secretReferences,
+      inputs: to.secretReferences === 'input' ? referenced : [],
+    });
+    for (const item of unresolved) {
+      warnings.push(`"${name}": ${item.name} will not resolve (${item.reason})`);
+    }
+  }
+
+  return { converted, inputs, missing, warnings };
+}
@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import { maskServers } from './secrets.js';
+
+// Structured and unified diffs of config changes, plus the confirm tokens that
+// tie a previewed change to the exact file contents it was computed from.
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// JSON-Pointer addressed add/remove/replace operations; arrays are compared whole
+export function diffJson(before, after, basePath = '') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const changes = [];
+    for (const key of Object.keys(before)) {
+      const pointer = `${basePath}/${escapePointer(key)}`;
+      if (!(key in after)) {
+        changes.push({ op: 'remove', path: pointer, old_value: before[key] });
+      } else {
+        changes.push(...diffJson(before[key], after[key], pointer));
+      }
+    }
+    for (const key of Object.keys(after)) {
+      if (!(key in before)) {
+        changes.push({ op: 'add', path: `${basePath}/${escapePointer(key)}`, value: after[key] });
+      }
+    }
+    return changes;
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+  if (before === undefined) {
+    return [{ op: 'add', path: basePath || '/', value: after }];
+  }
+  return [{ op: 'replace', path: basePath || '/', old_value: before, value: after }];
+}
+
+// Line-level LCS; config files are small enough for the quadratic table
+function diffLines(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i], i: i++, j: j++ });
+    } else if (i < a.length && (j === b.length || table[i + 1][j] >= table[i][j + 1])) {
+      ops.push({ type: '-', line: a[i], i: i++, j });
+    } else {
+      ops.push({ type: '+', line: b[j], i, j: j++ });
+    }
+  }
+  return ops;
+}
+
+export function unifiedDiff(beforeText, afterText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  const a = beforeText ? beforeText.replace(/\n$/, '').split('\n') : [];
+  const b = afterText ? afterText.replace(/\n$/, '').split('\n') : [];
+  const ops = diffLines(a, b);
+  if (!ops.some(op => op.type !== ' ')) {
+    return '';
+  }
+
+  // Group changes into hunks with surrounding context
+  const hunks = [];
+  let current = null;
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length, index + context + 1);
+    if (current && start <= current.end) {
+      current.end = end;
+    } else {
+      current = { start, end };
+      hunks.push(current);
+    }
+  });
+
+  const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const hunk of hunks) {
+    const slice = ops.slice(hunk.start, hunk.end);
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    const oldStart = oldCount ? slice[0].i + 1 : slice[0].i;
+    const newStart = newCount ? slice[0].j + 1 : slice[0].j;
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    lines.push(...slice.map(op => `${op.type}${op.line}`));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Structured plus unified diff of two configs, computed on masked copies so
+// secrets never reach a tool response
+export function diffConfigs(before, after, { serversKey, fromFile, toFile }) {
+  const mask = (config) => config && config[serversKey]
+    ? { ...config, [serversKey]: maskServers(config[serversKey]) }
+    : config;
+  const maskedBefore = before ? mask(before) : {};
+  const maskedAfter = mask(after);
+  return {
+    changes: diffJson(maskedBefore, maskedAfter),
+    unified_diff: unifiedDiff(
+      before ? JSON.stringify(maskedBefore, null, 2) : '',
+      JSON.stringify(maskedAfter, null, 2),
+      { fromFile: before ? fromFile : '/dev/null', toFile }
+    ),
+  };
+}
+
+function hash(text) {
+  return crypto.createHash('sha256').update(text ?? '').digest('hex');
+}
+
+// Same tool, same file, same starting contents and same result => same token
+export function createConfirmToken({ tool, configPath, beforeText, afterText }) {
+  return hash([tool, configPath, hash(beforeText), hash(afterText)].join('\n')).slice(0, 32);
+}
+
+export function isConfirmRequired() {
+  return ['1', 'true', 'yes'].includes(String(process.env.WX_MCP_REQUIRE_CONFIRM || '').toLowerCase());
+}
@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Known MCP clients, where each one keeps its user-level config file and, for
+// clients that read one, the per-project config inside a repository.
+// Paths are resolved lazily so env overrides set at runtime are honored.
+export const CLIENTS = {
+  copilot: {
+    label: 'GitHub Copilot CLI',
+    envVar: 'WX_MCP_COPILOT_CONFIG',
+    resolve: ({ home }) => path.join(home, '.copilot', 'mcp-config.json'),
+    project: root => path.join(root, 'mcp.json'),
+  },
+  'claude-desktop': {
+    label: 'Claude Desktop',
+    envVar: 'WX_MCP_CLAUDE_DESKTOP_CONFIG',
+    resolve: ({ appData }) => path.join(appData, 'Claude', 'claude_desktop_config.json'),
+  },
+  vscode: {
+    label: 'Visual Studio Code',
+    envVar: 'WX_MCP_VSCODE_CONFIG',
+    resolve: ({ appData }) => path.join(appData, 'Code', 'User', 'mcp.json'),
+    project: root => path.join(root, '.vscode', 'mcp.json'),
+  },
+  cursor: {
+    label: 'Cursor',
+    envVar: 'WX_MCP_CURSOR_CONFIG',
+    resolve: ({ home }) => path.join(home, '.cursor', 'mcp.json'),
+    project: root => path.join(root, '.cursor', 'mcp.json'),
+  },
+  windsurf: {
+    label: 'Windsurf',
+    envVar: 'WX_MCP_WINDSURF_CONFIG',
+    resolve: ({ home }) => path.join(home, '.codeium', 'windsurf', 'mcp_config.json'),
+    project: root => path.join(root, '.windsurf', 'mcp.json'),
+  },
+};
+
+export const CLIENT_NAMES = Object.keys(CLIENTS);
+export const DEFAULT_CLIENT = 'copilot';
+export const SCOPES = ['user', 'project'];
+
+// Applies to whichever client is targeted, below the per-client variables
+export const CONFIG_PATH_ENV_VAR = 'WX_MCP_CONFIG_PATH';
+
+function homeDir() {
+  return process.env.HOME || process.env.USERPROFILE || os.homedir();
+}
+
+// Per-OS application data directory (%APPDATA%, ~/Library/Application Support, XDG)
+function appDataDir(home) {
+  if (process.platform === 'win32') {
+    return process.env.APPDATA || path.join(home, 'AppData', 'Roaming');
+  }
+  if (process.platform === 'darwin') {
+    return path.join(home, 'Library', 'Application Support');
+  }
+  return process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+}
+
+function expandHome(filePath) {
+  if (filePath === '~' || filePath.startsWith('~/') || filePath.startsWith('~\\')) {
+    return path.join(homeDir(), filePath.slice(1));
+  }
+  return filePath;
+}
+
+// Where this tool keeps its own files (sources list, secrets, profiles)
+export function getToolConfigDir() {
+  if (process.env.WX_MCP_HOME) {
+    return path.resolve(expandHome(process.env.WX_MCP_HOME));
+  }
+  return path.join(appDataDir(homeDir()), 'wx-gh-mcp-reg-tool');
+}
+
+export function getDefaultConfigPath(client) {
+  const home = homeDir();
+  return CLIENTS[client].resolve({ home, appData: appDataDir(home) });
+}
+
+// The repository containing dir (nearest ancestor with .git), or dir itself
+export function findProjectRoot(dir = process.cwd()) {
+  let current = path.resolve(dir);
+  for (;;) {
+    if (fs.existsSync(path.join(current, '.git'))) {
+      return current;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return path.resolve(dir);
+    }
+    current = parent;
+  }
+}
+
+export function getProjectConfigPath(client, projectDir) {
+  if (!CLIENTS[client].project) {
+    throw new Error(`${CLIENTS[client].label} has no per-project config; use scope "user"`);
+  }
+  const root = projectDir ? path.resolve(expandHome(projectDir)) : findProjectRoot();
+  return CLIENTS[client].project(root);
+}
+
+// Resolution order: explicit tool argument, project scope, per-client env var,
+// generic env var, OS default
+export function resolveConfigLocation(args = {}) {
+  const client = args.client || DEFAULT_CLIENT;
+  if (!CLIENTS[client]) {
+    throw new Error(`Unknown client "${client}". Expected one of: ${CLIENT_NAMES.join(', ')}`);
+  }
+  const scope = args.scope || (args.project_dir ? 'project' : 'user');
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`Unknown scope "${scope}". Expected one of: ${SCOPES.join(', ')}`);
+  }
+
+  let configPath = args.config_path;
+  let origin = 'argument';
+  if (!configPath && scope === 'project') {
+    configPath = getProjectConfigPath(client, args.project_dir);
+    origin = 'project';
+  }
+  if (!configPath && process.env[CLIENTS[client].envVar]) {
+    configPath = process.env[CLIENTS[client].envVar];
+    origin = CLIENTS[client].envVar;
+  }
+  if (!configPath && process.env[CONFIG_PATH_ENV_VAR]) {
+    configPath = process.env[CONFIG_PATH_ENV_VAR];
+    origin = CONFIG_PATH_ENV_VAR;
+  }
+  if (!configPath) {
+    configPath = getDefaultConfigPath(client);
+    origin = 'default';
+  }
+
+  return { client, configPath: path.resolve(expandHome(configPath)), origin, scope: origin === 'project' ? 'project' : 'user' };
+}
+
+// A client's per-project config (mcp.json, .vscode/mcp.json, ...) rather than a
+// user-level one; explicit paths count by their shape
+export function isProjectConfigPath(configPath) {
+  const resolved = path.resolve(configPath);
+  if (CLIENT_NAMES.some(client => path.resolve(getDefaultConfigPath(client)) === resolved)) {
+    return false;
+  }
+  const dir = path.dirname(resolved);
+  return Object.values(CLIENTS).some(client => client.project
+    && [dir, path.dirname(dir)].some(root => client.project(root) === resolved));
+}
+
+// User-level configs keep their backups alongside. Project configs live in a
+// repository, so theirs go to backups/<project>-<hash> in this tool's directory
+// instead of the working tree.
+export function getBackupDir(configPath) {
+  const resolved = path.resolve(configPath);
+  if (!isProjectConfigPath(resolved)) {
+    return path.dirname(resolved);
+  }
+  const root = findProjectRoot(path.dirname(resolved));
+  const digest = crypto.createHash('sha256').update(resolved).digest('hex').slice(0, 12);
+  const name = path.basename(root).replace(/[^A-Za-z0-9._-]+/g, '-') || 'project';
+  return path.join(getToolConfigDir(), 'backups', `${name}-${digest}`);
+}
+
+// mcp-config.json -> <backup dir>/mcp-config.backup.<timestamp>.json
+export function getBackupPath(configPath, timestamp) {
+  const ext = path.extname(configPath);
+  const base = path.basename(configPath, ext);
+  return path.join(getBackupDir(configPath), `${base}.backup.${timestamp}${ext || '.json'}`);
+}
@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getAdapter } from './client-adapters.js';
+import { getBackupDir, getBackupPath } from './config-paths.js';
+
+// All config reads and writes go through here. Writes are refused when the file
+// on disk failed to parse, changed since it was read, or the result fails
+// validation; otherwise the old file is backed up and replaced atomically.
+
+const DEFAULT_FORMAT = { indent: 2, eol: '\n', finalNewline: false };
+
+function hash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Strips // and /* */ comments and trailing commas (VS Code mcp.json is JSONC).
+// Both are only recognized outside strings.
+function stripJsonComments(text) {
+  let result = '';
+  let inString = false;
+  let hasComments = false;
+  // Position in result of a comma that may turn out to be trailing
+  let comma = -1;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      result += char;
+      if (char === '\\') {
+        result += text[++i] ?? '';
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      comma = -1;
+      result += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      hasComments = true;
+      while (i < text.length && text[i] !== '\n') i++;
+      result += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      hasComments = true;
+      i += 2;
+      while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i++;
+      i++;
+    } else {
+      if ((char === '}' || char === ']') && comma >= 0) {
+        result = result.slice(0, comma) + result.slice(comma + 1);
+      }
+      if (!/\s/.test(char)) {
+        comma = char === ',' ? result.length : -1;
+      }
+      result += char;
+    }
+  }
+  return { text: result, hasComments };
+}
+
+function detectFormat(text) {
+  const indentMatch = text.match(/^[ \t]+(?=")/m);
+  let indent = DEFAULT_FORMAT.indent;
+  if (indentMatch) {
+    indent = indentMatch[0].startsWith('\t') ? '\t' : indentMatch[0].length;
+  }
+  return {
+    indent,
+    eol: text.includes('\r\n') ? '\r\n' : '\n',
+    finalNewline: /\r?\n$/.test(text),
+  };
+}
+
+export function parseConfigText(text) {
+  return JSON.parse(stripJsonComments(text.replace(/^\uFEFF/, '')).text);
+}
+
+export function serializeConfig(config, format = DEFAULT_FORMAT) {
+  const text = JSON.stringify(config, null, format.indent).replace(/\n/g, format.eol);
+  return format.finalNewline ? text + format.eol : text;
+}
+
+export async function readConfig(configPath, { client, allowMissing = false } = {}) {
+  let text;
+  try {
+    text = await fs.readFile(configPath, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT' && allowMissing) {
+      return {
+        config: getAdapter(client).emptyConfig(),
+        text: null,
+        exists: false,
+        hash: null,
+        format: DEFAULT_FORMAT,
+        hasComments: false,
+      };
+    }
+    throw err;
+  }
+
+  const { text: stripped, hasComments } = stripJsonComments(text.replace(/^\uFEFF/, ''));
+  let config;
+  try {
+    config = stripped.trim() === '' ? getAdapter(client).emptyConfig() : JSON.parse(stripped);
+  } catch (err) {
+    throw new Error(`Refusing to modify ${configPath}: it is not valid JSON (${err.message}). Fix or restore it from a backup first`);
+  }
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Refusing to modify ${configPath}: the top level must be a JSON object`);
+  }
+
+  return {
+    config,
+    text,
+    exists: true,
+    hash: hash(text),
+    format: detectFormat(text),
+    hasComments,
+  };
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function isStringMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+    && Object.values(value).every(item => typeof item === 'string');
+}
+
+// Shape checks for the parts of a config this tool understands; unknown keys are left alone
+export function validateConfig(config, client) {
+  const adapter = getAdapter(client);
+  const errors = [];
+  const servers = config[adapter.serversKey];
+
+  if (servers !== undefined && (servers === null || typeof servers !== 'object' || Array.isArray(servers))) {
+    errors.push(`"${adapter.serversKey}" must be an object`);
+    return errors;
+  }
+
+  for (const [name, entry] of Object.entries(servers || {})) {
+    const where = `${adapter.serversKey}.${name}`;
+    if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    const url = entry.url || entry.serverUrl;
+    if (url !== undefined) {
+      try {
+        new URL(url);
+      } catch (err) {
+        errors.push(`${where}: "${url}" is not a valid URL`);
+      }
+    } else if (typeof entry.command !== 'string' || entry.command.trim() === '') {
+      errors.push(`${where} needs a "command" string or a "url"`);
+    }
+    if (entry.args !== undefined && !isStringArray(entry.args)) {
+      errors.push(`${where}.args must be an array of strings`);
+    }
+    if (entry.env !== undefined && !isStringMap(entry.env)) {
+      errors.push(`${where}.env must map names to string values`);
+    }
+    if (entry.headers !== undefined && !isStringMap(entry.headers)) {
+      errors.push(`${where}.headers must map names to string values`);
+    }
+    if (entry.tools !== undefined && !isStringArray(entry.tools)) {
+      errors.push(`${where}.tools must be an array of strings`);
+    }
+  }
+
+  if (config.alwaysAllow !== undefined) {
+    if (!Array.isArray(config.alwaysAllow)) {
+      errors.push('"alwaysAllow" must be an array');
+    } else {
+      config.alwaysAllow.forEach((item, i) => {
+        if (!item || typeof item.server !== 'string' || typeof item.tool !== 'string') {
+          errors.push(`alwaysAllow[${i}] must be { "server": string, "tool": string }`);
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+function autoBackupEnabled() {
+  return !['0', 'false', 'no'].includes(String(process.env.WX_MCP_AUTO_BACKUP || '').toLowerCase());
+}
+
+// Copies the current file to a timestamped backup without overwriting an existing one
+export async function backupConfigFile(configPath, text) {
+  const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
+  await fs.mkdir(getBackupDir(configPath), { recursive: true });
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const backupPath = getBackupPath(configPath, attempt === 0 ? timestamp : `${timestamp}-${attempt}`);
+    try {
+      await fs.writeFile(backupPath, text, { encoding: 'utf-8', flag: 'wx' });
+      return { backupPath, timestamp };
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        throw err;
+      }
+    }
+  }
+  throw new Error(`Could not find a free backup file name in ${getBackupDir(configPath)}`);
+}
+
+// `mode` fixes the file's permissions from the moment the temp file exists;
+// otherwise an existing file keeps its own and a new one gets the umask default
+export async function writeAtomic(filePath, text, { mode: fixedMode } = {}) {
+  const dir = path.dirname(filePath);
+  await fs.mkdir(dir, { recursive: true });
+  const tempPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+
+  let mode = fixedMode;
+  if (mode === undefined) {
+    try {
+      mode = (await fs.stat(filePath)).mode;
+    } catch (err) {
+      mode = undefined;
+    }
+  }
+
+  const handle = await fs.open(tempPath, 'w', mode);
+  try {
+    await handle.writeFile(text, 'utf-8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (err) {
+    await fs.rm(tempPath, { force: true });
+    throw err;
+  }
+
+  // Persist the rename itself; directories cannot be opened for fsync on Windows
+  if (process.platform !== 'win32') {
+    const dirHandle = await fs.open(dir, 'r');
+    try {
+      await dirHandle.sync();
+    } catch (err) {
+      // Some filesystems reject directory fsync
+    } finally {
+      await dirHandle.close();
+    }
+  }
+}
+
+// loaded is the readConfig() result the change was computed from
+export async function writeConfig(configPath, config, { client, loaded, backup = autoBackupEnabled() }) {
+  const errors = validateConfig(config, client);
+  if (errors.length > 0) {
+    throw new Error(`Refusing to write an invalid config: ${errors.join('; ')}`);
+  }
+
+  // Concurrent modification check against what the change was based on
+  let currentText = null;
+  try {
+    currentText = await fs.readFile(configPath, 'utf-8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const currentHash = currentText === null ? null : hash(currentText);
+  if (currentHash !== loaded.hash) {
+    throw new Error(`${configPath} was modified by another process since it was read; nothing was written. Retry the operation`);
+  }
+
+  const warnings = [];
+  if (loaded.hasComments) {
+    warnings.push('The original file contained comments, which JSON output cannot preserve');
+  }
+
+  let backupPath = null;
+  if (backup && currentText !== null) {
+    ({ backupPath } = await backupConfigFile(configPath, currentText));
+  }
+
+  const text = serializeConfig(config, loaded.format);
+  await writeAtomic(configPath, text);
+  return { backupPath, warnings, hash: hash(text) };
+}
@@ -0,0 +1,321 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { validateConfig } from './config-store.js';
+import { findMissingEnv, findUnresolvedReferences, readSecrets } from './secrets.js';
+import { inspectServer } from './inspector.js';
+
+// Health checks for configured servers. Each check reports
+// { check, status: ok|warning|error|skipped, message, fix? }; a server's status
+// is the worst of its checks.
+
+export const DEFAULT_DOCTOR_TIMEOUT_MS = 15000;
+
+const SEVERITY = { ok: 0, skipped: 0, warning: 1, error: 2 };
+
+// How to get the usual launchers when they are missing
+const COMMAND_HINTS = {
+  npx: 'Install Node.js (https://nodejs.org), which ships npx',
+  node: 'Install Node.js (https://nodejs.org)',
+  npm: 'Install Node.js (https://nodejs.org), which ships npm',
+  uvx: 'Install uv (https://docs.astral.sh/uv/), which ships uvx',
+  uv: 'Install uv (https://docs.astral.sh/uv/)',
+  python: 'Install Python 3 or use uvx to run the package',
+  python3: 'Install Python 3 or use uvx to run the package',
+  docker: 'Install Docker (https://docs.docker.com/get-docker/) and make sure the daemon is running',
+  podman: 'Install Podman (https://podman.io)',
+  bwrap: 'Install bubblewrap (e.g. apt install bubblewrap) or remove the sandbox with update_server_config',
+  firejail: 'Install firejail (e.g. apt install firejail) or remove the sandbox with update_server_config',
+  go: 'Install Go (https://go.dev/dl/)',
+};
+
+const PLACEHOLDER_PATTERN = /^<[^>]*>$|^(your[-_ ]|xxx+$|changeme$|replace[-_ ]?me)/i;
+
+function check(name, status, message, fix) {
+  return fix ? { check: name, status, message, fix } : { check: name, status, message };
+}
+
+function worstStatus(checks) {
+  return checks.reduce((worst, item) => (SEVERITY[item.status] > SEVERITY[worst] ? item.status : worst), 'ok');
+}
+
+function expandHome(value) {
+  return value === '~' || value.startsWith('~/') ? path.join(os.homedir(), value.slice(1)) : value;
+}
+
+async function isExecutable(file) {
+  try {
+    const stat = await fs.stat(file);
+    if (!stat.isFile()) return false;
+    if (process.platform !== 'win32') {
+      await fs.access(file, fs.constants.X_OK);
+    }
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Resolves a command the way a shell would; returns the absolute path or null
+export async function findOnPath(command, { cwd = process.cwd(), env = process.env } = {}) {
+  const extensions = process.platform === 'win32'
+    ? ['', ...(env.PATHEXT || '.EXE;.CMD;.BAT;.COM').split(';').map(ext => ext.toLowerCase())]
+    : [''];
+  const expanded = expandHome(command);
+
+  if (expanded.includes('/') || expanded.includes('\\')) {
+    const candidate = path.resolve(cwd, expanded);
+    for (const ext of extensions) {
+      if (await isExecutable(candidate + ext)) return candidate + ext;
+    }
+    return null;
+  }
+
+  for (const dir of (env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    for (const ext of extensions) {
+      const candidate = path.join(dir, expanded + ext);
+      if (await isExecutable(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+// Arguments that name something on the local filesystem
+export function localPathArgs(args = []) {
+  const paths = [];
+  for (const arg of args) {
+    // --config=/path/file.json
+    const value = arg.startsWith('-') && arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : arg;
+    if (/^(\/|~\/|\.\.?\/|[A-Za-z]:[\\/])/.test(value) && !/^\/\//.test(value)) {
+      paths.push(value);
+    }
+  }
+  return paths;
+}
+
+function launchKey(entry) {
+  if (entry.url) return `url:${entry.url.replace(/\/+$/, '')}`;
+  return `cmd:${[entry.command, ...(entry.args || [])].join('\u0000')}`;
+}
+
+// Entries that launch the same thing, or names that only differ by case
+export function findDuplicates(servers) {
+  const byLaunch = new Map();
+  const byName = new Map();
+  for (const [name, entry] of Object.entries(servers)) {
+    const key = launchKey(entry);
+    byLaunch.set(key, [...(byLaunch.get(key) || []), name]);
+    const folded = name.toLowerCase();
+    byName.set(folded, [...(byName.get(folded) || []), name]);
+  }
+
+  const duplicates = [];
+  for (const names of byLaunch.values()) {
+    if (names.length > 1) duplicates.push({ reason: 'same_launch', servers: names });
+  }
+  for (const names of byName.values()) {
+    if (names.length > 1) duplicates.push({ reason: 'same_name_ignoring_case', servers: names });
+  }
+  return duplicates;
+}
+
+async function checkCommand(entry) {
+  const resolved = await findOnPath(entry.command, { cwd: entry.cwd });
+  if (resolved) {
+    return check('command', 'ok', `${entry.command} found at ${resolved}`);
+  }
+  const base = path.basename(entry.command).replace(/\.(exe|cmd|bat)$/i, '');
+  return check('command', 'error', `${entry.command} was not found on PATH`,
+    COMMAND_HINTS[base] || `Install ${entry.command} or set "command" to its absolute path`);
+}
+
+async function checkPaths(entry) {
+  const results = [];
+  for (const value of localPathArgs(entry.args)) {
+    const target = path.resolve(entry.cwd || process.cwd(), expandHome(value));
+    try {
+      await fs.access(target);
+      results.push(check('path', 'ok', `${value} exists`));
+    } catch (err) {
+      results.push(check('path', 'error', `${value} does not exist`,
+        `Create ${target} or update the server's args with update_server_config`));
+    }
+  }
+  return results;
+}
+
+// references: what the client resolves ({ client, references, inputs, stored }, see findUnresolvedReferences)
+async function checkEnv(name, entry, references) {
+  const results = [];
+  const env = entry.env || {};
+  const { unresolved } = findMissingEnv([], env, references);
+  for (const { name: variable, reference, reason } of unresolved) {
+    results.push(check('env', 'error', `${variable} (${reference}) will not resolve: ${reason}`,
+      `Set the value with update_server_config (server_name: "${name}", new_env: { "${variable}": "..." })`));
+  }
+  const unresolvedNames = new Set(unresolved.map(item => item.name));
+  for (const [variable, value] of Object.entries(env)) {
+    if (unresolvedNames.has(variable)) continue;
+    if (value === '') {
+      results.push(check('env', 'error', `${variable} is empty`,
+        `Set it with update_server_config (server_name: "${name}", new_env: { "${variable}": "..." })`));
+    } else if (PLACEHOLDER_PATTERN.test(value)) {
+      results.push(check('env', 'error', `${variable} still holds the placeholder "${value}"`,
+        `Replace it with update_server_config (server_name: "${name}", new_env: { "${variable}": "..." })`));
+    }
+  }
+  // docker run -e NAME passes NAME through from this environment
+  if (entry.command && /(^|[\\/])(docker|podman)(\.exe)?$/.test(entry.command)) {
+    const args = entry.args || [];
+    for (let i = 0; i < args.length - 1; i++) {
+      if ((args[i] === '-e' || args[i] === '--env') && /^[A-Za-z_][A-Za-z0-9_]*$/.test(args[i + 1])) {
+        const variable = args[i + 1];
+        if (!(variable in env) && process.env[variable] === undefined) {
+          results.push(check('env', 'error', `${variable} is passed to the container but not set`,
+            `Add it to the server's env with update_server_config (server_name: "${name}", new_env: { "${variable}": "..." })`));
+        }
+      }
+    }
+  }
+  if (results.length === 0 && Object.keys(env).length > 0) {
+    results.push(check('env', 'ok', `${Object.keys(env).length} variable(s) set`));
+  }
+  return results;
+}
+
+async function checkRemote(name, entry, references) {
+  const results = [];
+  if (!/^https?:\/\//i.test(entry.url || '')) {
+    results.push(check('url', 'error', `${entry.url} is not an http(s) URL`,
+      `Reinstall the server with install_mcp_server (url: "https://...")`));
+  }
+  for (const { name: header, reference, reason } of findUnresolvedReferences(entry.headers, references)) {
+    results.push(check('headers', 'error', `Header ${header} (${reference}) will not resolve: ${reason}`,
+      `Reinstall the server with install_mcp_server (config_name: "${name}", headers: { "${header}": "..." })`));
+  }
+  if (results.length === 0) {
+    results.push(check('url', 'ok', `Remote ${entry.transport} server at ${entry.url}`));
+  }
+  return results;
+}
+
+async function checkHandshake(entry, timeoutMs) {
+  const result = await inspectServer(entry, { timeoutMs });
+  if (!result.ok) {
+    const lastLine = result.stderr.trim().split('\n').pop();
+    return {
+      check: check('handshake', 'error', `MCP handshake failed: ${result.error}${lastLine ? ` (stderr: ${lastLine})` : ''}`,
+        entry.url
+          ? `Check that ${entry.url} is reachable and that its headers (tokens) are valid; older servers may need transport "sse"`
+          : /timed out/.test(result.error)
+          ? `Run the command by hand to see whether it is waiting on a download or prompt, or retry with a larger timeout_ms`
+          : 'Run the command by hand to see its error output'),
+    };
+  }
+  const info = result.server_info ? `${result.server_info.name} ${result.server_info.version}` : 'server';
+  return {
+    check: check('handshake', 'ok', `${info} answered in ${result.duration_ms}ms with ${result.tools.length} tool(s)`),
+    tools: result.tools.map(tool => tool.name),
+  };
+}
+
+// Runs every check for one normalized entry
+export async function diagnoseServer(name, entry, { handshake = true, timeoutMs = DEFAULT_DOCTOR_TIMEOUT_MS, references } = {}) {
+  const checks = [];
+  let tools;
+
+  if (entry.transport === 'http' || entry.transport === 'sse') {
+    checks.push(...await checkRemote(name, entry, references));
+  } else {
+    checks.push(await checkCommand(entry));
+    checks.push(...await checkPaths(entry));
+    checks.push(...await checkEnv(name, entry, references));
+  }
+
+  if (!handshake) {
+    checks.push(check('handshake', 'skipped', 'Handshake disabled'));
+  } else if (worstStatus(checks) === 'error') {
+    checks.push(check('handshake', 'skipped', 'Skipped until the errors above are fixed'));
+  } else {
+    const result = await checkHandshake(entry, timeoutMs);
+    checks.push(result.check);
+    tools = result.tools;
+  }
+
+  return { name, status: worstStatus(checks), checks, tools };
+}
+
+// Checks a whole client config: shape problems, duplicates, then each server
+export async function runDoctor(config, adapter, { client, servers: only, handshake = true, timeoutMs } = {}) {
+  const shapeErrors = validateConfig(config, client);
+  const prefix = `${adapter.serversKey}.`;
+  const serverErrors = new Map();
+  const configErrors = [];
+  const serverNames = config[adapter.serversKey] && typeof config[adapter.serversKey] === 'object'
+    ? Object.keys(config[adapter.serversKey])
+    : [];
+  for (const error of shapeErrors) {
+    // Errors read "<serversKey>.<name> ..." or "<serversKey>.<name>.<field> ..."
+    const name = serverNames
+      .filter(candidate => error.startsWith(prefix + candidate) && /^([.: ]|$)/.test(error.slice(prefix.length + candidate.length)))
+      .sort((a, b) => b.length - a.length)[0];
+    if (name !== undefined) {
+      serverErrors.set(name, [...(serverErrors.get(name) || []), error]);
+    } else {
+      configErrors.push(error);
+    }
+  }
+
+  const raw = configErrors.some(error => error.startsWith(`"${adapter.serversKey}"`)) ? {} : adapter.getServers(config);
+  const names = Object.keys(raw).filter(name => !only || only.includes(name));
+  const servers = [];
+  const entries = {};
+  const references = {
+    client,
+    references: adapter.secretReferences,
+    inputs: adapter.getInputs(config),
+    stored: Object.keys(await readSecrets()),
+  };
+
+  for (const name of names) {
+    if (serverErrors.has(name)) {
+      servers.push({
+        name,
+        status: 'error',
+        checks: serverErrors.get(name).map(error => check('shape', 'error', error,
+          `Fix the entry by hand or reinstall it with install_mcp_server`)),
+      });
+      continue;
+    }
+    const entry = adapter.fromNative(raw[name]);
+    entries[name] = entry;
+    servers.push(await diagnoseServer(name, entry, { handshake, timeoutMs, references: { ...references, launcher: Boolean(entry.secrets) } }));
+  }
+
+  const duplicates = findDuplicates(entries);
+  for (const duplicate of duplicates) {
+    for (const name of duplicate.servers) {
+      const server = servers.find(item => item.name === name);
+      const others = duplicate.servers.filter(other => other !== name);
+      server.checks.push(check('duplicate', 'warning',
+        duplicate.reason === 'same_launch'
+          ? `Launches the same server as ${others.join(', ')}`
+          : `Name differs only by case from ${others.join(', ')}`,
+        `Remove the extra entry with uninstall_mcp_server`));
+      server.status = worstStatus(server.checks);
+    }
+  }
+
+  const summary = { ok: 0, warning: 0, error: 0 };
+  for (const server of servers) {
+    summary[server.status === 'skipped' ? 'ok' : server.status]++;
+  }
+
+  return {
+    healthy: configErrors.length === 0 && summary.error === 0 && summary.warning === 0,
+    summary,
+    config_errors: configErrors,
+    duplicates,
+    servers,
+  };
+}
@@ -0,0 +1,394 @@
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getCacheDir, normalizeRepoUrl } from './registry-cache.js';
+import { parseGitHubUrl } from './install-recipes.js';
+
+// GitHub API access: authenticated when GITHUB_TOKEN is set, responses cached on
+// disk and revalidated with ETags, and repository metadata fetched in GraphQL batches.
+// WX_MCP_GITHUB_API_URL points everything at GitHub Enterprise or a local mock.
+
+const DEFAULT_API_URL = 'https://api.github.com';
+const DEFAULT_TTL_SECONDS = 3600;
+const BATCH_SIZE = 50;
+const FETCH_TIMEOUT_MS = 15000;
+const METADATA_CACHE_VERSION = 2;
+const RECENT_RELEASES = 10;
+
+export function getGitHubApiUrl() {
+  return (process.env.WX_MCP_GITHUB_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+}
+
+// GitHub Enterprise serves REST at /api/v3 and GraphQL at /api/graphql
+export function getGitHubGraphqlUrl() {
+  if (process.env.WX_MCP_GITHUB_GRAPHQL_URL) {
+    return process.env.WX_MCP_GITHUB_GRAPHQL_URL;
+  }
+  const api = getGitHubApiUrl();
+  return /\/api\/v3$/.test(api) ? api.replace(/\/v3$/, '/graphql') : `${api}/graphql`;
+}
+
+export function getGitHubToken() {
+  return process.env.GITHUB_TOKEN || process.env.GH_TOKEN || null;
+}
+
+export function parseRateLimit(headers) {
+  const limit = headers.get('x-ratelimit-limit');
+  if (limit === null) {
+    return null;
+  }
+  const reset = Number(headers.get('x-ratelimit-reset'));
+  return {
+    limit: Number(limit),
+    remaining: Number(headers.get('x-ratelimit-remaining')),
+    used: headers.get('x-ratelimit-used') !== null ? Number(headers.get('x-ratelimit-used')) : undefined,
+    reset: Number.isFinite(reset) && reset > 0 ? new Date(reset * 1000).toISOString() : undefined,
+    resource: headers.get('x-ratelimit-resource') || undefined,
+  };
+}
+
+function repoKey(owner, repo) {
+  return `${owner}/${repo}`.toLowerCase();
+}
+
+// SPDX id when GitHub recognized the license, its display name otherwise
+function licenseName(spdxId, name) {
+  return spdxId && spdxId !== 'NOASSERTION' ? spdxId : name || null;
+}
+
+// GraphQL string literal
+function quote(value) {
+  return JSON.stringify(String(value));
+}
+
+export class GitHubClient {
+  constructor({ cacheDir = getCacheDir(), ttlSeconds } = {}) {
+    this.cacheDir = path.join(cacheDir, 'github');
+    this.metadataFile = path.join(cacheDir, 'github-metadata.json');
+    const envTtl = Number(process.env.WX_MCP_GITHUB_TTL);
+    this.ttlMs = (ttlSeconds ?? (Number.isFinite(envTtl) && envTtl >= 0 ? envTtl : DEFAULT_TTL_SECONDS)) * 1000;
+    this.rateLimit = null;
+    this.metadata = null;
+  }
+
+  get authenticated() {
+    return Boolean(getGitHubToken());
+  }
+
+  headers(extra = {}) {
+    const headers = {
+      Accept: 'application/vnd.github+json',
+      'User-Agent': 'wx-gh-mcp-reg-tool',
+      ...extra,
+    };
+    const token = getGitHubToken();
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    return headers;
+  }
+
+  async request(url, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, { ...options, signal: controller.signal });
+      this.rateLimit = parseRateLimit(response.headers) || this.rateLimit;
+      return response;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  rateLimitError(response) {
+    const limit = parseRateLimit(response.headers);
+    if ((response.status === 403 || response.status === 429) && limit && limit.remaining === 0) {
+      const hint = this.authenticated ? '' : '. Set GITHUB_TOKEN to raise the limit';
+      return new Error(`GitHub API rate limit exceeded (resets at ${limit.reset})${hint}`);
+    }
+    return null;
+  }
+
+  cacheFile(url) {
+    return path.join(this.cacheDir, `${crypto.createHash('sha256').update(url).digest('hex').slice(0, 32)}.json`);
+  }
+
+  // GET a REST path; returns { status, data, cache }. 404 is returned, not thrown.
+  // Fresh cache entries are served without a request; stale ones are revalidated,
+  // and served as-is if GitHub can't be reached.
+  async rest(apiPath, { offline = false } = {}) {
+    const url = `${getGitHubApiUrl()}${apiPath}`;
+    const file = this.cacheFile(url);
+    let cached = null;
+    try {
+      cached = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (err) {
+      // No cache entry yet
+    }
+
+    if (cached && (offline || Date.now() - Date.parse(cached.fetched_at) < this.ttlMs)) {
+      return { status: cached.status, data: cached.data, cache: 'fresh' };
+    }
+    if (offline) {
+      throw new Error(`Offline mode and nothing cached for ${apiPath}`);
+    }
+
+    let response;
+    try {
+      response = await this.request(url, {
+        headers: this.headers(cached?.etag ? { 'If-None-Match': cached.etag } : {}),
+      });
+    } catch (err) {
+      if (cached) return { status: cached.status, data: cached.data, cache: 'stale' };
+      throw new Error(`Could not reach GitHub: ${err.message}`);
+    }
+
+    if (response.status === 304 && cached) {
+      await this.saveCacheEntry(file, { ...cached, fetched_at: new Date().toISOString() });
+      return { status: cached.status, data: cached.data, cache: 'revalidated' };
+    }
+    const limited = this.rateLimitError(response);
+    if (limited) {
+      if (cached) return { status: cached.status, data: cached.data, cache: 'stale', warning: limited.message };
+      throw limited;
+    }
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`GitHub API ${apiPath} failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = response.status === 404 ? null : await response.json();
+    await this.saveCacheEntry(file, {
+      url,
+      status: response.status,
+      etag: response.headers.get('etag'),
+      fetched_at: new Date().toISOString(),
+      data,
+    });
+    return { status: response.status, data, cache: 'miss' };
+  }
+
+  async saveCacheEntry(file, entry) {
+    try {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+      const temp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(temp, JSON.stringify(entry), 'utf-8');
+      await fs.rename(temp, file);
+    } catch (err) {
+      // Caching is best-effort
+    }
+  }
+
+  async getRepo(owner, repo, options) {
+    const result = await this.rest(`/repos/${owner}/${repo}`, options);
+    if (result.status === 404) {
+      throw new Error(`Repository ${owner}/${repo} not found${this.authenticated ? '' : ' (or it is private; set GITHUB_TOKEN)'}`);
+    }
+    return result;
+  }
+
+  // The README GitHub shows for the default branch (or a given ref), whatever its name
+  async getReadme(owner, repo, { ref, subpath, offline } = {}) {
+    const dir = subpath ? `/${subpath}` : '';
+    const query = ref && ref !== 'HEAD' ? `?ref=${encodeURIComponent(ref)}` : '';
+    const result = await this.rest(`/repos/${owner}/${repo}/readme${dir}${query}`, { offline });
+    if (result.status === 404 || !result.data) {
+      return null;
+    }
+    const { path: readmePath, html_url, encoding, content } = result.data;
+    const text = encoding === 'base64' ? Buffer.from(content, 'base64').toString('utf-8') : String(content || '');
+    return { path: readmePath, html_url, text };
+  }
+
+  // Every path in the repository at ref ({ path, type, size }); truncated is set for very large repos
+  async getTree(owner, repo, { ref = 'HEAD', offline } = {}) {
+    const result = await this.rest(`/repos/${owner}/${repo}/git/trees/${encodeURIComponent(ref)}?recursive=1`, { offline });
+    if (result.status === 404 || !Array.isArray(result.data?.tree)) {
+      return null;
+    }
+    return { sha: result.data.sha, truncated: Boolean(result.data.truncated), entries: result.data.tree };
+  }
+
+  // Text of one file through the contents API (cached like every other call), or null
+  async getFile(owner, repo, filePath, { ref, offline } = {}) {
+    const query = ref && ref !== 'HEAD' ? `?ref=${encodeURIComponent(ref)}` : '';
+    const encoded = filePath.split('/').map(encodeURIComponent).join('/');
+    const result = await this.rest(`/repos/${owner}/${repo}/contents/${encoded}${query}`, { offline });
+    if (result.status === 404 || !result.data || Array.isArray(result.data) || result.data.content === undefined) {
+      return null;
+    }
+    return result.data.encoding === 'base64'
+      ? Buffer.from(result.data.content, 'base64').toString('utf-8')
+      : String(result.data.content);
+  }
+
+  async getLatestRelease(owner, repo, options) {
+    const result = await this.rest(`/repos/${owner}/${repo}/releases/latest`, options);
+    if (result.status === 404 || !result.data) {
+      return null;
+    }
+    return { tag: result.data.tag_name, name: result.data.name, published_at: result.data.published_at, url: result.data.html_url };
+  }
+
+  // The enrichment fields for one repository over REST (works without a token)
+  async getRepoSummary(owner, repo, options) {
+    const { data } = await this.getRepo(owner, repo, options);
+    let releases = [];
+    try {
+      const result = await this.rest(`/repos/${owner}/${repo}/releases?per_page=${RECENT_RELEASES}`, options);
+      releases = Array.isArray(result.data) ? result.data.filter(release => !release.draft) : [];
+    } catch (err) {
+      // Release history is optional
+    }
+    return {
+      stars: data.stargazers_count,
+      forks: data.forks_count,
+      pushed_at: data.pushed_at,
+      archived: Boolean(data.archived),
+      license: data.license ? licenseName(data.license.spdx_id, data.license.name) : null,
+      default_branch: data.default_branch,
+      latest_release: releases[0] ? { tag: releases[0].tag_name, published_at: releases[0].published_at } : null,
+      release_count: releases.length,
+      recent_releases: releases.map(release => release.published_at).filter(Boolean),
+    };
+  }
+
+  async loadMetadata() {
+    if (this.metadata) {
+      return this.metadata;
+    }
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.metadataFile, 'utf-8'));
+      this.metadata = parsed.version === METADATA_CACHE_VERSION ? parsed.repos : {};
+    } catch (err) {
+      this.metadata = {};
+    }
+    return this.metadata;
+  }
+
+  async saveMetadata() {
+    try {
+      await fs.mkdir(path.dirname(this.metadataFile), { recursive: true });
+      const temp = `${this.metadataFile}.${process.pid}.tmp`;
+      await fs.writeFile(temp, JSON.stringify({ version: METADATA_CACHE_VERSION, repos: this.metadata }), 'utf-8');
+      await fs.rename(temp, this.metadataFile);
+    } catch (err) {
+      // Caching is best-effort
+    }
+  }
+
+  async graphql(query) {
+    const response = await this.request(getGitHubGraphqlUrl(), {
+      method: 'POST',
+      headers: this.headers({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ query }),
+    });
+    const limited = this.rateLimitError(response);
+    if (limited) throw limited;
+    if (!response.ok) {
+      throw new Error(`GitHub GraphQL request failed: ${response.status} ${response.statusText}`);
+    }
+    return await response.json();
+  }
+
+  async fetchMetadataBatch(repos) {
+    const fields = repos.map(({ owner, repo }, i) => `r${i}: repository(owner: ${quote(owner)}, name: ${quote(repo)}) {
+    stargazerCount
+    forkCount
+    pushedAt
+    isArchived
+    licenseInfo { spdxId name }
+    defaultBranchRef { name }
+    latestRelease { tagName publishedAt }
+    releases(first: ${RECENT_RELEASES}, orderBy: { field: CREATED_AT, direction: DESC }) { totalCount nodes { publishedAt } }
+  }`);
+    const { data, errors } = await this.graphql(`query {\n  ${fields.join('\n  ')}\n  rateLimit { remaining resetAt }\n}`);
+    if (!data) {
+      throw new Error(`GitHub GraphQL error: ${(errors || []).map(error => error.message).join('; ') || 'no data returned'}`);
+    }
+    return repos.map((_, i) => data[`r${i}`] || null);
+  }
+
+  // Stars, last push, archived, license and latest release for many repositories.
+  // Returns a Map keyed by normalized repo URL plus a status summary. Needs a token
+  // (GitHub's GraphQL API rejects anonymous calls); cached entries are used regardless.
+  async getRepoMetadata(urls, { offline = false } = {}) {
+    const cache = await this.loadMetadata();
+    const results = new Map();
+    const toFetch = [];
+    const seen = new Set();
+
+    for (const url of urls) {
+      const parsed = parseGitHubUrl(url);
+      if (!parsed) continue;
+      const key = repoKey(parsed.owner, parsed.repo);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const entry = cache[key];
+      if (entry && (offline || !this.authenticated || Date.now() - Date.parse(entry.fetched_at) < this.ttlMs)) {
+        if (entry.data) results.set(normalizeRepoUrl(url), entry.data);
+      } else {
+        toFetch.push({ ...parsed, key, url });
+      }
+    }
+
+    const status = { cached: results.size, fetched: 0, not_found: 0, skipped: 0, warnings: [] };
+    if (toFetch.length > 0 && (offline || !this.authenticated)) {
+      status.skipped = toFetch.length;
+      status.warnings.push(offline
+        ? `Offline mode: ${toFetch.length} repositories have no cached metadata`
+        : `Set GITHUB_TOKEN to fetch metadata for ${toFetch.length} repositories (GitHub's GraphQL API requires authentication)`);
+      return { metadata: results, status };
+    }
+
+    for (let i = 0; i < toFetch.length; i += BATCH_SIZE) {
+      const batch = toFetch.slice(i, i + BATCH_SIZE);
+      let nodes;
+      try {
+        nodes = await this.fetchMetadataBatch(batch);
+      } catch (err) {
+        status.skipped += toFetch.length - i;
+        status.warnings.push(err.message);
+        break;
+      }
+      const fetchedAt = new Date().toISOString();
+      batch.forEach((repo, j) => {
+        const node = nodes[j];
+        const data = node ? {
+          stars: node.stargazerCount,
+          forks: node.forkCount,
+          pushed_at: node.pushedAt,
+          archived: node.isArchived,
+          license: node.licenseInfo ? licenseName(node.licenseInfo.spdxId, node.licenseInfo.name) : null,
+          default_branch: node.defaultBranchRef?.name || null,
+          latest_release: node.latestRelease ? { tag: node.latestRelease.tagName, published_at: node.latestRelease.publishedAt } : null,
+          release_count: node.releases?.totalCount ?? 0,
+          recent_releases: (node.releases?.nodes || []).map(release => release.publishedAt).filter(Boolean),
+        } : null;
+        cache[repo.key] = { fetched_at: fetchedAt, data };
+        if (data) {
+          results.set(normalizeRepoUrl(repo.url), data);
+          status.fetched++;
+        } else {
+          status.not_found++;
+        }
+      });
+    }
+
+    if (status.fetched > 0 || status.not_found > 0) {
+      await this.saveMetadata();
+    }
+    return { metadata: results, status };
+  }
+}
+
+// The metadata fields shown on search/list results (undefined when not enriched)
+export function repoMetadataFields(server) {
+  return {
+    stars: server.stars,
+    pushed_at: server.pushed_at,
+    archived: server.archived,
+    license: server.license,
+    latest_release: server.latest_release,
+  };
+}
@@ -0,0 +1,185 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport, getDefaultEnvironment } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { resolveEnvReferences, resolveHeaderReferences } from './secrets.js';
+
+// Launches a configured server over stdio (or connects to a remote one over
+// Streamable HTTP or SSE), performs the MCP handshake and lists what it
+// exposes. The child process or session is always torn down afterwards.
+
+export const DEFAULT_INSPECT_TIMEOUT_MS = 30000;
+const MAX_STDERR_BYTES = 16 * 1024;
+const MAX_PAGES = 20;
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function listAll(fetchPage, key) {
+  const items = [];
+  let cursor;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const result = await fetchPage(cursor ? { cursor } : undefined);
+    items.push(...(result[key] || []));
+    cursor = result.nextCursor;
+    if (!cursor) break;
+  }
+  return items;
+}
+
+export function createTransport(entry, env, headers = {}) {
+  if (entry.transport === 'http' || entry.transport === 'sse') {
+    let url;
+    try {
+      url = new URL(entry.url);
+    } catch (err) {
+      throw new Error(`Invalid server URL "${entry.url}"`);
+    }
+    const Transport = entry.transport === 'sse' ? SSEClientTransport : StreamableHTTPClientTransport;
+    return new Transport(url, { requestInit: { headers } });
+  }
+  if (entry.transport && entry.transport !== 'stdio') {
+    throw new Error(`Cannot connect to a ${entry.transport} server`);
+  }
+  if (!entry.command) {
+    throw new Error('Server entry has no command to launch');
+  }
+  return new StdioClientTransport({
+    command: entry.command,
+    args: entry.args || [],
+    env: { ...getDefaultEnvironment(), ...env },
+    cwd: entry.cwd,
+    stderr: 'pipe',
+  });
+}
+
+// Connects and runs initialize; the caller owns closing the returned client
+export async function connectServer(entry, { timeoutMs = DEFAULT_INSPECT_TIMEOUT_MS } = {}) {
+  const remote = entry.transport === 'http' || entry.transport === 'sse';
+  const { env, unresolved: unresolvedEnv } = remote ? { env: {}, unresolved: [] } : await resolveEnvReferences(entry.env);
+  const { headers, unresolved: unresolvedHeaders } = remote ? await resolveHeaderReferences(entry.headers) : { headers: {}, unresolved: [] };
+  const unresolved = [...unresolvedEnv, ...unresolvedHeaders];
+  const transport = createTransport(entry, env, headers);
+
+  let stderr = '';
+  transport.stderr?.on('data', (chunk) => {
+    if (stderr.length < MAX_STDERR_BYTES) {
+      stderr = (stderr + chunk.toString()).slice(0, MAX_STDERR_BYTES);
+    }
+  });
+
+  const client = new Client({ name: 'wx-gh-registry-inspector', version: '1.0.0' }, { capabilities: {} });
+  try {
+    await withTimeout(client.connect(transport), timeoutMs, 'MCP initialize');
+  } catch (error) {
+    await client.close().catch(() => {});
+    error.stderr = stderr;
+    error.unresolvedEnv = unresolved;
+    throw error;
+  }
+  return { client, unresolvedEnv: unresolved, getStderr: () => stderr };
+}
+
+// Only the initialize handshake, for checking that a remote endpoint answers.
+// With detect on, an http endpoint that fails is retried as SSE (older servers).
+export async function checkConnectivity(entry, { timeoutMs = DEFAULT_INSPECT_TIMEOUT_MS, detect = false } = {}) {
+  const attempts = detect && entry.transport === 'http' ? ['http', 'sse'] : [entry.transport];
+  const errors = [];
+  let unresolved = [];
+  for (const transport of attempts) {
+    const started = Date.now();
+    let connection;
+    try {
+      connection = await connectServer({ ...entry, transport }, { timeoutMs });
+    } catch (error) {
+      errors.push(`${transport}: ${error.message}`);
+      unresolved = error.unresolvedEnv || [];
+      continue;
+    }
+    const { client, unresolvedEnv } = connection;
+    const result = {
+      ok: true,
+      transport,
+      server_info: client.getServerVersion(),
+      protocol_version: client.transport?.protocolVersion,
+      capabilities: client.getServerCapabilities() || {},
+      unresolved_headers: unresolvedEnv,
+      duration_ms: Date.now() - started,
+    };
+    await client.close().catch(() => {});
+    return result;
+  }
+  return { ok: false, transport: entry.transport, error: errors.join('; '), unresolved_headers: unresolved };
+}
+
+export async function inspectServer(entry, { timeoutMs = DEFAULT_INSPECT_TIMEOUT_MS } = {}) {
+  const started = Date.now();
+  let connection;
+  try {
+    connection = await connectServer(entry, { timeoutMs });
+  } catch (error) {
+    return {
+      ok: false,
+      error: error.message,
+      stage: 'initialize',
+      stderr: error.stderr || '',
+      unresolved_env: error.unresolvedEnv || [],
+      duration_ms: Date.now() - started,
+    };
+  }
+
+  const { client, unresolvedEnv, getStderr } = connection;
+  const capabilities = client.getServerCapabilities() || {};
+  const requestOptions = { timeout: timeoutMs };
+  const result = {
+    ok: true,
+    server_info: client.getServerVersion(),
+    capabilities,
+    instructions: client.getInstructions?.(),
+    tools: [],
+    resources: [],
+    resource_templates: [],
+    prompts: [],
+    errors: [],
+  };
+
+  const steps = [
+    ['tools', 'tools', () => listAll(params => client.listTools(params, requestOptions), 'tools')],
+    ['resources', 'resources', () => listAll(params => client.listResources(params, requestOptions), 'resources')],
+    ['resource_templates', 'resources', () => listAll(params => client.listResourceTemplates(params, requestOptions), 'resourceTemplates')],
+    ['prompts', 'prompts', () => listAll(params => client.listPrompts(params, requestOptions), 'prompts')],
+  ];
+  try {
+    for (const [key, capability, run] of steps) {
+      if (!capabilities[capability]) continue;
+      try {
+        result[key] = await run();
+      } catch (error) {
+        result.errors.push({ list: key, error: error.message });
+      }
+    }
+  } finally {
+    await client.close().catch(() => {});
+  }
+
+  return {
+    ...result,
+    tools: result.tools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.inputSchema,
+      annotations: tool.annotations,
+    })),
+    resources: result.resources.map(({ uri, name, description, mimeType }) => ({ uri, name, description, mime_type: mimeType })),
+    resource_templates: result.resource_templates.map(({ uriTemplate, name, description }) => ({ uri_template: uriTemplate, name, description })),
+    prompts: result.prompts.map(({ name, description, arguments: promptArgs }) => ({ name, description, arguments: promptArgs || [] })),
+    unresolved_env: unresolvedEnv,
+    stderr: getStderr(),
+    duration_ms: Date.now() - started,
+  };
+}
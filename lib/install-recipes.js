@@ -0,0 +1,409 @@
+import fetch from 'node-fetch';
+
+// Works out how to launch an MCP server from its repository: server.json,
+// package.json, pyproject.toml, README snippets, Dockerfile and go.mod are
+// inspected in that order of trust, falling back to guessing from the repo name.
+
+const RAW_BASE_URL = 'https://raw.githubusercontent.com';
+const FETCH_TIMEOUT_MS = 10000;
+
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+const SOURCE_RANK = ['known', 'registry', 'server.json', 'package.json', 'pyproject.toml', 'README.md', 'Dockerfile', 'go.mod', 'heuristic'];
+
+export const RUNTIMES = ['npm', 'pypi', 'docker', 'go', 'remote'];
+
+// Repos whose package name cannot be derived from their files
+const KNOWN_RECIPES = {
+  'microsoft/playwright-mcp': { type: 'npm', package: '@playwright/mcp', command: 'npx', args: ['@playwright/mcp@latest'] },
+};
+
+export function parseGitHubUrl(url) {
+  const match = String(url || '').match(/github\.com\/([^/]+)\/([^/#?]+)(?:\/(?:tree|blob)\/([^/]+)(?:\/(.+?))?)?\/?(?:[#?].*)?$/);
+  if (!match) {
+    return null;
+  }
+  const [, owner, repo, ref, subpath] = match;
+  return { owner, repo: repo.replace(/\.git$/, ''), ref: ref || 'HEAD', subpath: subpath ? subpath.replace(/\/$/, '') : '' };
+}
+
+async function fetchText(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    return response.ok ? await response.text() : null;
+  } catch (err) {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function npmRecipe(pkg, version, extra) {
+  return {
+    type: 'npm',
+    package: pkg,
+    version: version || undefined,
+    command: 'npx',
+    args: ['-y', `${pkg}@${version || 'latest'}`],
+    ...extra,
+  };
+}
+
+function pypiRecipe(pkg, script, version, extra) {
+  const spec = version ? `${pkg}==${version}` : pkg;
+  return {
+    type: 'pypi',
+    package: pkg,
+    version: version || undefined,
+    command: 'uvx',
+    args: script && script !== pkg ? ['--from', spec, script] : [spec],
+    ...extra,
+  };
+}
+
+// Declared variables are passed into the container by name; the client sets their values
+function dockerRecipe(image, extra = {}) {
+  const env = Object.keys(extra.env || {}).flatMap(name => ['-e', name]);
+  return { type: 'docker', package: image, command: 'docker', args: ['run', '-i', '--rm', ...env, image], ...extra };
+}
+
+const DOCKER_VALUE_FLAGS = new Set([
+  '-e', '--env', '--env-file', '-v', '--volume', '--mount', '-p', '--publish', '--name', '--network', '--net',
+  '-w', '--workdir', '-u', '--user', '--entrypoint', '--platform', '-l', '--label', '--add-host', '-h', '--hostname',
+]);
+
+// `docker run` args: the image (the first argument that is neither a flag nor a flag's
+// value) and the variables passed with -e, or null when the image is a placeholder
+function parseDockerRunArgs(args) {
+  const env = {};
+  for (let i = args[0] === 'run' ? 1 : 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-e' || arg === '--env' || arg.startsWith('--env=')) {
+      const name = (arg.startsWith('--env=') ? arg.slice('--env='.length) : args[++i] || '').split('=')[0];
+      if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) env[name] = '';
+    } else if (DOCKER_VALUE_FLAGS.has(arg)) {
+      i++;
+    } else if (!arg.startsWith('-')) {
+      return /^(?:[\w.-]+(?::\d+)?\/)*[\w.-]+(?::[\w.-]+)?(?:@sha256:[a-f0-9]+)?$/.test(arg) ? { image: arg, env } : null;
+    }
+  }
+  return null;
+}
+
+// server.json `packages` / `remotes` (official registry format)
+export function recipesFromServerJson(serverJson, source = 'server.json') {
+  const recipes = [];
+  for (const pkg of serverJson.packages || []) {
+    const type = pkg.registryType || pkg.registry_type || pkg.registry_name;
+    const identifier = pkg.identifier || pkg.name;
+    if (!identifier) continue;
+    const env = Object.fromEntries(
+      (pkg.environmentVariables || pkg.environment_variables || []).map(variable => [variable.name, variable.default || ''])
+    );
+    const extra = { source, confidence: 'high', ...(Object.keys(env).length ? { env } : {}) };
+    if (type === 'npm') {
+      recipes.push(npmRecipe(identifier, pkg.version, extra));
+    } else if (type === 'pypi') {
+      recipes.push(pypiRecipe(identifier, null, pkg.version, extra));
+    } else if (type === 'oci' || type === 'docker') {
+      recipes.push(dockerRecipe(pkg.version ? `${identifier}:${pkg.version}` : identifier, extra));
+    }
+  }
+  for (const remote of serverJson.remotes || []) {
+    if (!remote.url) continue;
+    recipes.push({
+      type: 'remote',
+      transport: remote.type === 'sse' ? 'sse' : 'http',
+      url: remote.url,
+      source,
+      confidence: 'high',
+    });
+  }
+  return recipes;
+}
+
+function recipesFromPackageJson(pkg) {
+  if (!pkg.name || pkg.private) {
+    return [];
+  }
+  const bins = typeof pkg.bin === 'string' ? [pkg.name.split('/').pop()] : Object.keys(pkg.bin || {});
+  if (bins.length === 0) {
+    return [npmRecipe(pkg.name, null, { source: 'package.json', confidence: 'medium', note: 'package.json declares no bin' })];
+  }
+  const recipe = npmRecipe(pkg.name, null, { source: 'package.json', confidence: 'high' });
+  // npx runs the bin matching the package name; anything else needs --package
+  const defaultBin = pkg.name.split('/').pop();
+  if (bins.length > 1 && !bins.includes(defaultBin)) {
+    recipe.args = ['-y', '--package', `${pkg.name}@latest`, bins[0]];
+  }
+  return [recipe];
+}
+
+// Just enough TOML for [project] / [tool.poetry] names and script tables
+function parseTomlSections(text) {
+  const sections = {};
+  let current = '';
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    const header = line.match(/^\[([^\]]+)\]$/);
+    if (header) {
+      current = header[1].trim();
+      sections[current] = sections[current] || {};
+      continue;
+    }
+    const pair = line.match(/^([A-Za-z0-9_.-]+|"[^"]+")\s*=\s*["']([^"']*)["']/);
+    if (pair) {
+      sections[current] = sections[current] || {};
+      sections[current][pair[1].replace(/"/g, '')] = pair[2];
+    }
+  }
+  return sections;
+}
+
+function recipesFromPyproject(text) {
+  const sections = parseTomlSections(text);
+  const name = sections.project?.name || sections['tool.poetry']?.name;
+  if (!name) {
+    return [];
+  }
+  const scripts = Object.keys(sections['project.scripts'] || sections['tool.poetry.scripts'] || {});
+  if (scripts.length === 0) {
+    return [pypiRecipe(name, null, null, { source: 'pyproject.toml', confidence: 'medium', note: 'pyproject.toml declares no scripts' })];
+  }
+  const script = scripts.includes(name) ? name : scripts[0];
+  return [pypiRecipe(name, script, null, { source: 'pyproject.toml', confidence: 'high' })];
+}
+
+function recipesFromGoMod(text) {
+  const module = text.match(/^module\s+(\S+)/m)?.[1];
+  if (!module) {
+    return [];
+  }
+  return [{
+    type: 'go',
+    package: module,
+    command: 'go',
+    args: ['run', `${module}@latest`],
+    source: 'go.mod',
+    confidence: 'low',
+    note: 'Assumes the main package lives at the module root',
+  }];
+}
+
+function recipesFromDockerfile(repoInfo) {
+  return [dockerRecipe(`ghcr.io/${repoInfo.owner}/${repoInfo.repo}`.toLowerCase(), {
+    source: 'Dockerfile',
+    confidence: 'low',
+    note: 'A Dockerfile exists; the published image name is a guess',
+  })];
+}
+
+// npm package specs never start with "-"; the inspector is a debugging tool
+// that wraps the real server, not a server itself
+const NPM_SPEC_PATTERN = /^((?:@[\w.-]+\/)?\w[\w.-]*)(?:@([\w.^~-]+))?$/;
+const NPX_SKIPPED_PACKAGES = new Set(['@modelcontextprotocol/inspector']);
+
+// The package an npx invocation runs, from the arguments after "npx":
+// [-y] <pkg>[@version] or [-y] -p|--package <pkg>[@version] <bin>. Null when
+// there is no package or it is skipped.
+function parseNpxArgs(args) {
+  let spec = null;
+  let bin = null;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-p' || arg === '--package') {
+      spec = args[++i] || null;
+    } else if (arg.startsWith('--package=')) {
+      spec = arg.slice('--package='.length);
+    } else if (arg.startsWith('-')) {
+      continue;
+    } else if (spec) {
+      bin = arg;
+      break;
+    } else {
+      spec = arg;
+      break;
+    }
+  }
+  const match = spec && spec.match(NPM_SPEC_PATTERN);
+  if (!match || NPX_SKIPPED_PACKAGES.has(match[1])) {
+    return null;
+  }
+  return { pkg: match[1], version: match[2] && match[2] !== 'latest' ? match[2] : null, bin };
+}
+
+function npxRecipe({ pkg, version, bin }) {
+  const recipe = npmRecipe(pkg, version);
+  return bin ? { ...recipe, args: ['-y', '--package', `${pkg}@${version || 'latest'}`, bin] } : recipe;
+}
+
+// Launch commands shown in README code blocks or JSON config snippets
+export function recipesFromReadme(text) {
+  const recipes = [];
+  const seen = new Set();
+  const add = (key, recipe) => {
+    if (!seen.has(key)) {
+      seen.add(key);
+      recipes.push({ ...recipe, source: 'README.md', confidence: 'medium' });
+    }
+  };
+  const blocks = [...text.matchAll(/```[^\n]*\n([\s\S]*?)```/g)].map(match => match[1]);
+
+  for (const block of blocks) {
+    for (const match of block.matchAll(/\bnpx((?:[ \t]+[^\s|&;<>()`]+)+)/g)) {
+      const npx = parseNpxArgs(match[1].trim().split(/\s+/).map(arg => arg.replace(/^(['"])(.*)\1$/, '$2')));
+      if (npx) {
+        add(`npm:${npx.pkg}`, npxRecipe(npx));
+      }
+    }
+    for (const match of block.matchAll(/\buvx\s+(?:--from\s+([\w.[\]-]+)\s+)?([\w.-]+)/g)) {
+      const pkg = match[1] || match[2];
+      add(`pypi:${pkg}`, pypiRecipe(pkg, match[1] ? match[2] : null, null));
+    }
+    // Continued lines (`\` at the end) are one command
+    for (const match of block.replace(/\\\r?\n/g, ' ').matchAll(/\bdocker\s+run\b([^\n|&;]*)/g)) {
+      const docker = parseDockerRunArgs(match[1].trim().split(/\s+/).map(arg => arg.replace(/^(['"])(.*)\1$/, '$2')));
+      if (docker) {
+        add(`docker:${docker.image}`, dockerRecipe(docker.image, Object.keys(docker.env).length ? { env: docker.env } : {}));
+      }
+    }
+    // "command": "npx", "args": ["-y", "pkg"] snippets
+    for (const match of block.matchAll(/"command"\s*:\s*"(npx|uvx|docker)"\s*,\s*"args"\s*:\s*\[([^\]]*)\]/g)) {
+      const args = [...match[2].matchAll(/"([^"]*)"/g)].map(arg => arg[1]);
+      const npx = match[1] === 'npx' ? parseNpxArgs(args) : null;
+      const pkg = match[1] === 'npx' ? npx?.pkg
+        : match[1] === 'docker' ? parseDockerRunArgs(args)?.image
+          : args.find(arg => !arg.startsWith('-'));
+      if (pkg) {
+        add(`${match[1]}:${pkg}`, { type: { npx: 'npm', uvx: 'pypi', docker: 'docker' }[match[1]], package: pkg, command: match[1], args });
+      }
+    }
+  }
+  return recipes;
+}
+
+function heuristicRecipe(repoInfo) {
+  return npmRecipe(repoInfo.subpath ? repoInfo.subpath.split('/').pop() : repoInfo.repo, null, {
+    source: 'heuristic',
+    confidence: 'low',
+    note: 'Guessed from the repository name',
+  });
+}
+
+function rankRecipes(recipes, prefer) {
+  return [...recipes].sort((a, b) =>
+    (prefer ? (b.type === prefer) - (a.type === prefer) : 0)
+    || CONFIDENCE_RANK[b.confidence] - CONFIDENCE_RANK[a.confidence]
+    || SOURCE_RANK.indexOf(a.source) - SOURCE_RANK.indexOf(b.source)
+  );
+}
+
+function dedupe(recipes) {
+  const seen = new Set();
+  return recipes.filter(recipe => {
+    const key = `${recipe.type}:${recipe.command}:${(recipe.args || []).join(' ')}:${recipe.url || ''}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Offline best guess from registry metadata alone (used for search/list results)
+export function quickInstallRecipe(server) {
+  const repoInfo = parseGitHubUrl(server.url);
+  const known = repoInfo && KNOWN_RECIPES[`${repoInfo.owner}/${repoInfo.repo}`.toLowerCase()];
+  const candidates = [
+    ...(known ? [{ ...known, source: 'known', confidence: 'high' }] : []),
+    ...(server.packages || server.remotes ? recipesFromServerJson(server, 'registry') : []),
+    ...(repoInfo ? [heuristicRecipe(repoInfo)] : []),
+  ];
+  return rankRecipes(candidates)[0] || null;
+}
+
+// The repository URL a configured package or remote endpoint was most likely
+// installed from: a known recipe, or a registry entry whose recipe launches it
+export function findRecipeRepository({ package: pkg, url }, servers = []) {
+  const image = recipe => (recipe.type === 'docker' ? recipe.package.replace(/[:@][^/]*$/, '') : recipe.package);
+  const known = Object.entries(KNOWN_RECIPES).find(([, recipe]) => pkg && recipe.package === pkg);
+  if (known) {
+    return `https://github.com/${known[0]}`;
+  }
+  const match = servers.find(server => {
+    const recipe = server.url && quickInstallRecipe(server);
+    if (!recipe || recipe.confidence === 'low') return false;
+    return recipe.type === 'remote' ? Boolean(url) && recipe.url === url : Boolean(pkg) && image(recipe) === pkg;
+  });
+  return match ? match.url : null;
+}
+
+// Offline, the repository files are not fetched and the recipe comes from the
+// known recipes, the registry entry and the repo name alone
+export async function resolveInstallRecipe({ url, server, prefer, offline = false, fetchFile = fetchText }) {
+  const repoInfo = parseGitHubUrl(url);
+  if (!repoInfo) {
+    throw new Error('Invalid GitHub URL format');
+  }
+
+  const base = `${RAW_BASE_URL}/${repoInfo.owner}/${repoInfo.repo}/${repoInfo.ref}/${repoInfo.subpath ? `${repoInfo.subpath}/` : ''}`;
+  const files = ['server.json', 'package.json', 'pyproject.toml', 'README.md', 'Dockerfile', 'go.mod', '.env.example'];
+  const contents = offline ? files.map(() => null) : await Promise.all(files.map(file => fetchFile(base + file)));
+  const found = Object.fromEntries(files.map((file, i) => [file, contents[i]]));
+
+  const candidates = [];
+  const inspected = [];
+  const parsers = {
+    'server.json': text => recipesFromServerJson(JSON.parse(text)),
+    'package.json': text => recipesFromPackageJson(JSON.parse(text)),
+    'pyproject.toml': recipesFromPyproject,
+    'README.md': recipesFromReadme,
+    Dockerfile: () => recipesFromDockerfile(repoInfo),
+    'go.mod': recipesFromGoMod,
+    // Only read for its variable names
+    '.env.example': () => [],
+  };
+  for (const file of files) {
+    if (found[file] === null) {
+      inspected.push(offline ? { file, skipped: 'offline' } : { file, found: false });
+      continue;
+    }
+    try {
+      const recipes = parsers[file](found[file]);
+      candidates.push(...recipes);
+      inspected.push({ file, found: true, recipes: recipes.length });
+    } catch (error) {
+      inspected.push({ file, found: true, error: error.message });
+    }
+  }
+
+  const known = KNOWN_RECIPES[`${repoInfo.owner}/${repoInfo.repo}`.toLowerCase()];
+  if (known) {
+    candidates.push({ ...known, source: 'known', confidence: 'high' });
+  }
+  if (server && (server.packages || server.remotes)) {
+    candidates.push(...recipesFromServerJson(server, 'registry'));
+  }
+  candidates.push(heuristicRecipe(repoInfo));
+
+  const ranked = dedupe(rankRecipes(candidates, prefer));
+  return {
+    github: `${repoInfo.owner}/${repoInfo.repo}`,
+    subpath: repoInfo.subpath || undefined,
+    recipe: ranked[0],
+    alternatives: ranked.slice(1),
+    inspected,
+    offline: offline || undefined,
+    // README contents are reused by callers that look for more than the launch command
+    files: found,
+  };
+}
+
+// Normalized client-adapter entry for a resolved recipe
+export function recipeToServerEntry(recipe) {
+  if (recipe.type === 'remote') {
+    return { transport: recipe.transport, url: recipe.url };
+  }
+  // server.json defaults are kept; variables without one are reported as missing instead
+  const env = Object.fromEntries(Object.entries(recipe.env || {}).filter(([, value]) => value !== ''));
+  return { transport: 'stdio', command: recipe.command, args: recipe.args, ...(Object.keys(env).length ? { env } : {}) };
+}
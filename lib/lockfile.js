@@ -0,0 +1,174 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { writeAtomic } from './config-store.js';
+import { isSecret, isReference, hasReference, envReference } from './secrets.js';
+
+// mcp-lock.json: the servers a team shares, each with its source repository,
+// resolved package version and registry integrity hash, and the exact launch
+// command. Secret values never land in the lock; they become ${env:NAME} references.
+//
+// {
+//   "lockfileVersion": 1,
+//   "generated_at": "...",
+//   "servers": {
+//     "<name>": {
+//       "source": "https://github.com/owner/repo",
+//       "transport": "stdio",
+//       "package": { "type": "npm", "name": "...", "version": "1.2.3", "integrity": "sha512-..." },
+//       "command": "npx", "args": [...], "env": {...}, "tools": [...], "always_allow": [...]
+//     }
+//   }
+// }
+
+export const LOCKFILE_NAME = 'mcp-lock.json';
+export const LOCKFILE_VERSION = 1;
+
+// lockfile_path argument, then WX_MCP_LOCKFILE, then ./mcp-lock.json
+export function resolveLockfilePath(lockfilePath) {
+  return path.resolve(lockfilePath || process.env.WX_MCP_LOCKFILE || LOCKFILE_NAME);
+}
+
+// Secret-looking plaintext values become references to a variable of the same name
+function lockValues(values = {}) {
+  return Object.fromEntries(Object.entries(values).map(([name, value]) => [
+    name,
+    !hasReference(value) && isSecret(name, value) ? envReference(name) : value,
+  ]));
+}
+
+// Lock entry for one normalized server entry
+export function createLockEntry(entry, { source, pkg, alwaysAllow } = {}) {
+  const locked = { source: source || null, transport: entry.transport || 'stdio' };
+  if (locked.transport === 'http' || locked.transport === 'sse') {
+    locked.url = entry.url;
+    if (entry.headers && Object.keys(entry.headers).length > 0) {
+      locked.headers = lockValues(entry.headers);
+    }
+  } else {
+    if (pkg) locked.package = pkg;
+    locked.command = entry.command;
+    locked.args = entry.args || [];
+    if (entry.env && Object.keys(entry.env).length > 0) {
+      locked.env = lockValues(entry.env);
+    }
+    if (entry.secrets) locked.secrets = true;
+  }
+  if (entry.tools) locked.tools = entry.tools;
+  if (alwaysAllow && alwaysAllow.length > 0) locked.always_allow = alwaysAllow;
+  return locked;
+}
+
+export function createLockfile(servers) {
+  return {
+    lockfileVersion: LOCKFILE_VERSION,
+    generated_at: new Date().toISOString(),
+    generator: 'wx-gh-mcp-reg-tool',
+    servers,
+  };
+}
+
+export async function readLockfile(lockfilePath) {
+  let text;
+  try {
+    text = await fs.readFile(lockfilePath, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`No lockfile at ${lockfilePath}; create one with export_lockfile`);
+    }
+    throw err;
+  }
+  let lock;
+  try {
+    lock = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${lockfilePath} is not valid JSON: ${err.message}`);
+  }
+  if (lock.lockfileVersion !== LOCKFILE_VERSION) {
+    throw new Error(`${lockfilePath} has lockfileVersion ${lock.lockfileVersion}; this tool reads version ${LOCKFILE_VERSION}`);
+  }
+  if (!lock.servers || typeof lock.servers !== 'object' || Array.isArray(lock.servers)) {
+    throw new Error(`${lockfilePath} has no "servers" object`);
+  }
+  for (const [name, locked] of Object.entries(lock.servers)) {
+    const remote = locked.transport === 'http' || locked.transport === 'sse';
+    if (remote ? typeof locked.url !== 'string' : typeof locked.command !== 'string') {
+      throw new Error(`${lockfilePath}: server "${name}" needs ${remote ? 'a "url"' : 'a "command"'}`);
+    }
+  }
+  return lock;
+}
+
+export async function writeLockfile(lockfilePath, lock) {
+  await writeAtomic(lockfilePath, `${JSON.stringify(lock, null, 2)}\n`);
+}
+
+// Locked references match whatever the local config holds for that name
+function compareValues(locked = {}, local = {}, field) {
+  const differences = [];
+  for (const [name, value] of Object.entries(locked)) {
+    if (!(name in local)) {
+      differences.push(`${field}.${name} is missing`);
+    } else if (!isReference(value) && value !== local[name]) {
+      differences.push(`${field}.${name} differs`);
+    }
+  }
+  for (const name of Object.keys(local)) {
+    if (!(name in locked)) {
+      differences.push(`${field}.${name} is not in the lock`);
+    }
+  }
+  return differences;
+}
+
+function sameList(a = [], b = []) {
+  return a.length === b.length && a.every((value, i) => value === b[i]);
+}
+
+// Differences between one lock entry and the installed entry
+export function compareEntry(locked, entry, alwaysAllow = []) {
+  const differences = [];
+  const transport = locked.transport || 'stdio';
+  if (transport !== (entry.transport || 'stdio')) {
+    differences.push(`transport is ${entry.transport}, lock has ${transport}`);
+    return differences;
+  }
+  if (transport === 'stdio') {
+    if (locked.command !== entry.command) differences.push(`command is "${entry.command}", lock has "${locked.command}"`);
+    if (!sameList(locked.args, entry.args)) differences.push(`args are ${JSON.stringify(entry.args || [])}, lock has ${JSON.stringify(locked.args || [])}`);
+    differences.push(...compareValues(locked.env, entry.env, 'env'));
+  } else {
+    if (locked.url !== entry.url) differences.push(`url is ${entry.url}, lock has ${locked.url}`);
+    differences.push(...compareValues(locked.headers, entry.headers, 'headers'));
+  }
+  if (locked.tools && !sameList(locked.tools, entry.tools)) {
+    differences.push(`tools are ${JSON.stringify(entry.tools || [])}, lock has ${JSON.stringify(locked.tools)}`);
+  }
+  const missingApprovals = (locked.always_allow || []).filter(tool => !alwaysAllow.includes(tool));
+  if (missingApprovals.length > 0) {
+    differences.push(`alwaysAllow is missing ${missingApprovals.join(', ')}`);
+  }
+  return differences;
+}
+
+// Normalized entry to install for a lock entry; local values are kept for
+// references so applying a lock never overwrites someone's own secrets
+export function entryFromLock(locked, existing) {
+  const keepLocal = (lockedValues, localValues = {}) => Object.fromEntries(
+    Object.entries(lockedValues || {}).map(([name, value]) => [
+      name,
+      isReference(value) && name in localValues ? localValues[name] : value,
+    ])
+  );
+  const transport = locked.transport || 'stdio';
+  if (transport === 'http' || transport === 'sse') {
+    return { transport, url: locked.url, headers: keepLocal(locked.headers, existing?.headers), tools: locked.tools };
+  }
+  return {
+    transport: 'stdio',
+    command: locked.command,
+    args: locked.args || [],
+    env: keepLocal(locked.env, existing?.env),
+    tools: locked.tools,
+    secrets: locked.secrets || existing?.secrets || undefined,
+  };
+}
@@ -0,0 +1,114 @@
+import fetch from 'node-fetch';
+import { normalizeRepoUrl } from './registry-cache.js';
+
+// Package metadata from npm and PyPI. Base URLs are configurable so a mirror
+// or a local mock server can stand in (WX_MCP_NPM_REGISTRY_URL, WX_MCP_PYPI_URL).
+
+const FETCH_TIMEOUT_MS = 10000;
+
+export function getNpmRegistryUrl() {
+  return (process.env.WX_MCP_NPM_REGISTRY_URL || 'https://registry.npmjs.org').replace(/\/+$/, '');
+}
+
+export function getPypiUrl() {
+  return (process.env.WX_MCP_PYPI_URL || 'https://pypi.org').replace(/\/+$/, '');
+}
+
+async function fetchJson(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { headers: { Accept: 'application/json' }, signal: controller.signal });
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`${url} returned ${response.status} ${response.statusText}`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function npmRepositoryUrl(repository) {
+  const url = typeof repository === 'string' ? repository : repository?.url;
+  if (!url) return null;
+  // "github:owner/repo" and bare "owner/repo" shorthands
+  const shorthand = url.match(/^(?:github:)?([\w.-]+\/[\w.-]+)$/);
+  return shorthand ? `https://github.com/${shorthand[1]}` : url.replace(/^git\+/, '').replace(/^git:\/\//, 'https://').replace(/^ssh:\/\/git@/, 'https://');
+}
+
+// { type, name, latest_version, versions: [{ version, published_at }], repository_url, deprecated }
+export async function fetchNpmPackage(name) {
+  const data = await fetchJson(`${getNpmRegistryUrl()}/${name.replace('/', '%2F')}`);
+  if (!data) return null;
+  const latest = data['dist-tags']?.latest;
+  const latestManifest = data.versions?.[latest] || {};
+  return {
+    type: 'npm',
+    name,
+    latest_version: latest || null,
+    versions: Object.keys(data.versions || {}).map(version => ({ version, published_at: data.time?.[version] || null })),
+    repository_url: npmRepositoryUrl(latestManifest.repository || data.repository),
+    deprecated: latestManifest.deprecated || undefined,
+  };
+}
+
+export async function fetchPypiPackage(name) {
+  const data = await fetchJson(`${getPypiUrl()}/pypi/${encodeURIComponent(name)}/json`);
+  if (!data) return null;
+  const urls = Object.values(data.info?.project_urls || {});
+  if (data.info?.home_page) urls.push(data.info.home_page);
+  return {
+    type: 'pypi',
+    name,
+    latest_version: data.info?.version || null,
+    versions: Object.entries(data.releases || {}).map(([version, files]) => ({
+      version,
+      published_at: files?.[0]?.upload_time_iso_8601 || null,
+    })),
+    repository_url: urls.find(url => /github\.com\/[^/]+\/[^/]+/.test(url)) || null,
+    deprecated: data.info?.yanked ? data.info.yanked_reason || 'yanked' : undefined,
+  };
+}
+
+export async function fetchPackage(type, name) {
+  if (type === 'npm') return await fetchNpmPackage(name);
+  if (type === 'pypi') return await fetchPypiPackage(name);
+  throw new Error(`No package registry for runtime "${type}"`);
+}
+
+// True when the package's declared repository is the given GitHub repo (monorepo paths allowed)
+export function packageMatchesRepo(info, repoUrl) {
+  if (!info?.repository_url || !repoUrl) return false;
+  const declared = normalizeRepoUrl(info.repository_url).split('/').slice(0, 3).join('/');
+  const repo = normalizeRepoUrl(repoUrl).split('/').slice(0, 3).join('/');
+  return declared === repo;
+}
+
+// Published manifest of one npm release (package.json as the registry serves it), or null
+export async function fetchNpmManifest(name, version = 'latest') {
+  return await fetchJson(`${getNpmRegistryUrl()}/${name.replace('/', '%2F')}/${encodeURIComponent(version)}`);
+}
+
+// Files published for one PyPI release ([{ filename, packagetype, digests }]), or null
+export async function fetchPypiFiles(name, version) {
+  const data = await fetchJson(`${getPypiUrl()}/pypi/${encodeURIComponent(name)}${version ? `/${encodeURIComponent(version)}` : ''}/json`);
+  return data ? data.urls || [] : null;
+}
+
+// Registry-published hash of one release: npm's dist.integrity (SRI), or the
+// sha256 of PyPI's sdist (first file otherwise) as "sha256-<base64>"
+export async function fetchPackageIntegrity(type, name, version) {
+  if (type === 'npm') {
+    const data = await fetchNpmManifest(name, version);
+    return data?.dist?.integrity || (data?.dist?.shasum ? `sha1-${Buffer.from(data.dist.shasum, 'hex').toString('base64')}` : null);
+  }
+  if (type === 'pypi') {
+    const files = await fetchPypiFiles(name, version) || [];
+    const file = files.find(item => item.packagetype === 'sdist') || files[0];
+    return file?.digests?.sha256 ? `sha256-${Buffer.from(file.digests.sha256, 'hex').toString('base64')}` : null;
+  }
+  return null;
+}
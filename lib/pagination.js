@@ -0,0 +1,84 @@
+// Shared offset/cursor pagination and sorting for search and list results.
+// Entries are { server, order, ...extra } where order is the registry position.
+
+export const SORT_MODES = ['relevance', 'registry', 'name', 'stars', 'pushed'];
+
+// Sorts that depend on repository metadata; entries without it sort last
+const METADATA_SORTS = {
+  stars: server => (typeof server.stars === 'number' ? server.stars : null),
+  pushed: server => (server.pushed_at ? Date.parse(server.pushed_at) : null),
+};
+
+export function sortEntries(entries, sort) {
+  const warnings = [];
+  const byOrder = (a, b) => a.order - b.order;
+  let sorted;
+
+  if (sort === 'relevance') {
+    sorted = [...entries].sort((a, b) => (b.score ?? 0) - (a.score ?? 0) || byOrder(a, b));
+  } else if (sort === 'name') {
+    sorted = [...entries].sort((a, b) =>
+      a.server.name.localeCompare(b.server.name, undefined, { sensitivity: 'base' }) || byOrder(a, b)
+    );
+  } else if (METADATA_SORTS[sort]) {
+    const value = METADATA_SORTS[sort];
+    if (!entries.some(entry => value(entry.server) !== null)) {
+      warnings.push(`No ${sort} metadata is available for these results; falling back to registry order`);
+    }
+    sorted = [...entries].sort((a, b) => {
+      const va = value(a.server);
+      const vb = value(b.server);
+      if (va === null || vb === null) {
+        return (va === null) - (vb === null) || byOrder(a, b);
+      }
+      return vb - va || byOrder(a, b);
+    });
+  } else if (sort === 'registry') {
+    sorted = [...entries].sort(byOrder);
+  } else {
+    throw new Error(`Unknown sort "${sort}". Expected one of: ${SORT_MODES.join(', ')}`);
+  }
+
+  return { entries: sorted, warnings };
+}
+
+function encodeCursor(offset, key) {
+  return Buffer.from(JSON.stringify({ o: offset, k: key })).toString('base64url');
+}
+
+function decodeCursor(cursor, key) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+  } catch (err) {
+    throw new Error('Invalid pagination cursor');
+  }
+  if (!Number.isInteger(decoded.o) || decoded.o < 0) {
+    throw new Error('Invalid pagination cursor');
+  }
+  if (decoded.k !== key) {
+    throw new Error('Pagination cursor does not belong to this query; repeat the request without it');
+  }
+  return decoded.o;
+}
+
+// key identifies the query (filters and sort) so a cursor cannot be replayed against another one
+export function paginate(items, { limit, offset, cursor, defaultLimit, maxLimit, key = '' }) {
+  const pageSize = Math.min(Math.max(1, limit || defaultLimit), maxLimit);
+  const start = cursor ? decodeCursor(cursor, key) : Math.max(0, offset || 0);
+  const page = items.slice(start, start + pageSize);
+  const hasMore = start + pageSize < items.length;
+
+  return {
+    page,
+    total: items.length,
+    fields: {
+      showing: page.length,
+      offset: start,
+      limit: pageSize,
+      has_more: hasMore,
+      next_offset: hasMore ? start + pageSize : null,
+      next_cursor: hasMore ? encodeCursor(start + pageSize, key) : null,
+    },
+  };
+}
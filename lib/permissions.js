@@ -0,0 +1,87 @@
+// alwaysAllow entries ({ server, tool }) auto-approve a tool call without prompting.
+// Only clients whose adapter supportsAlwaysAllow keep them (top-level array).
+
+export function assertPermissionsSupported(adapter) {
+  if (!adapter.supportsAlwaysAllow) {
+    throw new Error(`${adapter.client} configs have no alwaysAllow list; manage tool approvals in the client itself`);
+  }
+}
+
+export function listPermissions(config, server) {
+  const entries = Array.isArray(config.alwaysAllow) ? config.alwaysAllow : [];
+  return server ? entries.filter(entry => entry.server === server) : entries;
+}
+
+export function grantPermissions(config, server, tools) {
+  config.alwaysAllow = Array.isArray(config.alwaysAllow) ? config.alwaysAllow : [];
+  const added = [];
+  for (const tool of tools) {
+    if (!config.alwaysAllow.some(entry => entry.server === server && entry.tool === tool)) {
+      config.alwaysAllow.push({ server, tool });
+      added.push(tool);
+    }
+  }
+  return added;
+}
+
+// Without tools, every approval for the server is revoked
+export function revokePermissions(config, server, tools) {
+  if (!Array.isArray(config.alwaysAllow)) {
+    return [];
+  }
+  const revoked = [];
+  config.alwaysAllow = config.alwaysAllow.filter(entry => {
+    const matches = entry.server === server && (!tools || tools.length === 0 || tools.includes(entry.tool));
+    if (matches) {
+      revoked.push(entry.tool);
+    }
+    return !matches;
+  });
+  return revoked;
+}
+
+// Tools a server is known to expose: its configured tools filter, or an inspected tool list
+function knownTools(adapter, config, server, inspected) {
+  if (inspected && inspected[server]) {
+    return inspected[server];
+  }
+  const tools = adapter.getServer(config, server)?.tools || [];
+  return tools.length > 0 && !tools.includes('*') ? tools : null;
+}
+
+// Flags approvals for servers that are gone, tools a server no longer lists, duplicates and malformed entries
+export function auditPermissions(config, adapter, { inspected } = {}) {
+  const findings = [];
+  const seen = new Set();
+  (Array.isArray(config.alwaysAllow) ? config.alwaysAllow : []).forEach((entry, index) => {
+    if (!entry || typeof entry.server !== 'string' || typeof entry.tool !== 'string') {
+      findings.push({ index, entry, issue: 'malformed', message: 'Entry must be { "server": string, "tool": string }' });
+      return;
+    }
+    const key = `${entry.server}\u0000${entry.tool}`;
+    if (seen.has(key)) {
+      findings.push({ index, entry, issue: 'duplicate', message: 'Same approval listed more than once' });
+      return;
+    }
+    seen.add(key);
+
+    if (!adapter.hasServer(config, entry.server)) {
+      findings.push({ index, entry, issue: 'unknown_server', message: `Server "${entry.server}" is not installed` });
+      return;
+    }
+    const tools = knownTools(adapter, config, entry.server, inspected);
+    if (tools && entry.tool !== '*' && !tools.includes(entry.tool)) {
+      findings.push({ index, entry, issue: 'unknown_tool', message: `"${entry.server}" does not expose a tool named "${entry.tool}"` });
+    }
+  });
+  return findings;
+}
+
+// Removes the entries flagged by an audit (by position, highest first)
+export function removeFindings(config, findings) {
+  const indexes = [...new Set(findings.map(finding => finding.index))].sort((a, b) => b - a);
+  for (const index of indexes) {
+    config.alwaysAllow.splice(index, 1);
+  }
+  return indexes.length;
+}
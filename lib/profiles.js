@@ -0,0 +1,135 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getToolConfigDir } from './config-paths.js';
+import { writeAtomic } from './config-store.js';
+import { diffJson } from './config-diff.js';
+import { maskServerConfig } from './secrets.js';
+import { listPermissions, grantPermissions, revokePermissions } from './permissions.js';
+
+// Named bundles of servers ("frontend", "data", "minimal") that can be switched
+// into any client's config. Entries are stored client-neutral (normalized), with
+// the alwaysAllow approvals that belong to them. The store also remembers which
+// profile each config file was last switched to.
+
+const STORE_VERSION = 1;
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+export function getProfilesFile() {
+  return process.env.WX_MCP_PROFILES_FILE
+    ? path.resolve(process.env.WX_MCP_PROFILES_FILE)
+    : path.join(getToolConfigDir(), 'profiles.json');
+}
+
+export function assertProfileName(name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name) || name === 'current') {
+    throw new Error(`Invalid profile name "${name}": use letters, digits, ".", "_" or "-" ("current" is reserved)`);
+  }
+}
+
+export async function loadProfiles() {
+  const file = getProfilesFile();
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { version: STORE_VERSION, profiles: {}, active: {} };
+    }
+    throw err;
+  }
+  let store;
+  try {
+    store = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${file} is not valid JSON: ${err.message}`);
+  }
+  return { version: STORE_VERSION, profiles: store.profiles || {}, active: store.active || {} };
+}
+
+// Profiles can hold env values, so the file is private to the user from the
+// moment its temp file is created
+export async function saveProfiles(store) {
+  const file = getProfilesFile();
+  await writeAtomic(file, `${JSON.stringify(store, null, 2)}\n`, { mode: 0o600 });
+}
+
+export function getProfile(store, name) {
+  const profile = store.profiles[name];
+  if (!profile) {
+    const available = Object.keys(store.profiles);
+    throw new Error(`Profile "${name}" not found. Available: ${available.join(', ') || 'none (create one with create_profile)'}`);
+  }
+  return profile;
+}
+
+// Profile contents taken from a client config (optionally only some servers)
+export function snapshotServers(config, adapter, names) {
+  const installed = Object.keys(adapter.getServers(config));
+  const selected = names || installed;
+  const missing = selected.filter(name => !installed.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`Not installed: ${missing.join(', ')}`);
+  }
+  const servers = {};
+  const alwaysAllow = {};
+  for (const name of selected) {
+    servers[name] = adapter.getServer(config, name);
+    const tools = listPermissions(config, name).map(entry => entry.tool);
+    if (tools.length > 0) {
+      alwaysAllow[name] = tools;
+    }
+  }
+  return { servers, always_allow: alwaysAllow };
+}
+
+// Rewrites the config to the profile's servers. "replace" removes everything
+// else; "merge" keeps servers the profile does not mention.
+export function applyProfile(config, adapter, profile, { mode = 'replace' } = {}) {
+  const result = { added: [], updated: [], removed: [], unchanged: [] };
+  const installed = Object.keys(adapter.getServers(config));
+
+  if (mode === 'replace') {
+    for (const name of installed) {
+      if (!profile.servers[name]) {
+        adapter.removeServer(config, name);
+        if (adapter.supportsAlwaysAllow) revokePermissions(config, name);
+        result.removed.push(name);
+      }
+    }
+  }
+
+  for (const [name, entry] of Object.entries(profile.servers)) {
+    if (!installed.includes(name)) {
+      adapter.setServer(config, name, entry);
+      result.added.push(name);
+    } else if (diffJson(adapter.getServer(config, name), adapter.fromNative(adapter.toNative(entry))).length > 0) {
+      adapter.updateServer(config, name, entry);
+      result.updated.push(name);
+    } else {
+      result.unchanged.push(name);
+    }
+    if (adapter.supportsAlwaysAllow) {
+      if (mode === 'replace') revokePermissions(config, name);
+      grantPermissions(config, name, profile.always_allow?.[name] || []);
+    }
+  }
+  return result;
+}
+
+// Server-level differences between two sets of normalized entries (masked)
+export function diffServerSets(before, after) {
+  const added = Object.keys(after).filter(name => !(name in before));
+  const removed = Object.keys(before).filter(name => !(name in after));
+  const changed = [];
+  const unchanged = [];
+  for (const name of Object.keys(after)) {
+    if (!(name in before)) continue;
+    const changes = diffJson(maskServerConfig(before[name]), maskServerConfig(after[name]));
+    if (changes.length > 0) {
+      changed.push({ name, changes });
+    } else {
+      unchanged.push(name);
+    }
+  }
+  return { added, removed, changed, unchanged };
+}
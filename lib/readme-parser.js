@@ -0,0 +1,355 @@
+import { fromMarkdown } from 'mdast-util-from-markdown';
+
+// Markdown server lists parsed from the mdast syntax tree rather than line regexes.
+// An entry is a list item that starts with a link (optionally bold, optionally
+// after a logo image):
+//
+//   - <img src="logo.png" /> **[Name](https://github.com/o/r)** - Description [docs](...) 📇 🏠
+//
+// Headings give the category (known registry sections, or the nearest heading for
+// generic lists); headings below a category become tags.
+
+// Sections of the modelcontextprotocol/servers README. Missing required sections
+// are reported as diagnostics, since they usually mean the README format changed.
+export const REGISTRY_SECTIONS = [
+  { category: 'reference', pattern: /\breference servers?\b/i },
+  { category: 'archived', pattern: /^archived\b/i },
+  { category: 'official', pattern: /\bofficial integrations?\b/i },
+  { category: 'community', pattern: /\bcommunity servers?\b/i },
+  { category: 'frameworks', pattern: /^frameworks?\b/i },
+  { category: 'resources', pattern: /^resources\b/i, optional: true },
+];
+
+// Sections whose lists are links rather than servers
+const SKIPPED_SECTIONS = /^(getting started|contributing|security|license|support|community|table of contents|contents)$/i;
+
+// awesome-mcp-servers style legend emoji
+const EMOJI_BADGES = [
+  ['🐍', 'languages', 'Python'],
+  ['📇', 'languages', 'TypeScript'],
+  ['🏎', 'languages', 'Go'],
+  ['🦀', 'languages', 'Rust'],
+  ['#\u20E3', 'languages', 'C#'],
+  ['☕', 'languages', 'Java'],
+  ['🌊', 'languages', 'C/C++'],
+  ['💎', 'languages', 'Ruby'],
+  ['☁', 'platforms', 'Cloud'],
+  ['🏠', 'platforms', 'Local'],
+  ['📟', 'platforms', 'Embedded'],
+  ['🍎', 'platforms', 'macOS'],
+  ['🪟', 'platforms', 'Windows'],
+  ['🐧', 'platforms', 'Linux'],
+];
+
+const LANGUAGES = new Map([
+  'Python', 'TypeScript', 'JavaScript', 'Go', 'Rust', 'Java', 'Kotlin', 'C#', '.NET', 'C', 'C++',
+  'Ruby', 'PHP', 'Swift', 'Elixir', 'Dart', 'Scala', 'Lua', 'Haskell', 'Clojure', 'Zig', 'R', 'Deno',
+].map(name => [name.toLowerCase(), name]).concat([['golang', 'Go'], ['node', 'JavaScript'], ['nodejs', 'JavaScript'], ['node.js', 'JavaScript']]));
+
+const PLATFORMS = new Map(['macOS', 'Windows', 'Linux', 'iOS', 'Android', 'Docker', 'Cloud', 'Local']
+  .map(name => [name.toLowerCase(), name]));
+
+const MAX_SKIPPED_SAMPLES = 3;
+
+export function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Plain text of an mdast node; images and raw HTML contribute nothing
+function toText(node) {
+  if (node.type === 'text' || node.type === 'inlineCode') return node.value;
+  if (node.type === 'image' || node.type === 'html') return '';
+  if (node.type === 'break') return ' ';
+  return (node.children || []).map(toText).join('');
+}
+
+// Heading text without leading emoji and punctuation ("🎖️ Official Integrations")
+function headingText(node) {
+  return toText(node).replace(/^[^\p{L}\p{N}]+/u, '').trim();
+}
+
+function htmlImage(value) {
+  if (!/^<img\b/i.test(value.trim())) return null;
+  const attribute = name => value.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+  const src = attribute('src');
+  const alt = attribute('alt');
+  return src ? { url: src[1] ?? src[2], alt: alt ? alt[1] ?? alt[2] : '' } : null;
+}
+
+function isBlank(node) {
+  return node.type === 'text' && /^[\s\p{Extended_Pictographic}\uFE0F\u200D]*$/u.test(node.value);
+}
+
+// The link an entry is named by: [Name](url), **[Name](url)** or *[Name](url)*
+function nameLink(node) {
+  if (node.type === 'link') return node;
+  if ((node.type === 'strong' || node.type === 'emphasis') && node.children.length === 1) {
+    return nameLink(node.children[0]);
+  }
+  return null;
+}
+
+function collect(nodes, type, found = []) {
+  for (const node of nodes) {
+    if (node.type === type) found.push(node);
+    if (node.children) collect(node.children, type, found);
+  }
+  return found;
+}
+
+// Relative links point into the repository the markdown came from: a raw.githubusercontent.com
+// README resolves "src/everything" to https://github.com/<owner>/<repo>/tree/<branch>/src/everything
+function linkBase(sourceUrl) {
+  const raw = String(sourceUrl || '').match(/^https:\/\/raw\.githubusercontent\.com\/([^/]+)\/([^/]+)\/([^/]+)\/(.*)$/);
+  if (raw) {
+    const dir = raw[4].includes('/') ? raw[4].slice(0, raw[4].lastIndexOf('/') + 1) : '';
+    return `https://github.com/${raw[1]}/${raw[2]}/tree/${raw[3]}/${dir}`;
+  }
+  return sourceUrl || null;
+}
+
+function resolveUrl(url, base) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url) || !base) return url;
+  try {
+    return new URL(url, base).toString().replace(/\/$/, '');
+  } catch (err) {
+    return url;
+  }
+}
+
+function addUnique(list, value) {
+  if (value && !list.includes(value)) list.push(value);
+}
+
+// Sorts a badge label into languages, platforms, or other badges
+function classifyBadge(label, badges) {
+  const key = String(label || '').trim().toLowerCase();
+  if (LANGUAGES.has(key)) {
+    addUnique(badges.languages, LANGUAGES.get(key));
+    return true;
+  }
+  if (PLATFORMS.has(key)) {
+    addUnique(badges.platforms, PLATFORMS.get(key));
+    return true;
+  }
+  return false;
+}
+
+function imageBadge(image, badges) {
+  if (classifyBadge(image.alt, badges)) return;
+  // shields.io: /badge/<label>-<message>-<color>
+  const shield = image.url.match(/shields\.io\/badge\/([^?]+)/);
+  if (shield) {
+    const parts = decodeURIComponent(shield[1]).split(/(?<!-)-(?!-)/).map(part => part.replace(/--/g, '-').replace(/_/g, ' '));
+    if (parts.slice(0, 2).some(part => classifyBadge(part, badges))) return;
+  }
+  addUnique(badges.other, image.alt || image.url);
+}
+
+// Legend emoji in the text, returned with the emoji removed
+function emojiBadges(text, badges) {
+  let rest = text.replace(/\uFE0F/g, '');
+  for (const [emoji, field, value] of EMOJI_BADGES) {
+    if (rest.includes(emoji)) {
+      addUnique(badges[field], value);
+      rest = rest.split(emoji).join('');
+    }
+  }
+  return rest;
+}
+
+// One entry from a list item's first paragraph, or null when it does not start with a link
+function parseItem(item, { linkBaseUrl, sourceUrl }) {
+  const paragraph = item.children.find(child => child.type === 'paragraph');
+  if (!paragraph) return null;
+  const nodes = paragraph.children;
+
+  let logo = null;
+  let index = 0;
+  let link = null;
+  for (; index < nodes.length; index++) {
+    const node = nodes[index];
+    if (node.type === 'image' || node.type === 'html') {
+      const image = node.type === 'image' ? { url: node.url, alt: node.alt || '' } : htmlImage(node.value);
+      if (image && !logo) logo = image;
+      continue;
+    }
+    if (isBlank(node)) continue;
+    link = nameLink(node);
+    break;
+  }
+  if (!link || link.url.startsWith('#')) return null;
+  const name = toText(link).trim();
+  if (!name) return null;
+
+  const rest = nodes.slice(index + 1);
+  const badges = { languages: [], platforms: [], other: [] };
+  for (const node of collect(rest, 'image')) {
+    imageBadge({ url: node.url, alt: node.alt || '' }, badges);
+  }
+  for (const node of collect(rest, 'html')) {
+    const image = htmlImage(node.value);
+    if (image) imageBadge(image, badges);
+  }
+  const links = collect(rest, 'link')
+    .filter(node => !node.url.startsWith('#'))
+    .map(node => ({ text: toText(node).trim(), url: resolveUrl(node.url, linkBaseUrl) }));
+
+  let text = emojiBadges(rest.map(toText).join(''), badges).replace(/\s+/g, ' ').trim();
+  // "(TypeScript)" or "(Python, Go)" right after the name
+  const languages = text.match(/^\(([^)]*)\)\s*/);
+  if (languages) {
+    const labels = languages[1].split(/\s*(?:,|\/|&|\band\b)\s*/);
+    if (labels.every(label => classifyBadge(label, badges))) {
+      text = text.slice(languages[0].length);
+    }
+  }
+  // "- Description", or "by **[Author](...)** - Description" in resource lists
+  const separator = text.match(/^(?:by\s[^-–—]*?\s)?[-–—:]\s*/);
+  const description = (separator ? text.slice(separator[0].length) : text).trim();
+
+  return {
+    name,
+    url: resolveUrl(link.url, linkBaseUrl),
+    description: description || 'No description available',
+    ...(logo ? { logo: resolveUrl(logo.url, sourceUrl) } : {}),
+    ...(links.length > 0 ? { links } : {}),
+    ...(badges.languages.length > 0 ? { languages: badges.languages } : {}),
+    ...(badges.platforms.length > 0 ? { platforms: badges.platforms } : {}),
+    ...(badges.other.length > 0 ? { badges: badges.other } : {}),
+  };
+}
+
+// Walks the tree in document order, calling onItem(listItem, headings) for every
+// list item (nested ones included) with the stack of headings above it
+function walkListItems(tree, onItem) {
+  const headings = [];
+  const visitList = list => {
+    for (const item of list.children) {
+      onItem(item, headings);
+      for (const child of item.children) {
+        if (child.type === 'list') visitList(child);
+      }
+    }
+  };
+  for (const node of tree.children) {
+    if (node.type === 'heading') {
+      while (headings.length > 0 && headings[headings.length - 1].depth >= node.depth) {
+        headings.pop();
+      }
+      headings.push({ depth: node.depth, text: headingText(node) });
+      onItem(null, headings);
+    } else if (node.type === 'list') {
+      visitList(node);
+    }
+  }
+}
+
+function sectionFor(text) {
+  return REGISTRY_SECTIONS.find(section => section.pattern.test(text));
+}
+
+// Category and tags for the registry README: the deepest known section above the
+// item, or the top-level (##) section for unknown ones. Null for skipped sections.
+function registryContext(headings) {
+  const sections = headings.filter(heading => heading.depth >= 2);
+  if (sections.length === 0 || sections.some(heading => SKIPPED_SECTIONS.test(heading.text))) {
+    return null;
+  }
+  let known = -1;
+  sections.forEach((heading, i) => {
+    if (sectionFor(heading.text)) known = i;
+  });
+  const base = known >= 0 ? known : 0;
+  return {
+    category: known >= 0 ? sectionFor(sections[known].text).category : slugify(sections[0].text),
+    known: known >= 0,
+    heading: sections[base].text,
+    tags: sections.slice(base + 1).map(heading => slugify(heading.text)).filter(Boolean),
+  };
+}
+
+function skippedItem(item) {
+  return toText(item.children.find(child => child.type === 'paragraph') || item).replace(/\s+/g, ' ').trim().slice(0, 80);
+}
+
+// Parses the modelcontextprotocol/servers README.
+// Returns { servers, diagnostics } where each diagnostic is { level, code, message }.
+export function parseRegistryReadme(markdown, { sourceUrl } = {}) {
+  const tree = fromMarkdown(markdown);
+  const linkBaseUrl = linkBase(sourceUrl);
+  const servers = [];
+  const seen = new Map();
+  const unknown = new Map();
+  const skipped = [];
+
+  walkListItems(tree, (item, headings) => {
+    const context = registryContext(headings);
+    if (context && !seen.has(context.category)) {
+      seen.set(context.category, 0);
+    }
+    if (!item || !context) return;
+
+    const entry = parseItem(item, { linkBaseUrl, sourceUrl });
+    if (!entry) {
+      skipped.push(skippedItem(item));
+      return;
+    }
+    seen.set(context.category, seen.get(context.category) + 1);
+    if (!context.known) {
+      unknown.set(context.category, context.heading);
+    }
+    servers.push({
+      ...entry,
+      category: context.category,
+      ...(context.tags.length > 0 ? { tags: context.tags } : {}),
+    });
+  });
+
+  const diagnostics = [];
+  for (const section of REGISTRY_SECTIONS) {
+    if (!seen.has(section.category)) {
+      if (!section.optional) {
+        diagnostics.push({ level: 'warning', code: 'section_missing', message: `No "${section.category}" section found (heading matching ${section.pattern})` });
+      }
+    } else if (seen.get(section.category) === 0) {
+      diagnostics.push({ level: 'warning', code: 'section_empty', message: `The "${section.category}" section has no entries` });
+    }
+  }
+  for (const [category, heading] of unknown) {
+    diagnostics.push({ level: 'info', code: 'unknown_section', message: `Section "${heading}" is not a known registry section; its entries use category "${category}"` });
+  }
+  if (skipped.length > 0) {
+    diagnostics.push({
+      level: 'info',
+      code: 'skipped_items',
+      message: `${skipped.length} list item(s) did not start with a link and were skipped, e.g. ${skipped.slice(0, MAX_SKIPPED_SAMPLES).map(text => JSON.stringify(text)).join(', ')}`,
+    });
+  }
+  if (servers.length === 0) {
+    diagnostics.push({ level: 'error', code: 'no_entries', message: 'No server entries found; the README format may have changed' });
+  }
+  return { servers, diagnostics };
+}
+
+// Generic "- [Name](url) - Description" lists grouped under headings (awesome-style
+// lists). The nearest heading becomes the category.
+export function parseMarkdownEntries(markdown, { sourceUrl, defaultCategory = 'community' } = {}) {
+  const tree = fromMarkdown(markdown);
+  const linkBaseUrl = linkBase(sourceUrl);
+  const servers = [];
+  walkListItems(tree, (item, headings) => {
+    if (!item) return;
+    const entry = parseItem(item, { linkBaseUrl, sourceUrl });
+    if (!entry) return;
+    const nearest = headings.filter(heading => heading.depth >= 2).pop();
+    servers.push({ ...entry, category: (nearest && slugify(nearest.text)) || defaultCategory });
+  });
+  const diagnostics = servers.length === 0
+    ? [{ level: 'error', code: 'no_entries', message: 'No list entries starting with a link were found' }]
+    : [];
+  return { servers, diagnostics };
+}
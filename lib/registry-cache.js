@@ -0,0 +1,225 @@
+import fetch from 'node-fetch';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const CACHE_VERSION = 2;
+const DEFAULT_TTL_SECONDS = 3600;
+
+// A new parse with this much smaller a share of the previous entries is flagged
+const COUNT_DROP_RATIO = 0.25;
+const COUNT_DROP_MIN_PREVIOUS = 10;
+
+export function getCacheDir() {
+  if (process.env.WX_MCP_CACHE_DIR) {
+    return process.env.WX_MCP_CACHE_DIR;
+  }
+  const home = process.env.HOME || process.env.USERPROFILE || os.homedir();
+  if (process.platform === 'win32') {
+    return path.join(process.env.LOCALAPPDATA || path.join(home, 'AppData', 'Local'), 'wx-gh-mcp-reg-tool');
+  }
+  return path.join(process.env.XDG_CACHE_HOME || path.join(home, '.cache'), 'wx-gh-mcp-reg-tool');
+}
+
+export function isOfflineMode(args = {}) {
+  if (args.offline !== undefined) {
+    return Boolean(args.offline);
+  }
+  return ['1', 'true', 'yes'].includes(String(process.env.WX_MCP_OFFLINE || '').toLowerCase());
+}
+
+// Repository URLs identify a server across sources and snapshots
+export function normalizeRepoUrl(url) {
+  return String(url || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^git\+/, '')
+    .replace(/^[a-z]+:\/\/(www\.)?/, '')
+    .replace(/\.git$/, '')
+    .replace(/\/+$/, '');
+}
+
+function serverKey(server) {
+  return server.url ? normalizeRepoUrl(server.url) : server.name.toLowerCase();
+}
+
+// Compares two parsed snapshots by repository URL (falling back to name)
+export function diffSnapshots(previous, next) {
+  const before = new Map(previous.map(server => [serverKey(server), server]));
+  const after = new Map(next.map(server => [serverKey(server), server]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const [key, server] of after) {
+    const old = before.get(key);
+    if (!old) {
+      added.push(server);
+    } else if (old.name !== server.name || old.description !== server.description || old.category !== server.category) {
+      changed.push({ before: old, after: server });
+    }
+  }
+  for (const [key, server] of before) {
+    if (!after.has(key)) {
+      removed.push(server);
+    }
+  }
+  return { added, removed, changed };
+}
+
+// Warnings about a new parse compared with the previous snapshot
+export function countDiagnostics(previous, servers) {
+  const before = previous?.servers?.length || 0;
+  if (before >= COUNT_DROP_MIN_PREVIOUS && servers.length < before * (1 - COUNT_DROP_RATIO)) {
+    return [{
+      level: 'warning',
+      code: 'count_drop',
+      message: `Entry count dropped from ${before} to ${servers.length}; the source format may have changed`,
+    }];
+  }
+  return [];
+}
+
+// Persistent snapshot of the parsed registry, revalidated with ETag / Last-Modified
+// once the TTL expires. The last good snapshot is served when the network is down.
+// Sources that are not a single GET (paged APIs) pass their own fetchSource.
+// parse(body, { url, previous }) returns the servers, or { servers, diagnostics }.
+export class RegistryCache {
+  constructor({ url, parse, fetchSource, name = 'registry', cacheDir = getCacheDir(), ttlSeconds }) {
+    this.url = url;
+    this.parse = parse;
+    if (fetchSource) {
+      this.fetchSource = fetchSource;
+    }
+    this.cacheFile = path.join(cacheDir, `${name}.json`);
+    const envTtl = Number(process.env.WX_MCP_REGISTRY_TTL);
+    this.ttlMs = (ttlSeconds ?? (Number.isFinite(envTtl) && envTtl >= 0 ? envTtl : DEFAULT_TTL_SECONDS)) * 1000;
+    this.snapshot = null;
+  }
+
+  async loadSnapshot() {
+    if (this.snapshot) {
+      return this.snapshot;
+    }
+    try {
+      const data = JSON.parse(await fs.readFile(this.cacheFile, 'utf-8'));
+      if (data.version === CACHE_VERSION && data.url === this.url && Array.isArray(data.servers)) {
+        this.snapshot = data;
+      }
+    } catch (err) {
+      // Missing or unreadable cache is treated as empty
+    }
+    return this.snapshot;
+  }
+
+  async saveSnapshot(snapshot) {
+    this.snapshot = snapshot;
+    await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+    const tempFile = `${this.cacheFile}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(snapshot), 'utf-8');
+    await fs.rename(tempFile, this.cacheFile);
+  }
+
+  // Conditional GET; resolves to null when the server answers 304 Not Modified
+  async fetchSource(snapshot) {
+    const headers = {};
+    if (snapshot?.etag) {
+      headers['If-None-Match'] = snapshot.etag;
+    }
+    if (snapshot?.last_modified) {
+      headers['If-Modified-Since'] = snapshot.last_modified;
+    }
+
+    const response = await fetch(this.url, { headers });
+    if (response.status === 304) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${this.url}: ${response.status} ${response.statusText}`);
+    }
+    return {
+      body: await response.text(),
+      etag: response.headers.get('etag'),
+      last_modified: response.headers.get('last-modified'),
+    };
+  }
+
+  async sync(snapshot) {
+    const now = new Date().toISOString();
+    const result = await this.fetchSource(snapshot);
+    if (!result) {
+      const revalidated = { ...snapshot, checked_at: now };
+      await this.saveSnapshot(revalidated);
+      return { snapshot: revalidated, status: 'not-modified' };
+    }
+
+    const parsed = this.parse(result.body, { url: this.url, previous: snapshot });
+    const { servers, diagnostics = [] } = Array.isArray(parsed) ? { servers: parsed } : parsed;
+    // An empty parse is a broken source, not an empty registry: keep the last good snapshot
+    if (servers.length === 0) {
+      const reason = diagnostics.find(item => item.level === 'error')?.message || 'no entries';
+      throw new Error(`Parsed no servers from ${this.url}: ${reason}`);
+    }
+    diagnostics.push(...countDiagnostics(snapshot, servers));
+
+    const updated = {
+      version: CACHE_VERSION,
+      url: this.url,
+      etag: result.etag,
+      last_modified: result.last_modified,
+      fetched_at: now,
+      checked_at: now,
+      diagnostics,
+      servers,
+    };
+    await this.saveSnapshot(updated);
+    return { snapshot: updated, status: 'updated' };
+  }
+
+  describe(snapshot, status, extra = {}) {
+    return {
+      status,
+      fetched_at: snapshot.fetched_at,
+      checked_at: snapshot.checked_at,
+      cache_file: this.cacheFile,
+      diagnostics: snapshot.diagnostics?.length > 0 ? snapshot.diagnostics : undefined,
+      ...extra,
+    };
+  }
+
+  async getServers({ offline = false } = {}) {
+    const snapshot = await this.loadSnapshot();
+
+    if (offline) {
+      if (!snapshot) {
+        throw new Error(`Offline mode requested but no cached registry exists at ${this.cacheFile}`);
+      }
+      return { servers: snapshot.servers, registry: this.describe(snapshot, 'offline') };
+    }
+
+    if (snapshot && Date.now() - Date.parse(snapshot.checked_at) < this.ttlMs) {
+      return { servers: snapshot.servers, registry: this.describe(snapshot, 'cached') };
+    }
+
+    try {
+      const { snapshot: current, status } = await this.sync(snapshot);
+      return { servers: current.servers, registry: this.describe(current, status) };
+    } catch (error) {
+      if (!snapshot) {
+        throw new Error(`Error fetching registry: ${error.message}`);
+      }
+      return {
+        servers: snapshot.servers,
+        registry: this.describe(snapshot, 'stale', { warning: `Serving last good snapshot: ${error.message}` }),
+      };
+    }
+  }
+
+  // Forces a revalidation regardless of TTL and reports what changed
+  async refresh() {
+    const previous = await this.loadSnapshot();
+    const { snapshot, status } = await this.sync(previous);
+    const diff = diffSnapshots(previous?.servers || [], snapshot.servers);
+    return { snapshot, status, previous_fetched_at: previous?.fetched_at || null, ...diff };
+  }
+}
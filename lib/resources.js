@@ -0,0 +1,157 @@
+import { CLIENT_NAMES, DEFAULT_CLIENT } from './config-paths.js';
+import { slugify } from './readme-parser.js';
+
+// The registry and the installed config as MCP resources, and prompt templates
+// that walk a client through the usual tool sequences:
+//
+//   registry://categories         categories with descriptions and server counts
+//   registry://servers/{name}     one registry entry with an install hint
+//   config://installed            installed servers of the default client
+//   config://installed/{client}   installed servers of another client
+
+export const RESOURCE_MIME_TYPE = 'application/json';
+export const CATEGORIES_URI = 'registry://categories';
+export const INSTALLED_URI = 'config://installed';
+export const SERVER_URI_TEMPLATE = 'registry://servers/{name}';
+export const INSTALLED_URI_TEMPLATE = 'config://installed/{client}';
+export const RESOURCE_PAGE_SIZE = 100;
+
+const SERVER_URI_PREFIX = 'registry://servers/';
+
+export const CATEGORY_DESCRIPTIONS = {
+  reference: 'Reference servers maintained by the MCP project',
+  archived: 'Former reference servers that are no longer maintained',
+  official: 'Official integrations maintained by the companies behind the services',
+  community: 'Servers built and maintained by the community',
+  frameworks: 'Frameworks and SDKs for building MCP servers and clients',
+  resources: 'Guides, lists and other MCP resources',
+};
+
+export function serverUri(server) {
+  return `${SERVER_URI_PREFIX}${encodeURIComponent(server.name)}`;
+}
+
+export function installedUri(client) {
+  return client === DEFAULT_CLIENT ? INSTALLED_URI : `${INSTALLED_URI}/${client}`;
+}
+
+// Client named by a config://installed URI, or null for other URIs
+export function parseInstalledUri(uri) {
+  if (uri === INSTALLED_URI) {
+    return DEFAULT_CLIENT;
+  }
+  if (!uri.startsWith(`${INSTALLED_URI}/`)) {
+    return null;
+  }
+  const client = decodeURIComponent(uri.slice(INSTALLED_URI.length + 1));
+  if (!CLIENT_NAMES.includes(client)) {
+    throw new Error(`Unknown client "${client}" in ${uri}. Expected one of: ${CLIENT_NAMES.join(', ')}`);
+  }
+  return client;
+}
+
+// Registry entry named by a registry://servers/{name} URI: exact name, then
+// case-insensitive, then slug. Undefined for other URIs.
+export function findServerByUri(servers, uri) {
+  if (!uri.startsWith(SERVER_URI_PREFIX)) {
+    return undefined;
+  }
+  const name = decodeURIComponent(uri.slice(SERVER_URI_PREFIX.length));
+  const lower = name.toLowerCase();
+  const slug = slugify(name);
+  const server = servers.find(candidate => candidate.name === name)
+    || servers.find(candidate => candidate.name.toLowerCase() === lower)
+    || servers.find(candidate => slugify(candidate.name) === slug);
+  if (!server) {
+    throw new Error(`No registry server named "${name}"; search with search_github_mcp_servers`);
+  }
+  return server;
+}
+
+// Categories in registry order of first appearance, with counts
+export function summarizeCategories(servers) {
+  const categories = new Map();
+  for (const server of servers) {
+    const category = server.category || 'uncategorized';
+    if (!categories.has(category)) {
+      categories.set(category, { category, description: CATEGORY_DESCRIPTIONS[category], count: 0 });
+    }
+    categories.get(category).count++;
+  }
+  return [...categories.values()];
+}
+
+export const PROMPTS = [
+  {
+    name: 'find_and_install',
+    description: 'Find a server for a need, compare the candidates and install the best one after a preview',
+    arguments: [
+      { name: 'need', description: 'What the server should do (e.g., "query a Postgres database")', required: true },
+      { name: 'client', description: `MCP client to install into (default: ${DEFAULT_CLIENT})`, required: false },
+    ],
+  },
+  {
+    name: 'audit_mcp_setup',
+    description: 'Review the installed servers: health, updates, approvals, isolation and secrets',
+    arguments: [
+      { name: 'client', description: `MCP client whose config to audit (default: ${DEFAULT_CLIENT})`, required: false },
+    ],
+  },
+];
+
+function text(value) {
+  return { role: 'user', content: { type: 'text', text: value } };
+}
+
+function embedded(uri, body) {
+  return { role: 'user', content: { type: 'resource', resource: { uri, mimeType: RESOURCE_MIME_TYPE, text: body } } };
+}
+
+// matches: search results ({ name, description, url, category }), possibly empty
+export function findAndInstallPrompt({ need, client = DEFAULT_CLIENT, matches = [], searchError }) {
+  const candidates = matches.length > 0
+    ? matches.map(match => `- ${match.name} (${match.category}): ${match.description} ${match.url} [${serverUri(match)}]`).join('\n')
+    : searchError
+      ? `(The registry search failed: ${searchError})`
+      : '(No registry matches; try other search terms.)';
+  return {
+    description: `Find and install an MCP server for: ${need}`,
+    messages: [
+      text([
+        `I need an MCP server for: ${need}. Help me pick one and install it into my ${client} config.`,
+        '',
+        'Registry matches for that need:',
+        candidates,
+        '',
+        'Steps:',
+        '1. If none of these fit, call search_github_mcp_servers with other terms (use "a OR b" for alternatives).',
+        '2. For the best two or three candidates, call get_server_details to compare their trust scores, activity and install options.',
+        '3. Call review_server on the one you recommend and explain any findings above "low".',
+        `4. Call install_mcp_server with client "${client}" and dry_run: true, show me the diff and the required environment variables, and wait for my go-ahead.`,
+        '5. Install it with the confirm_token from the preview, then run doctor on that server.',
+      ].join('\n')),
+    ],
+  };
+}
+
+// installed: the list_installed_servers result for the client, as JSON text
+export function auditPrompt({ client = DEFAULT_CLIENT, installed }) {
+  return {
+    description: `Audit the MCP servers installed in ${client}`,
+    messages: [
+      embedded(installedUri(client), installed),
+      text([
+        `Audit my ${client} MCP setup. The installed servers are attached above.`,
+        '',
+        'Check, using the tools:',
+        `1. doctor (client "${client}"): servers that fail to start or handshake, and their fixes.`,
+        '2. check_updates: outdated or unpinned packages, and deprecated ones.',
+        '3. audit_permissions: alwaysAllow approvals for tools that write, delete or run commands.',
+        '4. Isolation: servers listed under "not_isolated" that touch files or the network and would be safer in a sandbox (update_server_config with sandbox).',
+        '5. Secrets: env values or headers that are plaintext rather than ${env:NAME} references.',
+        '',
+        'Summarize the findings by severity, then propose changes; run them with dry_run first and wait for my confirmation before applying anything.',
+      ].join('\n')),
+    ],
+  };
+}
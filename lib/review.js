@@ -0,0 +1,446 @@
+import path from 'path';
+import { parseGitHubUrl } from './install-recipes.js';
+import { fetchPackage, fetchNpmManifest, fetchPypiFiles, packageMatchesRepo } from './package-registry.js';
+import { editDistance } from './search-index.js';
+
+// Static review of a server before it is installed: the repository's manifests,
+// the published package, and a sample of its source files are checked for code
+// that runs at install time, process spawning, dynamic code evaluation, hardcoded
+// network hosts, typosquatted package names and repo/package mismatches.
+// Nothing is executed; every finding is a pattern match for a human to confirm.
+
+export const RISK_LEVELS = ['none', 'low', 'medium', 'high', 'critical'];
+export const DEFAULT_MAX_RISK = 'medium';
+export const DEFAULT_MAX_FILES = 40;
+
+const MAX_FILE_SIZE = 200 * 1024;
+const MAX_EVIDENCE_LENGTH = 160;
+
+// Well-known MCP server packages, on top of the registry's own package names
+const POPULAR_PACKAGES = [
+  '@modelcontextprotocol/server-everything',
+  '@modelcontextprotocol/server-filesystem',
+  '@modelcontextprotocol/server-memory',
+  '@modelcontextprotocol/server-sequential-thinking',
+  '@modelcontextprotocol/server-github',
+  '@modelcontextprotocol/server-gitlab',
+  '@modelcontextprotocol/server-postgres',
+  '@modelcontextprotocol/server-puppeteer',
+  '@modelcontextprotocol/server-brave-search',
+  '@modelcontextprotocol/server-slack',
+  '@modelcontextprotocol/server-google-maps',
+  '@modelcontextprotocol/server-redis',
+  'mcp-server-fetch',
+  'mcp-server-git',
+  'mcp-server-time',
+  'mcp-server-sqlite',
+  '@playwright/mcp',
+  '@upstash/context7-mcp',
+  '@notionhq/notion-mcp-server',
+  '@supabase/mcp-server-supabase',
+  '@sentry/mcp-server',
+  '@stripe/mcp',
+  'chrome-devtools-mcp',
+  'firecrawl-mcp',
+  'mcp-remote',
+];
+
+const SOURCE_LANGUAGES = {
+  '.js': 'js', '.mjs': 'js', '.cjs': 'js', '.jsx': 'js',
+  '.ts': 'js', '.mts': 'js', '.cts': 'js', '.tsx': 'js',
+  '.py': 'python',
+  '.go': 'go',
+};
+
+const SKIPPED_DIRS = /(^|\/)(node_modules|vendor|dist|build|out|coverage|\.git|tests?|__tests__|spec|examples?|docs?|fixtures?)\//i;
+const SKIPPED_FILES = /(\.d\.ts|\.min\.js|\.test\.\w+|\.spec\.\w+|_test\.go|_test\.py|^test_[^/]*\.py)$/i;
+
+const PATTERNS = {
+  js: {
+    process_exec: /\brequire\(\s*['"](?:node:)?child_process['"]\s*\)|\bfrom\s+['"](?:node:)?child_process['"]|\bimport\(\s*['"](?:node:)?child_process['"]\s*\)/,
+    dynamic_code: /(?<![\w.$])eval\s*\(|\bnew\s+Function\s*\(|\bvm\.runIn\w*Context\s*\(|\bvm\.Script\b/,
+  },
+  python: {
+    process_exec: /^\s*(?:import\s+subprocess\b|from\s+subprocess\s+import\b)|\bos\.(?:system|popen|exec\w*|spawn\w*)\s*\(/,
+    dynamic_code: /(?<![\w.])(?:eval|exec)\s*\(|\b__import__\s*\(\s*[^'"\s)]/,
+  },
+  go: {
+    process_exec: /"os\/exec"/,
+  },
+};
+
+const NETWORK_CALL = /\b(?:require\(|from\s+|import\s+)['"]?(?:node:)?(?:https?|net|dgram|tls|requests|httpx|aiohttp|socket|urllib3?|net\/http)\b|\bfetch\s*\(|\baxios\b|\bhttps?\.(?:request|get)\s*\(|\bgot\s*\(|\brequests\.(?:get|post|put|patch|delete|request|Session)\b|\bhttpx\.|\burllib\.request\b|\burlopen\s*\(|\baiohttp\.|\bnet\.(?:connect|createConnection|Dial)\s*\(|\bnew\s+WebSocket\s*\(|\bhttp\.(?:Get|Post|NewRequest)\s*\(|\bsocket\.(?:socket|create_connection)\s*\(/;
+const URL_LITERAL = /['"`](?:https?|wss?):\/\/([^/'"`\s:?#]+)/g;
+const IP_LITERAL = /['"`](?:[a-z]+:\/\/)?(\d{1,3}(?:\.\d{1,3}){3})(?::\d+)?/g;
+
+const LOCAL_HOSTS = /^(localhost|127\.\d+\.\d+\.\d+|0\.0\.0\.0|\[?::1\]?|(?:[\w-]+\.)*example\.(?:com|org|net)|[\w-]+\.local)$/i;
+// Common drop points for exfiltrated data
+const SUSPICIOUS_HOSTS = /(^|\.)(pastebin\.com|paste\.ee|hastebin\.com|ngrok\.io|ngrok-free\.app|ngrok\.app|webhook\.site|requestbin\.\w+|pipedream\.net|transfer\.sh|burpcollaborator\.net|oast\.\w+|interact\.sh|trycloudflare\.com)$/i;
+// Schema and documentation URLs that appear in source without being called
+const REFERENCE_HOSTS = /(^|\.)(json-schema\.org|www\.w3\.org|schemas\.\w+\.\w+|spdx\.org)$/i;
+
+const INSTALL_SCRIPTS = ['preinstall', 'install', 'postinstall'];
+
+export function getMaxRisk(args = {}) {
+  const value = args.max_risk || process.env.WX_MCP_MAX_RISK || DEFAULT_MAX_RISK;
+  if (!RISK_LEVELS.includes(value)) {
+    throw new Error(`Unknown risk level "${value}". Expected one of: ${RISK_LEVELS.join(', ')}`);
+  }
+  return value;
+}
+
+// install_mcp_server reviews first when asked to, or always with WX_MCP_REVIEW_ON_INSTALL=1
+export function isReviewRequested(args = {}) {
+  if (args.review !== undefined) {
+    return Boolean(args.review);
+  }
+  return ['1', 'true', 'yes'].includes(String(process.env.WX_MCP_REVIEW_ON_INSTALL || '').toLowerCase());
+}
+
+export function exceedsRisk(risk, maxRisk) {
+  return RISK_LEVELS.indexOf(risk) > RISK_LEVELS.indexOf(maxRisk);
+}
+
+// Whether a report stops an install: above max_risk, or incomplete (rated medium)
+// while max_risk is still medium or lower, so an unreachable registry never passes
+export function reviewBlocks(report, maxRisk) {
+  return exceedsRisk(report.risk, maxRisk) || (Boolean(report.incomplete) && !exceedsRisk(maxRisk, 'medium'));
+}
+
+// The highest finding severity; high findings from two or more different checks make it critical
+export function riskLevel(findings) {
+  let level = 0;
+  for (const finding of findings) {
+    level = Math.max(level, RISK_LEVELS.indexOf(finding.severity));
+  }
+  const highChecks = new Set(findings.filter(finding => finding.severity === 'high').map(finding => finding.check));
+  return highChecks.size >= 2 ? 'critical' : RISK_LEVELS[level];
+}
+
+function evidence(line) {
+  const text = line.trim();
+  return text.length > MAX_EVIDENCE_LENGTH ? `${text.slice(0, MAX_EVIDENCE_LENGTH)}...` : text;
+}
+
+// Package names to compare against: the built-in list plus every package the registry
+// entries name with some confidence (server.json or known recipes)
+export function popularPackages(recipes = []) {
+  const names = new Set(POPULAR_PACKAGES);
+  for (const recipe of recipes) {
+    if (recipe && recipe.package && recipe.confidence !== 'low' && ['npm', 'pypi'].includes(recipe.type)) {
+      names.add(recipe.package);
+    }
+  }
+  return names;
+}
+
+function packageScope(name) {
+  return name.match(/^@([^/]+)\//)?.[1] || null;
+}
+
+function nameParts(name) {
+  return name.split(/[@/._-]+/).filter(Boolean);
+}
+
+// Popular names the package is suspiciously close to without being equal: the same
+// name with other separators, or one part of it a typo away (fetch/fecth). Packages
+// under a known publisher's scope are that publisher's own, and parts shorter than
+// four characters must match exactly, so mcp-server-gitee is not mcp-server-git.
+export function findTyposquats(name, popular) {
+  const lower = String(name || '').toLowerCase();
+  const known = [...popular].map(item => item.toLowerCase());
+  if (!lower || known.includes(lower)) {
+    return [];
+  }
+  const scope = packageScope(lower);
+  if (scope && known.some(item => packageScope(item) === scope)) {
+    return [];
+  }
+  const squashed = lower.replace(/[-_.]/g, '');
+  const parts = nameParts(lower);
+  const matches = [];
+  for (const candidate of popular) {
+    const other = candidate.toLowerCase();
+    let reason = null;
+    if (squashed === other.replace(/[-_.]/g, '')) {
+      reason = 'differs only in separators';
+    } else {
+      const otherParts = nameParts(other);
+      const differing = otherParts.length === parts.length
+        ? otherParts.map((part, i) => [parts[i], part]).filter(([a, b]) => a !== b)
+        : [];
+      if (differing.length === 1) {
+        const [part, otherPart] = differing[0];
+        const allowed = otherPart.length >= 8 ? 2 : otherPart.length >= 4 ? 1 : 0;
+        const distance = editDistance(part, otherPart, allowed);
+        if (distance <= allowed) {
+          reason = `"${part}" is ${distance} character(s) from "${otherPart}"`;
+        }
+      }
+    }
+    if (reason) {
+      matches.push({ similar_to: candidate, reason });
+    }
+  }
+  return matches;
+}
+
+// Findings for one source file: { check, severity, message, file, line, evidence, occurrences }
+export function scanSource(filePath, text) {
+  const language = SOURCE_LANGUAGES[path.extname(filePath).toLowerCase()];
+  if (!language) return [];
+  const lines = text.split('\n');
+  const found = new Map();
+  const add = (key, finding, index) => {
+    const existing = found.get(key);
+    if (existing) {
+      existing.occurrences += 1;
+    } else {
+      found.set(key, { ...finding, file: filePath, line: index + 1, evidence: evidence(lines[index]), occurrences: 1 });
+    }
+  };
+
+  const patterns = PATTERNS[language] || {};
+  let networked = false;
+  lines.forEach((line, index) => {
+    if (patterns.process_exec?.test(line)) {
+      add('process_exec', { check: 'process_exec', severity: 'medium', message: 'Spawns processes (child_process, subprocess, os/exec)' }, index);
+    }
+    if (patterns.dynamic_code?.test(line)) {
+      add('dynamic_code', { check: 'dynamic_code', severity: 'high', message: 'Evaluates code at runtime (eval, exec, new Function, vm)' }, index);
+    }
+    if (NETWORK_CALL.test(line)) {
+      networked = true;
+    }
+  });
+
+  // IP addresses and known drop points are reported anywhere; other hosts only in
+  // files that make network calls (wherever the literal is defined)
+  lines.forEach((line, index) => {
+    for (const match of line.matchAll(IP_LITERAL)) {
+      if (LOCAL_HOSTS.test(match[1]) || match[1].split('.').some(octet => Number(octet) > 255)) continue;
+      add(`host:${match[1]}`, { check: 'hardcoded_host', severity: 'high', host: match[1], message: `Hardcoded IP address ${match[1]}` }, index);
+    }
+    for (const match of line.matchAll(URL_LITERAL)) {
+      const host = match[1].toLowerCase();
+      if (LOCAL_HOSTS.test(host) || REFERENCE_HOSTS.test(host) || /^\d{1,3}(\.\d{1,3}){3}$/.test(host)) continue;
+      const suspicious = SUSPICIOUS_HOSTS.test(host);
+      if (!suspicious && !networked) continue;
+      add(`host:${host}`, {
+        check: 'hardcoded_host',
+        severity: suspicious ? 'medium' : 'low',
+        host,
+        message: suspicious ? `Hardcoded host ${host}, a common drop point for exfiltrated data` : `Hardcoded host ${host}`,
+      }, index);
+    }
+  });
+  return [...found.values()];
+}
+
+// Lifecycle scripts that npm runs on install, from the repo's or the published package.json
+export function scanPackageJson(pkg, { origin }) {
+  const findings = [];
+  const scripts = pkg?.scripts || {};
+  for (const name of INSTALL_SCRIPTS) {
+    if (scripts[name]) {
+      findings.push({
+        check: 'install_script',
+        severity: 'high',
+        message: `${origin} package.json has a "${name}" script that runs on install`,
+        file: 'package.json',
+        evidence: evidence(`${name}: ${scripts[name]}`),
+      });
+    }
+  }
+  if (scripts.prepare && origin === 'repository') {
+    findings.push({
+      check: 'install_script',
+      severity: 'low',
+      message: 'package.json has a "prepare" script (runs when installed from git)',
+      file: 'package.json',
+      evidence: evidence(`prepare: ${scripts.prepare}`),
+    });
+  }
+  if (pkg?.hasInstallScript && findings.every(finding => finding.severity !== 'high')) {
+    findings.push({ check: 'install_script', severity: 'high', message: `${origin} package runs an install script (native build or lifecycle hook)` });
+  }
+  return findings;
+}
+
+function isReviewedSource(entry, subpath) {
+  if (entry.type !== 'blob' || !SOURCE_LANGUAGES[path.extname(entry.path).toLowerCase()]) return false;
+  if (subpath && !entry.path.startsWith(`${subpath}/`)) return false;
+  const relative = subpath ? entry.path.slice(subpath.length + 1) : entry.path;
+  return !SKIPPED_DIRS.test(relative) && !SKIPPED_FILES.test(path.basename(relative)) && (entry.size || 0) <= MAX_FILE_SIZE;
+}
+
+// Shallow paths first (entry points), then smaller files
+function sourceOrder(a, b) {
+  return a.path.split('/').length - b.path.split('/').length || (a.size || 0) - (b.size || 0);
+}
+
+// The published package: does it exist, link back to the repo, and run install code?
+async function reviewPackage(recipe, repoUrl, repoManifest) {
+  const findings = [];
+  const warnings = [];
+  const incomplete = [];
+  if (!recipe || !['npm', 'pypi'].includes(recipe.type) || !recipe.package) {
+    return { findings, warnings, incomplete, package: null };
+  }
+  const guessed = recipe.confidence === 'low' ? ' (the package name is a guess from the repo name)' : '';
+  let info = null;
+  try {
+    info = await fetchPackage(recipe.type, recipe.package);
+  } catch (err) {
+    warnings.push(`Package registry unavailable: ${err.message}`);
+    incomplete.push(`the ${recipe.type} package was not checked`);
+    return { findings, warnings, incomplete, package: { type: recipe.type, name: recipe.package } };
+  }
+
+  if (!info) {
+    findings.push({ check: 'package_mismatch', severity: 'medium', message: `${recipe.type} package ${recipe.package} is not published${guessed}` });
+  } else if (!info.repository_url) {
+    findings.push({ check: 'package_mismatch', severity: 'medium', message: `${recipe.type} package ${recipe.package} does not declare a source repository${guessed}` });
+  } else if (!packageMatchesRepo(info, repoUrl)) {
+    findings.push({
+      check: 'package_mismatch',
+      severity: 'high',
+      message: `${recipe.type} package ${recipe.package} is published from ${info.repository_url}, not this repository${guessed}`,
+    });
+  }
+  if (recipe.type === 'npm' && repoManifest?.name && repoManifest.name !== recipe.package && !repoManifest.private) {
+    findings.push({
+      check: 'package_mismatch',
+      severity: 'medium',
+      message: `The repository's package.json is named ${repoManifest.name}, but the launch command runs ${recipe.package}`,
+      file: 'package.json',
+    });
+  }
+
+  // What actually runs is the published release, not the repository
+  const version = recipe.version || info?.latest_version;
+  try {
+    if (info && recipe.type === 'npm') {
+      const manifest = await fetchNpmManifest(recipe.package, version || 'latest');
+      if (manifest) findings.push(...scanPackageJson(manifest, { origin: 'published' }));
+    } else if (info && recipe.type === 'pypi') {
+      const files = await fetchPypiFiles(recipe.package, version);
+      if (files && files.length > 0 && !files.some(file => file.packagetype === 'bdist_wheel')) {
+        findings.push({
+          check: 'install_script',
+          severity: 'medium',
+          message: `${recipe.package} ${version} is only published as a source distribution; its build scripts run on install`,
+        });
+      }
+    }
+  } catch (err) {
+    warnings.push(`Could not read the published release: ${err.message}`);
+    incomplete.push('the published release was not scanned');
+  }
+  return {
+    findings,
+    warnings,
+    incomplete,
+    package: { type: recipe.type, name: recipe.package, version: version || undefined, repository_url: info?.repository_url || undefined },
+  };
+}
+
+// Risk report for one repository and the recipe that would launch it
+export async function reviewServer({ github, url, recipe, popular = popularPackages(), maxFiles = DEFAULT_MAX_FILES, offline = false }) {
+  const repo = parseGitHubUrl(url);
+  if (!repo) {
+    throw new Error('Invalid GitHub URL format');
+  }
+  const findings = [];
+  const warnings = [];
+  const incomplete = [];
+  const scanned = { files: [], skipped: 0, truncated: false };
+
+  // Manifests and source files from the repository
+  const ref = repo.ref !== 'HEAD' ? repo.ref : undefined;
+  const prefix = repo.subpath ? `${repo.subpath}/` : '';
+  let repoManifest = null;
+  try {
+    const tree = await github.getTree(repo.owner, repo.repo, { ref: repo.ref, offline });
+    if (!tree) {
+      warnings.push(`Could not list ${repo.owner}/${repo.repo}; only the published package was reviewed`);
+      incomplete.push('the repository source was not scanned');
+    } else {
+      scanned.truncated = tree.truncated;
+      const paths = new Set(tree.entries.map(entry => entry.path));
+      if (paths.has(`${prefix}package.json`)) {
+        const text = await github.getFile(repo.owner, repo.repo, `${prefix}package.json`, { ref, offline });
+        try {
+          repoManifest = text ? JSON.parse(text) : null;
+          findings.push(...scanPackageJson(repoManifest, { origin: 'repository' }));
+        } catch (err) {
+          warnings.push(`package.json is not valid JSON: ${err.message}`);
+        }
+      }
+      if (paths.has(`${prefix}setup.py`)) {
+        const text = await github.getFile(repo.owner, repo.repo, `${prefix}setup.py`, { ref, offline }) || '';
+        findings.push(/\bcmdclass\s*=/.test(text)
+          ? { check: 'install_script', severity: 'high', message: 'setup.py overrides install commands (cmdclass)', file: `${prefix}setup.py` }
+          : { check: 'install_script', severity: 'low', message: 'setup.py runs code when the package is built', file: `${prefix}setup.py` });
+      }
+
+      const sources = tree.entries.filter(entry => isReviewedSource(entry, repo.subpath)).sort(sourceOrder);
+      scanned.skipped = Math.max(0, sources.length - maxFiles);
+      for (const entry of sources.slice(0, maxFiles)) {
+        const text = await github.getFile(repo.owner, repo.repo, entry.path, { ref, offline });
+        if (text === null) continue;
+        scanned.files.push(entry.path);
+        findings.push(...scanSource(entry.path, text));
+      }
+    }
+  } catch (err) {
+    warnings.push(`Repository source unavailable: ${err.message}`);
+    incomplete.push('the repository source was not scanned');
+  }
+
+  // Typosquatting and the published package
+  const hasPackage = Boolean(recipe?.package) && ['npm', 'pypi'].includes(recipe.type);
+  if (hasPackage) {
+    for (const match of findTyposquats(recipe.package, popular)) {
+      findings.push({
+        check: 'typosquat',
+        severity: 'high',
+        message: `${recipe.package} looks like ${match.similar_to} (${match.reason})`,
+        similar_to: match.similar_to,
+      });
+    }
+  }
+  const published = !offline
+    ? await reviewPackage(recipe, url, repoManifest)
+    : {
+      findings: [],
+      warnings: ['Offline: the published package was not checked'],
+      incomplete: hasPackage ? ['the published package was not checked (offline)'] : [],
+      package: null,
+    };
+  findings.push(...published.findings);
+  warnings.push(...published.warnings);
+  incomplete.push(...published.incomplete);
+
+  const order = finding => RISK_LEVELS.length - RISK_LEVELS.indexOf(finding.severity);
+  findings.sort((a, b) => order(a) - order(b));
+  const summary = Object.fromEntries(RISK_LEVELS.slice(1).map(level => [level, findings.filter(finding => finding.severity === level).length]));
+  // A check that could not run is not a pass: an unfinished review is at least medium
+  const risk = riskLevel(findings);
+  return {
+    repository: `${repo.owner}/${repo.repo}`,
+    subpath: repo.subpath || undefined,
+    risk: incomplete.length > 0 && !exceedsRisk(risk, 'medium') ? 'medium' : risk,
+    incomplete: incomplete.length > 0 ? [...new Set(incomplete)] : undefined,
+    summary,
+    findings,
+    package: published.package || undefined,
+    scanned: {
+      files: scanned.files.length,
+      skipped_files: scanned.skipped,
+      tree_truncated: scanned.truncated || undefined,
+      paths: scanned.files,
+    },
+    warnings: warnings.length > 0 ? warnings : undefined,
+  };
+}
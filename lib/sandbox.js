@@ -0,0 +1,311 @@
+import os from 'os';
+import path from 'path';
+
+// Sandboxed launch wrappers. A stdio server's command is wrapped in a
+// container (docker, podman) or a Linux namespace sandbox (bubblewrap,
+// firejail) with an allowlist of mounted directories, network on or off, and
+// the environment variables let through. The wrapper args describe themselves,
+// so the settings can be read back from any client's config:
+//
+//   docker run --rm -i --label wx-mcp-sandbox ... <image> <command> <args...>
+//   bwrap ... -- /bin/sh -c 'exec env -i ${NAME+"NAME=$NAME"} ... "$@"' wx-mcp-sandbox <command> <args...>
+//
+// bubblewrap and firejail inherit the client's environment, so the inner
+// /bin/sh launcher clears it and keeps only the allowed names.
+
+export const SANDBOX_TYPES = ['docker', 'podman', 'bubblewrap', 'firejail'];
+
+const MARKER = 'wx-mcp-sandbox';
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Always let through to bubblewrap/firejail launchers so runtimes still work
+const BASE_ENV = ['PATH', 'HOME', 'LANG', 'LC_ALL', 'TERM', 'TZ', 'TMPDIR', 'USER'];
+
+// Images that can run the usual launchers when no image is given
+const DEFAULT_IMAGES = {
+  npx: 'node:lts-slim',
+  node: 'node:lts-slim',
+  uvx: 'ghcr.io/astral-sh/uv:python3.12-bookworm-slim',
+  uv: 'ghcr.io/astral-sh/uv:python3.12-bookworm-slim',
+  python: 'python:3.12-slim',
+  python3: 'python:3.12-slim',
+};
+
+const BINARIES = { docker: 'docker', podman: 'podman', bubblewrap: 'bwrap', firejail: 'firejail' };
+
+function commandName(command) {
+  return String(command || '').split(/[\\/]/).pop().replace(/\.(exe|cmd|bat)$/i, '');
+}
+
+function homeDir() {
+  return process.env.HOME || process.env.USERPROFILE || os.homedir();
+}
+
+function expandHome(value) {
+  if (value === '~' || value.startsWith('~/')) {
+    return path.join(homeDir(), value.slice(1));
+  }
+  return value;
+}
+
+// "path", "path:ro" or { path, read_only } -> { path, read_only }
+function parseMount(mount) {
+  let value = mount;
+  let readOnly = false;
+  if (typeof mount === 'object' && mount !== null) {
+    value = mount.path;
+    readOnly = Boolean(mount.read_only);
+  } else if (typeof mount === 'string' && /:ro$/.test(mount)) {
+    value = mount.slice(0, -3);
+    readOnly = true;
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error(`Invalid sandbox mount ${JSON.stringify(mount)}: use "path", "path:ro" or { "path": "...", "read_only": true }`);
+  }
+  return { path: path.resolve(expandHome(value.trim())), read_only: readOnly };
+}
+
+// Validated sandbox settings, or null for { type: "none" }
+export function normalizeSandbox(options) {
+  if (!options || options.type === 'none') {
+    return null;
+  }
+  if (!options.type) {
+    throw new Error(`sandbox.type is required: one of ${SANDBOX_TYPES.join(', ')}, none`);
+  }
+  if (!SANDBOX_TYPES.includes(options.type)) {
+    throw new Error(`Unknown sandbox type "${options.type}". Expected one of: ${SANDBOX_TYPES.join(', ')}, none`);
+  }
+  if ((options.type === 'bubblewrap' || options.type === 'firejail') && process.platform !== 'linux') {
+    throw new Error(`${options.type} sandboxes only run on Linux; use docker or podman on ${process.platform}`);
+  }
+  const envPassthrough = options.env_passthrough || [];
+  const invalid = envPassthrough.filter(name => !ENV_NAME.test(name));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid environment variable name(s) in env_passthrough: ${invalid.join(', ')}`);
+  }
+  const sandbox = {
+    type: options.type,
+    network: options.network !== false,
+    mounts: (options.mounts || []).map(parseMount),
+    env_passthrough: [...new Set(envPassthrough)],
+  };
+  if (options.image) {
+    if (options.type !== 'docker' && options.type !== 'podman') {
+      throw new Error(`"image" only applies to docker and podman sandboxes`);
+    }
+    sandbox.image = options.image;
+  }
+  return sandbox;
+}
+
+function containerArgs(entry, sandbox) {
+  const name = commandName(entry.command);
+  if (name === 'docker' || name === 'podman') {
+    throw new Error(`This server already runs in a container (${entry.command}); adjust its ${name} flags instead`);
+  }
+  const image = sandbox.image || DEFAULT_IMAGES[name];
+  if (!image) {
+    throw new Error(`No default ${sandbox.type} image runs "${entry.command}"; pass sandbox.image`);
+  }
+  // docker run does not inherit the environment: the server's own env is passed by name too
+  const envNames = [...new Set([...Object.keys(entry.env || {}), ...sandbox.env_passthrough])];
+  return [
+    'run', '--rm', '-i',
+    '--label', MARKER,
+    '--network', sandbox.network ? 'bridge' : 'none',
+    '--cap-drop', 'ALL',
+    '--security-opt', 'no-new-privileges',
+    ...sandbox.mounts.flatMap(mount => ['--mount', `type=bind,source=${mount.path},target=${mount.path}${mount.read_only ? ',readonly' : ''}`]),
+    ...envNames.flatMap(variable => ['-e', variable]),
+    image,
+    entry.command,
+    ...(entry.args || []),
+  ];
+}
+
+function envLauncher(entry, sandbox) {
+  const names = [...new Set([...BASE_ENV, ...Object.keys(entry.env || {}), ...sandbox.env_passthrough])];
+  const keep = names.map(variable => `\${${variable}+"${variable}=$${variable}"}`).join(' ');
+  return ['/bin/sh', '-c', `exec env -i ${keep} "$@"`, MARKER, entry.command, ...(entry.args || [])];
+}
+
+// Read-only root, private /tmp and an empty home, with the mounts bound back in
+function bubblewrapArgs(entry, sandbox) {
+  return [
+    '--ro-bind', '/', '/',
+    '--dev', '/dev',
+    '--proc', '/proc',
+    '--tmpfs', '/tmp',
+    '--tmpfs', homeDir(),
+    ...sandbox.mounts.flatMap(mount => [mount.read_only ? '--ro-bind' : '--bind', mount.path, mount.path]),
+    '--unshare-all',
+    ...(sandbox.network ? ['--share-net'] : []),
+    '--die-with-parent',
+    '--',
+    ...envLauncher(entry, sandbox),
+  ];
+}
+
+// Without mounts the home directory is private; with mounts only they are visible
+function firejailArgs(entry, sandbox) {
+  return [
+    '--quiet',
+    ...(sandbox.network ? [] : ['--net=none']),
+    '--private-tmp',
+    ...(sandbox.mounts.length === 0 ? ['--private'] : []),
+    ...sandbox.mounts.flatMap(mount => [`--whitelist=${mount.path}`, ...(mount.read_only ? [`--read-only=${mount.path}`] : [])]),
+    '--',
+    ...envLauncher(entry, sandbox),
+  ];
+}
+
+// Absolute paths in the server's args that no mount makes visible
+function unmountedPaths(entry, sandbox) {
+  const covered = value => sandbox.mounts.some(mount =>
+    value === mount.path || value.startsWith(mount.path.endsWith(path.sep) ? mount.path : `${mount.path}${path.sep}`));
+  return (entry.args || [])
+    .map(arg => arg.replace(/^--?[\w-]+=/, ''))
+    .filter(value => path.isAbsolute(expandHome(value)) && !covered(path.resolve(expandHome(value))));
+}
+
+// Normalized entry launching `entry` inside the sandbox (settings from
+// normalizeSandbox), and warnings about it. An entry that is already wrapped is
+// unwrapped first, so its settings are replaced; a null sandbox just unwraps.
+export function wrapEntry(entry, sandbox) {
+  if ((entry.transport || 'stdio') !== 'stdio') {
+    throw new Error('Remote (http/sse) servers do not run locally and cannot be sandboxed');
+  }
+  const inner = unwrapEntry(entry)?.inner || entry;
+  if (!sandbox) {
+    return { entry: inner, warnings: [] };
+  }
+
+  let args;
+  if (sandbox.type === 'docker' || sandbox.type === 'podman') {
+    args = containerArgs(inner, sandbox);
+  } else if (sandbox.type === 'bubblewrap') {
+    args = bubblewrapArgs(inner, sandbox);
+  } else {
+    args = firejailArgs(inner, sandbox);
+  }
+
+  const warnings = unmountedPaths(inner, sandbox).map(value =>
+    `${value} is not under any sandbox mount, so the server cannot see it; add it to sandbox.mounts`);
+  if (!sandbox.network && ['npx', 'uvx', 'uv'].includes(commandName(inner.command))) {
+    warnings.push(`Network is off: ${commandName(inner.command)} must not need to download the server at launch`);
+  }
+  return { entry: { ...inner, command: BINARIES[sandbox.type], args }, warnings };
+}
+
+function parseLauncher(args, start) {
+  if (args[start] !== '/bin/sh' || args[start + 1] !== '-c' || args[start + 3] !== MARKER) {
+    return null;
+  }
+  const names = [...args[start + 2].matchAll(/\$\{([A-Za-z_][A-Za-z0-9_]*)\+/g)].map(match => match[1]);
+  return { names, offset: start + 4 };
+}
+
+function unwrapContainer(entry, type) {
+  const args = entry.args || [];
+  const label = args.indexOf('--label');
+  if (args[0] !== 'run' || label < 0 || args[label + 1] !== MARKER) {
+    return null;
+  }
+  const valueFlags = new Set(['--label', '--network', '--cap-drop', '--security-opt', '--mount', '-e']);
+  const sandbox = { type, network: true, mounts: [], env_passthrough: [] };
+  const envNames = [];
+  let i = 1;
+  for (; i < args.length && args[i].startsWith('-'); i++) {
+    if (!valueFlags.has(args[i])) continue;
+    const value = args[++i];
+    if (args[i - 1] === '--network') {
+      sandbox.network = value !== 'none';
+    } else if (args[i - 1] === '--mount') {
+      const fields = Object.fromEntries(value.split(',').map(field => field.split('=')));
+      sandbox.mounts.push({ path: fields.source, read_only: 'readonly' in fields });
+    } else if (args[i - 1] === '-e') {
+      envNames.push(value);
+    }
+  }
+  if (i + 1 >= args.length) {
+    return null;
+  }
+  sandbox.image = args[i];
+  const env = entry.env || {};
+  sandbox.env_passthrough = envNames.filter(variable => !(variable in env));
+  return { sandbox, offset: i + 1 };
+}
+
+function unwrapNamespace(entry, type) {
+  const args = entry.args || [];
+  const separator = args.indexOf('--');
+  const launcher = separator >= 0 ? parseLauncher(args, separator + 1) : null;
+  if (!launcher) {
+    return null;
+  }
+  const options = args.slice(0, separator);
+  const sandbox = { type, network: true, mounts: [], env_passthrough: [] };
+  if (type === 'bubblewrap') {
+    sandbox.network = options.includes('--share-net');
+    for (let i = 0; i < options.length; i++) {
+      if ((options[i] === '--bind' || options[i] === '--ro-bind') && options[i + 1] !== '/') {
+        sandbox.mounts.push({ path: options[i + 1], read_only: options[i] === '--ro-bind' });
+        i += 2;
+      }
+    }
+  } else {
+    sandbox.network = !options.includes('--net=none');
+    const readOnly = new Set(options.filter(option => option.startsWith('--read-only=')).map(option => option.slice(12)));
+    for (const option of options.filter(value => value.startsWith('--whitelist='))) {
+      const mountPath = option.slice(12);
+      sandbox.mounts.push({ path: mountPath, read_only: readOnly.has(mountPath) });
+    }
+  }
+  const env = entry.env || {};
+  sandbox.env_passthrough = launcher.names.filter(variable => !BASE_ENV.includes(variable) && !(variable in env));
+  return { sandbox, offset: launcher.offset };
+}
+
+// { sandbox, inner, offset } for an entry wrapped by wrapEntry, else null.
+// inner is the server's own launch command; inner.args[0] is entry.args[offset].
+export function unwrapEntry(entry) {
+  if ((entry.transport || 'stdio') !== 'stdio') {
+    return null;
+  }
+  const name = commandName(entry.command);
+  const type = Object.keys(BINARIES).find(key => BINARIES[key] === name);
+  if (!type) {
+    return null;
+  }
+  const parsed = type === 'docker' || type === 'podman'
+    ? unwrapContainer(entry, type)
+    : unwrapNamespace(entry, type);
+  if (!parsed) {
+    return null;
+  }
+  const args = entry.args.slice(parsed.offset);
+  return {
+    sandbox: parsed.sandbox,
+    inner: { ...entry, command: args[0], args: args.slice(1) },
+    offset: parsed.offset + 1,
+  };
+}
+
+// What list_installed_servers reports: managed sandboxes with their settings,
+// containers configured by hand, and everything else as not isolated
+export function describeSandbox(entry) {
+  if ((entry.transport || 'stdio') !== 'stdio') {
+    return null;
+  }
+  const wrapped = unwrapEntry(entry);
+  if (wrapped) {
+    return { isolated: true, managed: true, ...wrapped.sandbox, launches: wrapped.inner.command };
+  }
+  const name = commandName(entry.command);
+  if (Object.values(BINARIES).includes(name)) {
+    const type = Object.keys(BINARIES).find(key => BINARIES[key] === name);
+    return { isolated: true, managed: false, type };
+  }
+  return { isolated: false };
+}
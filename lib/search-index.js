@@ -0,0 +1,294 @@
+// BM25-ranked search over registry entries with typo tolerance and a small
+// query language: terms are ANDed, `a OR b` alternates, `-term` excludes and
+// "quoted phrases" must appear verbatim.
+
+const FIELD_WEIGHTS = { name: 3, description: 1, tags: 1 };
+
+// Section tags and language/platform badges are searched as one field
+function fieldText(server, field) {
+  if (field === 'tags') {
+    return [...(server.tags || []), ...(server.languages || []), ...(server.platforms || [])].join(' ');
+  }
+  return server[field];
+}
+const K1 = 1.2;
+const B = 0.75;
+
+const PREFIX_WEIGHT = 0.8;
+const EDIT_WEIGHTS = [1, 0.7, 0.5];
+
+export function tokenize(text) {
+  return String(text || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function normalize(text) {
+  return tokenize(text).join(' ');
+}
+
+// Optimal string alignment distance, bailing out once it exceeds max
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function maxEdits(word) {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+}
+
+// Splits a raw query into required clauses (each an OR group), exclusions and phrases
+export function parseQuery(query) {
+  const rawTokens = String(query || '').match(/-?"[^"]*"|\S+/g) || [];
+  const clauses = [];
+  const exclude = [];
+  let joinNext = false;
+
+  for (const raw of rawTokens) {
+    if (raw === 'OR' || raw === '|') {
+      joinNext = clauses.length > 0;
+      continue;
+    }
+    if (raw === 'AND' || raw === '&&') {
+      continue;
+    }
+
+    const negated = raw.startsWith('-') && raw.length > 1;
+    const body = negated ? raw.slice(1) : raw;
+    const phrase = body.startsWith('"');
+    const text = phrase ? body.replace(/"/g, '') : body;
+    const words = tokenize(text);
+    if (words.length === 0) {
+      continue;
+    }
+
+    if (negated) {
+      exclude.push(normalize(text));
+      continue;
+    }
+
+    const term = { text, words, phrase: phrase ? normalize(text) : null };
+    if (joinNext) {
+      clauses[clauses.length - 1].push(term);
+    } else {
+      clauses.push([term]);
+    }
+    joinNext = false;
+  }
+
+  return { clauses, exclude };
+}
+
+export class SearchIndex {
+  constructor(servers) {
+    this.servers = servers;
+    this.docs = [];
+    this.postings = new Map();
+    this.avgLength = Object.fromEntries(Object.keys(FIELD_WEIGHTS).map(field => [field, 0]));
+    this.expansions = new Map();
+
+    servers.forEach((server, id) => {
+      const doc = { id, lengths: {}, text: {} };
+      for (const field of Object.keys(FIELD_WEIGHTS)) {
+        const tokens = tokenize(fieldText(server, field));
+        doc.lengths[field] = tokens.length;
+        doc.text[field] = ` ${tokens.join(' ')} `;
+        this.avgLength[field] += tokens.length;
+        for (const token of tokens) {
+          if (!this.postings.has(token)) {
+            this.postings.set(token, new Map());
+          }
+          const docTerms = this.postings.get(token);
+          if (!docTerms.has(id)) {
+            docTerms.set(id, Object.fromEntries(Object.keys(FIELD_WEIGHTS).map(name => [name, 0])));
+          }
+          docTerms.get(id)[field] += 1;
+        }
+      }
+      this.docs.push(doc);
+    });
+
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+      this.avgLength[field] = this.docs.length ? this.avgLength[field] / this.docs.length : 0;
+    }
+  }
+
+  idf(term) {
+    const df = this.postings.get(term)?.size || 0;
+    return Math.log(1 + (this.docs.length - df + 0.5) / (df + 0.5));
+  }
+
+  // Vocabulary terms a query word may stand for: exact, prefix, or within edit distance
+  expand(word) {
+    if (this.expansions.has(word)) {
+      return this.expansions.get(word);
+    }
+    const limit = maxEdits(word);
+    const variants = [];
+    for (const term of this.postings.keys()) {
+      if (term === word) {
+        variants.push({ term, weight: 1 });
+      } else if (word.length >= 3 && term.startsWith(word)) {
+        variants.push({ term, weight: PREFIX_WEIGHT });
+      } else if (limit > 0) {
+        const distance = editDistance(word, term, limit);
+        if (distance <= limit) {
+          variants.push({ term, weight: EDIT_WEIGHTS[distance] });
+        }
+      }
+    }
+    this.expansions.set(word, variants);
+    return variants;
+  }
+
+  scoreTerm(term, docId) {
+    const tf = this.postings.get(term)?.get(docId);
+    if (!tf) {
+      return null;
+    }
+    const doc = this.docs[docId];
+    let score = 0;
+    const fields = [];
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      if (!tf[field]) {
+        continue;
+      }
+      const norm = 1 - B + B * (doc.lengths[field] / (this.avgLength[field] || 1));
+      score += weight * (tf[field] * (K1 + 1)) / (tf[field] + K1 * norm);
+      fields.push(field);
+    }
+    return { score: score * this.idf(term), fields };
+  }
+
+  // Best score a single query word achieves on a document, across its expansions
+  matchWord(word, docId) {
+    let best = null;
+    for (const { term, weight } of this.expand(word)) {
+      const hit = this.scoreTerm(term, docId);
+      if (hit && (!best || hit.score * weight > best.score)) {
+        best = { score: hit.score * weight, fields: hit.fields, term };
+      }
+    }
+    return best;
+  }
+
+  matchTerm(term, docId) {
+    const doc = this.docs[docId];
+    if (term.phrase) {
+      const fields = Object.keys(FIELD_WEIGHTS).filter(field => doc.text[field].includes(` ${term.phrase} `));
+      if (fields.length === 0) {
+        return null;
+      }
+    }
+    let score = 0;
+    const fields = new Set();
+    const terms = [];
+    for (const word of term.words) {
+      const hit = this.matchWord(word, docId);
+      if (!hit) {
+        return null;
+      }
+      score += hit.score;
+      hit.fields.forEach(field => fields.add(field));
+      terms.push(hit.term);
+    }
+    return { score, fields, terms };
+  }
+
+  candidates(clauses) {
+    if (clauses.length === 0) {
+      return this.docs.map(doc => doc.id);
+    }
+    const ids = new Set();
+    for (const term of clauses[0]) {
+      for (const { term: vocab } of this.expand(term.words[0])) {
+        for (const docId of this.postings.get(vocab).keys()) {
+          ids.add(docId);
+        }
+      }
+    }
+    return [...ids].sort((a, b) => a - b);
+  }
+
+  search(query) {
+    const { clauses, exclude } = parseQuery(query);
+    const results = [];
+
+    for (const docId of this.candidates(clauses)) {
+      const doc = this.docs[docId];
+      // Exclusions match whole tokens in any field: -go drops Go servers, not MongoDB
+      if (exclude.some(text => Object.keys(FIELD_WEIGHTS).some(field => doc.text[field].includes(` ${text} `)))) {
+        continue;
+      }
+
+      let score = 0;
+      const fields = new Set();
+      const terms = new Set();
+      let matched = true;
+      for (const group of clauses) {
+        let best = null;
+        for (const term of group) {
+          const hit = this.matchTerm(term, docId);
+          if (hit && (!best || hit.score > best.score)) {
+            best = hit;
+          }
+        }
+        if (!best) {
+          matched = false;
+          break;
+        }
+        score += best.score;
+        best.fields.forEach(field => fields.add(field));
+        best.terms.forEach(term => terms.add(term));
+      }
+      if (!matched) {
+        continue;
+      }
+
+      results.push({
+        server: this.servers[docId],
+        score: Math.round(score * 1000) / 1000,
+        matched_fields: Object.keys(FIELD_WEIGHTS).filter(field => fields.has(field)),
+        matched_terms: [...terms],
+        order: docId,
+      });
+    }
+
+    return results.sort((a, b) => b.score - a.score || a.order - b.order);
+  }
+}
+
+const indexes = new WeakMap();
+
+// Indexes are built once per registry snapshot
+export function getSearchIndex(servers) {
+  if (!indexes.has(servers)) {
+    indexes.set(servers, new SearchIndex(servers));
+  }
+  return indexes.get(servers);
+}
@@ -0,0 +1,429 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getToolConfigDir } from './config-paths.js';
+
+// Secret values never go into a client config as plaintext unless the caller asks.
+// Each is kept in a local dotenv-style secrets file (mode 0600) and the config gets
+// a reference: VS Code prompts for ${input:ID} declared in its "inputs"; for other
+// clients the server is started through this tool's launcher (`exec -- <command>`),
+// which expands ${ID} from the environment and the secrets file. Remote entries a
+// client connects to itself cannot be launched that way, so their secrets are
+// refused unless the caller opts into plaintext.
+
+// Whole name segments (API_KEY, X-Auth-Token), so PYTHONPATH or AUTHOR_NAME are not secrets
+const SECRET_NAME_PATTERN = /(^|[_-])(API_?KEY|KEY|TOKEN|SECRET|PASSWORD|PASSWD|PASS|CREDENTIALS?|PAT|AUTHORIZATION|COOKIE)([_-]|$)/i;
+// Values that are secret whatever their name: URLs with a password
+// (mongodb://user:pw@host), well-known token formats and PEM private keys
+const SECRET_VALUE_PATTERNS = [
+  /^[a-z][a-z0-9+.-]*:\/\/[^\s/:@]*:[^\s/@]+@/i,
+  /^(gh[pousr]_[A-Za-z0-9]{20,}|github_pat_\w{20,}|glpat-[\w-]{20,}|xox[abposr]-[\w-]{10,}|sk-[\w-]{20,}|sk_live_\w{16,}|AKIA[0-9A-Z]{16})$/,
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----/,
+];
+const REFERENCE_PATTERN = /^\$\{[^}]+\}$/;
+const EMBEDDED_REFERENCE_PATTERN = /\$\{(?:env:|input:)?([A-Za-z_][A-Za-z0-9_]*)\}/g;
+// ${env:NAME}, ${input:ID}, ${NAME}, or a whole value of $NAME
+const ANY_REFERENCE_PATTERN = /\$\{(?:(env|input):)?([A-Za-z_][A-Za-z0-9_]*)\}|^\$([A-Za-z_][A-Za-z0-9_]*)$/g;
+const MASK = '********';
+
+// Uppercase names that look like configuration, not shell builtins
+const IGNORED_NAMES = new Set(['PATH', 'HOME', 'USER', 'SHELL', 'PWD', 'NODE_ENV', 'TERM', 'LANG', 'TMPDIR']);
+
+export function isSecretName(name) {
+  return SECRET_NAME_PATTERN.test(name);
+}
+
+export function isSecretValue(value) {
+  return typeof value === 'string' && !hasReference(value) && SECRET_VALUE_PATTERNS.some(pattern => pattern.test(value));
+}
+
+export function isSecret(name, value) {
+  return isSecretName(name) || isSecretValue(value);
+}
+
+export function isReference(value) {
+  return typeof value === 'string' && REFERENCE_PATTERN.test(value);
+}
+
+// True when a value embeds a reference ("Bearer ${env:API_TOKEN}")
+export function hasReference(value) {
+  return /\$\{(?:env:|input:)?[A-Za-z_][A-Za-z0-9_]*\}/.test(String(value));
+}
+
+export function envReference(name) {
+  return `\${env:${name}}`;
+}
+
+export function inputReference(id) {
+  return `\${input:${id}}`;
+}
+
+// An auth token is given by the variable that holds it ("ACME_TOKEN" or
+// "${env:ACME_TOKEN}"), never by value
+export function tokenReference(value) {
+  if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(value)) {
+    return envReference(value);
+  }
+  if (isReference(value)) {
+    return value;
+  }
+  throw new Error('auth_token takes the name of the environment variable holding the token (e.g. "ACME_API_TOKEN") or a ${env:NAME} reference. To use a token value, pass it in headers.Authorization instead');
+}
+
+// ${env:FOO}, ${input:FOO}, ${FOO} and $FOO all name FOO
+function referencedName(value) {
+  const match = String(value).match(/^\$\{(?:env:|input:)?([A-Za-z_][A-Za-z0-9_]*)\}$|^\$([A-Za-z_][A-Za-z0-9_]*)$/);
+  return match ? match[1] || match[2] : null;
+}
+
+export function getSecretsFile() {
+  return process.env.WX_MCP_SECRETS_FILE
+    ? path.resolve(process.env.WX_MCP_SECRETS_FILE)
+    : path.join(getToolConfigDir(), 'secrets.env');
+}
+
+// Values are written JSON-quoted (see writeSecrets); hand-written 'single-quoted'
+// and bare values are read as they are
+function parseSecretValue(raw) {
+  const value = raw.trim();
+  if (/^".*"$/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return value.slice(1, -1);
+    }
+  }
+  return value.replace(/^'(.*)'$/, '$1');
+}
+
+export async function readSecrets() {
+  let text;
+  try {
+    text = await fs.readFile(getSecretsFile(), 'utf-8');
+  } catch (err) {
+    return {};
+  }
+  const secrets = {};
+  for (const line of text.split('\n')) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
+    if (match) {
+      secrets[match[1]] = parseSecretValue(match[2]);
+    }
+  }
+  return secrets;
+}
+
+export async function writeSecrets(updates) {
+  const secretsFile = getSecretsFile();
+  const secrets = { ...(await readSecrets()), ...updates };
+  const body = Object.entries(secrets)
+    .map(([name, value]) => `${name}=${JSON.stringify(String(value))}`)
+    .join('\n');
+  await fs.mkdir(path.dirname(secretsFile), { recursive: true });
+  await fs.writeFile(secretsFile, `${body}\n`, { encoding: 'utf-8', mode: 0o600 });
+  await fs.chmod(secretsFile, 0o600).catch(() => {});
+  return secretsFile;
+}
+
+// Variable (and VS Code input id) for one server's secret: SERVER_API_KEY
+function secretVariable(serverName, name) {
+  return `${serverName}_${name}`.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+const LAUNCHER_SCRIPT = fileURLToPath(new URL('../index.js', import.meta.url));
+
+// Native command and args that start a stdio server through the secrets launcher
+export function wrapLauncher(command, args = []) {
+  return { command: process.execPath, args: [LAUNCHER_SCRIPT, 'exec', '--', command, ...args] };
+}
+
+// The server's own command and args, or null when the entry is not launched that way
+export function unwrapLauncher(command, args) {
+  if (!Array.isArray(args) || args[1] !== 'exec' || args[2] !== '--' || !args[3]
+    || !/(^|[\\/])node(\.exe)?$/i.test(command || '') || !/(^|[\\/])(index\.js|wx-gh-mcp-reg-tool)$/.test(args[0] || '')) {
+    return null;
+  }
+  return { command: args[3], args: args.slice(4) };
+}
+
+// Writes secret values (by name or by value, see isSecret) the way the client can
+// resolve them. references is the adapter's secretReferences: with "input" each
+// secret becomes ${input:ID} plus a password input to declare; otherwise, when the
+// entry can be started through the launcher, ${ID} (and launcher is set in the
+// result). Either way the value goes to the secrets file. Secrets that fit neither
+// are refused. With storeSecrets "plaintext" values are written as given, and with
+// persist off (previews) nothing is written to the secrets file.
+async function prepareValues(values, { serverName, client, references = 'none', storeSecrets = 'reference', persist = true, schemes = false, launcher = true }) {
+  const prepared = {};
+  const toStore = {};
+  const inputs = [];
+  const refused = [];
+  let launched = false;
+  for (const [name, value] of Object.entries(values)) {
+    if (value === null || value === undefined) {
+      prepared[name] = null;
+      continue;
+    }
+    // An auth scheme stays in the config ("Bearer ${input:SERVER_AUTHORIZATION}")
+    const scheme = schemes ? String(value).match(/^(Bearer|Basic|Token)\s+(.+)$/i) : null;
+    const secret = scheme ? scheme[2] : String(value);
+    const id = secretVariable(serverName, name);
+    if (storeSecrets === 'plaintext' || hasReference(secret) || !isSecret(name, secret)) {
+      prepared[name] = String(value);
+      continue;
+    }
+    let reference;
+    if (references === 'input') {
+      inputs.push({ type: 'promptString', id, description: `${name} for ${serverName}`, password: true });
+      reference = inputReference(id);
+    } else if (launcher) {
+      launched = true;
+      reference = `\${${id}}`;
+    } else {
+      refused.push(name);
+      continue;
+    }
+    toStore[id] = secret;
+    prepared[name] = scheme ? `${scheme[1]} ${reference}` : reference;
+  }
+
+  if (refused.length > 0) {
+    const reference = references === 'env' ? `a \${env:NAME} reference to a variable set where ${client} starts, or ` : '';
+    throw new Error(`${refused.join(', ')} ${refused.length === 1 ? 'looks' : 'look'} like a secret, and ${client} connects to remote servers itself, so this tool cannot fill in a reference for it. Pass ${reference}store_secrets: "plaintext" to write the value into the config`);
+  }
+  const stored = Object.keys(toStore);
+  let secretsFile = null;
+  if (stored.length > 0) {
+    secretsFile = persist ? await writeSecrets(toStore) : getSecretsFile();
+  }
+  return { values: prepared, stored, secretsFile, inputs, launcher: launched };
+}
+
+// Env values of a local server; null removes a variable (see mergeEnv)
+export async function prepareEnv(env = {}, options = {}) {
+  const { values, ...rest } = await prepareValues(env, options);
+  return { env: values, ...rest };
+}
+
+// Headers of a remote server
+export async function prepareHeaders(headers = {}, options = {}) {
+  const { values, ...rest } = await prepareValues(headers, { ...options, schemes: true });
+  return { headers: values, ...rest };
+}
+
+// One warning for references the client cannot resolve (see findUnresolvedReferences)
+export function secretsWarning({ client }, { unresolved = [] }) {
+  if (unresolved.length === 0) {
+    return undefined;
+  }
+  return `The server will not receive ${unresolved.map(item => `${item.name} (${item.reason})`).join('; ')}. Pass the value itself, or a reference ${client} resolves`;
+}
+
+// Merges prepared env changes into an existing map; null removes a variable
+export function mergeEnv(existing = {}, changes = {}) {
+  const merged = { ...existing };
+  for (const [name, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete merged[name];
+    } else {
+      merged[name] = value;
+    }
+  }
+  return merged;
+}
+
+function addRequirement(found, name, details) {
+  if (IGNORED_NAMES.has(name)) {
+    return;
+  }
+  const existing = found.get(name);
+  if (existing) {
+    existing.required = existing.required || details.required;
+    existing.description = existing.description || details.description;
+    if (!existing.sources.includes(details.source)) {
+      existing.sources.push(details.source);
+    }
+    return;
+  }
+  found.set(name, {
+    name,
+    required: details.required,
+    secret: details.secret ?? isSecretName(name),
+    description: details.description,
+    sources: [details.source],
+  });
+}
+
+// Scans server.json metadata, .env.example and README snippets for the variables a server reads
+export function detectRequiredEnv({ files = {}, server, recipe } = {}) {
+  const found = new Map();
+
+  const declared = [];
+  const collect = source => {
+    for (const pkg of source?.packages || []) {
+      declared.push(...(pkg.environmentVariables || pkg.environment_variables || []));
+    }
+  };
+  collect(server);
+  if (files['server.json']) {
+    try {
+      collect(JSON.parse(files['server.json']));
+    } catch (err) {
+      // Unparseable server.json is reported by the recipe resolver
+    }
+  }
+  for (const variable of declared) {
+    addRequirement(found, variable.name, {
+      required: variable.isRequired ?? variable.is_required ?? true,
+      secret: variable.isSecret ?? variable.is_secret,
+      description: variable.description,
+      source: 'server.json',
+    });
+  }
+
+  for (const name of Object.keys(recipe?.env || {})) {
+    addRequirement(found, name, { required: true, source: recipe.source });
+  }
+
+  for (const line of (files['.env.example'] || '').split('\n')) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Z][A-Z0-9_]+)=/);
+    if (match) {
+      addRequirement(found, match[1], { required: true, source: '.env.example' });
+    }
+  }
+
+  const readme = files['README.md'] || '';
+  const blocks = [...readme.matchAll(/```[^\n]*\n([\s\S]*?)```/g)].map(match => match[1]);
+  for (const block of blocks) {
+    // "env": { "FOO_API_KEY": "..." } snippets
+    for (const envBlock of block.matchAll(/"env"\s*:\s*\{([^}]*)\}/g)) {
+      for (const match of envBlock[1].matchAll(/"([A-Z][A-Z0-9_]+)"\s*:/g)) {
+        addRequirement(found, match[1], { required: true, source: 'README.md' });
+      }
+    }
+    // export FOO=..., FOO=... npx, docker -e FOO
+    for (const match of block.matchAll(/(?:^|\s)(?:export\s+|-e\s+|--env\s+)?([A-Z][A-Z0-9]*_[A-Z0-9_]+)=/gm)) {
+      addRequirement(found, match[1], { required: isSecretName(match[1]), source: 'README.md' });
+    }
+    for (const match of block.matchAll(/(?:-e|--env)\s+([A-Z][A-Z0-9]*_[A-Z0-9_]+)\b/g)) {
+      addRequirement(found, match[1], { required: true, source: 'README.md' });
+    }
+  }
+
+  return [...found.values()];
+}
+
+// References the launching client cannot resolve. VS Code prompts for ${input:ID}
+// declared in its inputs; VS Code, Cursor and Windsurf expand ${env:NAME} from the
+// environment they start in (taken to be this process's); Copilot CLI and Claude
+// Desktop pass every reference to the server literally. With launcher set (the
+// entry starts through this tool's launcher) anything the launcher finds in the
+// environment or among the stored secret names resolves too.
+export function findUnresolvedReferences(values = {}, { client, references = 'none', inputs = [], launcher = false, stored = [] } = {}) {
+  const inputIds = new Set(inputs.map(input => input.id));
+  const unresolved = [];
+  for (const [name, value] of Object.entries(values)) {
+    for (const [reference, kind, braced, bare] of String(value).matchAll(ANY_REFERENCE_PATTERN)) {
+      const target = braced || bare;
+      let reason;
+      if (references === 'none') {
+        reason = `${client} does not expand references; the server receives "${value}" as is`;
+      } else if (kind === 'input') {
+        reason = references !== 'input'
+          ? `${client} has no inputs to prompt for ${target}`
+          : inputIds.has(target) ? null : `no input "${target}" is declared in the config's inputs`;
+      } else if (kind === 'env') {
+        reason = process.env[target] === undefined ? `${target} is not set in this environment` : null;
+      } else {
+        reason = `${client} only expands \${env:NAME}, not ${reference}`;
+      }
+      if (reason && launcher && braced) {
+        reason = process.env[target] !== undefined || stored.includes(target)
+          ? null
+          : `${target} is not set in this environment or the secrets file`;
+      }
+      if (reason) {
+        unresolved.push({ name, reference: value, variable: target, reason });
+        break;
+      }
+    }
+  }
+  return unresolved;
+}
+
+// Required variables with no value, and references the launching client cannot resolve
+export function findMissingEnv(requirements, env = {}, context = {}) {
+  const missing = requirements
+    .filter(requirement => requirement.required && !(requirement.name in env))
+    .map(requirement => requirement.name);
+  return { missing, unresolved: findUnresolvedReferences(env, context) };
+}
+
+// Expands ${env:FOO} / ${input:FOO} / ${FOO} references from the environment, then the secrets file.
+// Used when this tool launches a server itself; unresolved references are reported.
+export async function resolveEnvReferences(env = {}) {
+  const secrets = await readSecrets();
+  const resolved = {};
+  const unresolved = [];
+  for (const [name, value] of Object.entries(env)) {
+    const target = isReference(value) ? referencedName(value) : null;
+    if (!target) {
+      resolved[name] = value;
+    } else if (process.env[target] !== undefined) {
+      resolved[name] = process.env[target];
+    } else if (secrets[target] !== undefined) {
+      resolved[name] = secrets[target];
+    } else {
+      unresolved.push(name);
+    }
+  }
+  return { env: resolved, unresolved };
+}
+
+// Header values embed references ("Bearer ${input:API_TOKEN}"); each is expanded
+// from the environment, then the secrets file. Headers left unresolved are reported.
+export async function resolveHeaderReferences(headers = {}) {
+  const secrets = await readSecrets();
+  const resolved = {};
+  const unresolved = [];
+  for (const [name, value] of Object.entries(headers)) {
+    let missing = false;
+    resolved[name] = String(value).replace(EMBEDDED_REFERENCE_PATTERN, (match, target) => {
+      const found = process.env[target] ?? secrets[target];
+      if (found === undefined) missing = true;
+      return found ?? match;
+    });
+    if (missing) {
+      unresolved.push(name);
+      delete resolved[name];
+    }
+  }
+  return { headers: resolved, unresolved };
+}
+
+export function maskValue(value) {
+  return isReference(value) || /^(Bearer|Basic|Token)\s+\$\{[^}]+\}$/i.test(value) ? value : MASK;
+}
+
+export function maskEnv(env) {
+  if (!env) {
+    return env;
+  }
+  return Object.fromEntries(Object.entries(env).map(([name, value]) => [name, maskValue(value)]));
+}
+
+// Masks env values and headers (Authorization, API keys) of a native or normalized entry
+export function maskServerConfig(config) {
+  if (!config || typeof config !== 'object') {
+    return config;
+  }
+  return {
+    ...config,
+    ...(config.env ? { env: maskEnv(config.env) } : {}),
+    ...(config.headers ? { headers: maskEnv(config.headers) } : {}),
+  };
+}
+
+export function maskServers(servers = {}) {
+  return Object.fromEntries(Object.entries(servers).map(([name, config]) => [name, maskServerConfig(config)]));
+}
@@ -0,0 +1,298 @@
+import fetch from 'node-fetch';
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { getToolConfigDir } from './config-paths.js';
+import { RegistryCache, diffSnapshots, normalizeRepoUrl } from './registry-cache.js';
+import { parseMarkdownEntries } from './readme-parser.js';
+
+// Registry sources are listed in a JSON or YAML file:
+//   { "sources": [
+//       { "id": "mcp-servers", "type": "readme", "url": "https://.../README.md" },
+//       { "id": "official", "type": "registry", "url": "https://registry.modelcontextprotocol.io" },
+//       { "id": "awesome", "type": "markdown", "url": "https://.../awesome-mcp-servers/README.md" },
+//       { "id": "internal", "type": "file", "path": "./internal-servers.yaml" } ] }
+export const SOURCE_TYPES = ['readme', 'markdown', 'registry', 'file'];
+
+const REGISTRY_PAGE_SIZE = 100;
+const REGISTRY_MAX_PAGES = 100;
+
+export function getSourcesFile() {
+  if (process.env.WX_MCP_SOURCES_FILE) {
+    return path.resolve(process.env.WX_MCP_SOURCES_FILE);
+  }
+  return path.join(getToolConfigDir(), 'sources.json');
+}
+
+function parseDataFile(text, filePath) {
+  return /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+}
+
+// Generic "- [Name](url) - Description" lists grouped under headings (awesome-style lists).
+// The nearest heading becomes the category.
+export function parseMarkdownList(markdown, defaultCategory = 'community') {
+  return parseMarkdownEntries(markdown, { defaultCategory }).servers;
+}
+
+// Accepts official registry server.json entries ({ server, _meta } or bare) and simple
+// { name, url, description, category } objects
+export function normalizeEntry(entry, defaultCategory) {
+  const server = entry.server || entry;
+  const repository = typeof server.repository === 'string' ? server.repository : server.repository?.url;
+  const url = server.url || repository || server.websiteUrl || server.website_url;
+  if (!server.name || !url) {
+    return null;
+  }
+  return {
+    name: server.title || server.name,
+    url,
+    description: server.description || 'No description available',
+    category: server.category || defaultCategory,
+    ...(server.title && server.title !== server.name ? { registry_name: server.name } : {}),
+    ...(server.version || server.version_detail?.version
+      ? { version: server.version || server.version_detail.version }
+      : {}),
+    ...(server.packages ? { packages: server.packages } : {}),
+    ...(server.remotes ? { remotes: server.remotes } : {}),
+  };
+}
+
+function normalizeEntries(data, defaultCategory) {
+  const entries = Array.isArray(data) ? data : data?.servers;
+  if (!Array.isArray(entries)) {
+    throw new Error('Expected an array of servers or an object with a "servers" array');
+  }
+  return entries.map(entry => normalizeEntry(entry, defaultCategory)).filter(Boolean);
+}
+
+// Pages through a registry API (GET /v0/servers?cursor=...). The paged responses
+// carry no validators, so the whole listing is refetched once the TTL expires.
+function registryFetcher(baseUrl) {
+  return async () => {
+    const entries = [];
+    let cursor;
+    for (let page = 0; page < REGISTRY_MAX_PAGES; page++) {
+      const url = new URL('v0/servers', baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+      url.searchParams.set('limit', String(REGISTRY_PAGE_SIZE));
+      if (cursor) {
+        url.searchParams.set('cursor', cursor);
+      }
+      const response = await fetch(url.toString(), { headers: { Accept: 'application/json' } });
+      if (!response.ok) {
+        throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+      }
+      const data = await response.json();
+      entries.push(...(data.servers || []));
+      cursor = data.metadata?.nextCursor || data.metadata?.next_cursor;
+      if (!cursor) {
+        break;
+      }
+    }
+    return { body: JSON.stringify(entries), etag: null, last_modified: null };
+  };
+}
+
+// Local JSON/YAML list of servers, read on every request so edits show up immediately
+class LocalFileSource {
+  constructor({ filePath, defaultCategory }) {
+    this.filePath = filePath;
+    this.defaultCategory = defaultCategory;
+    this.snapshot = null;
+  }
+
+  async load() {
+    const stat = await fs.stat(this.filePath);
+    if (this.snapshot && this.snapshot.mtimeMs === stat.mtimeMs) {
+      return this.snapshot;
+    }
+    const data = parseDataFile(await fs.readFile(this.filePath, 'utf-8'), this.filePath);
+    const now = new Date().toISOString();
+    this.snapshot = {
+      mtimeMs: stat.mtimeMs,
+      fetched_at: now,
+      checked_at: now,
+      servers: normalizeEntries(data, this.defaultCategory),
+    };
+    return this.snapshot;
+  }
+
+  async getServers() {
+    const snapshot = await this.load();
+    return {
+      servers: snapshot.servers,
+      registry: { status: 'file', fetched_at: snapshot.fetched_at, path: this.filePath },
+    };
+  }
+
+  async refresh() {
+    const previous = this.snapshot;
+    this.snapshot = null;
+    const snapshot = await this.load();
+    const diff = diffSnapshots(previous?.servers || [], snapshot.servers);
+    return { snapshot, status: 'updated', previous_fetched_at: previous?.fetched_at || null, ...diff };
+  }
+}
+
+// Combines every configured source into one de-duplicated server list
+export class RegistrySources {
+  constructor({ defaultSources, parseReadme }) {
+    this.defaultSources = defaultSources;
+    this.parseReadme = parseReadme;
+    this.sources = null;
+    this.sourcesFile = null;
+    this.merged = null;
+  }
+
+  async loadSourceDefinitions() {
+    const sourcesFile = getSourcesFile();
+    let text;
+    try {
+      text = await fs.readFile(sourcesFile, 'utf-8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return { sourcesFile: null, definitions: this.defaultSources };
+      }
+      throw err;
+    }
+
+    const config = parseDataFile(text, sourcesFile);
+    const definitions = Array.isArray(config) ? config : config?.sources;
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+      throw new Error(`${sourcesFile} must list at least one source under "sources"`);
+    }
+    return {
+      sourcesFile,
+      definitions: definitions.map(definition =>
+        definition.path
+          ? { ...definition, path: path.resolve(path.dirname(sourcesFile), definition.path) }
+          : definition
+      ),
+    };
+  }
+
+  createSource(definition) {
+    const { id, type, url, category } = definition;
+    if (!id) {
+      throw new Error('Every registry source needs an "id"');
+    }
+    if (type === 'readme') {
+      return new RegistryCache({ url, name: `source-${id}`, parse: this.parseReadme });
+    }
+    if (type === 'markdown') {
+      return new RegistryCache({
+        url,
+        name: `source-${id}`,
+        parse: (markdown, { url: sourceUrl }) => parseMarkdownEntries(markdown, { sourceUrl, defaultCategory: category || 'community' }),
+      });
+    }
+    if (type === 'registry') {
+      return new RegistryCache({
+        url,
+        name: `source-${id}`,
+        fetchSource: registryFetcher(url),
+        parse: body => normalizeEntries(JSON.parse(body), category || 'registry'),
+      });
+    }
+    if (type === 'file') {
+      return new LocalFileSource({ filePath: definition.path, defaultCategory: category || 'community' });
+    }
+    throw new Error(`Source "${id}" has unknown type "${type}". Expected one of: ${SOURCE_TYPES.join(', ')}`);
+  }
+
+  async getSources({ reload = false } = {}) {
+    if (!this.sources || reload) {
+      const { sourcesFile, definitions } = await this.loadSourceDefinitions();
+      this.sourcesFile = sourcesFile;
+      // Unchanged definitions keep their source, so a reload still diffs local files against their last read
+      const previous = new Map((this.sources || []).map(entry => [entry.definition, entry]));
+      this.sources = definitions
+        .filter(definition => definition.enabled !== false)
+        .map(definition => {
+          const key = JSON.stringify(definition);
+          return previous.get(key)
+            || { id: definition.id, type: definition.type, definition: key, source: this.createSource(definition) };
+        });
+    }
+    return this.sources;
+  }
+
+  // Merges by repository URL in source order; later sources only fill in missing fields
+  merge(results) {
+    const byUrl = new Map();
+    const servers = [];
+    for (const { id, servers: sourceServers } of results) {
+      for (const server of sourceServers) {
+        const key = normalizeRepoUrl(server.url) || `${id}:${server.name.toLowerCase()}`;
+        const existing = byUrl.get(key);
+        if (existing) {
+          if (!existing.sources.includes(id)) {
+            existing.sources.push(id);
+          }
+          for (const [field, value] of Object.entries(server)) {
+            if (existing[field] === undefined) {
+              existing[field] = value;
+            }
+          }
+          continue;
+        }
+        const merged = { ...server, source: id, sources: [id] };
+        byUrl.set(key, merged);
+        servers.push(merged);
+      }
+    }
+    return servers;
+  }
+
+  async getServers({ offline = false } = {}) {
+    const sources = await this.getSources();
+    const outcomes = await Promise.all(sources.map(async ({ id, type, source }) => {
+      try {
+        const { servers, registry } = await source.getServers({ offline });
+        return { id, type, servers, registry };
+      } catch (error) {
+        return { id, type, servers: null, registry: { status: 'error', error: error.message } };
+      }
+    }));
+
+    const available = outcomes.filter(outcome => outcome.servers);
+    if (available.length === 0) {
+      throw new Error(`No registry source is available: ${outcomes.map(o => `${o.id}: ${o.registry.error}`).join('; ')}`);
+    }
+
+    // Reuse the merged list while no source snapshot changed, so search indexes stay warm
+    const snapshotRefs = available.map(outcome => outcome.servers);
+    const unchanged = this.merged
+      && this.merged.refs.length === snapshotRefs.length
+      && this.merged.refs.every((ref, i) => ref === snapshotRefs[i]);
+    if (!unchanged) {
+      this.merged = { refs: snapshotRefs, servers: this.merge(available) };
+    }
+
+    return {
+      servers: this.merged.servers,
+      registry: {
+        sources_file: this.sourcesFile,
+        sources: outcomes.map(({ id, type, servers, registry }) => ({
+          id,
+          type,
+          count: servers ? servers.length : 0,
+          ...registry,
+        })),
+      },
+    };
+  }
+
+  async refresh() {
+    const sources = await this.getSources({ reload: true });
+    this.merged = null;
+    const results = [];
+    for (const { id, type, source } of sources) {
+      try {
+        results.push({ id, type, ...(await source.refresh()) });
+      } catch (error) {
+        results.push({ id, type, error: error.message });
+      }
+    }
+    return results;
+  }
+}
@@ -0,0 +1,137 @@
+import { quickInstallRecipe } from './install-recipes.js';
+
+// A 0-100 trust/quality score for a registry entry, built from signals that can be
+// checked: official listing, stars, push recency, archived flag, license, a package
+// that points back at the repo, and release cadence. Signals that are unknown (no
+// GitHub metadata) earn nothing and are listed under `missing`.
+
+export const DEFAULT_MIN_TRUST_SCORE = 40;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_POINTS = {
+  official: 15,
+  stars: 20,
+  recency: 20,
+  not_archived: 15,
+  license: 10,
+  package: 10,
+  releases: 10,
+};
+
+// Install warns below this score; WX_MCP_MIN_TRUST_SCORE overrides
+export function getMinTrustScore() {
+  const value = Number(process.env.WX_MCP_MIN_TRUST_SCORE);
+  return process.env.WX_MCP_MIN_TRUST_SCORE !== undefined && Number.isFinite(value) ? value : DEFAULT_MIN_TRUST_SCORE;
+}
+
+function daysSince(date, now) {
+  const time = Date.parse(date);
+  return Number.isNaN(time) ? null : (now - time) / DAY_MS;
+}
+
+function starPoints(stars) {
+  // Logarithmic: 10 stars ~ 7, 100 ~ 13, 1000+ = 20
+  return Math.min(MAX_POINTS.stars, Math.round((MAX_POINTS.stars * Math.log10(stars + 1)) / 3));
+}
+
+function recencyPoints(days) {
+  if (days <= 30) return 20;
+  if (days <= 90) return 16;
+  if (days <= 180) return 12;
+  if (days <= 365) return 6;
+  if (days <= 730) return 2;
+  return 0;
+}
+
+function releasePoints(server, now) {
+  const lastYear = (server.recent_releases || []).filter(date => {
+    const days = daysSince(date, now);
+    return days !== null && days <= 365;
+  }).length;
+  if (lastYear >= 4) return { points: 10, value: `${lastYear} releases in the last year` };
+  if (lastYear >= 2) return { points: 7, value: `${lastYear} releases in the last year` };
+  if (lastYear === 1) return { points: 4, value: '1 release in the last year' };
+  if (server.release_count > 0 || server.latest_release) return { points: 2, value: 'no release in the last year' };
+  return { points: 0, value: 'no releases' };
+}
+
+// Which npm/PyPI package the entry installs, and whether it points back at the repo.
+// A verified check (from the package registry) wins over what the listing declares.
+function packageSignal(server, packageCheck) {
+  if (packageCheck) {
+    if (packageCheck.matched) {
+      return { points: MAX_POINTS.package, value: `${packageCheck.type} ${packageCheck.name} links to this repository` };
+    }
+    return {
+      points: 0,
+      value: `${packageCheck.type} ${packageCheck.name} ${packageCheck.repository_url ? `links to ${packageCheck.repository_url}` : 'does not link to a repository'}`,
+      flag: 'package_repo_mismatch',
+    };
+  }
+  const declared = (server.packages || []).find(pkg => ['npm', 'pypi'].includes(pkg.registryType || pkg.registry_name || pkg.registry_type));
+  if (declared) {
+    return { points: MAX_POINTS.package, value: `listed by the registry as ${declared.identifier || declared.name}` };
+  }
+  const recipe = quickInstallRecipe(server);
+  if (recipe && ['npm', 'pypi'].includes(recipe.type) && recipe.confidence === 'high') {
+    return { points: Math.round(MAX_POINTS.package / 2), value: `${recipe.type} ${recipe.package} (not verified)` };
+  }
+  return { points: 0, value: 'no npm or PyPI package found' };
+}
+
+// server carries GitHub metadata (stars, pushed_at, archived, license, latest_release,
+// release_count, recent_releases) when it was enriched.
+export function computeTrustScore(server, { packageCheck, now = Date.now() } = {}) {
+  const signals = {};
+  const flags = [];
+  const missing = [];
+  const hasMetadata = typeof server.stars === 'number' || server.pushed_at !== undefined;
+
+  // Official integrations and the MCP project's own reference servers
+  const official = { official: 'official integration', reference: 'reference server' }[server.category];
+  signals.official = {
+    points: official ? MAX_POINTS.official : 0,
+    value: official || server.category || 'not in the registry',
+  };
+
+  if (hasMetadata) {
+    signals.stars = { points: starPoints(server.stars || 0), value: server.stars || 0 };
+    if (server.stars !== undefined && server.stars < 10) flags.push('few_stars');
+
+    const days = server.pushed_at ? daysSince(server.pushed_at, now) : null;
+    signals.recency = {
+      points: days === null ? 0 : recencyPoints(days),
+      value: server.pushed_at || 'never pushed',
+    };
+    if (days === null || days > 365) flags.push('stale');
+
+    signals.not_archived = { points: server.archived ? 0 : MAX_POINTS.not_archived, value: server.archived ? 'archived' : 'active' };
+    if (server.archived) flags.push('archived');
+
+    signals.license = { points: server.license ? MAX_POINTS.license : 0, value: server.license || 'none' };
+    if (!server.license) flags.push('no_license');
+
+    signals.releases = releasePoints(server, now);
+  } else {
+    missing.push('stars', 'recency', 'not_archived', 'license', 'releases');
+    flags.push('no_metadata');
+  }
+
+  const pkg = packageSignal(server, packageCheck);
+  signals.package = { points: pkg.points, value: pkg.value };
+  if (pkg.flag) flags.push(pkg.flag);
+
+  for (const [name, signal] of Object.entries(signals)) {
+    signal.max = MAX_POINTS[name];
+  }
+  const score = Object.values(signals).reduce((sum, signal) => sum + signal.points, 0);
+
+  return { score, max: 100, signals, flags, missing };
+}
+
+// Compact form for search/list results
+export function trustSummary(server) {
+  const { score, flags } = computeTrustScore(server);
+  return { score, flags };
+}
@@ -0,0 +1,203 @@
+import { parseGitHubUrl } from './install-recipes.js';
+import { unwrapEntry } from './sandbox.js';
+
+// Reading and rewriting the package pin in a server's launch args
+// (npx pkg@1.2.3, uvx pkg@1.2.3 / --from pkg==1.2.3 script, docker image:tag),
+// comparing versions, and collecting release notes between two versions.
+
+const DIST_TAGS = new Set(['latest', 'next', 'beta', 'alpha', 'canary', 'rc']);
+const MAX_NOTES_LENGTH = 2000;
+
+function splitNpmSpec(spec) {
+  // @scope/name@version or name@version
+  const at = spec.lastIndexOf('@');
+  return at > 0 ? { name: spec.slice(0, at), version: spec.slice(at + 1) } : { name: spec, version: null };
+}
+
+function splitPypiSpec(spec) {
+  const match = spec.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)(?:\[[^\]]*\])?\s*(?:(==|@|>=|~=)\s*(.+))?$/);
+  if (!match) return { name: spec, version: null, operator: null };
+  return { name: match[1], version: match[3] || null, operator: match[2] || null };
+}
+
+// The package an entry launches and how it is pinned, or null for other commands.
+// { type, package, version, pinned, index } where index is the arg holding the spec.
+// Sandboxed entries are read through the wrapper; index still points into entry.args.
+export function readPin(entry) {
+  const wrapped = unwrapEntry(entry);
+  if (wrapped) {
+    const pin = readPin(wrapped.inner);
+    return pin && { ...pin, index: pin.index + wrapped.offset };
+  }
+  const command = String(entry.command || '').split(/[\\/]/).pop().replace(/\.(exe|cmd)$/i, '');
+  const args = entry.args || [];
+
+  if (command === 'npx') {
+    const packageFlag = args.findIndex(arg => arg === '-p' || arg === '--package');
+    const index = packageFlag >= 0
+      ? packageFlag + 1
+      : args.findIndex(arg => arg.startsWith('--package=') || !arg.startsWith('-'));
+    if (index < 0 || index >= args.length) return null;
+    const spec = args[index].replace(/^--package=/, '');
+    const { name, version } = splitNpmSpec(spec);
+    const pinned = Boolean(version) && !DIST_TAGS.has(version) && !/[\^~*x><|]/.test(version);
+    return { type: 'npm', package: name, version: pinned ? version : null, tag: pinned ? undefined : version || 'latest', pinned, index };
+  }
+
+  if (command === 'uvx' || (command === 'uv' && args[0] === 'tool' && args[1] === 'run')) {
+    const start = command === 'uv' ? 2 : 0;
+    const from = args.indexOf('--from', start);
+    const index = from >= 0 ? from + 1 : args.findIndex((arg, i) => i >= start && !arg.startsWith('-'));
+    if (index < 0 || index >= args.length) return null;
+    const { name, version, operator } = splitPypiSpec(args[index]);
+    const pinned = Boolean(version) && (operator === '==' || operator === '@') && version !== 'latest';
+    return { type: 'pypi', package: name, version: pinned ? version : null, pinned, index };
+  }
+
+  if (command === 'docker' || command === 'podman') {
+    // The image is the first non-flag argument after "run" that is not a flag's value
+    const run = args.indexOf('run');
+    if (run < 0) return null;
+    const valueFlags = new Set(['-e', '--env', '-v', '--volume', '--name', '-p', '--publish', '--network', '--env-file', '-w', '--workdir', '--user', '-u', '--mount', '--entrypoint', '--platform']);
+    for (let i = run + 1; i < args.length; i++) {
+      if (valueFlags.has(args[i])) {
+        i++;
+        continue;
+      }
+      if (args[i].startsWith('-')) continue;
+      const image = args[i];
+      const digest = image.includes('@sha256:');
+      const tagMatch = !digest && image.match(/^(.*?)(?::([^:/]+))?$/);
+      const version = digest ? image.split('@')[1] : tagMatch[2] || null;
+      return {
+        type: 'docker',
+        package: digest ? image.split('@')[0] : tagMatch[1],
+        version: version && version !== 'latest' ? version : null,
+        pinned: Boolean(version) && version !== 'latest',
+        index: i,
+      };
+    }
+  }
+  return null;
+}
+
+// Returns new args with the spec at pin.index pointing at version
+export function writePin(entry, pin, version) {
+  const args = [...(entry.args || [])];
+  const original = args[pin.index];
+  if (pin.type === 'npm') {
+    const prefix = original.startsWith('--package=') ? '--package=' : '';
+    args[pin.index] = `${prefix}${pin.package}@${version}`;
+  } else if (pin.type === 'pypi') {
+    // uvx takes pkg@version as the command; --from takes a requirement (pkg==version)
+    const extras = original.match(/\[[^\]]*\]/)?.[0] || '';
+    const fromSpec = args[pin.index - 1] === '--from';
+    args[pin.index] = `${pin.package}${extras}${fromSpec ? '==' : '@'}${version}`;
+  } else if (pin.type === 'docker') {
+    args[pin.index] = version.startsWith('sha256:') ? `${pin.package}@${version}` : `${pin.package}:${version}`;
+  }
+  return args;
+}
+
+function parseVersion(version) {
+  const match = String(version).trim().replace(/^v/i, '').match(/^(\d+(?:\.\d+)*)(.*)$/);
+  if (!match) return null;
+  return { parts: match[1].split('.').map(Number), pre: match[2].replace(/^[-.+]?/, '') };
+}
+
+export function isPrerelease(version) {
+  const parsed = parseVersion(version);
+  return Boolean(parsed && parsed.pre && !/^post\d*$/i.test(parsed.pre));
+}
+
+// Numeric, segment-wise comparison; a prerelease sorts before its release
+export function compareVersions(a, b) {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  if (!va || !vb) return String(a).localeCompare(String(b));
+  const length = Math.max(va.parts.length, vb.parts.length);
+  for (let i = 0; i < length; i++) {
+    const diff = (va.parts[i] || 0) - (vb.parts[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  if (va.pre === vb.pre) return 0;
+  if (!va.pre) return 1;
+  if (!vb.pre) return -1;
+  return va.pre.localeCompare(vb.pre, undefined, { numeric: true });
+}
+
+// "major" | "minor" | "patch" | "prerelease" | null
+export function updateType(from, to) {
+  const va = parseVersion(from);
+  const vb = parseVersion(to);
+  if (!va || !vb || compareVersions(from, to) >= 0) return null;
+  if ((vb.parts[0] || 0) !== (va.parts[0] || 0)) return 'major';
+  if ((vb.parts[1] || 0) !== (va.parts[1] || 0)) return 'minor';
+  if ((vb.parts[2] || 0) !== (va.parts[2] || 0)) return 'patch';
+  return 'prerelease';
+}
+
+// Version named by a release tag: v1.2.3, pkg@1.2.3, pkg-v1.2.3
+function tagVersion(tag) {
+  const match = String(tag).match(/(\d+(?:\.\d+)+(?:[-.+]?[0-9A-Za-z.]+)?)$/);
+  return match ? match[1] : null;
+}
+
+function truncate(text) {
+  const value = String(text || '').trim();
+  return value.length > MAX_NOTES_LENGTH ? `${value.slice(0, MAX_NOTES_LENGTH)}\n... (truncated)` : value;
+}
+
+// Changelog sections whose heading names a version in (from, to]
+function changelogSections(text, from, to) {
+  const sections = [];
+  let current = null;
+  for (const line of text.split('\n')) {
+    const heading = line.match(/^#{1,3}\s+\[?v?(\d+(?:\.\d+)+[^\]\s]*)\]?/);
+    if (heading) {
+      current = { version: heading[1], lines: [] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+  return sections
+    .filter(section => compareVersions(section.version, from) > 0 && compareVersions(section.version, to) <= 0)
+    .map(section => ({ version: section.version, notes: truncate(section.lines.join('\n')) }));
+}
+
+// Release notes for versions in (from, to] from GitHub releases, falling back to CHANGELOG.md
+export async function collectReleaseNotes(github, repoUrl, from, to, { offline } = {}) {
+  const repo = parseGitHubUrl(repoUrl || '');
+  if (!repo) {
+    return { source: null, entries: [], note: 'No GitHub repository known for this package' };
+  }
+
+  const releases = await github.rest(`/repos/${repo.owner}/${repo.repo}/releases?per_page=100`, { offline });
+  const entries = (Array.isArray(releases.data) ? releases.data : [])
+    .filter(release => !release.draft)
+    .map(release => ({ release, version: tagVersion(release.tag_name) }))
+    .filter(({ version }) => version && (!from || compareVersions(version, from) > 0) && compareVersions(version, to) <= 0)
+    .sort((a, b) => compareVersions(b.version, a.version))
+    .map(({ release, version }) => ({
+      version,
+      tag: release.tag_name,
+      published_at: release.published_at,
+      url: release.html_url,
+      notes: truncate(release.body),
+    }));
+  if (entries.length > 0) {
+    return { source: 'github_releases', repository: `${repo.owner}/${repo.repo}`, entries };
+  }
+
+  for (const file of ['CHANGELOG.md', 'CHANGES.md', 'HISTORY.md']) {
+    const result = await github.rest(`/repos/${repo.owner}/${repo.repo}/contents/${file}`, { offline });
+    if (result.status === 404 || !result.data?.content) continue;
+    const text = Buffer.from(result.data.content, 'base64').toString('utf-8');
+    const sections = changelogSections(text, from || '0', to);
+    if (sections.length > 0) {
+      return { source: file, repository: `${repo.owner}/${repo.repo}`, url: result.data.html_url, entries: sections };
+    }
+  }
+  return { source: null, repository: `${repo.owner}/${repo.repo}`, entries: [], note: 'No release notes found between these versions' };
+}
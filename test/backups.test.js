@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { backupConfigFile } from '../lib/config-store.js';
+import { listBackups } from '../lib/backups.js';
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'wx-mcp-backups-'));
+  process.env.WX_MCP_HOME = path.join(tmp, 'tool');
+});
+
+after(async () => {
+  delete process.env.WX_MCP_HOME;
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+const config = JSON.stringify({ servers: { a: { command: 'node', args: ['a.js'] } } });
+
+test('project config backups go to the tool directory, not the repository', async () => {
+  const repo = path.join(tmp, 'repo');
+  await fs.mkdir(path.join(repo, '.git'), { recursive: true });
+  await fs.mkdir(path.join(repo, '.vscode'));
+  const configPath = path.join(repo, '.vscode', 'mcp.json');
+  await fs.writeFile(configPath, config);
+
+  const { backupPath } = await backupConfigFile(configPath, config);
+  assert.ok(backupPath.startsWith(path.join(tmp, 'tool', 'backups', 'repo-')));
+  assert.deepEqual(await fs.readdir(path.join(repo, '.vscode')), ['mcp.json']);
+
+  const backups = await listBackups(configPath, 'vscode');
+  assert.equal(backups.length, 1);
+  assert.equal(backups[0].path, backupPath);
+});
+
+test('backups left next to a project config are still listed', async () => {
+  const repo = path.join(tmp, 'old');
+  await fs.mkdir(repo);
+  const configPath = path.join(repo, 'mcp.json');
+  await fs.writeFile(configPath, config);
+  await fs.writeFile(path.join(repo, 'mcp.backup.2024-01-01T00-00-00.json'), config);
+  await backupConfigFile(configPath, config);
+
+  const backups = await listBackups(configPath, 'copilot');
+  assert.equal(backups.length, 2);
+  assert.equal(new Set(backups.map(backup => path.dirname(backup.path))).size, 2);
+});
+
+test('other configs are backed up next to themselves', async () => {
+  const dir = path.join(tmp, 'user');
+  await fs.mkdir(dir);
+  const configPath = path.join(dir, 'mcp-config.json');
+  await fs.writeFile(configPath, config);
+
+  const { backupPath } = await backupConfigFile(configPath, config);
+  assert.equal(path.dirname(backupPath), dir);
+});
@@ -0,0 +1,110 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { root, toolEnv } from './fixtures/tool-client.mjs';
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'wx-mcp-cli-'));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+// The CLI over the fixture registry, offline, with everything under the temp dir
+function cli(args, env = {}) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [path.join(root, 'index.js'), ...args], {
+      env: toolEnv(tmp, { WX_MCP_OFFLINE: '1', ...env }),
+      timeout: 30000,
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+async function writeConfig(servers) {
+  const configPath = path.join(tmp, '.copilot', 'mcp-config.json');
+  await fs.mkdir(path.dirname(configPath), { recursive: true });
+  await fs.writeFile(configPath, JSON.stringify({ mcpServers: servers }));
+  return configPath;
+}
+
+test('help and version exit 0', async () => {
+  const { version } = JSON.parse(await fs.readFile(path.join(root, 'package.json'), 'utf-8'));
+  assert.deepEqual(await cli(['--version']), { code: 0, stdout: `${version}\n`, stderr: '' });
+
+  const help = await cli(['help']);
+  assert.equal(help.code, 0);
+  assert.match(help.stdout, /Exit codes: 0 success, 1 failure, 2 usage error\./);
+  assert.match((await cli(['install', '--help'])).stdout, /Usage: wx-gh-mcp-reg-tool install <name>/);
+});
+
+test('--json prints the handler result for the registry and the installed config', async () => {
+  const search = await cli(['search', 'tickets', '--json']);
+  assert.equal(search.code, 0, search.stderr);
+  assert.deepEqual(JSON.parse(search.stdout).servers.map(server => server.name), ['Ticket Tracker']);
+
+  const list = await cli(['list', '--json']);
+  assert.equal(list.code, 0, list.stderr);
+  assert.equal(JSON.parse(list.stdout).total_servers, 3);
+
+  const configPath = await writeConfig({ tracker: { type: 'local', command: 'npx', args: ['-y', 'tracker-mcp'], tools: ['*'] } });
+  const installed = await cli(['list', '--installed', '--json']);
+  assert.equal(installed.code, 0, installed.stderr);
+  assert.deepEqual(JSON.parse(installed.stdout), JSON.parse((await cli(['list', '--installed', '--json', '--client', 'copilot'])).stdout));
+  assert.equal(JSON.parse(installed.stdout).config_path, configPath);
+
+  const table = await cli(['list', '--installed']);
+  assert.match(table.stdout, /^1 server\(s\) in .* \(copilot\)/);
+  assert.match(table.stdout, /tracker +stdio +none +npx -y tracker-mcp/);
+});
+
+test('usage errors exit 2 and print the command usage', async () => {
+  const unknown = await cli(['frobnicate']);
+  assert.equal(unknown.code, 2);
+  assert.match(unknown.stderr, /^Unknown command "frobnicate"/);
+  assert.equal(unknown.stdout, '');
+
+  // Usage errors stay on stderr even with --json
+  const install = await cli(['install', 'tracker', '--json']);
+  assert.equal(install.code, 2);
+  assert.equal(install.stdout, '');
+  assert.match(install.stderr, /error: install takes <name> and a GitHub URL/);
+  assert.match(install.stderr, /Usage: wx-gh-mcp-reg-tool install/);
+
+  for (const args of [['search', 'x', '--limit', 'many'], ['list', '--colour'], ['list', '--client', 'emacs'], ['install', 'a', 'b', '--mount', '/tmp']]) {
+    assert.equal((await cli(args)).code, 2, args.join(' '));
+  }
+  const exec = await cli(['exec', 'node']);
+  assert.equal(exec.code, 2);
+  assert.match(exec.stderr, /Usage: wx-gh-mcp-reg-tool exec -- <command>/);
+});
+
+test('failures exit 1, as JSON on stdout with --json and as an error line without', async () => {
+  const missing = await cli(['list', '--installed', '--json', '--config-path', path.join(tmp, 'none.json')]);
+  assert.equal(missing.code, 1);
+  assert.equal(JSON.parse(missing.stdout).success, false);
+
+  const plain = await cli(['list', '--installed', '--config-path', path.join(tmp, 'none.json')]);
+  assert.equal(plain.code, 1);
+  assert.equal(plain.stdout, '');
+  assert.match(plain.stderr, /^error: ENOENT/);
+
+  await writeConfig({ broken: { type: 'local', command: 'wx-mcp-no-such-command', args: [], tools: ['*'] } });
+  const doctor = await cli(['doctor', '--no-handshake', '--json']);
+  assert.equal(doctor.code, 1);
+  const report = JSON.parse(doctor.stdout);
+  assert.equal(report.healthy, false);
+  assert.equal(report.servers[0].status, 'error');
+});
+
+test('exec passes on the exit code of the server it starts', async () => {
+  const result = await cli(['exec', '--', process.execPath, '-e', 'process.exit(3)']);
+  assert.equal(result.code, 3);
+});
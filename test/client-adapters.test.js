@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAdapter } from '../lib/client-adapters.js';
+
+test('claude-desktop writes remote servers as an mcp-remote stdio entry', () => {
+  const adapter = getAdapter('claude-desktop');
+  const config = adapter.emptyConfig();
+  const native = adapter.setServer(config, 'acme', {
+    transport: 'sse',
+    url: 'https://mcp.acme.dev/sse',
+    headers: { Authorization: 'Bearer abc 123' },
+  });
+  assert.deepEqual(native, {
+    command: 'npx',
+    args: [
+      '-y', 'mcp-remote', 'https://mcp.acme.dev/sse',
+      '--transport', 'sse-only',
+      '--header', 'Authorization:${MCP_REMOTE_AUTHORIZATION}',
+    ],
+    env: { MCP_REMOTE_AUTHORIZATION: 'Bearer abc 123' },
+  });
+  assert.equal('url' in native, false);
+});
+
+test('claude-desktop reads mcp-remote entries back as remote servers', () => {
+  const adapter = getAdapter('claude-desktop');
+  const config = adapter.emptyConfig();
+  adapter.setServer(config, 'acme', { transport: 'http', url: 'https://mcp.acme.dev/mcp', headers: { 'X-Api-Key': 'k' } });
+  assert.deepEqual(adapter.getServer(config, 'acme'), {
+    transport: 'http',
+    url: 'https://mcp.acme.dev/mcp',
+    headers: { 'X-Api-Key': 'k' },
+  });
+
+  adapter.updateServer(config, 'acme', { headers: {} });
+  assert.deepEqual(config.mcpServers.acme, {
+    command: 'npx',
+    args: ['-y', 'mcp-remote', 'https://mcp.acme.dev/mcp', '--transport', 'http-only'],
+  });
+});
+
+test('claude-desktop leaves mcp-remote entries with other flags as stdio', () => {
+  const adapter = getAdapter('claude-desktop');
+  const config = { mcpServers: { local: { command: 'npx', args: ['-y', 'mcp-remote', 'http://localhost:3000/mcp', '--allow-http'] } } };
+  assert.equal(adapter.getServer(config, 'local').transport, 'stdio');
+});
@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createConfirmToken, diffConfigs } from '../lib/config-diff.js';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const TRACKER = 'https://github.com/example/ticket-tracker';
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'wx-mcp-confirm-'));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+// The CLI over the fixture registry, offline, with everything under the temp dir
+function cli(args, env = {}) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [path.join(root, 'index.js'), ...args, '--json'], {
+      env: {
+        ...process.env,
+        HOME: tmp,
+        WX_MCP_HOME: path.join(tmp, 'tool'),
+        WX_MCP_SOURCES_FILE: path.join(root, 'test', 'fixtures', 'sources', 'sources.json'),
+        WX_MCP_OFFLINE: '1',
+        ...env,
+      },
+      timeout: 30000,
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, result: stdout ? JSON.parse(stdout) : null, stderr });
+    });
+  });
+}
+
+test('a token stands for one tool, file, starting text and result', () => {
+  const base = { tool: 'install_mcp_server', configPath: '/a/mcp.json', beforeText: '{}\n', afterText: '{ "a": 1 }\n' };
+  const token = createConfirmToken(base);
+  assert.match(token, /^[0-9a-f]{32}$/);
+  assert.equal(createConfirmToken({ ...base }), token);
+  for (const change of [{ tool: 'remove_mcp_server' }, { configPath: '/b/mcp.json' }, { beforeText: '' }, { afterText: '{ "a": 2 }\n' }]) {
+    assert.notEqual(createConfirmToken({ ...base, ...change }), token, JSON.stringify(change));
+  }
+});
+
+test('previews mask secret values', () => {
+  const after = { mcpServers: { acme: { command: 'npx', env: { API_KEY: 'sk-live-value-1234567890abcdef' } } } };
+  const diff = diffConfigs(null, after, { serversKey: 'mcpServers', fromFile: 'a', toFile: 'b' });
+  assert.equal(diff.changes[0].op, 'add');
+  assert.doesNotMatch(JSON.stringify(diff), /sk-live/);
+});
+
+test('a previewed install is applied only with its own confirm token', async () => {
+  const configPath = path.join(tmp, 'preview.json');
+  const install = ['install', 'tracker', TRACKER, '--config-path', configPath];
+
+  const preview = await cli([...install, '--dry-run']);
+  assert.equal(preview.code, 0, preview.stderr);
+  assert.equal(preview.result.applied, false);
+  assert.equal(preview.result.confirm_required, false);
+  assert.match(preview.result.confirm_token, /^[0-9a-f]{32}$/);
+  await assert.rejects(fs.access(configPath));
+
+  const wrong = await cli([...install, '--confirm-token', '0'.repeat(32)]);
+  assert.equal(wrong.code, 1);
+  assert.match(wrong.result.error, /confirm_token does not match/);
+  await assert.rejects(fs.access(configPath));
+
+  const applied = await cli([...install, '--confirm-token', preview.result.confirm_token]);
+  assert.equal(applied.code, 0, applied.stderr);
+  assert.equal(applied.result.applied, true);
+  const written = JSON.parse(await fs.readFile(configPath, 'utf-8'));
+  assert.deepEqual(written.mcpServers.tracker.args, ['-y', '@example/ticket-tracker@1.2.0']);
+});
+
+test('with confirmation required, a call without a token only previews', async () => {
+  const configPath = path.join(tmp, 'required.json');
+  const install = ['install', 'tracker', TRACKER, '--config-path', configPath];
+  const env = { WX_MCP_REQUIRE_CONFIRM: '1' };
+
+  const preview = await cli(install, env);
+  assert.equal(preview.code, 0, preview.stderr);
+  assert.equal(preview.result.applied, false);
+  assert.equal(preview.result.confirm_required, true);
+  await assert.rejects(fs.access(configPath));
+
+  const applied = await cli([...install, '--confirm-token', preview.result.confirm_token], env);
+  assert.equal(applied.result.applied, true);
+  await fs.access(configPath);
+});
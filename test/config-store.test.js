@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseConfigText, readConfig, writeAtomic, writeConfig } from '../lib/config-store.js';
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'wx-mcp-store-'));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+test('JSONC comments and trailing commas are stripped', () => {
+  const text = `{
+    // servers
+    "servers": {
+      "a": { "args": ["x", "y",], }, /* block */
+    },
+  }`;
+  assert.deepEqual(parseConfigText(text), { servers: { a: { args: ['x', 'y'] } } });
+});
+
+test('trailing commas before a comment are stripped', () => {
+  assert.deepEqual(parseConfigText('{ "a": [1, 2, // last\n] }'), { a: [1, 2] });
+});
+
+test('string contents are left alone', () => {
+  const config = { servers: { a: { args: ['a,]', 'b, }', 'http://x//y', '/* not */'], env: { Q: '\\",]' } } } };
+  assert.deepEqual(parseConfigText(JSON.stringify(config, null, 2)), config);
+});
+
+test('a fixed mode applies to a new file and replaces an existing one', { skip: process.platform === 'win32' }, async () => {
+  const dir = await fs.mkdtemp(path.join(tmp, 'mode-'));
+  const file = path.join(dir, 'profiles.json');
+  await fs.writeFile(file, '{}\n', { mode: 0o644 });
+  await writeAtomic(file, '{ "a": 1 }\n', { mode: 0o600 });
+  assert.equal((await fs.stat(file)).mode & 0o777, 0o600);
+
+  // Without one, the existing file keeps its permissions
+  await fs.chmod(file, 0o640);
+  await writeAtomic(file, '{ "a": 2 }\n');
+  assert.equal((await fs.stat(file)).mode & 0o777, 0o640);
+  assert.deepEqual(await fs.readdir(dir), ['profiles.json']);
+});
+
+const SERVER = { command: 'npx', args: ['-y', 'acme-mcp'] };
+
+test('a write keeps the file\'s format, backs it up and leaves no temp file', async () => {
+  const dir = await fs.mkdtemp(path.join(tmp, 'write-'));
+  const configPath = path.join(dir, 'mcp.json');
+  await fs.writeFile(configPath, '{\r\n\t"mcpServers": {}\r\n}');
+
+  const loaded = await readConfig(configPath, { client: 'copilot' });
+  loaded.config.mcpServers.acme = SERVER;
+  const { backupPath } = await writeConfig(configPath, loaded.config, { client: 'copilot', loaded, backup: true });
+
+  const text = await fs.readFile(configPath, 'utf-8');
+  assert.equal(text, '{\r\n\t"mcpServers": {\r\n\t\t"acme": {\r\n\t\t\t"command": "npx",\r\n\t\t\t"args": [\r\n\t\t\t\t"-y",\r\n\t\t\t\t"acme-mcp"\r\n\t\t\t]\r\n\t\t}\r\n\t}\r\n}');
+  assert.equal(await fs.readFile(backupPath, 'utf-8'), '{\r\n\t"mcpServers": {}\r\n}');
+  assert.deepEqual((await fs.readdir(dir)).filter(file => file.endsWith('.tmp')), []);
+});
+
+test('a file changed since it was read is not overwritten', async () => {
+  const configPath = path.join(tmp, 'concurrent.json');
+  await fs.writeFile(configPath, '{ "mcpServers": {} }\n');
+  const loaded = await readConfig(configPath, { client: 'copilot' });
+  loaded.config.mcpServers.acme = SERVER;
+
+  // Another process edits the file in between
+  await fs.writeFile(configPath, '{ "mcpServers": { "other": { "command": "uvx" } } }\n');
+  await assert.rejects(
+    writeConfig(configPath, loaded.config, { client: 'copilot', loaded, backup: false }),
+    /was modified by another process since it was read; nothing was written/
+  );
+  assert.equal(await fs.readFile(configPath, 'utf-8'), '{ "mcpServers": { "other": { "command": "uvx" } } }\n');
+
+  // A file that did not exist when read, but does now, counts as modified too
+  const createdPath = path.join(tmp, 'created.json');
+  const missing = await readConfig(createdPath, { client: 'copilot', allowMissing: true });
+  await fs.writeFile(createdPath, '{}\n');
+  await assert.rejects(writeConfig(createdPath, missing.config, { client: 'copilot', loaded: missing, backup: false }), /modified by another process/);
+});
+
+test('invalid configs are neither read for changes nor written', async () => {
+  const brokenPath = path.join(tmp, 'broken.json');
+  await fs.writeFile(brokenPath, '{ "mcpServers": { ');
+  await assert.rejects(readConfig(brokenPath, { client: 'copilot' }), /Refusing to modify .*not valid JSON/);
+
+  const configPath = path.join(tmp, 'invalid.json');
+  await fs.writeFile(configPath, '{}\n');
+  const loaded = await readConfig(configPath, { client: 'copilot' });
+  await assert.rejects(
+    writeConfig(configPath, { mcpServers: { acme: { args: 'npx acme' } } }, { client: 'copilot', loaded, backup: false }),
+    /Refusing to write an invalid config: mcpServers.acme needs a "command" string or a "url"; mcpServers.acme.args must be an array of strings/
+  );
+  assert.equal(await fs.readFile(configPath, 'utf-8'), '{}\n');
+});
@@ -0,0 +1,101 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { checkConnectivity } from '../lib/inspector.js';
+import { createServer } from './fixtures/servers/echo-server.mjs';
+
+// A local stand-in for a remote server: Streamable HTTP at /mcp, the older
+// SSE transport at /sse (POSTs there fail, as on SSE-only servers), and a bearer token
+const TOKEN = 'fixture-token';
+const sessions = new Map();
+let server;
+let baseUrl;
+
+async function handle(req, res) {
+  const url = new URL(req.url, baseUrl);
+  if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+    res.writeHead(401).end('Unauthorized');
+    return;
+  }
+  if (url.pathname === '/mcp') {
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+    res.on('close', () => transport.close());
+    await createServer({ name: 'remote-fixture' }).connect(transport);
+    await transport.handleRequest(req, res);
+  } else if (url.pathname === '/sse' && req.method === 'GET') {
+    const transport = new SSEServerTransport('/messages', res);
+    sessions.set(transport.sessionId, transport);
+    res.on('close', () => sessions.delete(transport.sessionId));
+    await createServer({ name: 'sse-fixture' }).connect(transport);
+  } else if (url.pathname === '/messages' && sessions.has(url.searchParams.get('sessionId'))) {
+    await sessions.get(url.searchParams.get('sessionId')).handlePostMessage(req, res);
+  } else {
+    res.writeHead(405).end();
+  }
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    handle(req, res).catch(error => res.writeHead(500).end(error.message));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.WX_MCP_TEST_REMOTE_TOKEN = TOKEN;
+});
+
+after(async () => {
+  delete process.env.WX_MCP_TEST_REMOTE_TOKEN;
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+const headers = { Authorization: 'Bearer ${WX_MCP_TEST_REMOTE_TOKEN}' };
+
+test('a Streamable HTTP server answers the handshake', async () => {
+  const result = await checkConnectivity({ transport: 'http', url: `${baseUrl}/mcp`, headers }, { timeoutMs: 5000 });
+
+  assert.equal(result.ok, true, result.error);
+  assert.equal(result.transport, 'http');
+  assert.deepEqual(result.server_info, { name: 'remote-fixture', version: '1.0.0' });
+  assert.ok(result.capabilities.tools);
+  assert.deepEqual(result.unresolved_headers, []);
+});
+
+test('an SSE server is found when detection is on', async () => {
+  const entry = { transport: 'http', url: `${baseUrl}/sse`, headers };
+
+  const strict = await checkConnectivity(entry, { timeoutMs: 5000 });
+  assert.equal(strict.ok, false);
+  assert.match(strict.error, /^http: /);
+
+  const detected = await checkConnectivity(entry, { timeoutMs: 5000, detect: true });
+  assert.equal(detected.ok, true, detected.error);
+  assert.equal(detected.transport, 'sse');
+  assert.equal(detected.server_info.name, 'sse-fixture');
+});
+
+test('a missing token fails with the unresolved header reported', async () => {
+  const result = await checkConnectivity(
+    { transport: 'http', url: `${baseUrl}/mcp`, headers: { Authorization: 'Bearer ${WX_MCP_TEST_UNSET_TOKEN}' } },
+    { timeoutMs: 5000, detect: true }
+  );
+
+  assert.equal(result.ok, false);
+  assert.match(result.error, /^http: .*; sse: /);
+  assert.match(result.error, /401/);
+  assert.deepEqual(result.unresolved_headers, ['Authorization']);
+});
+
+test('an endpoint that is not listening fails cleanly', async () => {
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  const result = await checkConnectivity({ transport: 'sse', url: `http://127.0.0.1:${port}/sse` }, { timeoutMs: 5000 });
+  assert.equal(result.ok, false);
+  assert.equal(result.transport, 'sse');
+  assert.match(result.error, /^sse: /);
+});
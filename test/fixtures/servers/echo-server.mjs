@@ -0,0 +1,63 @@
+// Minimal MCP server for the inspector tests. Run directly it serves stdio;
+// the remote tests import createServer and host it over HTTP/SSE themselves.
+import { fileURLToPath } from 'url';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import {
+  CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+
+const TOOLS = [
+  {
+    name: 'echo',
+    description: 'Echo the given text',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+  },
+  {
+    name: 'add',
+    description: 'Add two numbers',
+    inputSchema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] },
+    annotations: { readOnlyHint: true },
+  },
+];
+
+export function createServer({ name = 'echo-fixture', version = '1.0.0' } = {}) {
+  const server = new Server(
+    { name, version },
+    { capabilities: { tools: {}, resources: {}, prompts: {} }, instructions: 'Test fixture' }
+  );
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
+  server.setRequestHandler(CallToolRequestSchema, async ({ params }) => {
+    const args = params.arguments || {};
+    const text = params.name === 'add' ? String(args.a + args.b) : String(args.text);
+    return { content: [{ type: 'text', text }] };
+  });
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+    resources: [{ uri: 'fixture://readme', name: 'readme', description: 'Fixture readme', mimeType: 'text/plain' }],
+  }));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: [{ uriTemplate: 'fixture://notes/{id}', name: 'note' }],
+  }));
+  server.setRequestHandler(ReadResourceRequestSchema, async ({ params }) => ({
+    contents: [{ uri: params.uri, mimeType: 'text/plain', text: 'fixture' }],
+  }));
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: [{ name: 'greet', description: 'Greet someone', arguments: [{ name: 'who', required: true }] }],
+  }));
+  server.setRequestHandler(GetPromptRequestSchema, async ({ params }) => ({
+    messages: [{ role: 'user', content: { type: 'text', text: `Hello ${params.arguments?.who}` } }],
+  }));
+  return server;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  // Lets tests check that env (and resolved references) reach the child
+  console.error(`echo-fixture starting, FIXTURE_GREETING=${process.env.FIXTURE_GREETING || ''}`);
+  await createServer().connect(new StdioServerTransport());
+}
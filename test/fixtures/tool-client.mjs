@@ -0,0 +1,41 @@
+// Starts this tool as a stdio MCP server for handler tests, with its home, cache
+// and registry sources under a temp dir, and reads each tool call's JSON result.
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+export const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+export const sourcesFile = path.join(root, 'test', 'fixtures', 'sources', 'sources.json');
+
+// Environment for a tool process that keeps everything under dir
+export function toolEnv(dir, env = {}) {
+  return {
+    ...process.env,
+    HOME: dir,
+    WX_MCP_HOME: path.join(dir, 'tool'),
+    WX_MCP_CACHE_DIR: path.join(dir, 'cache'),
+    WX_MCP_SECRETS_FILE: path.join(dir, 'secrets.env'),
+    WX_MCP_SOURCES_FILE: sourcesFile,
+    WX_MCP_AUTO_BACKUP: '0',
+    ...env,
+  };
+}
+
+export async function connectTool(dir, env = {}) {
+  const client = new Client({ name: 'wx-mcp-test', version: '1.0.0' });
+  await client.connect(new StdioClientTransport({
+    command: process.execPath,
+    args: [path.join(root, 'index.js')],
+    env: toolEnv(dir, env),
+    stderr: 'ignore',
+  }));
+  return {
+    client,
+    async call(name, args = {}) {
+      const result = await client.callTool({ name, arguments: args });
+      return JSON.parse(result.content[0].text);
+    },
+    close: () => client.close(),
+  };
+}
@@ -0,0 +1,174 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { GitHubClient, getGitHubApiUrl, getGitHubGraphqlUrl } from '../lib/github.js';
+import { normalizeRepoUrl } from '../lib/registry-cache.js';
+
+// A local stand-in for the GitHub REST and GraphQL APIs, laid out like GitHub Enterprise
+const ENV_VARS = ['WX_MCP_GITHUB_API_URL', 'WX_MCP_GITHUB_GRAPHQL_URL', 'GITHUB_TOKEN', 'GH_TOKEN'];
+const saved = Object.fromEntries(ENV_VARS.map(name => [name, process.env[name]]));
+
+const requests = [];
+let server;
+let baseUrl;
+let tmp;
+
+const REPO = {
+  stargazers_count: 42,
+  forks_count: 7,
+  pushed_at: '2026-09-01T00:00:00Z',
+  archived: false,
+  license: { spdx_id: 'MIT', name: 'MIT License' },
+  default_branch: 'main',
+};
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function handle(req, res, body) {
+  const url = new URL(req.url, baseUrl);
+  requests.push({ method: req.method, path: url.pathname + url.search, headers: req.headers, body });
+  switch (url.pathname) {
+    case '/api/v3/repos/example/tracker':
+      if (req.headers['if-none-match'] === '"v1"') return send(res, 304);
+      return send(res, 200, REPO, { etag: '"v1"', 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '59' });
+    case '/api/v3/repos/example/tracker/releases':
+      return send(res, 200, [
+        { tag_name: 'v2.0.0', published_at: '2026-08-01T00:00:00Z' },
+        { tag_name: 'v2.1.0-draft', draft: true },
+        { tag_name: 'v1.0.0', published_at: '2026-01-01T00:00:00Z' },
+      ]);
+    case '/api/v3/repos/example/tracker/readme':
+      return send(res, 200, { path: 'README.md', encoding: 'base64', content: Buffer.from('# Tracker\n').toString('base64') });
+    case '/api/v3/repos/example/tracker/contents/src/index.js':
+      return send(res, 200, { encoding: 'base64', content: Buffer.from('export {};\n').toString('base64') });
+    case '/api/v3/repos/example/limited':
+      return send(res, 403, { message: 'API rate limit exceeded' }, {
+        'x-ratelimit-limit': '60',
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': '1900000000',
+      });
+    case '/api/graphql': {
+      const { query } = JSON.parse(body);
+      const data = { rateLimit: { remaining: 4999, resetAt: '2026-10-19T00:00:00Z' } };
+      if (query.includes('r0: repository(owner: "example", name: "tracker")')) {
+        data.r0 = {
+          stargazerCount: 42,
+          forkCount: 7,
+          pushedAt: '2026-09-01T00:00:00Z',
+          isArchived: false,
+          licenseInfo: { spdxId: 'MIT', name: 'MIT License' },
+          defaultBranchRef: { name: 'main' },
+          latestRelease: { tagName: 'v2.0.0', publishedAt: '2026-08-01T00:00:00Z' },
+          releases: { totalCount: 2, nodes: [{ publishedAt: '2026-08-01T00:00:00Z' }] },
+        };
+      }
+      data.r1 = null;
+      return send(res, 200, { data });
+    }
+    default:
+      return send(res, 404, { message: 'Not Found' });
+  }
+}
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'wx-mcp-github-'));
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => handle(req, res, body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  for (const name of ENV_VARS) delete process.env[name];
+  process.env.WX_MCP_GITHUB_API_URL = `${baseUrl}/api/v3/`;
+});
+
+after(async () => {
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+function createClient(name, options = {}) {
+  return new GitHubClient({ cacheDir: path.join(tmp, name), ...options });
+}
+
+test('the GraphQL URL follows the API URL unless set explicitly', () => {
+  assert.equal(getGitHubApiUrl(), `${baseUrl}/api/v3`);
+  assert.equal(getGitHubGraphqlUrl(), `${baseUrl}/api/graphql`);
+
+  process.env.WX_MCP_GITHUB_API_URL = 'http://localhost:9/mock';
+  assert.equal(getGitHubGraphqlUrl(), 'http://localhost:9/mock/graphql');
+  process.env.WX_MCP_GITHUB_GRAPHQL_URL = 'http://localhost:9/gql';
+  assert.equal(getGitHubGraphqlUrl(), 'http://localhost:9/gql');
+
+  delete process.env.WX_MCP_GITHUB_GRAPHQL_URL;
+  process.env.WX_MCP_GITHUB_API_URL = `${baseUrl}/api/v3/`;
+});
+
+test('REST calls go to the mock API', async () => {
+  const client = createClient('rest');
+
+  const summary = await client.getRepoSummary('example', 'tracker');
+  assert.equal(summary.stars, 42);
+  assert.equal(summary.license, 'MIT');
+  assert.deepEqual(summary.latest_release, { tag: 'v2.0.0', published_at: '2026-08-01T00:00:00Z' });
+  assert.equal(summary.release_count, 2);
+  assert.equal(client.rateLimit.remaining, 59);
+
+  assert.equal((await client.getReadme('example', 'tracker')).text, '# Tracker\n');
+  assert.equal(await client.getFile('example', 'tracker', 'src/index.js'), 'export {};\n');
+  assert.equal(await client.getFile('example', 'tracker', 'missing.js'), null);
+  await assert.rejects(client.getRepo('example', 'missing'), /Repository example\/missing not found/);
+});
+
+test('cached responses are revalidated with their ETag and served offline', async () => {
+  const client = createClient('cache', { ttlSeconds: 0 });
+  assert.equal((await client.rest('/repos/example/tracker')).cache, 'miss');
+
+  const revalidated = await client.rest('/repos/example/tracker');
+  assert.equal(revalidated.cache, 'revalidated');
+  assert.equal(revalidated.data.stargazers_count, 42);
+  assert.equal(requests.at(-1).headers['if-none-match'], '"v1"');
+
+  const count = requests.length;
+  assert.equal((await client.rest('/repos/example/tracker', { offline: true })).cache, 'fresh');
+  await assert.rejects(client.rest('/repos/example/other', { offline: true }), /Offline mode and nothing cached/);
+  assert.equal(requests.length, count);
+});
+
+test('an exhausted rate limit is reported with a token hint', async () => {
+  const client = createClient('limited');
+  await assert.rejects(client.getRepo('example', 'limited'), /rate limit exceeded \(resets at 2030-03-17T17:46:40.000Z\)\. Set GITHUB_TOKEN/);
+});
+
+test('repository metadata is fetched from the mock GraphQL endpoint', async () => {
+  const urls = ['https://github.com/example/tracker', 'https://github.com/example/gone'];
+
+  const anonymous = await createClient('metadata').getRepoMetadata(urls);
+  assert.equal(anonymous.status.skipped, 2);
+
+  process.env.GITHUB_TOKEN = 'test-token';
+  try {
+    const { metadata, status } = await createClient('metadata').getRepoMetadata(urls);
+    assert.deepEqual({ fetched: status.fetched, not_found: status.not_found }, { fetched: 1, not_found: 1 });
+    const tracker = metadata.get(normalizeRepoUrl(urls[0]));
+    assert.equal(tracker.stars, 42);
+    assert.deepEqual(tracker.latest_release, { tag: 'v2.0.0', published_at: '2026-08-01T00:00:00Z' });
+
+    const graphql = requests.filter(request => request.path === '/api/graphql');
+    assert.equal(graphql.length, 1);
+    assert.equal(graphql[0].headers.authorization, 'Bearer test-token');
+  } finally {
+    delete process.env.GITHUB_TOKEN;
+  }
+});
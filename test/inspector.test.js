@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { inspectServer } from '../lib/inspector.js';
+
+const echoServer = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'servers', 'echo-server.mjs');
+
+test('a stdio server is launched, listed and shut down', async () => {
+  const result = await inspectServer(
+    { command: process.execPath, args: [echoServer], env: { FIXTURE_GREETING: 'hello' } },
+    { timeoutMs: 10000 }
+  );
+
+  assert.equal(result.ok, true, result.error);
+  assert.deepEqual(result.server_info, { name: 'echo-fixture', version: '1.0.0' });
+  assert.equal(result.instructions, 'Test fixture');
+  assert.deepEqual(result.tools.map(tool => tool.name), ['echo', 'add']);
+  assert.deepEqual(result.tools[0].input_schema.required, ['text']);
+  assert.deepEqual(result.tools[1].annotations, { readOnlyHint: true });
+  assert.deepEqual(result.resources, [
+    { uri: 'fixture://readme', name: 'readme', description: 'Fixture readme', mime_type: 'text/plain' },
+  ]);
+  assert.deepEqual(result.resource_templates, [{ uri_template: 'fixture://notes/{id}', name: 'note', description: undefined }]);
+  assert.deepEqual(result.prompts, [{ name: 'greet', description: 'Greet someone', arguments: [{ name: 'who', required: true }] }]);
+  assert.deepEqual(result.errors, []);
+  assert.match(result.stderr, /FIXTURE_GREETING=hello/);
+});
+
+test('a server that exits during startup is reported with its stderr', async () => {
+  const result = await inspectServer(
+    { command: process.execPath, args: ['-e', 'console.error("missing API key"); process.exit(3)'] },
+    { timeoutMs: 10000 }
+  );
+
+  assert.equal(result.ok, false);
+  assert.equal(result.stage, 'initialize');
+  assert.match(result.stderr, /missing API key/);
+});
+
+test('a server that never answers times out', async () => {
+  const result = await inspectServer(
+    { command: process.execPath, args: ['-e', 'setInterval(() => {}, 1000)'] },
+    { timeoutMs: 500 }
+  );
+
+  assert.equal(result.ok, false);
+  assert.match(result.error, /timed out after 500ms/);
+});
+
+test('env references resolve from the secrets file, and unresolved ones are reported', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wx-mcp-inspect-'));
+  process.env.WX_MCP_SECRETS_FILE = path.join(dir, 'secrets.env');
+  try {
+    await fs.writeFile(process.env.WX_MCP_SECRETS_FILE, 'FIXTURE_SECRET=from-secrets-file\n');
+    const result = await inspectServer(
+      {
+        command: process.execPath,
+        args: [echoServer],
+        env: { FIXTURE_GREETING: '${FIXTURE_SECRET}', FIXTURE_TOKEN: '${WX_MCP_TEST_UNSET_VARIABLE}' },
+      },
+      { timeoutMs: 10000 }
+    );
+
+    assert.equal(result.ok, true, result.error);
+    assert.match(result.stderr, /FIXTURE_GREETING=from-secrets-file/);
+    assert.deepEqual(result.unresolved_env, ['FIXTURE_TOKEN']);
+  } finally {
+    delete process.env.WX_MCP_SECRETS_FILE;
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
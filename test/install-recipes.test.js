@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findRecipeRepository, resolveInstallRecipe, recipeToServerEntry, recipesFromReadme, recipesFromServerJson } from '../lib/install-recipes.js';
+
+test('offline resolution fetches no repository files', async () => {
+  const fetched = [];
+  const resolution = await resolveInstallRecipe({
+    url: 'https://github.com/microsoft/playwright-mcp',
+    offline: true,
+    fetchFile: async url => {
+      fetched.push(url);
+      return null;
+    },
+  });
+  assert.deepEqual(fetched, []);
+  assert.equal(resolution.offline, true);
+  assert.equal(resolution.recipe.package, '@playwright/mcp');
+  assert.ok(resolution.inspected.every(item => item.skipped === 'offline'));
+});
+
+function readme(...blocks) {
+  return blocks.map(block => `\`\`\`bash\n${block}\n\`\`\``).join('\n\nSome text.\n\n');
+}
+
+test('README npx snippets give the package, with its version', () => {
+  const recipes = recipesFromReadme(readme('npx -y @acme/mcp-server@1.2.3 --port 3000'));
+  assert.deepEqual(recipes.map(recipe => [recipe.package, recipe.version, recipe.args]), [
+    ['@acme/mcp-server', '1.2.3', ['-y', '@acme/mcp-server@1.2.3']],
+  ]);
+});
+
+test('README npx snippets skip the inspector', () => {
+  const recipes = recipesFromReadme(readme(
+    'npx @modelcontextprotocol/inspector node build/index.js',
+    'npx -y acme-mcp',
+  ));
+  assert.deepEqual(recipes.map(recipe => recipe.package), ['acme-mcp']);
+});
+
+test('README npx snippets never take a flag for the package', () => {
+  const recipes = recipesFromReadme(readme(
+    'npx -p @acme/tools@2.0.0 acme-mcp',
+    'npx --package=@beta/mcp beta-server',
+    'npx --yes --quiet gamma-mcp',
+  ));
+  assert.deepEqual(recipes.map(recipe => [recipe.package, recipe.args]), [
+    ['@acme/tools', ['-y', '--package', '@acme/tools@2.0.0', 'acme-mcp']],
+    ['@beta/mcp', ['-y', '--package', '@beta/mcp@latest', 'beta-server']],
+    ['gamma-mcp', ['-y', 'gamma-mcp@latest']],
+  ]);
+});
+
+test('README docker snippets skip flags and their values to find the image', () => {
+  const recipes = recipesFromReadme(readme(
+    'docker run -i --rm -e GITHUB_TOKEN=<token> -v "$PWD:/data" ghcr.io/acme/mcp-server:1.0',
+    'docker run -i \\\n  --rm \\\n  -e API_KEY \\\n  acme/other-mcp --verbose',
+    'docker run -i',
+  ));
+  assert.deepEqual(recipes.map(recipe => [recipe.package, recipe.args, recipe.env]), [
+    ['ghcr.io/acme/mcp-server:1.0', ['run', '-i', '--rm', '-e', 'GITHUB_TOKEN', 'ghcr.io/acme/mcp-server:1.0'], { GITHUB_TOKEN: '' }],
+    ['acme/other-mcp', ['run', '-i', '--rm', '-e', 'API_KEY', 'acme/other-mcp'], { API_KEY: '' }],
+  ]);
+
+  const [snippet] = recipesFromReadme('```json\n{ "command": "docker", "args": ["run", "-i", "--rm", "-e", "TOKEN", "acme/mcp"] }\n```');
+  assert.equal(snippet.package, 'acme/mcp');
+});
+
+test('server.json docker packages pass their declared variables into the container', () => {
+  const [recipe] = recipesFromServerJson({
+    packages: [{
+      registryType: 'oci',
+      identifier: 'ghcr.io/acme/mcp',
+      version: '2.1.0',
+      environmentVariables: [{ name: 'ACME_TOKEN', isSecret: true }, { name: 'ACME_REGION', default: 'eu' }],
+    }],
+  });
+  assert.deepEqual(recipe.args, ['run', '-i', '--rm', '-e', 'ACME_TOKEN', '-e', 'ACME_REGION', 'ghcr.io/acme/mcp:2.1.0']);
+  assert.deepEqual(recipeToServerEntry(recipe).env, { ACME_REGION: 'eu' });
+});
+
+test('the source repository is found from the registry entry that launches the package', () => {
+  const servers = [
+    { url: 'https://github.com/acme/tracker', packages: [{ registryType: 'npm', identifier: '@acme/tracker-mcp' }] },
+    { url: 'https://github.com/acme/images', packages: [{ registryType: 'oci', identifier: 'ghcr.io/acme/images', version: '1.0' }] },
+    { url: 'https://github.com/acme/hosted', remotes: [{ type: 'streamable-http', url: 'https://mcp.acme.dev/mcp' }] },
+    { url: 'https://github.com/acme/guessed-mcp' },
+  ];
+  assert.equal(findRecipeRepository({ package: '@acme/tracker-mcp' }, servers), 'https://github.com/acme/tracker');
+  assert.equal(findRecipeRepository({ package: 'ghcr.io/acme/images' }, servers), 'https://github.com/acme/images');
+  assert.equal(findRecipeRepository({ url: 'https://mcp.acme.dev/mcp' }, servers), 'https://github.com/acme/hosted');
+  assert.equal(findRecipeRepository({ package: '@playwright/mcp' }), 'https://github.com/microsoft/playwright-mcp');
+  // A package name guessed from the repository name is not evidence
+  assert.equal(findRecipeRepository({ package: 'guessed-mcp' }, servers), null);
+});
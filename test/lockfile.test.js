@@ -0,0 +1,148 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { compareEntry, entryFromLock, readLockfile } from '../lib/lockfile.js';
+import { connectTool } from './fixtures/tool-client.mjs';
+
+// A local stand-in for the npm registry; the published hash can be swapped mid-test
+const INTEGRITY = 'sha512-published-1.3.0';
+let integrity = INTEGRITY;
+let server;
+let tmp;
+let tool;
+
+function handle(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  let body = null;
+  if (url.pathname === '/tracker-mcp') {
+    body = {
+      'dist-tags': { latest: '1.3.0' },
+      versions: { '1.2.0': {}, '1.3.0': { repository: { url: 'git+https://github.com/acme/tracker-mcp.git' } } },
+    };
+  } else if (url.pathname === '/tracker-mcp/1.3.0') {
+    body = { name: 'tracker-mcp', version: '1.3.0', dist: { integrity } };
+  }
+  res.writeHead(body ? 200 : 404, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body || { error: 'Not found' }));
+}
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'wx-mcp-lockfile-'));
+  server = http.createServer(handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  tool = await connectTool(tmp, { WX_MCP_NPM_REGISTRY_URL: `http://127.0.0.1:${server.address().port}` });
+});
+
+after(async () => {
+  await tool.close();
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+const ORIGINAL = {
+  mcpServers: {
+    tracker: {
+      type: 'local',
+      command: 'npx',
+      args: ['-y', 'tracker-mcp'],
+      env: { TRACKER_API_KEY: 'sk-live-value-1234567890abcdef', TRACKER_REGION: 'eu' },
+      tools: ['search'],
+    },
+    hosted: { type: 'http', url: 'https://mcp.example.com/mcp', tools: ['*'] },
+  },
+  alwaysAllow: [{ server: 'tracker', tool: 'search' }],
+};
+
+test('an exported lock applies to an empty config and then reports it in sync', async () => {
+  const sourcePath = path.join(tmp, 'source.json');
+  const lockfilePath = path.join(tmp, 'mcp-lock.json');
+  await fs.writeFile(sourcePath, `${JSON.stringify(ORIGINAL, null, 2)}\n`);
+
+  const exported = await tool.call('export_lockfile', { client: 'copilot', config_path: sourcePath, lockfile_path: lockfilePath });
+  assert.equal(exported.success, true, exported.error);
+  assert.equal(exported.locked, 2);
+  assert.match(exported.warnings.join('\n'), /tracker: not pinned in the config; the lock pins tracker-mcp@1.3.0/);
+
+  const lock = await readLockfile(lockfilePath);
+  assert.deepEqual(lock.servers.tracker, {
+    source: 'https://github.com/acme/tracker-mcp',
+    transport: 'stdio',
+    package: { type: 'npm', name: 'tracker-mcp', version: '1.3.0', integrity: INTEGRITY },
+    command: 'npx',
+    args: ['-y', 'tracker-mcp@1.3.0'],
+    env: { TRACKER_API_KEY: '${env:TRACKER_API_KEY}', TRACKER_REGION: 'eu' },
+    tools: ['search'],
+    always_allow: ['search'],
+  });
+  assert.equal(lock.servers.hosted.url, 'https://mcp.example.com/mcp');
+  assert.doesNotMatch(await fs.readFile(lockfilePath, 'utf-8'), /sk-live/);
+
+  // Another machine: nothing installed yet
+  const targetPath = path.join(tmp, 'target.json');
+  const preview = await tool.call('apply_lockfile', { client: 'copilot', config_path: targetPath, lockfile_path: lockfilePath });
+  assert.equal(preview.applied, false);
+  assert.equal(preview.drift.missing, 2);
+  await assert.rejects(fs.access(targetPath));
+
+  const applied = await tool.call('apply_lockfile', {
+    client: 'copilot', config_path: targetPath, lockfile_path: lockfilePath, dry_run: false, verify_integrity: true,
+  });
+  assert.equal(applied.success, true, applied.error);
+  assert.equal(applied.applied, true);
+  assert.deepEqual(applied.integrity.map(result => result.ok), [true]);
+  const written = JSON.parse(await fs.readFile(targetPath, 'utf-8'));
+  assert.deepEqual(written.mcpServers.tracker.args, ['-y', 'tracker-mcp@1.3.0']);
+  assert.deepEqual(written.alwaysAllow, [{ server: 'tracker', tool: 'search' }]);
+
+  const again = await tool.call('apply_lockfile', { client: 'copilot', config_path: targetPath, lockfile_path: lockfilePath });
+  assert.equal(again.in_sync, true);
+  assert.equal(again.drift.in_sync, 2);
+});
+
+test('offline, the source comes from the registry entry that launches the package', async () => {
+  const configPath = path.join(tmp, 'offline.json');
+  const lockfilePath = path.join(tmp, 'offline-lock.json');
+  await fs.writeFile(configPath, JSON.stringify({
+    mcpServers: { tracker: { type: 'local', command: 'npx', args: ['-y', '@example/ticket-tracker@1.2.0'], tools: ['*'] } },
+  }));
+
+  const exported = await tool.call('export_lockfile', { client: 'copilot', config_path: configPath, lockfile_path: lockfilePath, offline: true });
+  assert.equal(exported.success, true, exported.error);
+  assert.equal((await readLockfile(lockfilePath)).servers.tracker.source, 'https://github.com/example/ticket-tracker');
+});
+
+test('a changed published hash blocks the apply', async () => {
+  const lockfilePath = path.join(tmp, 'mcp-lock.json');
+  const targetPath = path.join(tmp, 'tampered.json');
+  integrity = 'sha512-something-else';
+  try {
+    const result = await tool.call('apply_lockfile', {
+      client: 'copilot', config_path: targetPath, lockfile_path: lockfilePath, dry_run: false, verify_integrity: true,
+    });
+    assert.equal(result.success, false);
+    assert.match(result.error, /Integrity check failed for tracker-mcp@1.3.0/);
+    await assert.rejects(fs.access(targetPath));
+  } finally {
+    integrity = INTEGRITY;
+  }
+});
+
+test('locked references keep the local value, and plain values are compared', () => {
+  const locked = { transport: 'stdio', command: 'npx', args: ['-y', 'a@1'], env: { KEY: '${env:KEY}', MODE: 'fast' } };
+  const local = { transport: 'stdio', command: 'npx', args: ['-y', 'a@1'], env: { KEY: 'local-secret', MODE: 'slow' } };
+  assert.deepEqual(compareEntry(locked, local), ['env.MODE differs']);
+  assert.deepEqual(entryFromLock(locked, local).env, { KEY: 'local-secret', MODE: 'fast' });
+  assert.deepEqual(entryFromLock(locked, null).env, { KEY: '${env:KEY}', MODE: 'fast' });
+});
+
+test('lockfiles of another version or without servers are refused', async () => {
+  const file = path.join(tmp, 'bad-lock.json');
+  await fs.writeFile(file, JSON.stringify({ lockfileVersion: 2, servers: {} }));
+  await assert.rejects(readLockfile(file), /has lockfileVersion 2; this tool reads version 1/);
+  await fs.writeFile(file, JSON.stringify({ lockfileVersion: 1, servers: { a: { transport: 'stdio' } } }));
+  await assert.rejects(readLockfile(file), /server "a" needs a "command"/);
+  await assert.rejects(readLockfile(path.join(tmp, 'none.json')), /No lockfile at .*; create one with export_lockfile/);
+});
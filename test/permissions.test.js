@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAdapter } from '../lib/client-adapters.js';
+import {
+  assertPermissionsSupported,
+  auditPermissions,
+  grantPermissions,
+  listPermissions,
+  removeFindings,
+  revokePermissions,
+} from '../lib/permissions.js';
+
+const copilot = getAdapter('copilot');
+
+function createConfig() {
+  const config = copilot.emptyConfig();
+  copilot.setServer(config, 'tracker', { transport: 'stdio', command: 'npx', args: ['-y', 'tracker-mcp'], tools: ['search', 'create'] });
+  copilot.setServer(config, 'open', { transport: 'stdio', command: 'npx', args: ['-y', 'open-mcp'], tools: ['*'] });
+  return config;
+}
+
+test('grants are added once and revoked by tool or all together', () => {
+  const config = createConfig();
+  assert.deepEqual(grantPermissions(config, 'tracker', ['search', 'create']), ['search', 'create']);
+  assert.deepEqual(grantPermissions(config, 'tracker', ['search']), []);
+  assert.deepEqual(grantPermissions(config, 'open', ['anything']), ['anything']);
+  assert.deepEqual(listPermissions(config, 'tracker'), [
+    { server: 'tracker', tool: 'search' },
+    { server: 'tracker', tool: 'create' },
+  ]);
+  assert.equal(listPermissions(config).length, 3);
+
+  assert.deepEqual(revokePermissions(config, 'tracker', ['create', 'missing']), ['create']);
+  assert.deepEqual(revokePermissions(config, 'tracker'), ['search']);
+  assert.deepEqual(config.alwaysAllow, [{ server: 'open', tool: 'anything' }]);
+  assert.deepEqual(revokePermissions({}, 'tracker'), []);
+});
+
+test('clients without an alwaysAllow list are refused', () => {
+  assert.doesNotThrow(() => assertPermissionsSupported(copilot));
+  assert.throws(() => assertPermissionsSupported(getAdapter('vscode')), /vscode configs have no alwaysAllow list/);
+});
+
+test('the audit flags stale, duplicate and malformed approvals, which can then be removed', () => {
+  const config = createConfig();
+  config.alwaysAllow = [
+    { server: 'tracker', tool: 'search' },
+    { server: 'tracker', tool: 'delete' },
+    { server: 'tracker', tool: 'search' },
+    { server: 'gone', tool: 'search' },
+    { server: 'open', tool: 'anything' },
+    { tool: 'search' },
+  ];
+
+  const findings = auditPermissions(config, copilot);
+  assert.deepEqual(findings.map(finding => [finding.index, finding.issue]), [
+    [1, 'unknown_tool'],
+    [2, 'duplicate'],
+    [3, 'unknown_server'],
+    [5, 'malformed'],
+  ]);
+
+  // An inspected tool list takes the place of the "*" filter
+  const inspected = auditPermissions(config, copilot, { inspected: { open: ['read'] } });
+  assert.deepEqual(inspected.filter(finding => finding.entry.server === 'open').map(finding => finding.issue), ['unknown_tool']);
+
+  assert.equal(removeFindings(config, findings), 4);
+  assert.deepEqual(config.alwaysAllow, [
+    { server: 'tracker', tool: 'search' },
+    { server: 'open', tool: 'anything' },
+  ]);
+  assert.deepEqual(auditPermissions(config, copilot), []);
+});
@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseRegistryReadme } from '../lib/readme-parser.js';
+import { RegistryCache } from '../lib/registry-cache.js';
+
+const README_URL = 'https://raw.githubusercontent.com/modelcontextprotocol/servers/main/README.md';
+
+function fixture(name) {
+  return fs.readFile(new URL(`./fixtures/readme/${name}.md`, import.meta.url), 'utf-8');
+}
+
+async function parseFixture(name) {
+  return parseRegistryReadme(await fixture(name), { sourceUrl: README_URL });
+}
+
+function byName(servers, name) {
+  const server = servers.find(candidate => candidate.name === name);
+  assert.ok(server, `no entry named ${name}`);
+  return server;
+}
+
+function codes(diagnostics) {
+  return diagnostics.map(diagnostic => diagnostic.code);
+}
+
+test('current layout: every section becomes a category', async () => {
+  const { servers, diagnostics } = await parseFixture('current');
+  const counts = {};
+  for (const server of servers) {
+    counts[server.category] = (counts[server.category] || 0) + 1;
+  }
+  assert.deepEqual(counts, { reference: 3, archived: 2, official: 3, community: 3, frameworks: 3, resources: 1 });
+  assert.deepEqual(diagnostics, []);
+});
+
+test('current layout: relative links resolve into the source repository', async () => {
+  const { servers } = await parseFixture('current');
+  assert.equal(byName(servers, 'Everything').url, 'https://github.com/modelcontextprotocol/servers/tree/main/src/everything');
+  assert.equal(byName(servers, 'Everything').description, 'Reference / test server with prompts, resources, and tools');
+});
+
+test('current layout: navigation and getting started lists are not entries', async () => {
+  const { servers } = await parseFixture('current');
+  assert.equal(servers.some(server => /getting started|contributing|using mcp/i.test(server.name)), false);
+});
+
+test('archived and frameworks sections keep subheadings as tags', async () => {
+  const { servers } = await parseFixture('current');
+  assert.equal(byName(servers, 'PostgreSQL').category, 'archived');
+  assert.deepEqual(byName(servers, 'FastMCP').tags, ['for-servers']);
+  assert.deepEqual(byName(servers, 'codemirror-mcp').tags, ['for-clients']);
+  assert.equal(byName(servers, 'Stripe').tags, undefined);
+});
+
+test('entries carry every link after the name', async () => {
+  const { servers } = await parseFixture('current');
+  assert.deepEqual(byName(servers, 'Apify').links, [{ text: 'docs', url: 'https://docs.apify.com/platform/integrations/mcp' }]);
+  assert.deepEqual(byName(servers, 'AiMCP').links, [{ text: 'Hekmon', url: 'https://github.com/hekmon8' }]);
+  assert.equal(byName(servers, 'AiMCP').description, 'A collection of MCP clients&servers to find the right mcp tools by Hekmon');
+});
+
+test('drifted headings without emoji still map to the known sections', async () => {
+  const { servers, diagnostics } = await parseFixture('drifted');
+  assert.deepEqual(
+    servers.map(server => [server.name, server.category, server.tags]),
+    [
+      ['Everything', 'reference', undefined],
+      ['Fetch', 'reference', undefined],
+      ['Puppeteer', 'archived', undefined],
+      ['Neon', 'official', ['databases']],
+      ['MongoDB', 'community', ['databases']],
+      ['Docker', 'community', ['developer-tools']],
+      ['FastMCP', 'frameworks', undefined],
+    ]
+  );
+  assert.equal(byName(servers, 'Neon').description, 'Interact with the Neon serverless Postgres platform');
+  assert.deepEqual(diagnostics, []);
+});
+
+test('logos and badges', async () => {
+  const { servers } = await parseFixture('badges');
+  const acme = byName(servers, 'Acme');
+  assert.equal(acme.logo, 'https://example.com/acme.svg');
+  assert.deepEqual(acme.languages, ['TypeScript']);
+  assert.deepEqual(acme.platforms, ['Cloud', 'macOS']);
+  assert.deepEqual(acme.links.map(link => link.url), [
+    'https://acme.dev/mcp',
+    'https://github.com/modelcontextprotocol/servers/tree/main/docs/examples.md',
+  ]);
+
+  const beta = byName(servers, 'Beta');
+  assert.equal(beta.logo, 'https://raw.githubusercontent.com/modelcontextprotocol/servers/main/assets/beta.png');
+  assert.deepEqual(beta.languages, ['Python']);
+  assert.deepEqual(beta.platforms, ['Linux']);
+  assert.deepEqual(beta.badges, ['Sponsored']);
+  assert.equal(beta.description, 'Beta data access');
+
+  const gamma = byName(servers, 'Gamma');
+  assert.deepEqual(gamma.languages, ['Rust', 'Go']);
+  assert.equal(gamma.description, 'Gamma search');
+});
+
+test('missing and empty sections are diagnosed', async () => {
+  const { diagnostics } = await parseFixture('truncated');
+  assert.deepEqual(codes(diagnostics), ['section_missing', 'section_empty', 'section_empty']);
+  assert.match(diagnostics[0].message, /"archived"/);
+  assert.match(diagnostics[1].message, /"official"/);
+  assert.match(diagnostics[2].message, /"community"/);
+});
+
+test('a README without entries is an error', () => {
+  const { servers, diagnostics } = parseRegistryReadme('# Servers\n\nMoved to https://registry.example.com\n');
+  assert.deepEqual(servers, []);
+  assert.ok(diagnostics.some(diagnostic => diagnostic.level === 'error' && diagnostic.code === 'no_entries'));
+});
+
+test('a sharp drop in entries against the previous snapshot is diagnosed', async () => {
+  const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wx-readme-'));
+  try {
+    let body = await fixture('current');
+    const cache = new RegistryCache({
+      url: README_URL,
+      name: 'readme-test',
+      cacheDir,
+      ttlSeconds: 0,
+      parse: (text, { url }) => parseRegistryReadme(text, { sourceUrl: url }),
+      fetchSource: async () => ({ body }),
+    });
+
+    const first = await cache.refresh();
+    assert.equal(first.snapshot.servers.length, 15);
+    assert.equal(codes(first.snapshot.diagnostics).includes('count_drop'), false);
+
+    body = await fixture('truncated');
+    const second = await cache.refresh();
+    assert.equal(second.snapshot.servers.length, 3);
+    const drop = second.snapshot.diagnostics.find(diagnostic => diagnostic.code === 'count_drop');
+    assert.ok(drop, 'no count_drop diagnostic');
+    assert.equal(drop.level, 'warning');
+    assert.match(drop.message, /from 15 to 3/);
+  } finally {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  }
+});
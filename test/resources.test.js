@@ -0,0 +1,113 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CATEGORY_DESCRIPTIONS, findServerByUri, parseInstalledUri, summarizeCategories } from '../lib/resources.js';
+import { connectTool } from './fixtures/tool-client.mjs';
+
+let tmp;
+let tool;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'wx-mcp-resources-'));
+  await fs.mkdir(path.join(tmp, '.copilot'));
+  await fs.writeFile(path.join(tmp, '.copilot', 'mcp-config.json'), JSON.stringify({
+    mcpServers: { tracker: { type: 'local', command: 'npx', args: ['-y', '@example/ticket-tracker@1.2.0'], tools: ['*'] } },
+  }));
+  tool = await connectTool(tmp, { WX_MCP_OFFLINE: '1' });
+});
+
+after(async () => {
+  await tool.close();
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+async function read(uri) {
+  const { contents } = await tool.client.readResource({ uri });
+  assert.equal(contents[0].mimeType, 'application/json');
+  return JSON.parse(contents[0].text);
+}
+
+test('resources list the categories, each client config and every registry server', async () => {
+  const { resources, nextCursor } = await tool.client.listResources();
+  assert.deepEqual(resources.map(resource => resource.uri), [
+    'registry://categories',
+    'config://installed',
+    'config://installed/claude-desktop',
+    'config://installed/vscode',
+    'config://installed/cursor',
+    'config://installed/windsurf',
+    'registry://servers/Ticket%20Tracker',
+    'registry://servers/Build%20Status',
+    'registry://servers/io.github.example%2Fweather',
+  ]);
+  assert.equal(nextCursor, undefined);
+  assert.equal(resources[1].description, `Servers in ${path.join(tmp, '.copilot', 'mcp-config.json')}`);
+
+  const { resourceTemplates } = await tool.client.listResourceTemplates();
+  assert.deepEqual(resourceTemplates.map(template => template.uriTemplate), ['registry://servers/{name}', 'config://installed/{client}']);
+});
+
+test('resources read as the registry categories, one server and the installed config', async () => {
+  const categories = await read('registry://categories');
+  assert.equal(categories.total_servers, 3);
+  assert.deepEqual(categories.categories, [
+    { category: 'internal', count: 1 },
+    { category: 'ci', count: 1 },
+    { category: 'registry', count: 1 },
+  ]);
+
+  const server = await read('registry://servers/ticket-tracker');
+  assert.equal(server.name, 'Ticket Tracker');
+  assert.equal(server.url, 'https://github.com/example/ticket-tracker');
+  assert.ok(server.trust);
+  assert.ok(server.installation);
+
+  const installed = await read('config://installed');
+  assert.equal(installed.config_path, path.join(tmp, '.copilot', 'mcp-config.json'));
+  assert.deepEqual(installed.servers.map(entry => entry.name), ['tracker']);
+  assert.deepEqual(installed.not_isolated, ['tracker']);
+
+  await assert.rejects(tool.client.readResource({ uri: 'registry://servers/Nothing' }), /No registry server named "Nothing"/);
+  await assert.rejects(tool.client.readResource({ uri: 'config://installed/emacs' }), /Unknown client "emacs"/);
+  await assert.rejects(tool.client.readResource({ uri: 'registry://other' }), /Unknown resource: registry:\/\/other/);
+});
+
+test('prompts list both templates and fill them from the registry and the config', async () => {
+  const { prompts } = await tool.client.listPrompts();
+  assert.deepEqual(prompts.map(prompt => prompt.name), ['find_and_install', 'audit_mcp_setup']);
+
+  const find = await tool.client.getPrompt({ name: 'find_and_install', arguments: { need: 'tickets', client: 'vscode' } });
+  assert.equal(find.description, 'Find and install an MCP server for: tickets');
+  assert.match(find.messages[0].content.text, /- Ticket Tracker \(internal\): .* \[registry:\/\/servers\/Ticket%20Tracker\]/);
+  assert.match(find.messages[0].content.text, /install_mcp_server with client "vscode"/);
+
+  const audit = await tool.client.getPrompt({ name: 'audit_mcp_setup' });
+  assert.equal(audit.messages[0].content.resource.uri, 'config://installed');
+  assert.equal(JSON.parse(audit.messages[0].content.resource.text).total_installed, 1);
+  assert.match(audit.messages[1].content.text, /Audit my copilot MCP setup/);
+
+  await assert.rejects(tool.client.getPrompt({ name: 'find_and_install', arguments: {} }), /find_and_install needs the "need" argument/);
+  await assert.rejects(tool.client.getPrompt({ name: 'audit_mcp_setup', arguments: { client: 'emacs' } }), /Unknown client "emacs"/);
+  await assert.rejects(tool.client.getPrompt({ name: 'summarize' }), /Unknown prompt: summarize/);
+});
+
+test('resource URIs resolve to a client or a registry server', () => {
+  assert.equal(parseInstalledUri('config://installed'), 'copilot');
+  assert.equal(parseInstalledUri('config://installed/claude-desktop'), 'claude-desktop');
+  assert.equal(parseInstalledUri('registry://categories'), null);
+
+  const servers = [{ name: 'io.github.example/weather' }, { name: 'Ticket Tracker' }];
+  assert.equal(findServerByUri(servers, 'registry://servers/io.github.example%2Fweather'), servers[0]);
+  assert.equal(findServerByUri(servers, 'registry://servers/ticket%20tracker'), servers[1]);
+  assert.equal(findServerByUri(servers, 'registry://servers/ticket-tracker'), servers[1]);
+  assert.equal(findServerByUri(servers, 'config://installed'), undefined);
+});
+
+test('categories keep their first appearance order and count uncategorized servers', () => {
+  assert.deepEqual(summarizeCategories([{ category: 'official' }, {}, { category: 'official' }]), [
+    { category: 'official', description: CATEGORY_DESCRIPTIONS.official, count: 2 },
+    { category: 'uncategorized', description: undefined, count: 1 },
+  ]);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import {
+  exceedsRisk,
+  findTyposquats,
+  popularPackages,
+  reviewBlocks,
+  reviewServer,
+  riskLevel,
+  scanPackageJson,
+  scanSource,
+} from '../lib/review.js';
+
+const popular = popularPackages();
+
+test('vendor packages and longer names are not typosquats', () => {
+  for (const name of ['@cloudflare/mcp', '@upstash/mcp', '@heroku/mcp', 'mcp-server-gitee', '@stripe/mcp', 'playwright-mcp']) {
+    assert.deepEqual(findTyposquats(name, popular), [], name);
+  }
+});
+
+test('names a typo or a separator away from a popular package are flagged', () => {
+  assert.deepEqual(findTyposquats('@playwrigth/mcp', popular), [
+    { similar_to: '@playwright/mcp', reason: '"playwrigth" is 1 character(s) from "playwright"' },
+  ]);
+  assert.equal(findTyposquats('mcp-server-fecth', popular)[0].similar_to, 'mcp-server-fetch');
+  assert.equal(findTyposquats('mcp-sever-fetch', popular)[0].similar_to, 'mcp-server-fetch');
+  assert.deepEqual(findTyposquats('mcp_server_fetch', popular), [
+    { similar_to: 'mcp-server-fetch', reason: 'differs only in separators' },
+  ]);
+});
+
+test('source and manifest findings add up to a risk level', () => {
+  const source = scanSource('src/index.js', [
+    "import { exec } from 'child_process';",
+    "const run = new Function(code);",
+    "await fetch('https://webhook.site/abc');",
+  ].join('\n'));
+  assert.deepEqual(source.map(finding => [finding.check, finding.severity]), [
+    ['process_exec', 'medium'],
+    ['dynamic_code', 'high'],
+    ['hardcoded_host', 'medium'],
+  ]);
+  assert.equal(riskLevel(source), 'high');
+
+  const manifest = scanPackageJson({ scripts: { postinstall: 'node setup.js' } }, { origin: 'published' });
+  assert.equal(manifest[0].check, 'install_script');
+  assert.equal(riskLevel([...source, ...manifest]), 'critical');
+  assert.equal(riskLevel([]), 'none');
+
+  assert.equal(exceedsRisk('high', 'medium'), true);
+  assert.equal(exceedsRisk('medium', 'medium'), false);
+});
+
+// A repository with one harmless file, served without the GitHub API
+const github = {
+  getTree: async () => ({ truncated: false, entries: [{ path: 'index.js', type: 'blob', size: 12 }] }),
+  getFile: async () => 'export {};\n',
+};
+
+test('a review whose package registry is unreachable is incomplete and blocks install', async () => {
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  process.env.WX_MCP_NPM_REGISTRY_URL = `http://127.0.0.1:${port}`;
+  try {
+    const report = await reviewServer({
+      github,
+      url: 'https://github.com/acme/tracker-mcp',
+      recipe: { type: 'npm', package: 'tracker-mcp', confidence: 'high' },
+    });
+    assert.deepEqual(report.findings, []);
+    assert.equal(report.risk, 'medium');
+    assert.deepEqual(report.incomplete, ['the npm package was not checked']);
+    assert.match(report.warnings[0], /^Package registry unavailable: /);
+    assert.equal(reviewBlocks(report, 'medium'), true);
+    assert.equal(reviewBlocks(report, 'high'), false);
+  } finally {
+    delete process.env.WX_MCP_NPM_REGISTRY_URL;
+  }
+});
+
+test('a complete review with no findings passes the gate', async () => {
+  const report = await reviewServer({
+    github,
+    url: 'https://github.com/acme/tracker-mcp',
+    recipe: { type: 'docker', image: 'acme/tracker-mcp', confidence: 'high' },
+    offline: true,
+  });
+  assert.equal(report.risk, 'none');
+  assert.equal(report.incomplete, undefined);
+  assert.equal(report.scanned.files, 1);
+  assert.equal(reviewBlocks(report, 'none'), false);
+
+  const unlisted = await reviewServer({ github: { ...github, getTree: async () => null }, url: 'https://github.com/acme/tracker-mcp', offline: true });
+  assert.deepEqual(unlisted.incomplete, ['the repository source was not scanned']);
+  assert.equal(reviewBlocks(unlisted, 'medium'), true);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import os from 'os';
+import path from 'path';
+import { describeSandbox, normalizeSandbox, unwrapEntry, wrapEntry } from '../lib/sandbox.js';
+
+const linuxOnly = { skip: process.platform !== 'linux' && 'bubblewrap and firejail only run on Linux' };
+const projects = path.join(os.tmpdir(), 'wx-mcp-projects');
+const notes = path.join(os.tmpdir(), 'wx-mcp-notes');
+
+const SERVER = {
+  transport: 'stdio',
+  command: 'npx',
+  args: ['-y', 'files-mcp@1.0.0', projects],
+  env: { FILES_TOKEN: '${FILES_TOKEN}' },
+  tools: ['*'],
+};
+
+function settings(type, extra = {}) {
+  return normalizeSandbox({ type, mounts: [projects, `${notes}:ro`], network: false, env_passthrough: ['GITHUB_TOKEN'], ...extra });
+}
+
+// Each type reads back as the server's own command and the settings it was wrapped
+// with; containers also name the default image they picked
+const WRAPPERS = [
+  ['docker', 'docker', { image: 'node:lts-slim' }, {}],
+  ['bubblewrap', 'bwrap', {}, linuxOnly],
+  ['firejail', 'firejail', {}, linuxOnly],
+];
+for (const [type, binary, defaults, options] of WRAPPERS) {
+  test(`${type} wrappers unwrap to the original entry and settings`, options, () => {
+    const sandbox = settings(type);
+    const { entry, warnings } = wrapEntry(SERVER, sandbox);
+    assert.equal(entry.command, binary);
+    assert.deepEqual(entry.env, SERVER.env);
+    assert.deepEqual(warnings, ['Network is off: npx must not need to download the server at launch']);
+
+    const unwrapped = unwrapEntry(entry);
+    assert.deepEqual(unwrapped.inner, SERVER);
+    assert.deepEqual(unwrapped.sandbox, { ...sandbox, ...defaults });
+    assert.equal(entry.args[unwrapped.offset], SERVER.args[0]);
+
+    assert.deepEqual(describeSandbox(entry), { isolated: true, managed: true, ...sandbox, ...defaults, launches: 'npx' });
+    assert.deepEqual(wrapEntry(entry, null).entry, SERVER);
+  });
+}
+
+test('docker wrappers pass the server env and passthrough names into the container', () => {
+  const { entry } = wrapEntry(SERVER, settings('docker'));
+  assert.deepEqual(entry.args.slice(0, 8), ['run', '--rm', '-i', '--label', 'wx-mcp-sandbox', '--network', 'none', '--cap-drop']);
+  assert.ok(entry.args.includes(`type=bind,source=${notes},target=${notes},readonly`));
+  const image = entry.args.indexOf('node:lts-slim');
+  assert.deepEqual(entry.args.slice(image - 4, image), ['-e', 'FILES_TOKEN', '-e', 'GITHUB_TOKEN']);
+});
+
+test('wrapping again replaces the settings instead of nesting', () => {
+  const first = wrapEntry(SERVER, settings('docker')).entry;
+  const second = wrapEntry(first, normalizeSandbox({ type: 'docker', image: 'node:22', mounts: [projects] })).entry;
+  assert.equal(second.args.filter(arg => arg === 'wx-mcp-sandbox').length, 1);
+  assert.equal(unwrapEntry(second).sandbox.image, 'node:22');
+  assert.equal(unwrapEntry(second).sandbox.network, true);
+  assert.deepEqual(unwrapEntry(second).inner, SERVER);
+});
+
+test('the namespace launcher clears the environment down to the allowed names', linuxOnly, () => {
+  const inner = { transport: 'stdio', command: process.execPath, args: ['-e', 'console.log(JSON.stringify(process.env))'], env: { FILES_TOKEN: 'x' } };
+  const { entry } = wrapEntry(inner, normalizeSandbox({ type: 'bubblewrap', env_passthrough: ['GITHUB_TOKEN'] }));
+  const launcher = entry.args.slice(entry.args.indexOf('--') + 1);
+
+  const result = spawnSync(launcher[0], launcher.slice(1), {
+    env: { PATH: process.env.PATH, FILES_TOKEN: 'from-config', GITHUB_TOKEN: 'passed', AWS_SECRET_ACCESS_KEY: 'leaked' },
+    encoding: 'utf-8',
+  });
+  const env = JSON.parse(result.stdout);
+  assert.equal(env.FILES_TOKEN, 'from-config');
+  assert.equal(env.GITHUB_TOKEN, 'passed');
+  assert.equal(env.AWS_SECRET_ACCESS_KEY, undefined);
+});
+
+test('invalid settings and unsandboxable servers are refused', () => {
+  assert.throws(() => normalizeSandbox({ type: 'chroot' }), /Unknown sandbox type "chroot"/);
+  assert.throws(() => normalizeSandbox({ type: 'docker', env_passthrough: ['BAD-NAME'] }), /Invalid environment variable name\(s\) in env_passthrough: BAD-NAME/);
+  assert.throws(() => normalizeSandbox({ type: 'firejail', image: 'node:22' }), linuxOnly.skip ? /only run on Linux/ : /"image" only applies to docker and podman/);
+  assert.equal(normalizeSandbox({ type: 'none' }), null);
+
+  assert.throws(() => wrapEntry({ transport: 'http', url: 'https://mcp.example.com' }, settings('docker')), /cannot be sandboxed/);
+  assert.throws(() => wrapEntry({ transport: 'stdio', command: 'docker', args: ['run', 'acme/mcp'] }, settings('docker')), /already runs in a container/);
+  assert.throws(() => wrapEntry({ transport: 'stdio', command: 'ruby', args: [] }, settings('docker')), /No default docker image runs "ruby"; pass sandbox.image/);
+  assert.deepEqual(describeSandbox({ transport: 'stdio', command: 'docker', args: ['run', 'acme/mcp'] }), { isolated: true, managed: false, type: 'docker' });
+});
+
+test('paths outside every mount are warned about', () => {
+  const { warnings } = wrapEntry(SERVER, normalizeSandbox({ type: 'docker', mounts: [notes] }));
+  assert.deepEqual(warnings, [`${projects} is not under any sandbox mount, so the server cannot see it; add it to sandbox.mounts`]);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchIndex } from '../lib/search-index.js';
+
+const SERVERS = [
+  { name: 'MongoDB', description: 'A database server for MongoDB collections' },
+  { name: 'Postgres', description: 'Read-only database access', languages: ['Go'] },
+  { name: 'SQLite', description: 'Database queries written in Go' },
+  { name: 'Redis', description: 'Key-value database', tags: ['caching'] },
+  { name: 'Fetch', description: 'Fetch web pages and convert them to markdown' },
+];
+
+function names(results) {
+  return results.map(result => result.server.name).sort();
+}
+
+test('exclusions match whole tokens, not substrings', () => {
+  const index = new SearchIndex(SERVERS);
+  assert.deepEqual(names(index.search('database -go')), ['MongoDB', 'Redis']);
+});
+
+test('exclusions apply to tags and badges', () => {
+  const index = new SearchIndex(SERVERS);
+  assert.deepEqual(names(index.search('database -caching')), ['MongoDB', 'Postgres', 'SQLite']);
+});
+
+test('quoted exclusions match a token sequence', () => {
+  const index = new SearchIndex(SERVERS);
+  assert.deepEqual(names(index.search('database -"written in go"')), ['MongoDB', 'Postgres', 'Redis']);
+});
@@ -0,0 +1,89 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { RegistrySources } from '../lib/sources.js';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sources');
+const previousSourcesFile = process.env.WX_MCP_SOURCES_FILE;
+
+function createSources(sourcesFile) {
+  process.env.WX_MCP_SOURCES_FILE = sourcesFile;
+  return new RegistrySources({ defaultSources: [], parseReadme: () => ({ servers: [] }) });
+}
+
+after(() => {
+  if (previousSourcesFile === undefined) {
+    delete process.env.WX_MCP_SOURCES_FILE;
+  } else {
+    process.env.WX_MCP_SOURCES_FILE = previousSourcesFile;
+  }
+});
+
+test('local file sources are read and merged without the network', async () => {
+  const sources = createSources(path.join(fixtures, 'sources.json'));
+  const { servers, registry } = await sources.getServers({ offline: true });
+
+  assert.deepEqual(registry.sources.map(source => [source.id, source.status, source.count]), [
+    ['internal', 'file', 2],
+    ['registry', 'file', 2],
+  ]);
+  assert.equal(registry.sources[0].path, path.join(fixtures, 'internal.yaml'));
+
+  assert.deepEqual(servers.map(server => server.name), ['Ticket Tracker', 'Build Status', 'io.github.example/weather']);
+  const tracker = servers[0];
+  assert.equal(tracker.description, 'Query and update internal tickets');
+  assert.equal(tracker.category, 'internal');
+  assert.deepEqual(tracker.sources, ['internal', 'registry']);
+  // Filled in from the second source
+  assert.equal(tracker.version, '1.2.0');
+  assert.equal(tracker.packages[0].identifier, '@example/ticket-tracker');
+  assert.equal(servers[1].category, 'ci');
+  assert.equal(servers[2].category, 'registry');
+});
+
+test('edits to a local file source show up on refresh', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wx-mcp-sources-'));
+  try {
+    await fs.writeFile(path.join(dir, 'sources.yaml'), 'sources:\n  - { id: local, type: file, path: servers.json }\n');
+    const serversFile = path.join(dir, 'servers.json');
+    await fs.writeFile(serversFile, JSON.stringify([{ name: 'One', url: 'https://github.com/example/one' }]));
+
+    const sources = createSources(path.join(dir, 'sources.yaml'));
+    assert.equal((await sources.getServers()).servers.length, 1);
+
+    await fs.writeFile(serversFile, JSON.stringify([
+      { name: 'One', url: 'https://github.com/example/one', description: 'Changed' },
+      { name: 'Two', url: 'https://github.com/example/two' },
+    ]));
+    const [result] = await sources.refresh();
+    assert.equal(result.id, 'local');
+    assert.equal(result.status, 'updated');
+    assert.deepEqual(result.added.map(server => server.name), ['Two']);
+    assert.deepEqual(result.changed.map(change => change.after.description), ['Changed']);
+    assert.equal((await sources.getServers()).servers.length, 2);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a broken local file source is reported, not fatal', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wx-mcp-sources-'));
+  try {
+    await fs.writeFile(path.join(dir, 'sources.json'), JSON.stringify({
+      sources: [
+        { id: 'good', type: 'file', path: path.join(fixtures, 'internal.yaml') },
+        { id: 'bad', type: 'file', path: 'missing.json' },
+      ],
+    }));
+    const sources = createSources(path.join(dir, 'sources.json'));
+    const { servers, registry } = await sources.getServers();
+    assert.equal(servers.length, 2);
+    assert.equal(registry.sources[1].status, 'error');
+    assert.match(registry.sources[1].error, /ENOENT/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
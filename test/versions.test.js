@@ -0,0 +1,149 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { compareVersions, isPrerelease, readPin, updateType, writePin } from '../lib/versions.js';
+import { connectTool } from './fixtures/tool-client.mjs';
+
+// A local stand-in for the npm and PyPI registries and the GitHub releases API
+const NPM = {
+  'tracker-mcp': {
+    'dist-tags': { latest: '1.3.0' },
+    versions: {
+      '1.0.0': {},
+      '1.2.0': {},
+      '1.3.0': { repository: 'github:acme/tracker-mcp' },
+      '2.0.0-beta.1': {},
+    },
+  },
+  '@acme/old-mcp': {
+    'dist-tags': { latest: '0.9.0' },
+    versions: { '0.9.0': { deprecated: 'Use tracker-mcp' } },
+  },
+};
+const PYPI = {
+  'weather-mcp': { info: { version: '0.5.0' }, releases: { '0.4.0': [], '0.5.0': [] } },
+};
+const RELEASES = [
+  { tag_name: 'v1.3.0', published_at: '2026-09-01T00:00:00Z', body: 'Adds search' },
+  { tag_name: 'v1.2.0', published_at: '2026-08-01T00:00:00Z', body: 'Fixes paging' },
+];
+
+let server;
+let tmp;
+let tool;
+
+function handle(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const name = decodeURIComponent(url.pathname.replace(/^\/npm\//, ''));
+  let body = null;
+  if (url.pathname.startsWith('/npm/')) {
+    body = NPM[name] || null;
+  } else if (url.pathname.startsWith('/pypi/')) {
+    body = PYPI[url.pathname.split('/')[2]] || null;
+  } else if (url.pathname === '/github/repos/acme/tracker-mcp/releases') {
+    body = RELEASES;
+  }
+  res.writeHead(body ? 200 : 404, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body || { message: 'Not Found' }));
+}
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'wx-mcp-versions-'));
+  server = http.createServer(handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  tool = await connectTool(tmp, {
+    WX_MCP_NPM_REGISTRY_URL: `${baseUrl}/npm`,
+    WX_MCP_PYPI_URL: baseUrl,
+    WX_MCP_GITHUB_API_URL: `${baseUrl}/github`,
+  });
+});
+
+after(async () => {
+  await tool.close();
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+async function writeConfig(name, servers) {
+  const configPath = path.join(tmp, `${name}.json`);
+  await fs.writeFile(configPath, `${JSON.stringify({ mcpServers: servers }, null, 2)}\n`);
+  return configPath;
+}
+
+test('pins are read from and written back into the launch args', () => {
+  const npx = { command: 'npx', args: ['-y', 'tracker-mcp@1.2.0'] };
+  const pin = readPin(npx);
+  assert.deepEqual({ ...pin }, { type: 'npm', package: 'tracker-mcp', version: '1.2.0', tag: undefined, pinned: true, index: 1 });
+  assert.deepEqual(writePin(npx, pin, '1.3.0'), ['-y', 'tracker-mcp@1.3.0']);
+
+  const uvx = { command: 'uvx', args: ['--from', 'weather-mcp[cli]==0.4.0', 'weather'] };
+  assert.deepEqual(writePin(uvx, readPin(uvx), '0.5.0'), ['--from', 'weather-mcp[cli]==0.5.0', 'weather']);
+
+  const docker = { command: 'docker', args: ['run', '-i', '--rm', '-e', 'TOKEN', 'ghcr.io/acme/mcp:1.0'] };
+  const dockerPin = readPin(docker);
+  assert.equal(dockerPin.package, 'ghcr.io/acme/mcp');
+  assert.deepEqual(writePin(docker, dockerPin, 'sha256:abc').at(-1), 'ghcr.io/acme/mcp@sha256:abc');
+
+  assert.equal(readPin({ command: 'npx', args: ['-y', 'tracker-mcp'] }).pinned, false);
+});
+
+test('versions compare numerically, with prereleases before their release', () => {
+  assert.deepEqual(['1.10.0', '1.2.0', '2.0.0-beta.1', '2.0.0', 'v1.9'].sort(compareVersions), ['1.2.0', 'v1.9', '1.10.0', '2.0.0-beta.1', '2.0.0']);
+  assert.equal(isPrerelease('2.0.0-beta.1'), true);
+  assert.equal(isPrerelease('1.0.0.post1'), false);
+  assert.equal(updateType('1.2.0', '1.3.0'), 'minor');
+  assert.equal(updateType('1.3.0', '1.2.0'), null);
+});
+
+test('check_updates compares each pin with the mocked registries', async () => {
+  const configPath = await writeConfig('check', {
+    tracker: { type: 'local', command: 'npx', args: ['-y', 'tracker-mcp@1.2.0'], tools: ['*'] },
+    latest: { type: 'local', command: 'npx', args: ['-y', 'tracker-mcp'], tools: ['*'] },
+    old: { type: 'local', command: 'npx', args: ['-y', '@acme/old-mcp@0.9.0'], tools: ['*'] },
+    weather: { type: 'local', command: 'uvx', args: ['weather-mcp@0.5.0'], tools: ['*'] },
+    gone: { type: 'local', command: 'npx', args: ['-y', 'gone-mcp@1.0.0'], tools: ['*'] },
+    image: { type: 'local', command: 'docker', args: ['run', '-i', '--rm', 'acme/mcp:1.0'], tools: ['*'] },
+  });
+
+  const result = await tool.call('check_updates', { client: 'copilot', config_path: configPath });
+  assert.equal(result.success, true, result.error);
+  const byName = Object.fromEntries(result.servers.map(item => [item.name, item]));
+  assert.deepEqual([byName.tracker.status, byName.tracker.latest, byName.tracker.update], ['update_available', '1.3.0', 'minor']);
+  assert.equal(byName.latest.status, 'unpinned');
+  assert.equal(byName.old.status, 'up_to_date');
+  assert.equal(byName.old.deprecated, 'Use tracker-mcp');
+  assert.equal(byName.weather.status, 'up_to_date');
+  assert.equal(byName.gone.status, 'not_found');
+  assert.equal(byName.image.status, 'unsupported');
+  assert.equal(result.updates_available, 1);
+
+  const prerelease = await tool.call('check_updates', { client: 'copilot', config_path: configPath, servers: ['tracker'], include_prerelease: true });
+  assert.equal(prerelease.servers[0].latest, '2.0.0-beta.1');
+});
+
+test('upgrade_server pins the newest release and reports the notes crossed', async () => {
+  const configPath = await writeConfig('upgrade', {
+    tracker: { type: 'local', command: 'npx', args: ['-y', 'tracker-mcp@1.0.0'], tools: ['*'] },
+  });
+
+  const result = await tool.call('upgrade_server', { client: 'copilot', config_path: configPath, server_name: 'tracker' });
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.applied, true);
+  assert.deepEqual([result.from, result.to, result.update], ['1.0.0', '1.3.0', 'minor']);
+  assert.deepEqual(result.changelog.entries.map(entry => [entry.version, entry.notes]), [['1.3.0', 'Adds search'], ['1.2.0', 'Fixes paging']]);
+  const written = JSON.parse(await fs.readFile(configPath, 'utf-8'));
+  assert.deepEqual(written.mcpServers.tracker.args, ['-y', 'tracker-mcp@1.3.0']);
+
+  const again = await tool.call('upgrade_server', { client: 'copilot', config_path: configPath, server_name: 'tracker' });
+  assert.equal(again.applied, false);
+  assert.match(again.message, /already pinned to tracker-mcp@1.3.0/);
+
+  const missing = await tool.call('upgrade_server', { client: 'copilot', config_path: configPath, server_name: 'tracker', version: '9.9.9' });
+  assert.equal(missing.success, false);
+  assert.match(missing.error, /has no version "9.9.9" on npm \(latest: 1.3.0\)/);
+});